@@ -33,6 +33,13 @@ function IFrameRenderer(worker, frame) {
     });
 }
 
+// The event properties that are passed on to dom.js, if the event has them
+var eventDetails = [
+    "detail", "screenX", "screenY", "clientX", "clientY", "button",
+    "buttons", "ctrlKey", "shiftKey", "altKey", "metaKey", "key", "code",
+    "location", "repeat", "charCode", "keyCode", "which"
+];
+
 IFrameRenderer.prototype.handleEvent = function(e) {
     var event = {
         event: true,
@@ -40,7 +47,14 @@ IFrameRenderer.prototype.handleEvent = function(e) {
         bubbles: e.bubbles,
         cancelable: e.cancelable,
         target: e.target._nid,
+        details: {}
     }
+    eventDetails.forEach(function(p) {
+        if (e[p] !== undefined) event.details[p] = e[p];
+    });
+    // dom.js refers to nodes by nid
+    if (e.relatedTarget && e.relatedTarget._nid)
+        event.details.relatedTarget = e.relatedTarget._nid;
     this.worker.postMessage(["event", event]);
 
     e.stopImmediatePropagation();
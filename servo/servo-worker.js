@@ -37,11 +37,10 @@ onmessage = function(event) {
     try {
         switch(cmd) {
         case "event":
-            document._dispatchRendererEvent(data.target, data.type, {
-                // XXX: add more event detail fields
-                bubbles: data.bubbles,
-                cancelable: data.cancelable
-            });
+            var details = data.details || {};
+            details.bubbles = data.bubbles;
+            details.cancelable = data.cancelable;
+            document._dispatchRendererEvent(data.target, data.type, details);
             return;
 
         case "load":
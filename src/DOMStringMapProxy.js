@@ -0,0 +1,62 @@
+// A factory function for DOMStringMap proxy objects, used for
+// HTMLElement.dataset.  Expects an impl.DOMStringMap object with names(),
+// get(), set() and delete() methods.
+//
+// DOMStringMap has no indexed properties, but every property name is a
+// potential named property: assigning to any property creates a data-*
+// attribute.  The interface is effectively [OverrideBuiltins], so named
+// properties are found before the properties of the prototype.
+function DOMStringMapProxy(map) {
+    var handler = O.create(DOMStringMapProxy.handler);
+    handler.map = map;
+    return Proxy.create(handler, idl.DOMStringMap.prototype);
+}
+
+// This is the prototype object for the proxy handler object
+DOMStringMapProxy.handler = {
+    getOwnPropertyDescriptor: function getOwnPropertyDescriptor(name) {
+        var v = this.map.get(name);
+        if (v === undefined) return;
+        return {
+            value: v,
+            writable: true,
+            enumerable: true,
+            configurable: true
+        };
+    },
+    getPropertyDescriptor: function(name) {
+        var desc = this.getOwnPropertyDescriptor(name) ||
+            O.getOwnPropertyDescriptor(idl.DOMStringMap.prototype, name) ||
+            O.getOwnPropertyDescriptor(O.prototype, name);
+        if (desc) desc.configurable = true; // Proxies require this
+        return desc;
+    },
+    getOwnPropertyNames: function getOwnPropertyNames() {
+        return this.map.names();
+    },
+
+    // Both assignment and Object.defineProperty() end up here,
+    // and both create or set a data-* attribute
+    defineProperty: function(name, desc) {
+        if (!("value" in desc))
+            throw TypeError("can't define accessor property '" + name +
+                            "' on a DOMStringMap");
+        this.map.set(name, String(desc.value));
+    },
+    delete: function(name) {
+        if (this.map.get(name) !== undefined) this.map.delete(name);
+        return true;
+    },
+
+    // WebIDL: objects with named properties can't be fixed
+    fix: function() {},
+
+    // Get all enumerable properties
+    // XXX: Remove this method when this bug is fixed:
+    // https://bugzilla.mozilla.org/show_bug.cgi?id=665198
+    enumerate: function() {
+        var r = this.map.names();
+        for(var name in idl.DOMStringMap.prototype) push(r, name);
+        return r;
+    }
+};
@@ -0,0 +1,72 @@
+// A factory function for DOMTokenList and DOMSettableTokenList proxy objects.
+// Expects an impl.DOMTokenList (or subclass) object with length and
+// _idlName properties and an item() method.
+function DOMTokenListProxy(list) {
+    var handler = O.create(DOMTokenListProxy.handler);
+    handler.list = list;
+    handler.proto = idl[list._idlName].prototype;
+    handler.localprops = O.create(null);
+    return Proxy.create(handler, handler.proto);
+}
+
+// This is the prototype object for the proxy handler object.
+// Like NodeListProxy, it defines only the fundamental traps.
+DOMTokenListProxy.handler = {
+    isArrayIndex: function(name) { return String(toULong(name)) === name; },
+
+    getOwnPropertyDescriptor: function getOwnPropertyDescriptor(name) {
+        if (this.isArrayIndex(name)) {
+            var v = this.list.item(toULong(name));
+            if (v === null) return;
+            return {
+                value: v,
+                writable: false,
+                enumerable: true,
+                configurable: true
+            };
+        }
+        return O.getOwnPropertyDescriptor(this.localprops, name);
+    },
+    getPropertyDescriptor: function(name) {
+        var desc = this.getOwnPropertyDescriptor(name);
+        for(var p = this.proto; !desc && p; p = O.getPrototypeOf(p))
+            desc = O.getOwnPropertyDescriptor(p, name);
+        if (desc) desc.configurable = true; // Proxies require this
+        return desc;
+    },
+    getOwnPropertyNames: function getOwnPropertyNames() {
+        var r = [];
+        for (var i = 0, n = this.list.length; i < n; i++)
+            push(r, String(i));
+        return concat(r, O.getOwnPropertyNames(this.localprops));
+    },
+    defineProperty: function(name, desc) {
+        // XXX: see the comment in NodeListProxy.js
+        if (this.isArrayIndex(name))
+            throw new TypeError(
+                "can't set or create indexed properties '" + name + "'");
+
+        O.defineProperty(this.localprops, name, desc);
+    },
+    delete: function(name) {
+        // Can't delete index properties that exist
+        if (this.isArrayIndex(name))
+            return this.list.item(toULong(name)) === null;
+        return delete this.localprops[name];
+    },
+
+    // Token lists can't be frozen, sealed or made non-extensible
+    fix: function() {},
+
+    // Get all enumerable properties
+    // XXX: Remove this method when this bug is fixed:
+    // https://bugzilla.mozilla.org/show_bug.cgi?id=665198
+    enumerate: function() {
+        var r = [];
+        for (var i = 0, n = this.list.length; i < n; i++)
+            push(r, String(i));
+        for(var name in this.localprops) push(r, name);
+        for(var name in this.proto) push(r, name);
+        return r;
+    }
+};
@@ -1,21 +1,41 @@
 // A factory function for HTMLCollection proxy objects.
 // Expects an object with a length property and item() and namedItem() methods.
 // That object must also have a namedItems property that returns an object
-// that maps element names to some value.
+// that maps element names to the implementation objects they name.
+// Subclasses of HTMLCollection use this proxy too: the object's _idlName
+// says which interface the proxy implements.
 //
 // XXX: bug I can't define an expando property if there is a named property
 // with the same name. I think it is a bug in the Proxy itself.  Looks like
 // define property is not even being called.
 //
 function HTMLCollectionProxy(collection) {
-    var handler = O.create(HTMLCollectionProxy.handler);
+    return createHTMLCollectionProxy(collection, HTMLCollectionProxy.handler);
+}
+
+function createHTMLCollectionProxy(collection, handlerPrototype) {
+    var handler = O.create(handlerPrototype);
     handler.collection = collection;
+    handler.proto = idl[collection._idlName].prototype;
     handler.localprops = O.create(null);
-    return Proxy.create(handler, idl.HTMLCollection.prototype);
+    return Proxy.create(handler, handler.proto);
+}
+
+// form.elements
+function HTMLFormControlsCollectionProxy(collection) {
+    return HTMLCollectionProxy(collection);
+}
+
+// select.options, which also allows options to be set by index
+function HTMLOptionsCollectionProxy(collection) {
+    return createHTMLCollectionProxy(collection,
+                                     HTMLOptionsCollectionProxy.handler);
 }
 
 // This is the prototype object for the proxy handler object
 HTMLCollectionProxy.handler = {
+    indexedPropertiesWritable: false,
+
     isArrayIndex: function(name) { return String(toULong(name)) === name; },
 
     // This is the "named property visibility algorithm" from WebIDL
@@ -36,7 +56,7 @@ HTMLCollectionProxy.handler = {
         // 6) If the result of calling the [[HasProperty]] internal
         // method on prototype with property name P is true, then
         // return false.
-        if (name in idl.HTMLCollection.prototype) return false;
+        if (name in this.proto) return false;
 
         // 7) Return true.
         return true;
@@ -49,7 +69,7 @@ HTMLCollectionProxy.handler = {
             if (idx < this.collection.length) {
                 return {
                     value: wrap(this.collection.item(idx), idl.Element),
-                    writable: false,
+                    writable: this.indexedPropertiesWritable,
                     enumerable: true,
                     configurable: true
                 };
@@ -58,7 +78,7 @@ HTMLCollectionProxy.handler = {
 
         if (this.isVisible(name)) {
             return {
-                value: wrap(this.collection.namedItem(name), idl.Element),
+                value: wrap(this.collection.namedItems[name]),
                 writable: false,
                 enumerable: true,
                 configurable: true
@@ -69,9 +89,9 @@ HTMLCollectionProxy.handler = {
     },
 
     getPropertyDescriptor: function(name) {
-        var desc = this.getOwnPropertyDescriptor(name) ||
-            O.getOwnPropertyDescriptor(idl.HTMLCollection.prototype, name) ||
-            O.getOwnPropertyDescriptor(Object.prototype, name);
+        var desc = this.getOwnPropertyDescriptor(name);
+        for(var p = this.proto; !desc && p; p = O.getPrototypeOf(p))
+            desc = O.getOwnPropertyDescriptor(p, name);
         if (desc) desc.configurable = true; // Proxies require this
         return desc;
     },
@@ -82,7 +102,7 @@ HTMLCollectionProxy.handler = {
             push(names, String(i));
         for(var n in this.collection.namedItems)
             push(names, n);
-        return concat(r, O.getOwnPropertyNames(this.localprops));
+        return concat(names, O.getOwnPropertyNames(this.localprops));
     },
 
     defineProperty: function(name, desc) {
@@ -134,8 +154,27 @@ HTMLCollectionProxy.handler = {
             push(names, n);
         for(var name in this.localprops)
             push(names, name);
-        for(var name in idl.HTMLCollection.prototype)
+        for(var name in this.proto)
             push(names, name);
         return names;
     }
 };
+
+// Setting an indexed property of an HTMLOptionsCollection adds, replaces
+// or removes an option
+HTMLOptionsCollectionProxy.handler = O.create(HTMLCollectionProxy.handler, {
+    indexedPropertiesWritable: { value: true },
+
+    defineProperty: { value: function(name, desc) {
+        if (!this.isArrayIndex(name))
+            return HTMLCollectionProxy.handler.defineProperty.call(this, name,
+                                                                   desc);
+        var option = desc.value;
+        option = (option === null || option === undefined)
+            ? null
+            : unwrap(option);
+        if (option !== null && !(option instanceof impl.HTMLOptionElement))
+            throw new TypeError("Expected an HTMLOptionElement");
+        this.collection._setItem(toULong(name), option);
+    }},
+});
@@ -12,10 +12,12 @@ function NodeListProxy(list) {
             list.item = function(n) { return list[n]; };
     }
 
+    // Subclasses of NodeList, like RadioNodeList, use this proxy too
     var handler = O.create(NodeListProxy.handler);
     handler.list = list;
+    handler.proto = idl[list._idlName || "NodeList"].prototype;
     handler.localprops = O.create(null);
-    var p = Proxy.create(handler, idl.NodeList.prototype);
+    var p = Proxy.create(handler, handler.proto);
 
     return p;
 }
@@ -68,9 +70,9 @@ NodeListProxy.handler = {
         return O.getOwnPropertyDescriptor(this.localprops, name);
     },
     getPropertyDescriptor: function(name) {
-        var desc = this.getOwnPropertyDescriptor(name) ||
-            O.getOwnPropertyDescriptor(idl.NodeList.prototype, name) ||
-            O.getOwnPropertyDescriptor(O.prototype, name);
+        var desc = this.getOwnPropertyDescriptor(name);
+        for(var p = this.proto; !desc && p; p = O.getPrototypeOf(p))
+            desc = O.getOwnPropertyDescriptor(p, name);
         if (desc) desc.configurable = true; // Proxies require this
         return desc;
     },
@@ -122,7 +124,7 @@ NodeListProxy.handler = {
         for (var i = 0, n = this.list.length; i < n; i++)
             push(r, String(i));
         for(var name in this.localprops) push(r, name);
-        for(var name in idl.NodeList.prototype) push(r, name);
+        for(var name in this.proto) push(r, name);
         return r;
     }
 };
@@ -46,6 +46,10 @@ function StringOrNull(x) {
     return (x === null) ? null : String(x);
 }
 
+function OptionalString(x) {
+    return x === undefined ? undefined : String(x);
+}
+
 function OptionalStringOrNull(x) {
     return x === null || x === undefined ? null : String(x);
 }
@@ -54,6 +58,10 @@ function OptionaltoLong(x){
     return x === undefined ? undefined : toLong(x);
 }
 
+function OptionaltoULong(x){
+    return x === undefined ? undefined : toULong(x);
+}
+
 function OptionalBoolean(x) {
     return (x === undefined) ? undefined : Boolean(x);
 }
@@ -72,12 +80,33 @@ function toCallbackOrNull(x) {
     return (x === null) ? null : toCallback(x);
 }
 
+function OptionaltoCallbackOrNull(x) {
+    return (x === null || x === undefined) ? null : toCallback(x);
+}
+
+// Convert an array-like object x to a new array, converting each of its
+// elements with the function convert. This is for WebIDL sequence types.
+function toSequence(x, convert) {
+    if (x === null || (typeof x !== "object" && typeof x !== "function"))
+        throw TypeError("Expected sequence; got: " + x);
+    var rv = [];
+    for(var i = 0, n = toULong(x.length); i < n; i++)
+        push(rv, convert(x[i]));
+    return rv;
+}
+
+// Return a new array holding the wrappers for the array of
+// implementation objects a.  Used for WebIDL sequence return values.
+function wrapSequence(a) {
+    return map(a, function(x) { return wrap(x); });
+}
+
 // This constructor takes a single object as its argument and looks for
 // the following properties of that object:
 //
 //    name         // The name of the interface
 //    superclass   // The superclass constructor
-//    proxyHandler // The proxy handler constructor, if one is needed
+//    proxyFactory // The proxy factory function, if one is needed
 //    constants    // constants defined by the interface
 //    members      // interface attributes and methods
 //    constructor  // optional public constructor.
@@ -88,11 +117,16 @@ function toCallbackOrNull(x) {
 //   prototype       // The prototype object for the interface
 //                   // Also available as publicInterface.prototype
 //   factory         // A factory function for creating an instance
+//   proxyFactory    // The proxy factory, if instances are proxies
+//   stringifier     // true if the interface or a superclass has a toString
 //
 function IDLInterface(o) {
     var name = o.name || "";
     var superclass = o.superclass;
-    var proxyFactory = o.proxyFactory;
+    // Interfaces like RadioNodeList that inherit indexed properties use
+    // the proxy of their superclass
+    var proxyFactory = o.proxyFactory ||
+        (superclass ? superclass.proxyFactory : undefined);
     var constants = o.constants || {};
     var members = o.members || {};
     var prototype, interfaceObject;
@@ -146,23 +180,72 @@ function IDLInterface(o) {
         O.defineProperty(prototype, m, desc);
     }
 
-    // If the interface does not already define a toString method, add one.
-    // This will help to make debugging easier.
+    // Interfaces inherit the stringifiers of their superclasses
+    var stringifier = hasOwnProperty(members, "toString") ||
+        (superclass ? superclass.stringifier : false);
+
+    // If the interface does not already define or inherit a toString
+    // method, add one.  This will help to make debugging easier.
     //
     // XXX: I'm not sure if this is legal according to WebIDL and DOM Core.
     // XXX Maybe I could move it down to an object on the prototype chain
     // above Object.prototype.  But then I'd need some way to determine
     // the type name.  Maybe the name of the public "constructor" function?
     // But then I'd have to create that function with eval, I think.
-    if (!hasOwnProperty(members, "toString")) {
+    if (!stringifier) {
         prototype.toString = function() { return "[object " + name + "]"; };
     }
 
     // Now set up the fields of this object
     this.prototype = prototype;
     this.publicInterface = interfaceObject;
+    this.proxyFactory = proxyFactory;
+    this.stringifier = stringifier;
     this.factory = proxyFactory
         ? proxyFactory
         : O.create.bind(Object, prototype, {});
 }
 
+// This constructor takes a single object as its argument and looks for
+// the following properties of that object:
+//
+//    name         // The name of the dictionary
+//    parent       // The IDLDictionary this one inherits from, if any
+//    members      // An array of member objects
+//
+// Each member has a name and a convert function that converts a value
+// to the member's type.  Members may also be required, or have a
+// defaultValue.
+//
+// The convert() method of the returned object converts a dictionary
+// argument to a new plain object that has only the members that the
+// dictionary and its ancestors declare: values are converted, missing
+// members get their default values, and missing required members are
+// an error.
+//
+function IDLDictionary(o) {
+    this.name = o.name || "";
+    this.parent = o.parent || null;
+    this.members = o.members || [];
+}
+
+IDLDictionary.prototype.convert = function convert(o) {
+    // A missing dictionary is the same as an empty one
+    if (o === undefined || o === null) o = {};
+    else if (typeof o !== "object" && typeof o !== "function")
+        throw TypeError(this.name + " must be an object; got: " + o);
+
+    var rv = this.parent ? this.parent.convert(o) : {};
+    for(var i = 0, n = this.members.length; i < n; i++) {
+        var m = this.members[i];
+        var v = o[m.name];
+        if (v !== undefined)
+            rv[m.name] = m.convert(v);
+        else if (m.required)
+            throw TypeError(this.name + " member " + m.name +
+                            " is required");
+        else if (hasOwnProperty(m, "defaultValue"))
+            rv[m.name] = m.defaultValue;
+    }
+    return rv;
+};
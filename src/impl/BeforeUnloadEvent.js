@@ -0,0 +1,13 @@
+defineLazyProperty(impl, "BeforeUnloadEvent", function() {
+    // BeforeUnloadEvent has no constructor in the IDL: these events are
+    // made with document.createEvent("BeforeUnloadEvent")
+    function BeforeUnloadEvent(type, dictionary) {
+        this.returnValue = "";
+        // Use the superclass constructor to initialize the rest
+        impl.Event.call(this, type, dictionary);
+    }
+    BeforeUnloadEvent.prototype = O.create(impl.Event.prototype, {
+        _idlName: constant("BeforeUnloadEvent"),
+    });
+    return BeforeUnloadEvent;
+});
@@ -30,7 +30,7 @@ defineLazyProperty(impl, "CharacterData", function() {
         // The appendData(data) method must append data to the context
         // object's data.
         appendData: constant(function appendData(data) {
-            this.data = this.data + data;
+            this.replaceData(this._data.length, 0, data);
         }),
 
         // void insertData(unsigned long offset, DOMString data);
@@ -44,11 +44,7 @@ defineLazyProperty(impl, "CharacterData", function() {
         //     offset UTF-16 code units.
         //
         insertData: constant(function insertData(offset, data) {
-            var curtext = this.data;
-            if (offset > curtext.length) IndexSizeError();
-            var prefix = substring(curtext, 0, offset),
-            suffix = substring(curtext, offset);
-            this.data = prefix + data + suffix;
+            this.replaceData(offset, 0, data);
         }),
 
 
@@ -65,17 +61,7 @@ defineLazyProperty(impl, "CharacterData", function() {
         //     Starting from offset UTF-16 code units remove count
         //     UTF-16 code units from the context object's data.
         deleteData: constant(function deleteData(offset, count) {
-            var curtext = this.data, len = curtext.length;
-
-            if (offset > len) IndexSizeError();
-
-            if (offset+count > len)
-                count = len - offset;
-
-            var prefix = substring(curtext, 0, offset),
-            suffix = substring(curtext, offset+count);
-
-            this.data = prefix + suffix;
+            this.replaceData(offset, count, "");
         }),
 
 
@@ -87,8 +73,12 @@ defineLazyProperty(impl, "CharacterData", function() {
         // count as arguments followed by the insertData() method
         // with offset and data as arguments and re-throw any
         // exceptions these methods might have thrown.
+        //
+        // The other editing methods and the data setters are all
+        // implemented in terms of this one, so that live ranges and
+        // mutation observers are told exactly what changed.
         replaceData: constant(function replaceData(offset, count, data) {
-            var curtext = this.data, len = curtext.length;
+            var curtext = this._data, len = curtext.length;
 
             if (offset > len) IndexSizeError();
 
@@ -98,7 +88,12 @@ defineLazyProperty(impl, "CharacterData", function() {
             var prefix = substring(curtext, 0, offset),
             suffix = substring(curtext, offset+count);
 
-            this.data = prefix + data + suffix;
+            this._data = prefix + data + suffix;
+            impl.Range.dataReplaced(this, offset, count, data.length);
+            this.ownerDocument.mutateValue(this, curtext);
+            if (this.nodeType === TEXT_NODE &&
+                this.parentNode && this.parentNode._textchangehook)
+                this.parentNode._textchangehook(this);
         }),
 
         // Utility method that Node.isEqualNode() calls to test Text and
@@ -7,9 +7,7 @@ defineLazyProperty(impl, "Comment", function() {
 
     var nodeValue = attribute(function() { return this._data; },
                               function(v) {
-                                  this._data = v;
-                                  if (this.rooted)
-                                      this.ownerDocument.mutateValue(this);
+                                  this.replaceData(0, this._data.length, v);
                               });
 
     Comment.prototype = O.create(impl.CharacterData.prototype, {
@@ -0,0 +1,17 @@
+defineLazyProperty(impl, "CompositionEvent", function() {
+    function CompositionEvent(type, dictionary) {
+        this.data = "";
+
+        // Use the superclass constructor to initialize the rest
+        impl.UIEvent.call(this, type, dictionary);
+    }
+    CompositionEvent.prototype = O.create(impl.UIEvent.prototype, {
+        _idlName: constant("CompositionEvent"),
+        initCompositionEvent: constant(function(type, bubbles, cancelable,
+                                                view, data) {
+            this.initUIEvent(type, bubbles, cancelable, view, 0);
+            this.data = data;
+        }),
+    });
+    return CompositionEvent;
+});
@@ -0,0 +1,340 @@
+//
+// The cookie store of a window, as specified by RFC 6265
+// See http://tools.ietf.org/html/rfc6265
+//
+// document.cookie reads and writes it as a non-HTTP API, which can't see
+// or replace HttpOnly cookies.  The documents and scripts that the window
+// loads send and receive cookies through it: Window._fetch() calls
+// addRequestCookies() and storeResponseCookies() for every request.
+//
+// serialize() returns the cookies as a JSON string, and load() adds the
+// cookies from such a string, so that tests can preload cookies.  Get the
+// window's jar with mozCookieJar() in scripts.
+//
+// XXX: there is only one browsing context, so every request is same-site
+// and the SameSite attribute is parsed and stored, but restricts nothing.
+// And without the public suffix list, cookies may be set for suffixes
+// like "com".
+//
+
+// clock is a function that returns the current time in milliseconds
+function CookieJar(clock) {
+    this._clock = clock || now;
+    this._cookies = [];
+}
+
+// The characters that separate the tokens of a cookie date
+const cookieDateDelimiter = /[\x09\x20-\x2F\x3B-\x40\x5B-\x60\x7B-\x7E]+/;
+
+const cookieMonths = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Parse the value of an Expires attribute, and return the time in
+// milliseconds, or NaN.  See RFC 6265 section 5.1.1
+function parseCookieDate(s) {
+    var tokens = split(s, cookieDateDelimiter);
+    var time = null, day = null, month = null, year = null, m;
+
+    for(var i = 0, n = tokens.length; i < n; i++) {
+        var token = tokens[i];
+        if (!token) continue;
+        if (!time &&
+            (m = exec(/^(\d{1,2}):(\d{1,2}):(\d{1,2})(?:\D.*)?$/, token))) {
+            time = [+m[1], +m[2], +m[3]];
+        }
+        else if (day === null && (m = exec(/^(\d{1,2})(?:\D.*)?$/, token))) {
+            day = +m[1];
+        }
+        else if (month === null &&
+                 hasOwnProperty(cookieMonths,
+                                toLowerCase(substring(token, 0, 3)))) {
+            month = cookieMonths[toLowerCase(substring(token, 0, 3))];
+        }
+        else if (year === null && (m = exec(/^(\d{2,4})(?:\D.*)?$/, token))) {
+            year = +m[1];
+        }
+    }
+
+    if (!time || day === null || month === null || year === null)
+        return NaN;
+    if (year >= 70 && year <= 99) year += 1900;
+    else if (year >= 0 && year <= 69) year += 2000;
+    if (day < 1 || day > 31 || year < 1601 ||
+        time[0] > 23 || time[1] > 59 || time[2] > 59)
+        return NaN;
+
+    var date = new Date(Date.UTC(year, month, day, time[0], time[1], time[2]));
+    // Reject dates like February 30th
+    if (date.getUTCDate() !== day) return NaN;
+    return date.getTime();
+}
+
+// Return true if host is an IPv4 or IPv6 address
+function isIPAddress(host) {
+    return test(/^\d+\.\d+\.\d+\.\d+$/, host) || S.indexOf(host, ":") !== -1;
+}
+
+// See RFC 6265 section 5.1.3
+function domainMatch(host, domain) {
+    if (host === domain) return true;
+    var suffix = "." + domain;
+    return host.length > suffix.length &&
+        substring(host, host.length - suffix.length) === suffix &&
+        !isIPAddress(host);
+}
+
+// The default path of a cookie set for a URL with the specified path.
+// See RFC 6265 section 5.1.4
+function defaultCookiePath(path) {
+    if (!path || path[0] !== "/") return "/";
+    var last = S.lastIndexOf(path, "/");
+    return last === 0 ? "/" : substring(path, 0, last);
+}
+
+// See RFC 6265 section 5.1.4
+function pathMatch(path, cookiePath) {
+    if (path === cookiePath) return true;
+    if (S.indexOf(path, cookiePath) !== 0) return false;
+    return cookiePath[cookiePath.length - 1] === "/" ||
+        path[cookiePath.length] === "/";
+}
+
+// Return the scheme, host and path of an absolute url, as cookies see them
+function cookieURL(url) {
+    var u = new URL(url);
+    return {
+        scheme: toLowerCase(u.scheme || ""),
+        host: toLowerCase(u.host || ""),
+        path: u.path || "/"
+    };
+}
+
+// Parse a Set-Cookie header, or a string assigned to document.cookie,
+// and return an object with name, value and attributes properties, or
+// null if it should be ignored.  See RFC 6265 section 5.2
+function parseSetCookie(s) {
+    var parts = split(s, ";");
+    var pair = parts[0], eq = S.indexOf(pair, "=");
+    if (eq === -1) return null;
+    var name = trim(substring(pair, 0, eq));
+    var value = trim(substring(pair, eq + 1));
+    if (!name) return null;
+
+    var attributes = [];
+    for(var i = 1, n = parts.length; i < n; i++) {
+        var av = parts[i], attrName, attrValue;
+        eq = S.indexOf(av, "=");
+        if (eq === -1) {
+            attrName = trim(av);
+            attrValue = "";
+        }
+        else {
+            attrName = trim(substring(av, 0, eq));
+            attrValue = trim(substring(av, eq + 1));
+        }
+        push(attributes, { name: toLowerCase(attrName), value: attrValue });
+    }
+
+    return { name: name, value: value, attributes: attributes };
+}
+
+CookieJar.prototype = O.create(Object.prototype, {
+    // Store the cookie in the string header, received from or set by a
+    // document at url.  http is true for Set-Cookie headers and false for
+    // document.cookie.  See RFC 6265 section 5.3
+    setCookie: constant(function setCookie(url, header, http) {
+        var parsed = parseSetCookie(header);
+        if (!parsed) return;
+        var request = cookieURL(url);
+        var time = this._clock();
+
+        var cookie = {
+            name: parsed.name,
+            value: parsed.value,
+            expiry: Infinity,
+            domain: request.host,
+            path: defaultCookiePath(request.path),
+            creation: time,
+            lastAccess: time,
+            persistent: false,
+            hostOnly: true,
+            secure: false,
+            httpOnly: false,
+            sameSite: null
+        };
+
+        // The last of each attribute wins, except that Max-Age beats
+        // Expires
+        var expires = NaN, maxAge = NaN, domain = "";
+        for(var i = 0, n = parsed.attributes.length; i < n; i++) {
+            var a = parsed.attributes[i], v = a.value;
+            switch(a.name) {
+            case "expires":
+                var date = parseCookieDate(v);
+                if (!isNaN(date)) expires = date;
+                break;
+            case "max-age":
+                if (!test(/^-?\d+$/, v)) break;
+                var delta = parseInt(v, 10);
+                maxAge = delta <= 0 ? -Infinity : time + delta * 1000;
+                break;
+            case "domain":
+                if (!v) break;
+                if (v[0] === ".") v = substring(v, 1);
+                domain = toLowerCase(v);
+                break;
+            case "path":
+                cookie.path = (v && v[0] === "/")
+                    ? v : defaultCookiePath(request.path);
+                break;
+            case "secure":
+                cookie.secure = true;
+                break;
+            case "httponly":
+                cookie.httpOnly = true;
+                break;
+            case "samesite":
+                var sameSite = toLowerCase(v);
+                if (sameSite === "strict") cookie.sameSite = "Strict";
+                else if (sameSite === "lax") cookie.sameSite = "Lax";
+                else if (sameSite === "none") cookie.sameSite = "None";
+                break;
+            }
+        }
+
+        if (!isNaN(maxAge)) {
+            cookie.persistent = true;
+            cookie.expiry = maxAge;
+        }
+        else if (!isNaN(expires)) {
+            cookie.persistent = true;
+            cookie.expiry = expires;
+        }
+
+        if (domain) {
+            if (!domainMatch(request.host, domain)) return;
+            cookie.domain = domain;
+            cookie.hostOnly = false;
+        }
+
+        if (cookie.httpOnly && !http) return;
+
+        var old = this._find(cookie.name, cookie.domain, cookie.path);
+        if (old !== -1) {
+            if (this._cookies[old].httpOnly && !http) return;
+            cookie.creation = this._cookies[old].creation;
+            splice(this._cookies, old, 1);
+        }
+
+        push(this._cookies, cookie);
+        this._removeExpired();
+    }),
+
+    // Return the cookies to send with a request for url, or to return
+    // from document.cookie when http is false, as a Cookie header value.
+    // See RFC 6265 section 5.4
+    cookieString: constant(function cookieString(url, http) {
+        var request = cookieURL(url);
+        var time = this._clock();
+        this._removeExpired();
+
+        var cookies = filter(this._cookies, function(c) {
+            if (c.hostOnly ? request.host !== c.domain
+                : !domainMatch(request.host, c.domain))
+                return false;
+            if (!pathMatch(request.path, c.path)) return false;
+            if (c.secure && request.scheme !== "https") return false;
+            if (c.httpOnly && !http) return false;
+            return true;
+        });
+
+        // Longer paths first, then older cookies first
+        sort(cookies, function(a, b) {
+            return (b.path.length - a.path.length) ||
+                (a.creation - b.creation);
+        });
+
+        return join(map(cookies, function(c) {
+            c.lastAccess = time;
+            return c.name + "=" + c.value;
+        }), "; ");
+    }),
+
+    // Add a Cookie header to a resource loader request.
+    // See src/impl/ResourceLoader.js
+    addRequestCookies: constant(function addRequestCookies(request) {
+        var cookies = this.cookieString(request.url, true);
+        if (cookies) request.headers.Cookie = cookies;
+    }),
+
+    // Store the cookies set by a resource loader response to a request
+    // for url
+    storeResponseCookies: constant(function storeResponseCookies(response,
+                                                                 url) {
+        var values = response.headers["set-cookie"] || [];
+        for(var i = 0, n = values.length; i < n; i++)
+            this.setCookie(url, values[i], true);
+    }),
+
+    // Return all of the cookies as a JSON string
+    serialize: constant(function serialize() {
+        this._removeExpired();
+        return JSON.stringify(map(this._cookies, function(c) {
+            var copy = {};
+            for(var p in c) copy[p] = c[p];
+            // JSON has no Infinity
+            if (c.expiry === Infinity) copy.expiry = null;
+            return copy;
+        }));
+    }),
+
+    // Add the cookies from a string returned by serialize(), replacing
+    // any cookies with the same name, domain and path
+    load: constant(function load(json) {
+        var cookies = JSON.parse(json), time = this._clock();
+        for(var i = 0, n = cookies.length; i < n; i++) {
+            var c = cookies[i];
+            var cookie = {
+                name: String(c.name),
+                value: String(c.value),
+                expiry: typeof c.expiry === "number" ? c.expiry : Infinity,
+                domain: toLowerCase(String(c.domain)),
+                path: c.path ? String(c.path) : "/",
+                creation: typeof c.creation === "number" ? c.creation : time,
+                lastAccess: typeof c.lastAccess === "number"
+                    ? c.lastAccess : time,
+                persistent: !!c.persistent,
+                hostOnly: c.hostOnly === undefined ? true : !!c.hostOnly,
+                secure: !!c.secure,
+                httpOnly: !!c.httpOnly,
+                sameSite: c.sameSite || null
+            };
+            var old = this._find(cookie.name, cookie.domain, cookie.path);
+            if (old !== -1) splice(this._cookies, old, 1);
+            push(this._cookies, cookie);
+        }
+        this._removeExpired();
+    }),
+
+    clear: constant(function clear() {
+        this._cookies = [];
+    }),
+
+    _find: constant(function(name, domain, path) {
+        for(var i = 0, n = this._cookies.length; i < n; i++) {
+            var c = this._cookies[i];
+            if (c.name === name && c.domain === domain && c.path === path)
+                return i;
+        }
+        return -1;
+    }),
+
+    _removeExpired: constant(function() {
+        var time = this._clock();
+        this._cookies = filter(this._cookies, function(c) {
+            return c.expiry > time;
+        });
+    }),
+});
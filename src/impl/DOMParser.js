@@ -0,0 +1,40 @@
+//
+// This file implements DOMParser.
+// See http://html5.org/specs/dom-parsing.html#the-domparser-interface
+//
+defineLazyProperty(impl, "DOMParser", function() {
+    function DOMParser() {}
+
+    DOMParser.prototype = O.create(Object.prototype, {
+        _idlName: constant("DOMParser"),
+
+        parseFromString: constant(function parseFromString(str, type) {
+            var address = null;
+            if (currentlyExecutingScript)
+                address = currentlyExecutingScript.ownerDocument._address;
+
+            var parser;
+            switch(type) {
+            case "text/html":
+                // Passing a null context gets us an unwrapped document
+                // and scripts that are never run
+                parser = HTMLParser(address, null,
+                                    { scripting_enabled: false });
+                break;
+            case "text/xml":
+            case "application/xml":
+            case "application/xhtml+xml":
+            case "image/svg+xml":
+                parser = XMLParser(address);
+                break;
+            default:
+                throw TypeError("DOMParser can't parse type " + type);
+            }
+
+            parser.parse(str, true);
+            return parser.document();
+        }),
+    });
+
+    return DOMParser;
+});
@@ -0,0 +1,25 @@
+//
+// This file implements the DOMSettableTokenList interface used by
+// attributes like HTMLOutputElement.htmlFor and HTMLLinkElement.sizes.
+// It is a DOMTokenList whose underlying attribute can be set as a string.
+//
+defineLazyProperty(impl, "DOMSettableTokenList", function() {
+    function DOMSettableTokenList(elt, attrName) {
+        impl.DOMTokenList.call(this, elt, attrName);
+    }
+
+    DOMSettableTokenList.prototype = O.create(impl.DOMTokenList.prototype, {
+        _idlName: constant("DOMSettableTokenList"),
+
+        value: attribute(
+            function() {
+                return this._element._getattr(this._attrName) || "";
+            },
+            function(v) {
+                this._element._setattr(this._attrName, v);
+            }
+        ),
+    });
+
+    return DOMSettableTokenList;
+});
@@ -0,0 +1,70 @@
+//
+// This file implements the object returned by HTMLElement.dataset.
+// See http://www.whatwg.org/specs/web-apps/current-work/#dom-dataset
+//
+// A DOMStringMap has no state of its own: it is a view of the data-*
+// attributes of its element, so it is always live.  The public API is
+// provided by src/DOMStringMapProxy.js, which calls the methods below.
+//
+defineLazyProperty(impl, "DOMStringMap", function() {
+    function DOMStringMap(elt) {
+        this.element = elt;
+    }
+
+    // Convert a data-* attribute name to a property name, or return
+    // null if the attribute does not define a property
+    function attrToProp(attrname) {
+        if (substring(attrname, 0, 5) !== "data-") return null;
+        var name = substring(attrname, 5);
+        if (test(/[A-Z]/, name)) return null;
+        return replace(name, /-([a-z])/g, function(_, c) {
+            return toUpperCase(c);
+        });
+    }
+
+    // Convert a property name to the name of a data-* attribute
+    function propToAttr(name) {
+        return "data-" + replace(name, /[A-Z]/g, function(c) {
+            return "-" + toLowerCase(c);
+        });
+    }
+
+    DOMStringMap.prototype = O.create(Object.prototype, {
+        _idlName: constant("DOMStringMap"),
+
+        // Return an array of the property names, in attribute order
+        names: constant(function names() {
+            var elt = this.element, rv = [];
+            for(var i = 0, n = elt._numattrs; i < n; i++) {
+                var a = elt._attr(i);
+                if (a.namespaceURI !== null) continue;
+                var name = attrToProp(a.localName);
+                if (name !== null) push(rv, name);
+            }
+            return rv;
+        }),
+
+        // Return the value of the named property or undefined
+        get: constant(function get(name) {
+            var elt = this.element;
+            for(var i = 0, n = elt._numattrs; i < n; i++) {
+                var a = elt._attr(i);
+                if (a.namespaceURI === null && attrToProp(a.localName) === name)
+                    return a.value;
+            }
+            return undefined;
+        }),
+
+        set: constant(function set(name, value) {
+            if (test(/-[a-z]/, name)) SyntaxError();
+            // setAttribute() checks that the name is a valid XML name
+            this.element.setAttribute(propToAttr(name), value);
+        }),
+
+        delete: constant(function(name) {
+            this.element.removeAttribute(propToAttr(name));
+        }),
+    });
+
+    return DOMStringMap;
+});
@@ -0,0 +1,96 @@
+//
+// This file implements the DOMTokenList interface used by Element.classList
+// and the relList attributes of links.
+// See http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#interface-domtokenlist
+//
+// A token list is a view of the set of space-separated tokens in the value
+// of one content attribute of an element.  The parsed tokens are cached in
+// the _tokens array and Element.reflectTokenListAttribute() registers an
+// attribute change handler that calls _update() whenever the attribute
+// changes, however it is changed.
+//
+defineLazyProperty(impl, "DOMTokenList", function() {
+    function DOMTokenList(elt, attrName) {
+        this._element = elt;
+        this._attrName = attrName;
+        this._update(elt._getattr(attrName));
+    }
+
+    // Split a string on ASCII whitespace, dropping duplicate tokens
+    function parseTokens(s) {
+        var tokens = [];
+        if (!s) return tokens;
+        var parts = split(s, /[ \t\n\f\r]+/);
+        for(var i = 0, n = parts.length; i < n; i++) {
+            var t = parts[i];
+            if (t !== "" && A.indexOf(tokens, t) === -1) push(tokens, t);
+        }
+        return tokens;
+    }
+
+    // Tokens may not be empty or contain whitespace
+    function validate(token) {
+        if (token === "") SyntaxError();
+        if (test(/[ \t\n\f\r]/, token)) InvalidCharacterError();
+    }
+
+    DOMTokenList.prototype = O.create(Object.prototype, {
+        _idlName: constant("DOMTokenList"),
+
+        // Called when the attribute value changes
+        _update: constant(function _update(value) {
+            this._tokens = parseTokens(value);
+        }),
+
+        // Write the tokens back to the attribute
+        _write: constant(function _write() {
+            this._element._setattr(this._attrName, join(this._tokens, " "));
+        }),
+
+        length: attribute(function() { return this._tokens.length; }),
+
+        item: constant(function item(index) {
+            var t = this._tokens[index];
+            return t === undefined ? null : t;
+        }),
+
+        contains: constant(function contains(token) {
+            return A.indexOf(this._tokens, token) !== -1;
+        }),
+
+        add: constant(function add(token) {
+            validate(token);
+            if (A.indexOf(this._tokens, token) === -1)
+                push(this._tokens, token);
+            this._write();
+        }),
+
+        remove: constant(function remove(token) {
+            validate(token);
+            var i = A.indexOf(this._tokens, token);
+            if (i !== -1) splice(this._tokens, i, 1);
+            this._write();
+        }),
+
+        // Return true if the token is in the list afterwards
+        toggle: constant(function toggle(token, force) {
+            validate(token);
+            if (this.contains(token)) {
+                if (force === true) return true;
+                this.remove(token);
+                return false;
+            }
+            else {
+                if (force === false) return false;
+                this.add(token);
+                return true;
+            }
+        }),
+
+        toString: constant(function toString() {
+            return this._element._getattr(this._attrName) || "";
+        }),
+    });
+
+    return DOMTokenList;
+});
@@ -35,6 +35,10 @@ defineLazyProperty(impl, "Document", function() {
         // method of the Node class.  And see FilteredElementList for an example
         // of the use of lastModTime
         this.modclock = 0;
+
+        // The element that has the focus, or null if the viewport has
+        // it.  See src/impl/focus.js
+        this._focusedElement = null;
     }
 
     // Map from lowercase event category names (used as arguments to
@@ -43,18 +47,48 @@ defineLazyProperty(impl, "Document", function() {
     var supportedEvents = {
         event: "Event",
         customevent: "CustomEvent",
+        popstateevent: "PopStateEvent",
+        hashchangeevent: "HashChangeEvent",
+        errorevent: "ErrorEvent",
+        beforeunloadevent: "BeforeUnloadEvent",
         uievent: "UIEvent",
-        mouseevent: "MouseEvent"
+        mouseevent: "MouseEvent",
+        keyboardevent: "KeyboardEvent",
+        focusevent: "FocusEvent",
+        wheelevent: "WheelEvent",
+        inputevent: "InputEvent",
+        compositionevent: "CompositionEvent"
     };
 
     // Certain arguments to document.createEvent() must be treated specially
     var replacementEvent = {
+        events: "event",
         htmlevents: "event",
+        keyevents: "keyboardevent",
         mouseevents: "mouseevent",
         mutationevents: "mutationevent",
         uievents: "uievent"
     };
 
+    // Map from the types of the events that renderers send to the event
+    // interfaces they are dispatched as.  Other types are plain Events.
+    var rendererEventInterfaces = {
+        click: "MouseEvent", dblclick: "MouseEvent",
+        mousedown: "MouseEvent", mouseup: "MouseEvent",
+        mousemove: "MouseEvent", mouseover: "MouseEvent",
+        mouseout: "MouseEvent", mouseenter: "MouseEvent",
+        mouseleave: "MouseEvent", contextmenu: "MouseEvent",
+        wheel: "WheelEvent",
+        keydown: "KeyboardEvent", keyup: "KeyboardEvent",
+        keypress: "KeyboardEvent",
+        focus: "FocusEvent", blur: "FocusEvent",
+        focusin: "FocusEvent", focusout: "FocusEvent",
+        input: "InputEvent", beforeinput: "InputEvent",
+        compositionstart: "CompositionEvent",
+        compositionupdate: "CompositionEvent",
+        compositionend: "CompositionEvent"
+    };
+
     Document.prototype = O.create(impl.Node.prototype, {
         _idlName: constant("Document"),
 
@@ -67,20 +101,41 @@ defineLazyProperty(impl, "Document", function() {
         }),
 
         // This method allows dom.js to receive event notifications
-        // from the renderer.
+        // from the renderer.  The details are converted with the init
+        // dictionary of the event's interface, so a mousedown and a
+        // mouseup make a click, and a click has its default action, as
+        // in a browser.  The renderer refers to nodes by nid, so the
+        // relatedTarget detail is a nid, and the view is our window.
         // XXX: I should probably move this to the window object
         _dispatchRendererEvent: constant(function(targetNid, type, details) {
-            var target = this._nodes[targetNid];
-            if (!target) return;
-            target._dispatchEvent(new impl.Event(type, details), true);
+            // Events from the renderer are dispatched as tasks
+            var doc = this;
+            EventLoop.main.queueTask(function() {
+                var target = doc._nodes[targetNid];
+                if (!target) return;
+                var name = rendererEventInterfaces[type] || "Event";
+                var init = {};
+                for(var p in details) {
+                    if (p !== "view" && p !== "relatedTarget")
+                        init[p] = details[p];
+                }
+                init = idl[name + "Init"].convert(init);
+                if (name !== "Event") {
+                    init.view = doc.defaultView || null;
+                    if (details && "relatedTarget" in details &&
+                        "relatedTarget" in init)
+                        init.relatedTarget =
+                            doc._nodes[details.relatedTarget] || null;
+                }
+                target._dispatchEvent(new impl[name](type, init), true);
+            });
         }),
 
 //        nodeType: constant(DOCUMENT_NODE),
         nodeName: constant("#document"),
         nodeValue: attribute(fnull, fnoop),
 
-        // XXX: DOMCore may remove documentURI, so it is NYI for now
-        documentURI: attribute(nyi, nyi),
+        documentURI: attribute(function() { return this._address; }),
         compatMode: attribute(function() {
             // The _quirks property is set by the HTML parser
             return this._quirks ? "BackCompat" : "CSS1Compat";
@@ -163,6 +218,30 @@ defineLazyProperty(impl, "Document", function() {
             }
         }),
 
+        createRange: constant(function createRange() {
+            return new impl.Range(this);
+        }),
+
+        createNodeIterator: constant(function createNodeIterator(root,
+                                                                 whatToShow,
+                                                                 filter) {
+            if (whatToShow === undefined) whatToShow = SHOW_ALL;
+            return new impl.NodeIterator(root, whatToShow, filter);
+        }),
+
+        createTreeWalker: constant(function createTreeWalker(root,
+                                                             whatToShow,
+                                                             filter) {
+            if (whatToShow === undefined) whatToShow = SHOW_ALL;
+            return new impl.TreeWalker(root, whatToShow, filter);
+        }),
+
+        // Each document has a single selection object, created on demand
+        getSelection: constant(function getSelection() {
+            if (!this._selection)
+                this._selection = new impl.Selection(this);
+            return this._selection;
+        }),
 
         // Add some (surprisingly complex) document hierarchy validity
         // checks when adding, removing and replacing nodes into a
@@ -199,7 +278,8 @@ defineLazyProperty(impl, "Document", function() {
                 // If we already have a root element or if we're trying to
                 // insert it before the doctype
                 if (this.documentElement ||
-                    (this.doctype && this.doctype.index >= refChild.index))
+                    (this.doctype &&
+                     this.doctype.siblingIndex >= refChild.siblingIndex))
                     HierarchyRequestError();
 
                 this.documentElement = child;
@@ -207,7 +287,7 @@ defineLazyProperty(impl, "Document", function() {
             if (child.nodeType === DOCUMENT_TYPE_NODE) {
                 if (this.doctype ||
                     (this.documentElement &&
-                     refChild.index > this.documentElement.index))
+                     refChild.siblingIndex > this.documentElement.siblingIndex))
                     HierarchyRequestError()
 
                 this.doctype = child;
@@ -225,7 +305,8 @@ defineLazyProperty(impl, "Document", function() {
                     HierarchyRequestError();
                 // Or if we're trying to put the element before the doctype
                 // (replacing the doctype is okay)
-                if (this.doctype && oldChild.index < this.doctype.index)
+                if (this.doctype &&
+                    oldChild.siblingIndex < this.doctype.siblingIndex)
                     HierarchyRequestError();
 
                 if (oldChild === this.doctype) this.doctype = null;
@@ -237,7 +318,7 @@ defineLazyProperty(impl, "Document", function() {
                 // If we have a document element and the old child
                 // comes after it
                 if (this.documentElement &&
-                    oldChild.index > this.documentElement.index)
+                    oldChild.siblingIndex > this.documentElement.siblingIndex)
                     HierarchyRequestError();
 
                 if (oldChild === this.documentElement)
@@ -319,6 +400,15 @@ defineLazyProperty(impl, "Document", function() {
             return new impl.FilteredElementList(this, elementNameFilter(name));
         }),
 
+        // The returned NodeList is static, not live. See src/selectors.js
+        querySelector: constant(function querySelector(sel) {
+            return selectors.first(this, sel);
+        }),
+
+        querySelectorAll: constant(function querySelectorAll(sel) {
+            return selectors.all(this, sel);
+        }),
+
         adoptNode: constant(function adoptNode(node) {
             if (node.nodeType === DOCUMENT_NODE ||
                 node.nodeType === DOCUMENT_TYPE_NODE) NotSupportedError();
@@ -336,15 +426,182 @@ defineLazyProperty(impl, "Document", function() {
         }),
 
         // The following attributes and methods are from the HTML spec
-        URL: attribute(nyi),
-        domain: attribute(nyi, nyi),
-        referrer: attribute(nyi),
-        cookie: attribute(nyi, nyi),
-        lastModified: attribute(nyi),
+        URL: attribute(function() { return this._address; }),
+
+        // The host of the document's address, unless it has been set to a
+        // suffix of that host
+        domain: attribute(
+            function() {
+                if (this._domain !== undefined) return this._domain;
+                return new URL(this._address).host || "";
+            },
+            function(v) {
+                var current = this.domain;
+                v = toLowerCase(v);
+                if (!this.defaultView || !current) SecurityError();
+                // XXX: without the public suffix list, we approximate
+                // it by refusing to set the domain to a single label
+                if (v !== current) {
+                    var suffix = "." + v;
+                    if (S.indexOf(v, ".") === -1 ||
+                        current.length <= suffix.length ||
+                        substring(current, current.length - suffix.length) !==
+                        suffix)
+                        SecurityError();
+                }
+                this._domain = v;
+            }),
+
+        // The address of the document that navigated to this one.  See
+        // Location._navigate()
+        referrer: attribute(function() { return this._referrer || ""; }),
+
+        // Documents without a window, and documents that weren't loaded
+        // over HTTP, have no cookies.  See src/impl/CookieJar.js
+        cookie: attribute(
+            function() {
+                var jar = this._cookieJar();
+                return jar ? jar.cookieString(this._address, false) : "";
+            },
+            function(v) {
+                var jar = this._cookieJar();
+                if (jar) jar.setCookie(this._address, v, false);
+            }),
+
+        _cookieJar: constant(function() {
+            if (!this.defaultView) return null;
+            var scheme = toLowerCase(new URL(this._address).scheme || "");
+            if (scheme !== "http" && scheme !== "https") return null;
+            return this.defaultView._cookieJar;
+        }),
+
+        // The Last-Modified time of the document, or the current time if
+        // it is unknown, in the local time zone as MM/DD/YYYY hh:mm:ss
+        lastModified: attribute(function() {
+            var d = this._lastModified || new Date();
+            function pad(n, w) {
+                n = String(n);
+                while(n.length < w) n = "0" + n;
+                return n;
+            }
+            return pad(d.getMonth() + 1, 2) + "/" + pad(d.getDate(), 2) +
+                "/" + pad(d.getFullYear(), 4) + " " + pad(d.getHours(), 2) +
+                ":" + pad(d.getMinutes(), 2) + ":" + pad(d.getSeconds(), 2);
+        }),
+
+        // The focused element, or the body if nothing has the focus.
+        // See src/impl/focus.js
+        activeElement: attribute(function() {
+            fixupFocus(this);
+            return this._focusedElement || this.body || this.documentElement;
+        }),
+
+        // There is only one window, and we assume that it has the system
+        // focus, so a document has the focus if it is in that window
+        hasFocus: constant(function hasFocus() {
+            return !!this.defaultView;
+        }),
+
+        // Move the focus to the next element in sequential focus
+        // navigation order, or to the previous one if backward is true,
+        // as the Tab and Shift+Tab keys do.  Return the element that has
+        // the focus afterwards, or null if the focus left the document.
+        _moveFocus: constant(function _moveFocus(backward) {
+            fixupFocus(this);
+            setFocus(this, sequentialFocusTarget(this, backward));
+            return this._focusedElement;
+        }),
+
+        // Focus the first focusable element with an autofocus attribute,
+        // unless something already has the focus.  The parser calls this
+        // when it finishes loading the document.
+        _processAutofocus: constant(function _processAutofocus() {
+            fixupFocus(this);
+            if (this._focusedElement) return;
+            var root = this.documentElement;
+            for(var e = root; e; e = e.nextElement(root)) {
+                if (e.isHTML && e.hasAttribute("autofocus") &&
+                    isFocusableArea(e)) {
+                    setFocus(this, e);
+                    return;
+                }
+            }
+        }),
+
         // XXX Temporary hack
         readyState: attribute(function() { return "complete" }),
-        title: attribute(fnoop, nyi),
-        dir:  attribute(nyi, nyi),
+
+        // The text of the title element, with whitespace stripped and
+        // collapsed.  The title of an SVG document is the title child of
+        // its root element.
+        title: attribute(
+            function() {
+                var title = this._titleElement();
+                if (!title) return "";
+                var s = replace(title.textContent, /[ \t\n\f\r]+/g, " ");
+                return replace(s, /^ | $/g, "");
+            },
+            function(v) {
+                var root = this.documentElement, title;
+                if (!root) return;
+                if (root.namespaceURI === SVG_NAMESPACE &&
+                    root.localName === "svg") {
+                    title = this._titleElement();
+                    if (!title) {
+                        title = this.createElementNS(SVG_NAMESPACE, "title");
+                        root.insertBefore(title, root.firstChild);
+                    }
+                }
+                else if (root.namespaceURI === HTML_NAMESPACE) {
+                    title = this._titleElement();
+                    if (!title) {
+                        var head = this.head;
+                        if (!head) return;
+                        title = head.appendChild(this.createElement("title"));
+                    }
+                }
+                else {
+                    return;
+                }
+                title.textContent = v;
+            }),
+
+        _titleElement: constant(function() {
+            var root = this.documentElement;
+            if (!root) return null;
+            if (root.namespaceURI === SVG_NAMESPACE &&
+                root.localName === "svg") {
+                for(var kid = root.firstChild; kid; kid = kid.nextSibling) {
+                    if (kid.nodeType === ELEMENT_NODE &&
+                        kid.namespaceURI === SVG_NAMESPACE &&
+                        kid.localName === "title")
+                        return kid;
+                }
+                return null;
+            }
+            for(var e = root; e; e = e.nextElement(this)) {
+                if (e.localName === "title" &&
+                    e.namespaceURI === HTML_NAMESPACE)
+                    return e;
+            }
+            return null;
+        }),
+
+        // The dir attribute of the html element
+        dir: attribute(
+            function() {
+                var root = this.documentElement;
+                if (!root || root.localName !== "html" ||
+                    root.namespaceURI !== HTML_NAMESPACE)
+                    return "";
+                return root.dir;
+            },
+            function(v) {
+                var root = this.documentElement;
+                if (root && root.localName === "html" &&
+                    root.namespaceURI === HTML_NAMESPACE)
+                    root.dir = v;
+            }),
         // Return the first <body> child of the document element.
         // XXX For now, setting this attribute is not implemented.
         body: attribute(function() {
@@ -374,13 +631,66 @@ defineLazyProperty(impl, "Document", function() {
             }
             return null;
         }),
-        images: attribute(nyi),
-        embeds: attribute(nyi),
-        plugins: attribute(nyi),
-        links: attribute(nyi),
-        forms: attribute(nyi),
-        scripts: attribute(nyi),
-        innerHTML: attribute(function() { return this.serialize() }, nyi),
+        images: attribute(function() {
+            return this._collection("images", htmlElementFilter("img"));
+        }),
+        embeds: attribute(function() {
+            return this._collection("embeds", htmlElementFilter("embed"));
+        }),
+        plugins: attribute(function() { return this.embeds; }),
+        links: attribute(function() {
+            return this._collection("links", linkFilter);
+        }),
+        forms: attribute(function() {
+            return this._collection("forms", htmlElementFilter("form"));
+        }),
+        scripts: attribute(function() {
+            return this._collection("scripts", htmlElementFilter("script"));
+        }),
+        anchors: attribute(function() {
+            return this._collection("anchors", anchorFilter);
+        }),
+        // XXX: in browsers document.all is falsy and typeof returns
+        // "undefined", but script can't define objects like that
+        all: attribute(function() {
+            if (!this._all) this._all = new impl.HTMLAllCollection(this);
+            return this._all;
+        }),
+
+        // Return the live collection with the specified name, creating it
+        // the first time it is requested
+        _collection: constant(function(name, filter) {
+            if (!this._collections) this._collections = O.create(null);
+            if (!this._collections[name]) {
+                this._collections[name] =
+                    new impl.FilteredElementCollection(this, filter);
+            }
+            return this._collections[name];
+        }),
+        innerHTML: attribute(
+            function() { return this.serialize() },
+            function(v) {
+                // Passing a null context parses a whole document
+                var parser = this.implementation.mozHTMLParser(this._address,
+                                                               null);
+                parser.parse(v, true);
+                var tmpdoc = parser.document();
+
+                while(this.hasChildNodes())
+                    this.removeChild(this.firstChild);
+
+                while(tmpdoc.hasChildNodes()) {
+                    var kid = tmpdoc.removeChild(tmpdoc.firstChild);
+                    // Doctypes can't move between documents, so copy them
+                    if (kid.nodeType === DOCUMENT_TYPE_NODE)
+                        kid = new impl.DocumentType(kid.name, kid.publicId,
+                                                    kid.systemId);
+                    this.appendChild(kid);
+                }
+
+                this._quirks = tmpdoc._quirks;
+                this._limitedQuirks = tmpdoc._limitedQuirks;
+            }),
 
         write: constant(function(args) {
             if (!this.isHTML) InvalidStateError();
@@ -432,16 +742,25 @@ defineLazyProperty(impl, "Document", function() {
             return true;
         }),
 
-        // Implementation-specific function.  Called when a text, comment,
-        // or pi value changes.
-        mutateValue: constant(function(node) {
-            if (this.mutationHandler) {
+        // The mutate*() methods below are implementation-specific.  They
+        // are called for every mutation, whether or not the node involved
+        // is rooted in the document.  Mutations of rooted nodes are
+        // reported to the renderer through the mutationHandler, and all
+        // mutations are reported to any registered MutationObservers.
+
+        // Called when a text, comment, or pi value changes.
+        mutateValue: constant(function(node, oldval) {
+            if (node.rooted && this.mutationHandler) {
                 this.mutationHandler({
                     type: MUTATE_VALUE,
                     target: node._nid,
                     data: node.data
                 });
             }
+
+            impl.MutationObserver.queueRecord("characterData", node, {
+                oldValue: oldval
+            });
         }),
 
         // Invoked when an attribute's value changes. Attr holds the new
@@ -457,7 +776,7 @@ defineLazyProperty(impl, "Document", function() {
                 addId(attr.value, attr.ownerElement);
             }
             */
-            if (this.mutationHandler) {
+            if (attr.ownerElement.rooted && this.mutationHandler) {
                 this.mutationHandler({
                     type: MUTATE_ATTR,
                     target: attr.ownerElement._nid,
@@ -467,6 +786,13 @@ defineLazyProperty(impl, "Document", function() {
                     prefix: attr.prefix
                 });
             }
+
+            impl.MutationObserver.queueRecord("attributes", attr.ownerElement, {
+                attributeName: attr.localName,
+                attributeNamespace: attr.namespaceURI,
+                // A newly created attribute has no old value
+                oldValue: (oldval === undefined) ? null : oldval
+            });
         }),
 
         // Used by removeAttribute and removeAttributeNS for attributes.
@@ -478,7 +804,7 @@ defineLazyProperty(impl, "Document", function() {
                 this.delId(attr.value, attr.ownerElement);
             }
 */
-            if (this.mutationHandler) {
+            if (attr.ownerElement.rooted && this.mutationHandler) {
                 this.mutationHandler({
                     type: MUTATE_REMOVE_ATTR,
                     target: attr.ownerElement._nid,
@@ -486,54 +812,87 @@ defineLazyProperty(impl, "Document", function() {
                     ns: attr.namespaceURI
                 });
             }
+
+            impl.MutationObserver.queueRecord("attributes", attr.ownerElement, {
+                attributeName: attr.localName,
+                attributeNamespace: attr.namespaceURI,
+                oldValue: attr.value
+            });
         }),
 
-        // Called by Node.removeChild, etc. to remove a rooted element from
-        // the tree. Only needs to generate a single mutation event when a
-        // node is removed, but must recursively mark all descendants as not
+        // Called by Node.removeChild, etc. after node has been removed
+        // from parent.  prev and next are the siblings it had before it was
+        // removed. For rooted nodes, this only needs to generate a single
+        // mutation event, but must recursively mark all descendants as not
         // rooted.
-        mutateRemove: constant(function(node) {
-            // Send a single mutation event
-            if (this.mutationHandler) {
-                this.mutationHandler({
-                    type: MUTATE_REMOVE,
-                    target: node._nid
-                });
+        mutateRemove: constant(function(node, parent, prev, next) {
+            if (node.rooted) {
+                // Send a single mutation event
+                if (this.mutationHandler) {
+                    this.mutationHandler({
+                        type: MUTATE_REMOVE,
+                        target: node._nid
+                    });
+                }
+
+                // Mark this and all descendants as not rooted
+                recursivelyUproot(node);
+
+                // A removed element loses the focus, without any events
+                if (this._focusedElement && !this._focusedElement.rooted)
+                    this._focusedElement = null;
             }
 
-            // Mark this and all descendants as not rooted
-            recursivelyUproot(node);
+            impl.MutationObserver.queueRemoval(node, parent, prev, next);
         }),
 
-        // Called when a new element becomes rooted.  It must recursively
-        // generate mutation events for each of the children, and mark them all
-        // as rooted.
+        // Called when a node is inserted into a parent.  If the parent
+        // is rooted, it must generate a mutation event for the node and
+        // mark it and its descendants as rooted.
         mutateInsert: constant(function(node) {
-            // Mark node and its descendants as rooted
-            recursivelyRoot(node);
-
-            // Send a single mutation event
-            if (this.mutationHandler) {
-                this.mutationHandler({
-                    type: MUTATE_INSERT,
-                    target: node.parentNode._nid,
-                    index: node.index,
-                    nid: node._nid,
-                    child: DOMSTR.serialize(node)
-                });
+            var parent = node.parentNode;
+            if (parent.rooted) {
+                // Mark node and its descendants as rooted
+                recursivelyRoot(node);
+
+                // Send a single mutation event
+                if (this.mutationHandler) {
+                    this.mutationHandler({
+                        type: MUTATE_INSERT,
+                        target: parent._nid,
+                        index: node.siblingIndex,
+                        nid: node._nid,
+                        child: DOMSTR.serialize(node)
+                    });
+                }
             }
+
+            impl.MutationObserver.queueRecord("childList", parent, {
+                addedNodes: [node],
+                previousSibling: node.previousSibling,
+                nextSibling: node.nextSibling
+            });
         }),
 
-        // Called when a rooted element is moved within the document
-        mutateMove: constant(function(node) {
+        // Called when a rooted element is moved within the document.
+        // oldparent, prev and next describe the position it was moved from.
+        mutateMove: constant(function(node, oldparent, prev, next) {
             if (this.mutationHandler) {
                 this.mutationHandler({
                     type: MUTATE_MOVE,
                     target: node._nid,
                     parent: node.parentNode._nid,
-                    index: node.index
+                    index: node.siblingIndex
                 });
             }
+
+            // Observers see a move as a removal followed by an insertion
+            impl.MutationObserver.queueRemoval(node, oldparent, prev, next);
+            impl.MutationObserver.queueRecord("childList", node.parentNode, {
+                addedNodes: [node],
+                previousSibling: node.previousSibling,
+                nextSibling: node.nextSibling
+            });
         }),
 
 
@@ -609,22 +968,9 @@ defineLazyProperty(impl, "Document", function() {
         }),
     });
 
-    var eventHandlerTypes = [
-        "abort", "canplay", "canplaythrough", "change", "click", "contextmenu",
-        "cuechange", "dblclick", "drag", "dragend", "dragenter", "dragleave",
-        "dragover", "dragstart", "drop", "durationchange", "emptied", "ended",
-        "input", "invalid", "keydown", "keypress", "keyup", "loadeddata",
-        "loadedmetadata", "loadstart", "mousedown", "mousemove", "mouseout",
-        "mouseover", "mouseup", "mousewheel", "pause", "play", "playing",
-        "progress", "ratechange", "readystatechange", "reset", "seeked",
-        "seeking", "select", "show", "stalled", "submit", "suspend",
-        "timeupdate", "volumechange", "waiting",
-
-        "blur", "error", "focus", "load", "scroll"
-    ];
-
-    // Add event handler idl attribute getters and setters to Document
-    eventHandlerTypes.forEach(function(type) {
+    // Add event handler idl attribute getters and setters to Document.
+    // See src/impl/EventTarget.js
+    globalEventHandlerTypes.forEach(function(type) {
         // Define the event handler registration IDL attribute for this type
         Object.defineProperty(Document.prototype, "on" + type, {
             get: function() {
@@ -728,13 +1074,12 @@ defineLazyProperty(impl, "Document", function() {
         };
     }
 
-    // XXX
-    // Optimize this when I implement classList.
+    // Use the tokens cached by the element's classList so that the class
+    // attribute is not split again for every element and every query
     function classNamesElementFilter(names) {
         return function(e) {
-            var classAttr = e.getAttribute("class");
-            if (!classAttr) return false;
-            var classes = classAttr.trim().split(/\s+/);
+            if (!e._getattr("class")) return false;
+            var classes = e.classList._tokens;
             return every(names, function(n) {
                 return A.indexOf(classes, n) !== -1;
             })
@@ -747,6 +1092,24 @@ defineLazyProperty(impl, "Document", function() {
         }
     }
 
+    // These are used for the collections like document.images
+
+    function htmlElementFilter(lname) {
+        return function(e) {
+            return e.localName === lname && e.namespaceURI === HTML_NAMESPACE;
+        };
+    }
+
+    function linkFilter(e) {
+        return (e.localName === "a" || e.localName === "area") &&
+            e.namespaceURI === HTML_NAMESPACE && e.hasAttribute("href");
+    }
+
+    function anchorFilter(e) {
+        return e.localName === "a" && e.namespaceURI === HTML_NAMESPACE &&
+            e.hasAttribute("name");
+    }
+
 
     return Document;
 });
@@ -15,6 +15,9 @@ defineLazyProperty(impl, "DocumentFragment", function() {
         textContent: O.getOwnPropertyDescriptor(impl.Element.prototype,
                                                 "textContent"),
 
+        querySelector: constant(impl.Document.prototype.querySelector),
+        querySelectorAll: constant(impl.Document.prototype.querySelectorAll),
+
         // Utility methods
         clone: constant(function clone() {
             return new DocumentFragment(this.ownerDocument);
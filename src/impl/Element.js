@@ -86,7 +86,7 @@ defineLazyProperty(impl, "Element", function() {
         nextElementSibling: attribute(function() {
             if (this.parentNode) {
                 var sibs = this.parentNode.childNodes;
-                for(var i = this.index+1, n = sibs.length; i < n; i++) {
+                for(var i = this.siblingIndex+1, n = sibs.length; i < n; i++) {
                     if (sibs[i].nodeType === ELEMENT_NODE) return sibs[i];
                 }
             }
@@ -96,7 +96,7 @@ defineLazyProperty(impl, "Element", function() {
         previousElementSibling: attribute(function() {
             if (this.parentNode) {
                 var sibs = this.parentNode.childNodes;
-                for(var i = this.index-1; i >= 0; i--) {
+                for(var i = this.siblingIndex-1; i >= 0; i--) {
                     if (sibs[i].nodeType === ELEMENT_NODE) return sibs[i];
                 }
             }
@@ -146,6 +146,49 @@ defineLazyProperty(impl, "Element", function() {
         getElementsByClassName:
             constant(impl.Document.prototype.getElementsByClassName),
 
+        querySelector: constant(impl.Document.prototype.querySelector),
+
+        querySelectorAll: constant(impl.Document.prototype.querySelectorAll),
+
+        matches: constant(function matches(sel) {
+            return selectors.matches(this, sel);
+        }),
+
+        insertAdjacentElement: constant(function(where, element) {
+            return this._insertAdjacent(where, element);
+        }),
+
+        insertAdjacentText: constant(function(where, data) {
+            this._insertAdjacent(where, this.ownerDocument.createTextNode(data));
+        }),
+
+        // Insert node at one of the four positions named by where, and
+        // return it.  Return null if where is beforebegin or afterend
+        // and this element has no parent.  insertAdjacentHTML() checks the
+        // parent itself, since it needs the parent to parse the markup.
+        _insertAdjacent: constant(function _insertAdjacent(where, node) {
+            var parent = this.parentNode;
+            switch(toLowerCase(where)) {
+            case "beforebegin":
+                if (!parent) return null;
+                parent.insertBefore(node, this);
+                break;
+            case "afterbegin":
+                this.insertBefore(node, this.firstChild);
+                break;
+            case "beforeend":
+                this.appendChild(node);
+                break;
+            case "afterend":
+                if (!parent) return null;
+                parent.insertBefore(node, this.nextSibling);
+                break;
+            default:
+                SyntaxError();
+            }
+            return node;
+        }),
+
 
         // Utility methods used by the public API methods above
 
@@ -470,9 +513,10 @@ defineLazyProperty(impl, "Element", function() {
             // Onchange handler for the attribute
             if (attr.onchange)
                 attr.onchange(this, attr.localName, attr.value, null);
+            this.modify();
 
             // Mutation event
-            if (this.rooted) this.ownerDocument.mutateRemoveAttr(attr);
+            this.ownerDocument.mutateRemoveAttr(attr);
         }),
 
         removeAttributeNS: constant(function removeAttributeNS(ns, lname) {
@@ -490,8 +534,9 @@ defineLazyProperty(impl, "Element", function() {
             // Onchange handler for the attribute
             if (attr.onchange)
                 attr.onchange(this, attr.localName, attr.value, null);
+            this.modify();
             // Mutation event
-            if (this.rooted) this.ownerDocument.mutateRemoveAttr(attr);
+            this.ownerDocument.mutateRemoveAttr(attr);
         }),
 
         // This "raw" version of getAttribute is used by the getter functions
@@ -727,6 +772,29 @@ defineLazyProperty(impl, "Element", function() {
                         });
     };
 
+    // Define a read-only idl attribute whose value is a live DOMTokenList
+    // (or a DOMSettableTokenList, if settable is true) for the content
+    // attribute name.  The list is created the first time it is asked for,
+    // and an attribute change handler keeps its tokens up to date.
+    Element.reflectTokenListAttribute = function(c, name, idlname, settable) {
+        var prop = "_" + idlname;
+        defineAttribute(c, idlname,
+                        function() {
+                            var list = this[prop];
+                            if (!list) {
+                                list = this[prop] = settable
+                                    ? new impl.DOMSettableTokenList(this, name)
+                                    : new impl.DOMTokenList(this, name);
+                            }
+                            return list;
+                        });
+
+        Element.registerAttributeChangeHandler(c, name,
+               function(element, lname, oldval, newval) {
+                   var list = element[prop];
+                   if (list) list._update(newval);
+               });
+    };
 
     // This is a utility function for setting up change handler functions
     // for attributes like 'id' that require special handling when they change.
@@ -775,6 +843,9 @@ defineLazyProperty(impl, "Element", function() {
     // the content attribute "class".
     Element.reflectStringAttribute(Element, "class", "className");
 
+    // And a live "classList" token list for the "class" attribute
+    Element.reflectTokenListAttribute(Element, "class", "classList");
+
 
     // The Attr class represents a single attribute.  The values in
     // _attrsByQName and _attrsByLName are instances of this class.
@@ -815,11 +886,12 @@ defineLazyProperty(impl, "Element", function() {
             if (this.onchange)
                 this.onchange(this.ownerElement,this.localName, oldval, v);
 
-            // Generate a mutation event if the element is rooted
-            if (this.ownerElement.rooted)
-                this.ownerElement.ownerDocument.mutateAttr(
-                    this,
-                    oldval);
+            // Attribute values affect cached query results such as
+            // getElementsByClassName() and querySelectorAll()
+            this.ownerElement.modify();
+
+            // Generate a mutation event
+            this.ownerElement.ownerDocument.mutateAttr(this, oldval);
         }
     };
 
@@ -0,0 +1,67 @@
+//
+// This file defines a live HTMLCollection whose elements are computed by a
+// function of a root node.  The list is recomputed whenever the subtree
+// rooted at the root changes.  It is used for the collections of the
+// table object model, like table.rows and row.cells.
+//
+defineLazyProperty(impl, "ElementCollection", function() {
+    // list is a function that returns an array of the elements of the
+    // collection, in order, when called with root
+    function ElementCollection(root, list) {
+        this.root = root;
+        this.list = list;
+        this.lastModTime = 0;
+        this.elements = null;
+    }
+
+    ElementCollection.prototype = {
+        _idlName: "HTMLCollection",
+
+        get length() {
+            this.updateCache();
+            return this.elements.length;
+        },
+
+        item: function item(n) {
+            this.updateCache();
+            return this.elements[n] || null;
+        },
+
+        namedItem: function namedItem(name) {
+            this.updateCache();
+            return this.elementsByName[name] || null;
+        },
+
+        // The name->element map, for src/HTMLCollectionProxy.js
+        get namedItems() {
+            this.updateCache();
+            return this.elementsByName;
+        },
+
+        updateCache: function updateCache() {
+            if (this.elements && this.lastModTime === this.root.lastModTime)
+                return;
+            this.lastModTime = this.root.lastModTime;
+            this.elements = this.list(this.root);
+            this.elementsByName = ElementCollection.namedElements(this.elements);
+        }
+    };
+
+    // Return the name->element map of an HTMLCollection of elements.  An
+    // element is named by its id, or by its name if it is an HTML
+    // element, and the first element with a name wins.
+    ElementCollection.namedElements = function namedElements(elements) {
+        var map = O.create(null);
+        for(var i = 0, n = elements.length; i < n; i++) {
+            var e = elements[i];
+            var id = e.getAttribute("id");
+            if (id && !map[id]) map[id] = e;
+            var name = e.getAttribute("name");
+            if (name && e.namespaceURI === HTML_NAMESPACE && !map[name])
+                map[name] = e;
+        }
+        return map;
+    };
+
+    return ElementCollection;
+});
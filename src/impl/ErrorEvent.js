@@ -0,0 +1,13 @@
+defineLazyProperty(impl, "ErrorEvent", function() {
+    function ErrorEvent(type, dictionary) {
+        this.message = this.filename = "";
+        this.lineno = this.colno = 0;
+        this.error = null;
+        // Use the superclass constructor to initialize the rest
+        impl.Event.call(this, type, dictionary);
+    }
+    ErrorEvent.prototype = O.create(impl.Event.prototype, {
+        _idlName: constant("ErrorEvent"),
+    });
+    return ErrorEvent;
+});
@@ -9,7 +9,7 @@ defineLazyProperty(impl, "Event", function() {
         this.cancelable = false;
         this.isTrusted = false;
         this.defaultPrevented = false;
-        this.timeStamp = Date.now();
+        this.timeStamp = EventLoop.main.clock();
 
         // Initialize internal flags
         // XXX: Would it be better to inherit these defaults from the prototype?
@@ -18,7 +18,10 @@ defineLazyProperty(impl, "Event", function() {
         this._initialized = true;
         this._dispatching = false;
 
-        // Now initialize based on the constructor arguments (if any)
+        // Now initialize based on the constructor arguments (if any).
+        // The dictionary has been converted by the IDLDictionary for the
+        // event's init dictionary type, so it only holds the members that
+        // that type declares, and we can copy all of them.
         if (type) this.type = type;
         if (dictionary) {
             for(var p in dictionary)
@@ -0,0 +1,250 @@
+//
+// This file implements the event loop that the Window uses to run timers,
+// animation frame callbacks, parser resumption, script execution and
+// events dispatched on behalf of the host.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/webappapis.html#event-loops
+//
+// dom.js doesn't control the host's own event loop, so this one needs to
+// be told when to run.  It asks its scheduler hook to call run() when the
+// next task is due.  By default the scheduler is the host's setTimeout()
+// (captured here, before src/main.js replaces it with the window's), and
+// the clock is Date.now.  Tests replace both hooks to drive time
+// deterministically (see src/impl/VirtualClock.js).  With no scheduler,
+// nothing runs until someone calls run() explicitly.
+//
+// Tasks and timers share a single queue, ordered by the time they are due
+// and then by the order they were queued.  A task queued with queueTask()
+// is simply due now.
+//
+const hostSetTimeout = typeof global.setTimeout === "function"
+    ? global.setTimeout
+    : null;
+
+function EventLoop() {
+    this.clock = now;
+    this.scheduler = hostSetTimeout;
+    this._queue = [];
+    this._seq = 0;                   // Orders tasks that are due together
+    this._microtasks = [];
+    this._performingMicrotasks = false;
+    this._wakeTime = Infinity;       // When the scheduler will next call run
+    this._timers = O.create(null);   // Map timer ids to timers
+    this._nextTimerId = 1;
+    this._timerNesting = 0;          // Nesting level of the running timer
+    this._frameCallbacks = [];
+    this._frameTask = null;
+    this._nextFrameId = 1;
+    this._lastFrameTime = 0;
+}
+
+// dom.js has a single window, and so a single event loop.  The Window
+// sets this when it creates its loop, and code that has no window at
+// hand (like MutationObserver) uses it.
+EventLoop.main = null;
+
+// Nested timers with shorter timeouts than this are clamped to it
+const MIN_NESTED_TIMEOUT = 4;
+const MAX_TIMER_NESTING = 5;
+
+// Animation frames are run at most once this many milliseconds
+const FRAME_INTERVAL = 16;
+
+EventLoop.prototype = O.create(Object.prototype, {
+    // Queue fn to run as a task and return the queue entry
+    queueTask: constant(function queueTask(fn) {
+        return this._enqueue(this.clock(), fn);
+    }),
+
+    // Queue fn to run at the next microtask checkpoint
+    queueMicrotask: constant(function queueMicrotask(fn) {
+        push(this._microtasks, fn);
+        this._schedule();
+    }),
+
+    // Run microtasks, including any queued by other microtasks, until
+    // there are none left.  This does nothing if it is already running.
+    performMicrotaskCheckpoint: constant(function() {
+        if (this._performingMicrotasks) return;
+        this._performingMicrotasks = true;
+        try {
+            while(this._microtasks.length > 0) {
+                var fn = splice(this._microtasks, 0, 1)[0];
+                try {
+                    fn();
+                }
+                catch(e) {
+                    reportException(e);
+                }
+            }
+        }
+        finally {
+            this._performingMicrotasks = false;
+        }
+    }),
+
+    // Run every task that is due, then schedule the next call.  Tasks
+    // that are queued while this runs wait for the next call, so that a
+    // zero-delay interval can't keep the host from ever getting control.
+    run: constant(function run() {
+        this._wakeTime = Infinity;
+        var time = this.clock(), last = this._seq;
+        var q = this._queue;
+        while(q.length > 0 && q[0].time <= time && q[0].seq < last)
+            this._runTask(splice(q, 0, 1)[0]);
+        this.performMicrotaskCheckpoint();
+        this._schedule();
+    }),
+
+    // Run a task that has been removed from the queue, and then the
+    // microtasks it queued
+    _runTask: constant(function(task) {
+        var fn = task.fn;
+        try {
+            fn();
+        }
+        catch(e) {
+            reportException(e);
+        }
+        this.performMicrotaskCheckpoint();
+    }),
+
+    setTimeout: constant(function setTimeout(fn, timeout) {
+        return this._addTimer(fn, timeout, false);
+    }),
+
+    setInterval: constant(function setInterval(fn, timeout) {
+        return this._addTimer(fn, timeout, true);
+    }),
+
+    // Timeouts and intervals share ids, so these are the same
+    clearTimeout: constant(function clearTimeout(id) {
+        var timer = this._timers[id];
+        if (!timer) return;
+        delete this._timers[id];
+        this._dequeue(timer.task);
+    }),
+
+    clearInterval: constant(function clearInterval(id) {
+        this.clearTimeout(id);
+    }),
+
+    // fn is called with the frame's time as its argument
+    requestAnimationFrame: constant(function requestAnimationFrame(fn) {
+        var id = this._nextFrameId++;
+        push(this._frameCallbacks, { id: id, fn: fn });
+        if (!this._frameTask) {
+            var self = this;
+            var time = this._lastFrameTime + FRAME_INTERVAL;
+            this._frameTask = this._enqueue(Math.max(time, this.clock()),
+                                            function() { self._runFrame(); });
+        }
+        return id;
+    }),
+
+    cancelAnimationFrame: constant(function cancelAnimationFrame(id) {
+        var callbacks = this._frameCallbacks;
+        for(var i = 0, n = callbacks.length; i < n; i++) {
+            if (callbacks[i].id === id) {
+                splice(callbacks, i, 1);
+                break;
+            }
+        }
+        if (callbacks.length === 0 && this._frameTask) {
+            this._dequeue(this._frameTask);
+            this._frameTask = null;
+        }
+    }),
+
+    // Run the callbacks that were requested before this frame started.
+    // Callbacks requested by these ones wait for the next frame.
+    _runFrame: constant(function() {
+        var callbacks = this._frameCallbacks;
+        var time = this._lastFrameTime = this.clock();
+        this._frameCallbacks = [];
+        this._frameTask = null;
+        for(var i = 0, n = callbacks.length; i < n; i++) {
+            var fn = callbacks[i].fn;
+            try {
+                fn(time);
+            }
+            catch(e) {
+                reportException(e);
+            }
+        }
+    }),
+
+    _addTimer: constant(function(fn, timeout, repeat) {
+        var id = this._nextTimerId++;
+        var timer = {
+            id: id,
+            fn: fn,
+            timeout: timeout > 0 ? timeout : 0,  // Also converts NaN to 0
+            repeat: repeat,
+            nesting: this._timerNesting + 1,
+            task: null
+        };
+        this._timers[id] = timer;
+        this._queueTimer(timer);
+        return id;
+    }),
+
+    _queueTimer: constant(function(timer) {
+        var self = this;
+        var timeout = timer.timeout;
+        if (timer.nesting > MAX_TIMER_NESTING && timeout < MIN_NESTED_TIMEOUT)
+            timeout = MIN_NESTED_TIMEOUT;
+        timer.task = this._enqueue(this.clock() + timeout, function() {
+            self._fireTimer(timer);
+        });
+    }),
+
+    _fireTimer: constant(function(timer) {
+        if (!timer.repeat) delete this._timers[timer.id];
+        var saved = this._timerNesting;
+        this._timerNesting = timer.nesting;
+        try {
+            var fn = timer.fn;
+            fn();
+        }
+        finally {
+            this._timerNesting = saved;
+            // Requeue an interval unless it cleared itself
+            if (timer.repeat && this._timers[timer.id] === timer) {
+                timer.nesting++;
+                this._queueTimer(timer);
+            }
+        }
+    }),
+
+    // Insert a task into the queue after all the tasks that are due at
+    // or before the same time
+    _enqueue: constant(function(time, fn) {
+        var task = { time: time, seq: this._seq++, fn: fn };
+        var q = this._queue, i = q.length;
+        while(i > 0 && q[i-1].time > time) i--;
+        splice(q, i, 0, task);
+        this._schedule();
+        return task;
+    }),
+
+    _dequeue: constant(function(task) {
+        var i = A.indexOf(this._queue, task);
+        if (i !== -1) splice(this._queue, i, 1);
+    }),
+
+    // Ask the scheduler to call run() when the next task is due, unless
+    // it has already been asked to call it at or before that time
+    _schedule: constant(function() {
+        if (!this.scheduler) return;
+        var time;
+        if (this._microtasks.length > 0) time = this.clock();
+        else if (this._queue.length > 0) time = this._queue[0].time;
+        else return;
+        if (time >= this._wakeTime) return;
+        this._wakeTime = time;
+        var self = this;
+        var scheduler = this.scheduler;
+        var delay = Math.max(0, time - this.clock());
+        scheduler(function() { self.run(); }, delay);
+    }),
+});
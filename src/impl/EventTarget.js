@@ -1,3 +1,107 @@
+// Return the element that a click on target activates: the nearest
+// inclusive ancestor of target that has activation behavior, or null.
+// Elements with activation behavior define a _post_click_activation_steps
+// hook, and may also define _pre_click_activation_steps and
+// _cancelled_activation_steps hooks.
+function activationTarget(target) {
+    var activated = target;
+    while(activated && !activated._post_click_activation_steps)
+        activated = activated.parentNode;
+    return activated || null;
+}
+
+// The event types of the GlobalEventHandlers IDL attributes, like
+// onclick.  Elements, documents and windows all have these.
+const globalEventHandlerTypes = [
+    "abort", "canplay", "canplaythrough", "change", "click", "contextmenu",
+    "cuechange", "dblclick", "drag", "dragend", "dragenter", "dragleave",
+    "dragover", "dragstart", "drop", "durationchange", "emptied", "ended",
+    "input", "invalid", "keydown", "keypress", "keyup", "loadeddata",
+    "loadedmetadata", "loadstart", "mousedown", "mousemove", "mouseout",
+    "mouseover", "mouseup", "mousewheel", "pause", "play", "playing",
+    "progress", "ratechange", "readystatechange", "reset", "seeked",
+    "seeking", "select", "show", "stalled", "submit", "suspend",
+    "timeupdate", "volumechange", "waiting",
+
+    // These last 5 event types are overridden by HTMLBodyElement
+    "blur", "error", "focus", "load", "scroll"
+];
+
+// The event types of the WindowEventHandlers IDL attributes, like
+// onpopstate, which windows have in addition to the ones above
+const windowEventHandlerTypes = [
+    "afterprint", "beforeprint", "beforeunload", "hashchange", "message",
+    "offline", "online", "pagehide", "pageshow", "popstate", "resize",
+    "storage", "unload"
+];
+
+// Invoke the event handler that target has for the type of event, and
+// process its return value.  Returning false cancels most events.  The
+// onerror handler of a window is called with the message, filename,
+// line, column and error of ErrorEvents instead of the event, and
+// returning true cancels them.  A value returned by onbeforeunload
+// cancels the BeforeUnloadEvent and becomes its returnValue.  See
+// http://www.whatwg.org/specs/web-apps/current-work/multipage/webappapis.html#the-event-handler-processing-algorithm
+function invokeEventHandler(target, event) {
+    var handler = target._handlers && target._handlers[event.type];
+    if (!handler) return;
+
+    var specialError = event.type === "error" &&
+        event instanceof impl.ErrorEvent && target instanceof Window;
+    var rv;
+    if (typeof handler === "function") {
+        if (specialError)
+            rv = handler.call(wrap(target), event.message, event.filename,
+                              event.lineno, event.colno, event.error);
+        else
+            rv = handler.call(wrap(target), wrap(event));
+    }
+    else {
+        var f = handler.handleEvent;
+        if (typeof f !== "function")
+            throw TypeError("handleEvent property of " +
+                            "event handler object is " +
+                            "not a function.");
+        rv = f.call(handler, wrap(event));
+    }
+
+    if (specialError) {
+        if (rv === true) event.preventDefault();
+    }
+    else if (event.type === "beforeunload" &&
+             event instanceof impl.BeforeUnloadEvent) {
+        if (rv !== null && rv !== undefined) {
+            event.preventDefault();
+            if (event.returnValue === "") event.returnValue = String(rv);
+        }
+    }
+    else if (event.type === "mouseover") {
+        if (rv === true)  // Historical baggage
+            event.preventDefault();
+    }
+    else if (rv === false) {
+        event.preventDefault();
+    }
+}
+
+// Remove the first entry of the list of listeners that target has for
+// type for which match returns true.  The entry is flagged as removed,
+// so that a dispatch that is in progress doesn't invoke it.
+function removeListenerEntry(target, type, match) {
+    var list = target._listeners && target._listeners[type];
+    if (!list) return;
+    for(var i = 0, n = list.length; i < n; i++) {
+        if (match(list[i])) {
+            list[i].removed = true;
+            if (n === 1)
+                delete target._listeners[type];
+            else
+                splice(list, i, 1);
+            return;
+        }
+    }
+}
+
 defineLazyProperty(impl, "EventTarget", function() {
     function EventTarget() {}
 
@@ -22,7 +126,7 @@ defineLazyProperty(impl, "EventTarget", function() {
             if (!listener) return;
             if (capture === undefined) capture = false;
             if (!this._listeners) this._listeners = {};
-            if (!(type in this._listeners)) this._listeners[type] = {};
+            if (!(type in this._listeners)) this._listeners[type] = [];
             var list = this._listeners[type];
 
             // If this listener has already been registered, just return
@@ -42,21 +146,9 @@ defineLazyProperty(impl, "EventTarget", function() {
                                                           listener,
                                                           capture) {
             if (capture === undefined) capture = false;
-            if (this._listeners) {
-                var list = this._listeners[type];
-                if (list) {
-                    // Find the listener in the list and remove it
-                    for(var i = 0, n = list.length; i < n; i++) {
-                        var l = list[i];
-                        if (l.listener === listener && l.capture === capture) {
-                            if (list.length === 1)
-                                delete this._listeners[type];
-                            else
-                                splice(list, i, 1);
-                        }
-                    }
-                }
-            }
+            removeListenerEntry(this, type, function(l) {
+                return l.listener === listener && l.capture === capture;
+            });
         },
 
         // This is the public API for dispatching untrusted public events.
@@ -74,13 +166,9 @@ defineLazyProperty(impl, "EventTarget", function() {
         // call a common internal function with different settings of
         // a trusted boolean argument
         //
-        // XXX:
-        // The spec has changed in how to deal with handlers registered
-        // on idl or content attributes rather than with addEventListener.
-        // Used to say that they always ran first.  That's how webkit does it
-        // Spec now says that they run in a position determined by
-        // when they were first set.  FF does it that way.  See:
-        // http://www.whatwg.org/specs/web-apps/current-work/multipage/webappapis.html#event-handlers
+        // Event handlers registered with IDL or content attributes like
+        // onclick are invoked along with the listeners, in the position
+        // where they were first set.  See _setEventHandler()
         //
         _dispatchEvent: function _dispatchEvent(event, trusted) {
             if (typeof trusted !== "boolean") trusted = false;
@@ -88,50 +176,24 @@ defineLazyProperty(impl, "EventTarget", function() {
                 var type = event.type, phase = event.eventPhase;
                 event.currentTarget = target;
 
-                // If there was an individual handler defined, invoke it first
-                // XXX: see comment above: this shouldn't always be first.
-                if (phase !== CAPTURING_PHASE &&
-                    target._handlers && target._handlers[type])
-                {
-                    var handler = target._handlers[type];
-                    var rv;
-                    if (typeof handler === "function") {
-                        rv=handler.call(wrap(event.currentTarget), wrap(event));
-                    }
-                    else {
-                        var f = handler.handleEvent;
-                        if (typeof f !== "function")
-                            throw TypeError("handleEvent property of " +
-                                            "event handler object is" +
-                                            "not a function.");
-                        rv=f.call(handler, wrap(event));
-                    }
-
-                    switch(event.type) {
-                    case "mouseover":
-                        if (rv === true)  // Historical baggage
-                            event.preventDefault();
-                        break;
-                    case "beforeunload":
-                        // XXX: eventually we need a special case here
-                    default:
-                        if (rv === false)
-                            event.preventDefault();
-                        break;
-                    }
-                }
-
-                // Now invoke list list of listeners for this target and type
+                // Invoke a copy of the list of listeners for this target
+                // and type, so that listeners added by the listeners
+                // aren't invoked for this event
                 var list = target._listeners && target._listeners[type];
                 if (!list) return;
+                list = A.slice(list);
 
                 for(var i = 0, n = list.length; i < n; i++) {
-                    if (event._stopImmediatePropagation) return;
+                    if (event._immediatePropagationStopped) return;
                     var l = list[i];
+                    if (l.removed) continue;
                     if ((phase === CAPTURING_PHASE && !l.capture) ||
                         (phase === BUBBLING_PHASE && l.capture))
                         continue;
-                    if (l.f) {
+                    if (l.handler) {
+                        invokeEventHandler(target, event);
+                    }
+                    else if (l.f) {
                         // Wrap both the this value of the call and the
                         // argument passed to the call, since these objects
                         // impl are being exposed through the public API
@@ -158,11 +220,16 @@ defineLazyProperty(impl, "EventTarget", function() {
             event._dispatching = true;
             event.target = this;
 
-            // Build the list of targets for the capturing and bubbling phases
-            // XXX: we'll eventually have to add Window to this list.
+            // Build the list of targets for the capturing and bubbling phases.
+            // The window of a document comes after the document, except
+            // for load events, which don't propagate to the window.
             var ancestors = [];
             for(var n = this.parentNode; n; n = n.parentNode)
                 push(ancestors, n);
+            var top = ancestors.length ? ancestors[ancestors.length-1] : this;
+            if (top.nodeType === DOCUMENT_NODE && top.defaultView &&
+                event.type !== "load")
+                push(ancestors, top.defaultView);
 
             // Capturing phase
             event.eventPhase = CAPTURING_PHASE;
@@ -203,6 +270,7 @@ defineLazyProperty(impl, "EventTarget", function() {
                         y: event.clientY,
                         t: event.timeStamp
                     };
+                    if (this.nodeType) this._focusOnMouseDown();
                     break;
                 case "mouseout":
                 case "mouseover":
@@ -215,7 +283,17 @@ defineLazyProperty(impl, "EventTarget", function() {
                 }
             }
 
-
+            // Pressing Enter in a text field submits its form.  Only
+            // input elements define the _implicit_submission hook.
+            if (trusted &&
+                !event.defaultPrevented &&
+                event instanceof impl.KeyboardEvent &&
+                event.type === "keydown" &&
+                event.key === "Enter" &&
+                this._implicit_submission)
+            {
+                this._implicit_submission();
+            }
 
             return !event.defaultPrevented;
         },
@@ -223,13 +301,24 @@ defineLazyProperty(impl, "EventTarget", function() {
         // Determine whether a click occurred
         // XXX We don't support double clicks for now
         _isClick: function(event) {
-            return (this._armed !== null &&
+            return (!!this._armed &&
                     event.type === "mouseup" &&
                     event.isTrusted &&
                     event.button === 0 &&
                     event.timeStamp - this._armed.t < 1000 &&
                     Math.abs(event.clientX - this._armed.x) < 10 &&
-                    Math.abs(event.clientY - this._armed.Y) < 10);
+                    Math.abs(event.clientY - this._armed.y) < 10);
+        },
+
+        // Pressing the mouse button on a node focuses the nearest
+        // focusable area that contains it, or moves the focus to the
+        // viewport if there isn't one.  See src/impl/focus.js
+        _focusOnMouseDown: function() {
+            var doc = this.ownerDocument;
+            var e = this;
+            while(e && !isFocusableArea(e)) e = e.parentNode;
+            fixupFocus(doc);
+            setFocus(doc, e || null);
         },
 
         // Clicks are handled like this:
@@ -239,14 +328,15 @@ defineLazyProperty(impl, "EventTarget", function() {
         // The event argument must be the trusted mouseup event
         _doClick: function(event) {
             if (this._click_in_progress) return;
+
+            // Clicks on disabled form controls aren't dispatched
+            for(var n = this; n; n = n.parentNode)
+                if (isDisabledElement(n)) return;
+
             this._click_in_progress = true;
 
             // Find the nearest enclosing element that is activatable
-            // An element is activatable if it has a
-            // _post_click_activation_steps hook
-            var activated = this;
-            while(activated && !activated._post_click_activation_steps)
-                activated = activated.parentNode;
+            var activated = activationTarget(this);
 
             if (activated && activated._pre_click_activation_steps) {
                 activated._pre_click_activation_steps();
@@ -285,17 +375,30 @@ defineLazyProperty(impl, "EventTarget", function() {
         // The type argument is the same as in addEventListener().
         // The handler argument is the same as listeners in addEventListener:
         // it can be a function or an object. Pass null to remove any existing
-        // handler.  Handlers are always invoked before any listeners of
-        // the same type.  They are not invoked during the capturing phase
-        // of event dispatch.
+        // handler.  A handler takes its place in the list of listeners of
+        // the same type when it is set, and keeps that place when it is
+        // changed to another handler, until it is removed.  Handlers are
+        // not invoked during the capturing phase of event dispatch.
         //
         _setEventHandler: function _setEventHandler(type, handler) {
             if (!this._handlers) this._handlers = {};
+            var active = !!this._handlers[type];
 
-            if (handler)
+            if (handler) {
                 this._handlers[type] = handler;
-            else
+                if (!active) {
+                    if (!this._listeners) this._listeners = {};
+                    if (!(type in this._listeners)) this._listeners[type] = [];
+                    push(this._listeners[type],
+                         { handler: true, capture: false });
+                }
+            }
+            else if (active) {
                 delete this._handlers[type];
+                removeListenerEntry(this, type, function(l) {
+                    return l.handler;
+                });
+            }
         },
 
         _getEventHandler: function _getEventHandler(type) {
@@ -5,6 +5,10 @@
 // It is used to implement the
 // {Document,Element}.getElementsBy{TagName,ClassName}{,NS} methods.
 //
+// FilteredElementCollection is the HTMLCollection version, with named
+// properties, and is used for document.images and similar collections.
+// HTMLAllCollection is the FilteredElementCollection of document.all.
+//
 defineLazyProperty(impl, "FilteredElementList", function() {
     function FilteredElementList(root, filter) {
         this.root = root;
@@ -80,4 +84,106 @@ defineLazyProperty(impl, "FilteredElementList", function() {
     };
 
     return FilteredElementList;
-});
\ No newline at end of file
+});
+
+defineLazyProperty(impl, "FilteredElementCollection", function() {
+    function FilteredElementCollection(root, filter) {
+        impl.FilteredElementList.call(this, root, filter);
+        this.namesModTime = 0;
+        this.names = null;
+    }
+
+    FilteredElementCollection.prototype =
+        O.create(impl.FilteredElementList.prototype, {
+            _idlName: constant("HTMLCollection"),
+
+            item: constant(function item(n) {
+                return impl.FilteredElementList.prototype.item.call(this, n)
+                    || null;
+            }),
+
+            namedItem: constant(function namedItem(name) {
+                return this.namedItems[name] || null;
+            }),
+
+            // The name->element map, for src/HTMLCollectionProxy.js
+            namedItems: attribute(function() {
+                var elements = this.elements();
+                if (!this.names || this.namesModTime !== this.lastModTime) {
+                    this.namesModTime = this.lastModTime;
+                    this.names = this.computeNames(elements);
+                }
+                return this.names;
+            }),
+
+            computeNames: constant(function(elements) {
+                return impl.ElementCollection.namedElements(elements);
+            }),
+
+            // Return all the elements of the collection
+            elements: constant(function() {
+                this.checkcache();
+                if (!this.done) this.traverse();
+                return this.cache;
+            }),
+        });
+
+    return FilteredElementCollection;
+});
+
+defineLazyProperty(impl, "HTMLAllCollection", function() {
+    function HTMLAllCollection(root, filter) {
+        impl.FilteredElementCollection.call(this, root, filter || ftrue);
+    }
+
+    function nameFilter(name) {
+        return function(e) {
+            return e.getAttribute("id") === name ||
+                (e.namespaceURI === HTML_NAMESPACE &&
+                 e.getAttribute("name") === name);
+        };
+    }
+
+    HTMLAllCollection.prototype =
+        O.create(impl.FilteredElementCollection.prototype, {
+            _idlName: constant("HTMLAllCollection"),
+
+            // The IDL type of this method is object, so the bindings don't
+            // wrap the element or collection that it returns
+            namedItem: constant(function namedItem(name) {
+                var item = this.namedItems[name];
+                return item ? wrap(item) : null;
+            }),
+
+            // A name shared by several elements names an HTMLAllCollection
+            // of those elements
+            computeNames: constant(function(elements) {
+                var counts = O.create(null), names = O.create(null);
+                var map = impl.ElementCollection.namedElements(elements);
+                for(var i = 0, n = elements.length; i < n; i++) {
+                    var e = elements[i], id = e.getAttribute("id");
+                    var name = e.namespaceURI === HTML_NAMESPACE
+                        ? e.getAttribute("name") : null;
+                    if (id) counts[id] = (counts[id] || 0) + 1;
+                    if (name && name !== id)
+                        counts[name] = (counts[name] || 0) + 1;
+                }
+                for(var key in map) {
+                    names[key] = counts[key] === 1
+                        ? map[key]
+                        : new HTMLAllCollection(this.root, nameFilter(key));
+                }
+                return names;
+            }),
+
+            tags: constant(function tags(tagName) {
+                var lname = toLowerCase(tagName);
+                return new HTMLAllCollection(this.root, function(e) {
+                    return e.isHTML ? e.localName === lname
+                        : e.localName === tagName;
+                });
+            }),
+        });
+
+    return HTMLAllCollection;
+});
@@ -0,0 +1,17 @@
+defineLazyProperty(impl, "FocusEvent", function() {
+    function FocusEvent(type, dictionary) {
+        this.relatedTarget = null;
+
+        // Use the superclass constructor to initialize the rest
+        impl.UIEvent.call(this, type, dictionary);
+    }
+    FocusEvent.prototype = O.create(impl.UIEvent.prototype, {
+        _idlName: constant("FocusEvent"),
+        initFocusEvent: constant(function(type, bubbles, cancelable,
+                                          view, detail, relatedTarget) {
+            this.initUIEvent(type, bubbles, cancelable, view, detail);
+            this.relatedTarget = relatedTarget;
+        }),
+    });
+    return FocusEvent;
+});
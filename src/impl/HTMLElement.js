@@ -116,6 +116,22 @@ defineLazyProperty(impl, "HTMLElement", function() {
         impl.Element.call(this, doc, localName, HTML_NAMESPACE, prefix);
     }
 
+    // Parse markup with the HTML fragment parsing algorithm, using
+    // context as the context element, and return a DocumentFragment
+    // that holds the resulting nodes.  The parser switches its tokenizer
+    // and insertion mode based on the context, so the same markup gives
+    // different results in a table, a select or a raw text element.
+    function parseFragment(context, markup) {
+        var doc = context.ownerDocument;
+        var parser = doc.implementation.mozHTMLParser(doc._address, context);
+        parser.parse(markup, true);
+        var root = parser.document().firstChild;
+        var frag = doc.createDocumentFragment();
+        while(root.hasChildNodes())
+            frag.appendChild(root.firstChild);
+        return frag;
+    }
+
     HTMLElement.prototype = O.create(impl.Element.prototype, {
         _idlName: constant("HTMLElement"),
         innerHTML: attribute(
@@ -123,34 +139,83 @@ defineLazyProperty(impl, "HTMLElement", function() {
                 return this.serialize();
             },
             function(v) {
-                var parser = this.ownerDocument.implementation.mozHTMLParser(
-                    this.ownerDocument._address,
-                    this);
-                parser.parse(v, true);
-                var tmpdoc = parser.document();
-                var root = tmpdoc.firstChild;
+                var frag = parseFragment(this, v);
 
                 // Remove any existing children of this node
                 while(this.hasChildNodes())
                     this.removeChild(this.firstChild);
 
-                // Now copy newly parsed children from the root to this node
-                while(root.hasChildNodes()) {
-                    this.appendChild(root.firstChild);
-                }
+                // Now insert the newly parsed children
+                this.appendChild(frag);
             }),
+        outerHTML: attribute(
+            function() {
+                return this.serialize(true);
+            },
+            function(v) {
+                var parent = this.parentNode;
+                if (parent === null) return;
+                if (parent.nodeType === DOCUMENT_NODE)
+                    NoModificationAllowedError();
+                // A fragment is parsed as if it were a body element
+                if (parent.nodeType === DOCUMENT_FRAGMENT_NODE)
+                    parent = this.ownerDocument.createElement("body");
+                this.parentNode.replaceChild(parseFragment(parent, v), this);
+            }),
+
+        insertAdjacentHTML: constant(function(where, text) {
+            var context;
+            switch(toLowerCase(where)) {
+            case "beforebegin":
+            case "afterend":
+                context = this.parentNode;
+                if (context === null || context.nodeType === DOCUMENT_NODE)
+                    NoModificationAllowedError();
+                break;
+            case "afterbegin":
+            case "beforeend":
+                context = this;
+                break;
+            default:
+                SyntaxError();
+            }
+
+            // The html element is not a useful context for parsing
+            // content, so use a body element instead, as for fragments
+            if (context.nodeType !== ELEMENT_NODE ||
+                (context.localName === "html" &&
+                 context.namespaceURI === HTML_NAMESPACE))
+                context = this.ownerDocument.createElement("body");
+
+            this._insertAdjacent(where, parseFragment(context, text));
+        }),
+
         style: attribute(function() {
             if (!this._style)
                 this._style = new impl.CSSStyleDeclaration(this);
             return this._style;
         }),
 
+        // The dataset map is a live view of the data-* attributes, so
+        // one object per element is enough
+        dataset: attribute(function() {
+            if (!this._dataset)
+                this._dataset = new impl.DOMStringMap(this);
+            return this._dataset;
+        }),
+
         click: constant(function() {
+            // Disabled form controls can't be clicked
+            if (isDisabledElement(this)) return;
             if (this._click_in_progress) return;
             this._click_in_progress = true;
             try {
-                if (this._pre_click_activation_steps)
-                    this._pre_click_activation_steps();
+                // The click activates the nearest activatable element,
+                // which may be an ancestor, like a link or a label.
+                // See EventTarget._doClick()
+                var activated = activationTarget(this);
+                if (activated && activated._pre_click_activation_steps)
+                    activated._pre_click_activation_steps();
 
                 var event = this.ownerDocument.createEvent("MouseEvent");
                 event.initMouseEvent("click", true, true,
@@ -165,19 +230,74 @@ defineLazyProperty(impl, "HTMLElement", function() {
                 // Dispatch this as an untrusted event since it is synthetic
                 var success = this.dispatchEvent(event);
 
-                if (success) {
-                    if (this._post_click_activation_steps)
-                        this._post_click_activation_steps(event);
-                }
-                else {
-                    if (this._cancelled_activation_steps)
-                        this._cancelled_activation_steps();
+                if (activated) {
+                    if (success) {
+                        activated._post_click_activation_steps(event);
+                    }
+                    else {
+                        if (activated._cancelled_activation_steps)
+                            activated._cancelled_activation_steps();
+                    }
                 }
             }
             finally {
                 this._click_in_progress = false;
             }
         }),
+
+        // focus() does nothing if the element isn't a focusable area, and
+        // blur() does nothing if the element doesn't have the focus.
+        // See src/impl/focus.js
+        focus: constant(function focus() {
+            var doc = this.ownerDocument;
+            fixupFocus(doc);
+            if (isFocusableArea(this)) setFocus(doc, this);
+        }),
+
+        blur: constant(function blur() {
+            var doc = this.ownerDocument;
+            fixupFocus(doc);
+            if (doc._focusedElement === this) setFocus(doc, null);
+        }),
+
+        // The contenteditable attribute is enumerated, but it isn't a
+        // reflected attribute: its missing and invalid values are
+        // "inherit", and setting an unknown value is an error.
+        contentEditable: attribute(
+            function() {
+                var v = this._getattr("contenteditable");
+                if (v === null) return "inherit";
+                v = toLowerCase(v);
+                if (v === "" || v === "true") return "true";
+                if (v === "false") return "false";
+                return "inherit";
+            },
+            function(v) {
+                v = toLowerCase(v);
+                switch(v) {
+                case "inherit":
+                    this.removeAttribute("contenteditable");
+                    break;
+                case "true":
+                case "false":
+                    this._setattr("contenteditable", v);
+                    break;
+                default:
+                    SyntaxError();
+                }
+            }),
+
+        // An element is editable if the nearest ancestor-or-self with a
+        // true or false contenteditable state has a true one
+        isContentEditable: attribute(function() {
+            for(var e = this; e && e.nodeType === ELEMENT_NODE;
+                e = e.parentNode) {
+                if (!e.isHTML) continue;
+                var state = e.contentEditable;
+                if (state !== "inherit") return state === "true";
+            }
+            return false;
+        }),
     });
 
     impl.Element.reflectStringAttribute(HTMLElement, "title");
@@ -191,22 +311,12 @@ defineLazyProperty(impl, "HTMLElement", function() {
     impl.Element.reflectStringAttribute(HTMLElement, "accesskey", "accessKey");
     impl.Element.reflectBooleanAttribute(HTMLElement, "hidden");
 
-    // XXX: the default value for tabIndex should be 0 if the element is
-    // focusable and -1 if it is not.  But the full definition of focusable
-    // is actually hard to compute, so for now, I'll follow Firefox and
-    // just base the default value on the type of the element.
-    var focusableElements = {
-        "A":true, "LINK":true, "BUTTON":true, "INPUT":true,
-        "SELECT":true, "TEXTAREA":true, "COMMAND":true
-    };
+    // The default value for tabIndex is 0 if the element is focusable
+    // and -1 if it is not.  See src/impl/focus.js
     impl.Element.reflectIntegerAttribute(HTMLElement, "tabindex",
                          // compute a default tabIndex value
                          function() {
-                             if (this.tagName in focusableElements ||
-                                 this.contentEditable)
-                                 return 0;
-                             else
-                                 return -1;
+                             return isFocusableByDefault(this) ? 0 : -1;
                          },
                                          "tabIndex");
 
@@ -216,40 +326,20 @@ defineLazyProperty(impl, "HTMLElement", function() {
     // style: the spec doesn't call this a reflected attribute.
     //   may want to handle it manually.
 
-    // contentEditable: enumerated, not clear if it is actually
-    // reflected or requires custom getter/setter. Not listed as
-    // "limited to known values".  Raises syntax_err on bad setting,
-    // so I think this is custom.
-
     // contextmenu: content is element id, idl type is an element
     // draggable: boolean, but not a reflected attribute
     // dropzone: reflected SettableTokenList, experimental, so don't
     //   implement it right away.
 
-    // data-* attributes: need special handling in setAttribute?
-    // Or maybe that isn't necessary. Can I just scan the attribute list
-    // when building the dataset?  Liveness and caching issues?
+    // data-* attributes: these are exposed through the dataset property
+    // defined above, which scans the attribute list on every access.
 
     // microdata attributes: many are simple reflected attributes, but
     // I'm not going to implement this now.
 
 
-    var eventHandlerTypes = [
-        "abort", "canplay", "canplaythrough", "change", "click", "contextmenu",
-        "cuechange", "dblclick", "drag", "dragend", "dragenter", "dragleave",
-        "dragover", "dragstart", "drop", "durationchange", "emptied", "ended",
-        "input", "invalid", "keydown", "keypress", "keyup", "loadeddata",
-        "loadedmetadata", "loadstart", "mousedown", "mousemove", "mouseout",
-        "mouseover", "mouseup", "mousewheel", "pause", "play", "playing",
-        "progress", "ratechange", "readystatechange", "reset", "seeked",
-        "seeking", "select", "show", "stalled", "submit", "suspend",
-        "timeupdate", "volumechange", "waiting",
-
-        // These last 5 event types will be overriden by HTMLBodyElement
-        "blur", "error", "focus", "load", "scroll"
-    ];
-
-    eventHandlerTypes.forEach(function(type) {
+    // The GlobalEventHandlers event types.  See src/impl/EventTarget.js
+    globalEventHandlerTypes.forEach(function(type) {
         // Define the event handler registration IDL attribute for this type
         Object.defineProperty(HTMLElement.prototype, "on" + type, {
             get: function() {
@@ -278,6 +368,26 @@ defineLazyProperty(impl, "HTMLElement", function() {
     return HTMLElement;
 });
 
+// The href attribute of a and area elements, resolved against the
+// document base URL.  The empty string if there is no href attribute.
+function hyperlinkHref() {
+    return attribute(
+        function() {
+            var href = this._getattr("href");
+            return href === null ? "" : resolveURL(this, href);
+        },
+        function(v) { this._setattr("href", v); });
+}
+
+// The activation behavior of a and area elements: navigate the window
+// to the resolved href, if the element has one and is in a document.
+// XXX: the target attribute is ignored, since there is only one window
+function followHyperlink(elt) {
+    var window = elt.ownerDocument.defaultView;
+    if (!window || !elt.rooted || !elt.hasAttribute("href")) return;
+    window.location._navigate(elt.href, "GET", null, null, false);
+}
+
 defineLazyProperty(impl, "HTMLAnchorElement", function() {
     function HTMLAnchorElement(doc, localName, prefix) {
         impl.HTMLElement.call(this, doc, localName, prefix);
@@ -285,18 +395,13 @@ defineLazyProperty(impl, "HTMLAnchorElement", function() {
 
     HTMLAnchorElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLAnchorElement"),
+        href: hyperlinkHref(),
 
         _post_click_activation_steps: constant(function(e) {
-            if (this.href) {
-                // Follow the link
-                // XXX: this is just a quick hack
-                // XXX: the HTML spec probably requires more than this
-                this.ownerDocument.defaultView.location = this.href;
-            }
+            followHyperlink(this);
         })
     });
 
-    // XXX impl.Element.reflectURLAttribute(HTMLAnchorElement, "href");
     // XXX impl.Element.reflectURLAttribute(HTMLAnchorElement, "ping");
     impl.Element.reflectStringAttribute(HTMLAnchorElement, "download");
     impl.Element.reflectStringAttribute(HTMLAnchorElement, "target");
@@ -304,7 +409,7 @@ defineLazyProperty(impl, "HTMLAnchorElement", function() {
     impl.Element.reflectStringAttribute(HTMLAnchorElement, "media");
     impl.Element.reflectStringAttribute(HTMLAnchorElement, "hreflang");
     impl.Element.reflectStringAttribute(HTMLAnchorElement, "type");
-    // XXX: also reflect relList
+    impl.Element.reflectTokenListAttribute(HTMLAnchorElement, "rel", "relList");
 
     return HTMLAnchorElement;
 });
@@ -316,9 +421,13 @@ defineLazyProperty(impl, "HTMLAreaElement", function() {
 
     HTMLAreaElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLAreaElement"),
+        href: hyperlinkHref(),
+
+        _post_click_activation_steps: constant(function(e) {
+            followHyperlink(this);
+        })
     });
 
-    // XXX impl.Element.reflectURLAttribute(HTMLAreaElement, "href");
     // XXX impl.Element.reflectURLAttribute(HTMLAreaElement, "ping");
     impl.Element.reflectStringAttribute(HTMLAreaElement, "alt");
     impl.Element.reflectStringAttribute(HTMLAreaElement, "target");
@@ -329,7 +438,7 @@ defineLazyProperty(impl, "HTMLAreaElement", function() {
     impl.Element.reflectStringAttribute(HTMLAreaElement, "type");
     impl.Element.reflectStringAttribute(HTMLAreaElement, "shape");
     impl.Element.reflectStringAttribute(HTMLAreaElement, "coords");
-    // XXX: also reflect relList
+    impl.Element.reflectTokenListAttribute(HTMLAreaElement, "rel", "relList");
 
     return HTMLAreaElement;
 });
@@ -370,31 +479,28 @@ defineLazyProperty(impl, "HTMLBodyElement", function() {
     });
 
 
-    // Certain event handler attributes on a <body> tag actually set
-    // handlers for the window rather than just that element.  Define
-    // getters and setters for those here.  Note that some of these override
-    // properties on HTMLElement.prototype.
+    // The WindowEventHandlers attributes on a <body> tag, and the onblur,
+    // onerror, onfocus, onload and onscroll attributes, which override
+    // the properties on HTMLElement.prototype, are the event handlers of
+    // the window rather than of the element.  They are null, and setting
+    // them does nothing, if the document has no window.  Content
+    // attributes set them through the IDL attributes, so they go to the
+    // window too.  See src/impl/EventTarget.js
     // XXX: If I add support for <frameset>, these have to go there, too
-    // XXX
-    // When the Window object is implemented, these attribute will have
-    // to work with the same-named attributes on the Window.
-
-    var eventHandlerTypes = [
-        "afterprint", "beforeprint", "beforeunload", "blur", "error",
-        "focus","hashchange", "load", "message", "offline", "online",
-        "pagehide", "pageshow","popstate","resize","scroll","storage","unload",
-    ];
+    var eventHandlerTypes = concat(windowEventHandlerTypes, [
+        "blur", "error", "focus", "load", "scroll"
+    ]);
 
     eventHandlerTypes.forEach(function(type) {
         // Define the event handler registration IDL attribute for this type
         Object.defineProperty(HTMLBodyElement.prototype, "on" + type, {
             get: function() {
-                // XXX: read these from the Window object instead?
-                return this._getEventHandler(type);
+                var window = this.ownerDocument.defaultView;
+                return window ? window._getEventHandler(type) : null;
             },
             set: function(v) {
-                // XXX: write to the Window object instead?
-                this._setEventHandler(type, v);
+                var window = this.ownerDocument.defaultView;
+                if (window) window._setEventHandler(type, v);
             },
         });
 
@@ -424,8 +530,24 @@ defineLazyProperty(impl, "HTMLButtonElement", function() {
 
     HTMLButtonElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLButtonElement"),
+        form: attribute(function() { return formOwner(this); }),
+
+        // Submit and reset buttons submit or reset their form owner
+        _post_click_activation_steps: constant(function(e) {
+            var form = formOwner(this);
+            if (!form || isActuallyDisabled(this)) return;
+            if (isSubmitButton(this)) form._submit(this, false);
+            else if (this.type === "reset") form.reset();
+        }),
+
+        // Only submit buttons are validated, and only for custom errors
+        _barredFromValidation: constant(function() {
+            return this.type !== "submit";
+        }),
     });
 
+    defineConstraintValidation(HTMLButtonElement);
+
     impl.Element.reflectStringAttribute(HTMLButtonElement, "name");
     impl.Element.reflectBooleanAttribute(HTMLButtonElement, "disabled");
     impl.Element.reflectBooleanAttribute(HTMLButtonElement, "autofocus");
@@ -555,8 +677,13 @@ defineLazyProperty(impl, "HTMLFieldSetElement", function() {
 
     HTMLFieldSetElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLFieldSetElement"),
+
+        // These elements are never candidates for constraint validation
+        _barredFromValidation: constant(function() { return true; }),
     });
 
+    defineConstraintValidation(HTMLFieldSetElement);
+
     impl.Element.reflectBooleanAttribute(HTMLFieldSetElement, "disabled");
     impl.Element.reflectStringAttribute(HTMLFieldSetElement, "name");
 
@@ -570,6 +697,75 @@ defineLazyProperty(impl, "HTMLFormElement", function() {
 
     HTMLFormElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLFormElement"),
+
+        // The action attribute, resolved, or the document's address
+        action: attribute(
+            function() {
+                var action = this._getattr("action");
+                return action ? resolveURL(this, action)
+                    : this.ownerDocument._address;
+            },
+            function(v) { this._setattr("action", v); }),
+
+        elements: attribute(function() {
+            if (!this._elements)
+                this._elements = new FormControlsCollection(this);
+            return this._elements;
+        }),
+
+        length: attribute(function() { return this.elements.length; }),
+
+        submit: constant(function submit() {
+            this._submit(null, true);
+        }),
+
+        checkValidity: constant(function checkValidity() {
+            return staticallyValidate(this);
+        }),
+
+        // The form submission algorithm.  submitter is the submit button
+        // that was activated, or null.  Forms submitted by the submit()
+        // method aren't validated and don't fire a submit event.
+        _submit: constant(function(submitter, fromSubmitMethod) {
+            var doc = this.ownerDocument, window = doc.defaultView;
+            if (!window) return;
+
+            if (!fromSubmitMethod) {
+                // Invalid forms aren't submitted, unless the form or the
+                // submitter says not to validate them
+                var novalidate = this.hasAttribute("novalidate") ||
+                    (submitter && submitter.hasAttribute("formnovalidate"));
+                if (!novalidate && !staticallyValidate(this)) return;
+
+                var event = new impl.Event("submit",
+                                           { bubbles: true, cancelable: true });
+                if (!this._dispatchEvent(event, true)) return;
+                // The event handler could have moved the form
+                if (this.ownerDocument !== doc) return;
+            }
+
+            var request = formSubmissionRequest(this, submitter);
+
+            // Plan to navigate: a later submission replaces this one
+            var form = this, plan = this._plannedNavigation = {};
+            window._eventLoop.queueTask(function() {
+                if (form._plannedNavigation !== plan) return;
+                form._plannedNavigation = null;
+                window._submitForm(request);
+            });
+        }),
+
+        // Fire a reset event, and unless it is cancelled, reset each of
+        // the form's controls
+        reset: constant(function reset() {
+            var event = new impl.Event("reset",
+                                       { bubbles: true, cancelable: true });
+            if (!this._dispatchEvent(event, true)) return;
+            var controls = formElements(this);
+            for(var i = 0, n = controls.length; i < n; i++) {
+                if (controls[i]._reset) controls[i]._reset();
+            }
+        }),
     });
 
     impl.Element.reflectEnumeratedAttribute(HTMLFormElement, "autocomplete",
@@ -698,99 +894,7 @@ defineLazyProperty(impl, "HTMLImageElement", function() {
     return HTMLImageElement;
 });
 
-defineLazyProperty(impl, "HTMLInputElement", function() {
-    function HTMLInputElement(doc, localName, prefix) {
-        impl.HTMLElement.call(this, doc, localName, prefix);
-    }
-
-    HTMLInputElement.prototype = O.create(impl.HTMLElement.prototype, {
-        _idlName: constant("HTMLInputElement"),
-    });
-
-
-    impl.Element.reflectStringAttribute(HTMLInputElement, "name");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement, "disabled");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement, "autofocus");
-
-    impl.Element.reflectStringAttribute(HTMLInputElement, "accept");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "alt");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "max");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "min");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "pattern");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "placeholder");
-    impl.Element.reflectStringAttribute(HTMLInputElement, "step");
-    impl.Element.reflectStringAttribute(HTMLInputElement,
-                                        "dirname", "dirName");
-    impl.Element.reflectStringAttribute(HTMLInputElement,
-                                        "value", "defaultValue");
-
-    impl.Element.reflectBooleanAttribute(HTMLInputElement, "multiple");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement, "required");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement,
-                                         "readonly", "readOnly");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement,
-                                        "checked", "defaultChecked");
-
-    impl.Element.reflectIntegerAttribute(HTMLInputElement, "size", 20, null,
-                                         1, null, 1);
-    impl.Element.reflectIntegerAttribute(HTMLInputElement, "maxlength", -1,
-                                         "maxLength", 0, null, 0);
-
-    // impl.Element.reflectURLAttribute(HTMLInputElement, "src");
-
-    impl.Element.reflectEnumeratedAttribute(HTMLInputElement, "autocomplete",
-                                            null,
-                                            {
-                                                on: "on",
-                                                off: "off"
-                                            });
-
-    impl.Element.reflectEnumeratedAttribute(HTMLInputElement, "type", null,
-                                            {
-                                                hidden: "hidden",
-                                                text: "text",
-                                                search: "search",
-                                                tel: "tel",
-                                                url: "url",
-                                                email: "email",
-                                                password: "password",
-                                                datetime: "datetime",
-                                                date: "date",
-                                                month: "month",
-                                                week: "week",
-                                                time: "time",
-                                                "datetime-local": "datetime-local",
-                                                number: "number",
-                                                range: "range",
-                                                color: "color",
-                                                checkbox: "checkbox",
-                                                radio: "radio",
-                                                file: "file",
-                                                submit: "submit",
-                                                image: "image",
-                                                reset: "reset",
-                                                button: "button",
-                                            }, "text");
-
-
-    impl.Element.reflectStringAttribute(HTMLInputElement,
-                                        "formtarget", "formTarget");
-    impl.Element.reflectBooleanAttribute(HTMLInputElement,
-                                         "formnovalidate", "formNoValidate");
-    impl.Element.reflectEnumeratedAttribute(HTMLInputElement,
-                                            "formmethod", "formMethod", {
-                                                get: "get",
-                                                post: "post"
-                                            }, "get");
-    impl.Element.reflectEnumeratedAttribute(HTMLInputElement,
-                                            "formenctype", "formEnctype", {
-        "application/x-www-form-urlencoded":"application/x-www-form-urlencoded",
-        "multipart/form-data":"multipart/form-data",
-        "text/plain": "text/plain"
-    }, "application/x-www-form-urlencoded");
-
-    return HTMLInputElement;
-});
+// HTMLInputElement used to be here, but now has its own file.
 
 defineLazyProperty(impl, "HTMLKeygenElement", function() {
     function HTMLKeygenElement(doc, localName, prefix) {
@@ -799,8 +903,13 @@ defineLazyProperty(impl, "HTMLKeygenElement", function() {
 
     HTMLKeygenElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLKeygenElement"),
+
+        // These elements are never candidates for constraint validation
+        _barredFromValidation: constant(function() { return true; }),
     });
 
+    defineConstraintValidation(HTMLKeygenElement);
+
     impl.Element.reflectStringAttribute(HTMLKeygenElement, "name");
     impl.Element.reflectBooleanAttribute(HTMLKeygenElement, "disabled");
     impl.Element.reflectBooleanAttribute(HTMLKeygenElement, "autofocus");
@@ -833,6 +942,39 @@ defineLazyProperty(impl, "HTMLLabelElement", function() {
 
     HTMLLabelElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLLabelElement"),
+
+        // The labeled control is the labelable element whose id is the
+        // for attribute, or else the first labelable descendant
+        control: attribute(function() {
+            var id = this._getattr("for"), control = null;
+            if (id !== null) {
+                eachDescendantElement(treeRoot(this), function(e) {
+                    if (!control && e._getattr("id") === id) control = e;
+                });
+                return control && isLabelable(control) ? control : null;
+            }
+            eachDescendantElement(this, function(e) {
+                if (!control && isLabelable(e)) control = e;
+            });
+            return control;
+        }),
+
+        form: attribute(function() {
+            var control = this.control;
+            if (!control || !listedElements[control.localName]) return null;
+            return formOwner(control);
+        }),
+
+        // Clicking a label focuses and clicks its control, unless the
+        // click was on the control itself
+        _post_click_activation_steps: constant(function(e) {
+            var control = this.control;
+            if (!control) return;
+            for(var n = e.target; n; n = n.parentNode)
+                if (n === control) return;
+            control.focus();
+            control.click();
+        }),
     });
 
     impl.Element.reflectStringAttribute(HTMLLabelElement, "for", "htmlFor");
@@ -862,11 +1004,13 @@ defineLazyProperty(impl, "HTMLLinkElement", function() {
     });
 
     // XXX: still have to reflect URL attribute href
-    // and DOMSettableTokenList sizes also DOMTokenList relList
     impl.Element.reflectStringAttribute(HTMLLinkElement, "rel");
     impl.Element.reflectStringAttribute(HTMLLinkElement, "media");
     impl.Element.reflectStringAttribute(HTMLLinkElement, "hreflang");
     impl.Element.reflectStringAttribute(HTMLLinkElement, "type");
+    impl.Element.reflectTokenListAttribute(HTMLLinkElement, "rel", "relList");
+    impl.Element.reflectTokenListAttribute(HTMLLinkElement, "sizes", "sizes",
+                                           true);
 
 
 
@@ -991,8 +1135,13 @@ defineLazyProperty(impl, "HTMLObjectElement", function() {
 
     HTMLObjectElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLObjectElement"),
+
+        // These elements are never candidates for constraint validation
+        _barredFromValidation: constant(function() { return true; }),
     });
 
+    defineConstraintValidation(HTMLObjectElement);
+
     // impl.Element.reflectURLAttribute(HTMLObjectElement, "data");
     impl.Element.reflectStringAttribute(HTMLObjectElement, "type");
     impl.Element.reflectStringAttribute(HTMLObjectElement, "name");
@@ -1012,6 +1161,14 @@ defineLazyProperty(impl, "HTMLOptGroupElement", function() {
 
     HTMLOptGroupElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLOptGroupElement"),
+
+        // An option inserted with its selectedness set deselects the
+        // others in a single select
+        _addchildhook: constant(function(child) {
+            if (child instanceof impl.HTMLOptionElement &&
+                child._selectedness)
+                child._deselectOthers();
+        }),
     });
 
     impl.Element.reflectBooleanAttribute(HTMLOptGroupElement, "disabled");
@@ -1023,16 +1180,109 @@ defineLazyProperty(impl, "HTMLOptGroupElement", function() {
 defineLazyProperty(impl, "HTMLOptionElement", function() {
     function HTMLOptionElement(doc, localName, prefix) {
         impl.HTMLElement.call(this, doc, localName, prefix);
+        this._selectedness = false;
+        this._dirtiness = false;
+    }
+
+    // Return the text of the element's descendants, other than those in
+    // scripts, with whitespace stripped and collapsed
+    function optionText(option) {
+        var s = "";
+        function collect(n) {
+            for(var kid = n.firstChild; kid; kid = kid.nextSibling) {
+                if (kid.nodeType === TEXT_NODE)
+                    s += kid.data;
+                else if (kid.nodeType === ELEMENT_NODE &&
+                         kid.localName !== "script")
+                    collect(kid);
+            }
+        }
+        collect(option);
+        s = replace(s, /[ \t\n\f\r]+/g, " ");
+        return replace(s, /^ | $/g, "");
     }
 
     HTMLOptionElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLOptionElement"),
+
+        // Return the select element this option belongs to, if any
+        _select: constant(function() {
+            var p = this.parentNode;
+            if (p instanceof impl.HTMLOptGroupElement) p = p.parentNode;
+            return p instanceof impl.HTMLSelectElement ? p : null;
+        }),
+
+        // In a single select, only one option can be selected
+        _deselectOthers: constant(function() {
+            var select = this._select();
+            if (!select || select.multiple) return;
+            var options = select._options();
+            for(var i = 0, n = options.length; i < n; i++) {
+                if (options[i] !== this) options[i]._selectedness = false;
+            }
+        }),
+
+        _disabled: attribute(function() {
+            if (this.hasAttribute("disabled")) return true;
+            var p = this.parentNode;
+            return p instanceof impl.HTMLOptGroupElement &&
+                p.hasAttribute("disabled");
+        }),
+
+        form: attribute(function() {
+            var select = this._select();
+            return select ? formOwner(select) : null;
+        }),
+
+        selected: attribute(
+            function() {
+                var select = this._select();
+                if (select) select._askForReset();
+                return this._selectedness;
+            },
+            function(v) {
+                this._dirtiness = true;
+                this._selectedness = v;
+                if (v) this._deselectOthers();
+            }),
+
+        value: attribute(
+            function() {
+                var v = this._getattr("value");
+                return v === null ? this.text : v;
+            },
+            function(v) { this._setattr("value", v); }),
+
+        text: attribute(
+            function() { return optionText(this); },
+            function(v) { this.textContent = v; }),
+
+        label: attribute(
+            function() {
+                var v = this._getattr("label");
+                return v ? v : this.text;
+            },
+            function(v) { this._setattr("label", v); }),
+
+        index: attribute(function() {
+            var select = this._select();
+            if (!select) return 0;
+            return A.indexOf(select._options(), this);
+        }),
     });
 
+    // Until the selectedness is changed directly, it follows the selected
+    // content attribute
+    impl.Element.registerAttributeChangeHandler(HTMLOptionElement, "selected",
+        function(element, lname, oldval, newval) {
+            if (element._dirtiness) return;
+            element._selectedness = newval !== null;
+            if (newval !== null) element._deselectOthers();
+        });
+
     impl.Element.reflectBooleanAttribute(HTMLOptionElement, "disabled");
     impl.Element.reflectBooleanAttribute(HTMLOptionElement,
                                          "selected", "defaultSelected");
-    impl.Element.reflectStringAttribute(HTMLOptionElement, "label");
 
     return HTMLOptionElement;
 });
@@ -1044,9 +1294,15 @@ defineLazyProperty(impl, "HTMLOutputElement", function() {
 
     HTMLOutputElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLOutputElement"),
+
+        // These elements are never candidates for constraint validation
+        _barredFromValidation: constant(function() { return true; }),
     });
 
-    // XXX Reflect for/htmlFor as a settable token list
+    defineConstraintValidation(HTMLOutputElement);
+
+    impl.Element.reflectTokenListAttribute(HTMLOutputElement, "for", "htmlFor",
+                                           true);
     impl.Element.reflectStringAttribute(HTMLOutputElement, "name");
 
     return HTMLOutputElement;
@@ -1125,8 +1381,178 @@ defineLazyProperty(impl, "HTMLSelectElement", function() {
 
     HTMLSelectElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLSelectElement"),
+
+        form: attribute(function() { return formOwner(this); }),
+
+        type: attribute(function() {
+            return this.multiple ? "select-multiple" : "select-one";
+        }),
+
+        // The list of options: option children, and the option children
+        // of optgroup children, in tree order
+        _options: constant(function() {
+            var options = [];
+            for(var kid = this.firstChild; kid; kid = kid.nextSibling) {
+                if (kid instanceof impl.HTMLOptionElement) {
+                    push(options, kid);
+                }
+                else if (kid instanceof impl.HTMLOptGroupElement) {
+                    for(var o = kid.firstChild; o; o = o.nextSibling) {
+                        if (o instanceof impl.HTMLOptionElement)
+                            push(options, o);
+                    }
+                }
+            }
+            return options;
+        }),
+
+        options: attribute(function() {
+            if (!this._optionsCollection)
+                this._optionsCollection = new OptionsCollection(this);
+            return this._optionsCollection;
+        }),
+
+        selectedOptions: attribute(function() {
+            if (!this._selectedOptions)
+                this._selectedOptions = new SelectedOptionsCollection(this);
+            return this._selectedOptions;
+        }),
+
+        length: attribute(
+            function() { return this.options.length; },
+            function(v) { this.options.length = v; }),
+
+        namedItem: constant(function namedItem(name) {
+            return this.options.namedItem(name);
+        }),
+
+        add: constant(function add(element, before) {
+            this.options.add(element, before);
+        }),
+
+        // The bindings always pass an index.  Without one, this is
+        // Node.remove(), which the tree mutation code relies on.
+        remove: constant(function remove(index) {
+            if (arguments.length === 0)
+                call(impl.Node.prototype.remove, this);
+            else
+                this.options.remove(index);
+        }),
+
+        _displaySize: attribute(function() {
+            var size = this.size;
+            return size > 0 ? size : (this.multiple ? 4 : 1);
+        }),
+
+        // The selectedness setting algorithm.  A drop-down select always
+        // has exactly one option selected, if it has any that are not
+        // disabled.  Rather than running this whenever options are
+        // inserted or removed, we run it before the selectedness is read.
+        _askForReset: constant(function() {
+            if (this.multiple || this._displaySize !== 1) return;
+            var options = this._options(), selected = null, i, n;
+            for(i = 0, n = options.length; i < n; i++) {
+                if (!options[i]._selectedness) continue;
+                if (selected) selected._selectedness = false;
+                selected = options[i];
+            }
+            if (selected) return;
+            for(i = 0, n = options.length; i < n; i++) {
+                if (!options[i]._disabled) {
+                    options[i]._selectedness = true;
+                    break;
+                }
+            }
+        }),
+
+        _addchildhook: constant(function(child) {
+            if (child instanceof impl.HTMLOptionElement) {
+                if (child._selectedness) child._deselectOthers();
+            }
+            else if (child instanceof impl.HTMLOptGroupElement) {
+                for(var o = child.firstChild; o; o = o.nextSibling) {
+                    if (o instanceof impl.HTMLOptionElement &&
+                        o._selectedness)
+                        o._deselectOthers();
+                }
+            }
+        }),
+
+        selectedIndex: attribute(
+            function() {
+                this._askForReset();
+                var options = this._options();
+                for(var i = 0, n = options.length; i < n; i++) {
+                    if (options[i]._selectedness) return i;
+                }
+                return -1;
+            },
+            function(index) {
+                var options = this._options();
+                for(var i = 0, n = options.length; i < n; i++) {
+                    options[i]._selectedness = false;
+                }
+                if (index >= 0 && index < options.length) {
+                    options[index]._selectedness = true;
+                    options[index]._dirtiness = true;
+                }
+            }),
+
+        value: attribute(
+            function() {
+                var index = this.selectedIndex;
+                return index === -1 ? "" : this._options()[index].value;
+            },
+            function(v) {
+                var options = this._options(), found = false;
+                for(var i = 0, n = options.length; i < n; i++) {
+                    var option = options[i];
+                    if (!found && option.value === v) {
+                        option._selectedness = true;
+                        option._dirtiness = true;
+                        found = true;
+                    }
+                    else {
+                        option._selectedness = false;
+                    }
+                }
+            }),
+
+        // The reset algorithm, for form.reset()
+        _reset: constant(function() {
+            var options = this._options();
+            for(var i = 0, n = options.length; i < n; i++) {
+                options[i]._selectedness = options[i].hasAttribute("selected");
+                options[i]._dirtiness = false;
+            }
+            this._askForReset();
+        }),
+
+        // A required select is missing its value if no option is selected,
+        // or if only the placeholder label option is
+        _suffersFrom: constant(function(flag) {
+            if (flag !== "valueMissing" || !this.hasAttribute("required"))
+                return false;
+            var options = this._options(), selected = [];
+            for(var i = 0, n = options.length; i < n; i++)
+                if (options[i].selected) push(selected, options[i]);
+            if (selected.length === 0) return true;
+            return selected.length === 1 && selected[0] === options[0] &&
+                this._hasPlaceholderLabelOption();
+        }),
+
+        // The placeholder label option is a first option with an empty
+        // value, in a drop-down select that isn't multiple
+        _hasPlaceholderLabelOption: constant(function() {
+            if (this.multiple || this._displaySize !== 1) return false;
+            var first = this._options()[0];
+            return first !== undefined && first.parentNode === this &&
+                first.value === "";
+        }),
     });
 
+    defineConstraintValidation(HTMLSelectElement);
+
     impl.Element.reflectStringAttribute(HTMLSelectElement, "name");
     impl.Element.reflectBooleanAttribute(HTMLSelectElement, "disabled");
     impl.Element.reflectBooleanAttribute(HTMLSelectElement, "autofocus");
@@ -1201,6 +1627,12 @@ defineLazyProperty(impl, "HTMLTableCellElement", function() {
 
     HTMLTableCellElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLTableCellElement"),
+
+        cellIndex: attribute(function() {
+            var row = this.parentNode;
+            if (!row || !isHTMLElement(row, "tr")) return -1;
+            return A.indexOf(rowCells(row), this);
+        }),
     });
 
     impl.Element.reflectIntegerAttribute(HTMLTableCellElement, "colspan", 1,
@@ -1236,6 +1668,137 @@ defineLazyProperty(impl, "HTMLTableElement", function() {
 
     HTMLTableElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLTableElement"),
+
+        caption: attribute(
+            function() { return firstChildElement(this, "caption"); },
+            function(v) {
+                if (v !== null && !isHTMLElement(v, "caption"))
+                    HierarchyRequestError();
+                this.deleteCaption();
+                if (v) this.insertBefore(v, this.firstChild);
+            }),
+
+        createCaption: constant(function createCaption() {
+            var caption = this.caption;
+            if (!caption) {
+                caption = this.ownerDocument.createElement("caption");
+                this.insertBefore(caption, this.firstChild);
+            }
+            return caption;
+        }),
+
+        deleteCaption: constant(function deleteCaption() {
+            var caption = this.caption;
+            if (caption) this.removeChild(caption);
+        }),
+
+        // A thead goes before the first child element that isn't a caption
+        // or colgroup
+        tHead: attribute(
+            function() { return firstChildElement(this, "thead"); },
+            function(v) {
+                if (v !== null && !isHTMLElement(v, "thead"))
+                    HierarchyRequestError();
+                this.deleteTHead();
+                if (v) this._insertTHead(v);
+            }),
+
+        _insertTHead: constant(function(thead) {
+            var kid = this.firstChild;
+            while(kid && (kid.nodeType !== ELEMENT_NODE ||
+                          isHTMLElement(kid, "caption") ||
+                          isHTMLElement(kid, "colgroup")))
+                kid = kid.nextSibling;
+            this.insertBefore(thead, kid);
+        }),
+
+        createTHead: constant(function createTHead() {
+            var thead = this.tHead;
+            if (!thead) {
+                thead = this.ownerDocument.createElement("thead");
+                this._insertTHead(thead);
+            }
+            return thead;
+        }),
+
+        deleteTHead: constant(function deleteTHead() {
+            var thead = this.tHead;
+            if (thead) this.removeChild(thead);
+        }),
+
+        tFoot: attribute(
+            function() { return firstChildElement(this, "tfoot"); },
+            function(v) {
+                if (v !== null && !isHTMLElement(v, "tfoot"))
+                    HierarchyRequestError();
+                this.deleteTFoot();
+                if (v) this.appendChild(v);
+            }),
+
+        createTFoot: constant(function createTFoot() {
+            var tfoot = this.tFoot;
+            if (!tfoot) {
+                tfoot = this.ownerDocument.createElement("tfoot");
+                this.appendChild(tfoot);
+            }
+            return tfoot;
+        }),
+
+        deleteTFoot: constant(function deleteTFoot() {
+            var tfoot = this.tFoot;
+            if (tfoot) this.removeChild(tfoot);
+        }),
+
+        tBodies: attribute(function() {
+            if (!this._tBodies) {
+                this._tBodies = new impl.ElementCollection(this,
+                    function(table) { return childElements(table, "tbody"); });
+            }
+            return this._tBodies;
+        }),
+
+        // A new tbody goes after the last tbody child
+        createTBody: constant(function createTBody() {
+            var tbody = this.ownerDocument.createElement("tbody");
+            var tbodies = childElements(this, "tbody");
+            var last = tbodies[tbodies.length - 1];
+            this.insertBefore(tbody, last ? last.nextSibling : null);
+            return tbody;
+        }),
+
+        rows: attribute(function() {
+            if (!this._rows)
+                this._rows = new impl.ElementCollection(this, tableRows);
+            return this._rows;
+        }),
+
+        // New rows go into the section of the row they are inserted
+        // before, or at the end of the section of the last row.  A table
+        // without rows gets them in its last tbody, or in a new one.
+        insertRow: constant(function insertRow(index) {
+            var rows = tableRows(this);
+            index = insertionIndex(index, rows.length);
+            var row = this.ownerDocument.createElement("tr");
+
+            if (rows.length === 0) {
+                var tbodies = childElements(this, "tbody");
+                var tbody = tbodies.length
+                    ? tbodies[tbodies.length - 1]
+                    : this.appendChild(this.ownerDocument.createElement("tbody"));
+                tbody.appendChild(row);
+            }
+            else if (index === rows.length) {
+                rows[index - 1].parentNode.appendChild(row);
+            }
+            else {
+                rows[index].parentNode.insertBefore(row, rows[index]);
+            }
+            return row;
+        }),
+
+        deleteRow: constant(function deleteRow(index) {
+            deleteAtIndex(tableRows(this), index);
+        }),
     });
 
     impl.Element.reflectStringAttribute(HTMLTableElement, "border");
@@ -1250,6 +1813,47 @@ defineLazyProperty(impl, "HTMLTableRowElement", function() {
 
     HTMLTableRowElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLTableRowElement"),
+
+        // The index of the row in its table's rows, or -1 if it isn't in
+        // a table
+        rowIndex: attribute(function() {
+            var parent = this.parentNode;
+            if (!parent) return -1;
+            if (isHTMLElement(parent, "thead") ||
+                isHTMLElement(parent, "tbody") ||
+                isHTMLElement(parent, "tfoot"))
+                parent = parent.parentNode;
+            if (!parent || !isHTMLElement(parent, "table")) return -1;
+            return A.indexOf(tableRows(parent), this);
+        }),
+
+        // The index of the row in its section's rows, or in its table's
+        // rows if it is a child of the table
+        sectionRowIndex: attribute(function() {
+            var parent = this.parentNode;
+            if (!parent) return -1;
+            if (isHTMLElement(parent, "table"))
+                return A.indexOf(tableRows(parent), this);
+            if (isHTMLElement(parent, "thead") ||
+                isHTMLElement(parent, "tbody") ||
+                isHTMLElement(parent, "tfoot"))
+                return A.indexOf(sectionRows(parent), this);
+            return -1;
+        }),
+
+        cells: attribute(function() {
+            if (!this._cells)
+                this._cells = new impl.ElementCollection(this, rowCells);
+            return this._cells;
+        }),
+
+        insertCell: constant(function insertCell(index) {
+            return insertAtIndex(this, rowCells(this), index, "td");
+        }),
+
+        deleteCell: constant(function deleteCell(index) {
+            deleteAtIndex(rowCells(this), index);
+        }),
     });
 
     return HTMLTableRowElement;
@@ -1262,6 +1866,20 @@ defineLazyProperty(impl, "HTMLTableSectionElement", function() {
 
     HTMLTableSectionElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLTableSectionElement"),
+
+        rows: attribute(function() {
+            if (!this._rows)
+                this._rows = new impl.ElementCollection(this, sectionRows);
+            return this._rows;
+        }),
+
+        insertRow: constant(function insertRow(index) {
+            return insertAtIndex(this, sectionRows(this), index, "tr");
+        }),
+
+        deleteRow: constant(function deleteRow(index) {
+            deleteAtIndex(sectionRows(this), index);
+        }),
     });
 
     return HTMLTableSectionElement;
@@ -1270,12 +1888,75 @@ defineLazyProperty(impl, "HTMLTableSectionElement", function() {
 defineLazyProperty(impl, "HTMLTextAreaElement", function() {
     function HTMLTextAreaElement(doc, localName, prefix) {
         impl.HTMLElement.call(this, doc, localName, prefix);
+        this._rawValue = "";
+        this._dirtyValue = false;
     }
 
     HTMLTextAreaElement.prototype = O.create(impl.HTMLElement.prototype, {
         _idlName: constant("HTMLTextAreaElement"),
+
+        form: attribute(function() { return formOwner(this); }),
+
+        type: constant("textarea"),
+
+        // The default value is the element's text content
+        defaultValue: attribute(
+            function() { return this.textContent; },
+            function(v) { this.textContent = v; }),
+
+        // Until the value is set, it follows the default value
+        value: attribute(
+            function() {
+                return this._dirtyValue
+                    ? this._rawValue
+                    : normalizeNewlines(this.defaultValue);
+            },
+            function(v) {
+                var old = this.value;
+                this._rawValue = normalizeNewlines(v);
+                this._dirtyValue = true;
+                if (this._rawValue !== old) this._selectToEnd();
+            }),
+
+        textLength: attribute(function() { return this.value.length; }),
+
+        _selectionApplies: constant(function() { return true; }),
+
+        _barredFromValidation: constant(function() {
+            return this.hasAttribute("readonly");
+        }),
+
+        _suffersFrom: constant(function(flag) {
+            switch(flag) {
+            case "valueMissing":
+                return this.hasAttribute("required") && this.value === "";
+            case "tooLong":
+                // Only values that have been changed can be too long
+                var max = this.maxLength;
+                return this._dirtyValue && max >= 0 &&
+                    this.value.length > max;
+            }
+            return false;
+        }),
+
+        // The reset algorithm, for form.reset()
+        _reset: constant(function() {
+            this._dirtyValue = false;
+            this._rawValue = "";
+        }),
+
+        // Clones copy the state of the control
+        clone: constant(function clone() {
+            var e = impl.HTMLElement.prototype.clone.call(this);
+            e._rawValue = this._rawValue;
+            e._dirtyValue = this._dirtyValue;
+            return e;
+        }),
     });
 
+    defineTextSelection(HTMLTextAreaElement);
+    defineConstraintValidation(HTMLTextAreaElement);
+
 
     impl.Element.reflectStringAttribute(HTMLTextAreaElement, "name");
     impl.Element.reflectBooleanAttribute(HTMLTextAreaElement, "disabled");
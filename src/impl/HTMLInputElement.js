@@ -0,0 +1,758 @@
+//
+// This file implements HTMLInputElement, which used to be in
+// src/impl/HTMLElement.js.  Most of this file is about the state of the
+// control: its value and checkedness, and how they depend on the type
+// attribute.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/the-input-element.html
+//
+defineLazyProperty(impl, "HTMLInputElement", function() {
+    function HTMLInputElement(doc, localName, prefix) {
+        impl.HTMLElement.call(this, doc, localName, prefix);
+        this._value = "";
+        this._dirtyValue = false;
+        this._checkedness = false;
+        this._dirtyCheckedness = false;
+        this._indeterminate = false;
+    }
+
+    const types = {
+        hidden: "hidden",
+        text: "text",
+        search: "search",
+        tel: "tel",
+        url: "url",
+        email: "email",
+        password: "password",
+        datetime: "datetime",
+        date: "date",
+        month: "month",
+        week: "week",
+        time: "time",
+        "datetime-local": "datetime-local",
+        number: "number",
+        range: "range",
+        color: "color",
+        checkbox: "checkbox",
+        radio: "radio",
+        file: "file",
+        submit: "submit",
+        image: "image",
+        reset: "reset",
+        button: "button",
+    };
+
+    // Return the type state for a value of the type attribute
+    function typeState(v) {
+        if (v === null) return "text";
+        v = toLowerCase(v);
+        return hasOwnProperty(types, v) ? types[v] : "text";
+    }
+
+    // The value IDL attribute has one of four modes, depending on the
+    // type.  Types that aren't listed here use the "value" mode.
+    const valueModes = {
+        hidden: "default",
+        submit: "default",
+        image: "default",
+        reset: "default",
+        button: "default",
+        checkbox: "default/on",
+        radio: "default/on",
+        file: "filename"
+    };
+
+    function valueMode(type) {
+        return valueModes[type] || "value";
+    }
+
+    // The types of text fields whose form is submitted when Enter is
+    // pressed in them.  A form with more than one of these fields is
+    // only submitted that way if it has a submit button.
+    const implicitSubmissionTypes = {
+        text: true, search: true, url: true, tel: true, email: true,
+        password: true, datetime: true, date: true, month: true, week: true,
+        time: true, "datetime-local": true, number: true
+    };
+
+    // The types that the text selection API applies to
+    const selectableTypes = {
+        text: true, search: true, url: true, tel: true, password: true
+    };
+
+    //
+    // Value sanitization.  Each type that has a value sanitization
+    // algorithm has a function here that takes the value and the element.
+    //
+    const FLOAT = /^-?(?:[0-9]+|[0-9]*\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/;
+    const DATE = /^([0-9]{4,})-([0-9]{2})-([0-9]{2})$/;
+    const MONTH = /^([0-9]{4,})-([0-9]{2})$/;
+    const WEEK = /^([0-9]{4,})-W([0-9]{2})$/;
+    const TIME = /^([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:\.([0-9]{1,3}))?)?$/;
+    const OFFSET = /^(?:Z|[-+]([0-9]{2}):([0-9]{2}))$/;
+
+    // Parse a valid floating-point number, or return null
+    function parseFloatValue(s) {
+        if (s === null || !test(FLOAT, s)) return null;
+        var v = Number(s);
+        return isFinite(v) ? v : null;
+    }
+
+    function stripNewlines(s) {
+        return replace(s, /[\r\n]/g, "");
+    }
+
+    function stripWhitespace(s) {
+        return replace(s, /^[ \t\n\f\r]+|[ \t\n\f\r]+$/g, "");
+    }
+
+    function daysInMonth(year, month) {
+        if (month === 2)
+            return (year % 400 === 0 || (year % 4 === 0 && year % 100 !== 0))
+                ? 29 : 28;
+        return (month === 4 || month === 6 || month === 9 || month === 11)
+            ? 30 : 31;
+    }
+
+    function isValidDate(s) {
+        var m = exec(DATE, s);
+        if (!m) return false;
+        var year = Number(m[1]), month = Number(m[2]), day = Number(m[3]);
+        return year > 0 && month >= 1 && month <= 12 &&
+            day >= 1 && day <= daysInMonth(year, month);
+    }
+
+    function isValidTime(s) {
+        var m = exec(TIME, s);
+        return m !== null && Number(m[1]) < 24 && Number(m[2]) < 60 &&
+            (m[3] === undefined || Number(m[3]) < 60);
+    }
+
+    // Return a time with the shortest representation of its seconds
+    function normalizeTime(s) {
+        var m = exec(TIME, s);
+        var time = m[1] + ":" + m[2];
+        var ms = m[4] ? replace(m[4], /0+$/, "") : "";
+        if (ms) return time + ":" + (m[3] || "00") + "." + ms;
+        if (m[3] && m[3] !== "00") return time + ":" + m[3];
+        return time;
+    }
+
+    // Split a date and time string at the T, or return null
+    function splitDateTime(s) {
+        var pos = S.indexOf(s, "T");
+        if (pos === -1) return null;
+        return [substring(s, 0, pos), substring(s, pos + 1)];
+    }
+
+    // A year has 53 weeks if it starts on a Thursday, or if it is a leap
+    // year that starts on a Wednesday
+    function weeksInYear(year) {
+        var d = new Date(0);
+        d.setUTCFullYear(year, 0, 1);
+        var day = d.getUTCDay();
+        return (day === 4 || (day === 3 && daysInMonth(year, 2) === 29))
+            ? 53 : 52;
+    }
+
+    const sanitizers = {
+        text: stripNewlines,
+        search: stripNewlines,
+        tel: stripNewlines,
+        password: stripNewlines,
+
+        url: function(v) {
+            return stripWhitespace(stripNewlines(v));
+        },
+
+        email: function(v, elt) {
+            v = stripWhitespace(stripNewlines(v));
+            if (elt.hasAttribute("multiple"))
+                v = join(map(split(v, ","), stripWhitespace), ",");
+            return v;
+        },
+
+        number: function(v) {
+            return parseFloatValue(v) === null ? "" : v;
+        },
+
+        range: function(v, elt) {
+            var min = parseFloatValue(elt._getattr("min"));
+            var max = parseFloatValue(elt._getattr("max"));
+            if (min === null) min = 0;
+            if (max === null) max = 100;
+            if (max < min) max = min;
+
+            var x = parseFloatValue(v);
+            if (x === null) x = min + (max - min) / 2;
+            if (x < min) x = min;
+            if (x > max) x = max;
+
+            // Round to the nearest allowed step, rounding up on ties,
+            // but don't step past the maximum
+            var stepattr = elt._getattr("step");
+            if (stepattr !== null && toLowerCase(stepattr) === "any")
+                return String(x);
+            var step = parseFloatValue(stepattr);
+            if (step === null || step <= 0) step = 1;
+            var n = Math.floor((x - min) / step + 0.5);
+            x = min + n * step;
+            if (x > max) x -= step;
+
+            // Avoid floating-point noise like 0.30000000000000004
+            var digits = Math.max(decimals(step), decimals(min));
+            return String(Number(x.toFixed(Math.min(digits, 20))));
+        },
+
+        color: function(v) {
+            return test(/^#[0-9a-fA-F]{6}$/, v) ? toLowerCase(v) : "#000000";
+        },
+
+        date: function(v) {
+            return isValidDate(v) ? v : "";
+        },
+
+        month: function(v) {
+            var m = exec(MONTH, v);
+            return m && Number(m[1]) > 0 && Number(m[2]) >= 1 &&
+                Number(m[2]) <= 12 ? v : "";
+        },
+
+        week: function(v) {
+            var m = exec(WEEK, v);
+            return m && Number(m[1]) > 0 && Number(m[2]) >= 1 &&
+                Number(m[2]) <= weeksInYear(Number(m[1])) ? v : "";
+        },
+
+        time: function(v) {
+            return isValidTime(v) ? v : "";
+        },
+
+        "datetime-local": function(v) {
+            var parts = splitDateTime(v);
+            if (!parts || !isValidDate(parts[0]) || !isValidTime(parts[1]))
+                return "";
+            return parts[0] + "T" + normalizeTime(parts[1]);
+        },
+
+        datetime: function(v) {
+            var parts = splitDateTime(v);
+            if (!parts || !isValidDate(parts[0])) return "";
+            var m = exec(/^([^Z+-]*)(.*)$/, parts[1]);
+            var offset = exec(OFFSET, m[2]);
+            if (!isValidTime(m[1]) || !offset) return "";
+            if (offset[1] !== undefined &&
+                (Number(offset[1]) > 23 || Number(offset[2]) > 59))
+                return "";
+            return v;
+        },
+    };
+
+    // Count the digits after the decimal point of a number
+    function decimals(x) {
+        var m = exec(/(?:\.([0-9]+))?(?:e([-+][0-9]+))?$/, String(x));
+        var n = (m[1] ? m[1].length : 0) - (m[2] ? Number(m[2]) : 0);
+        return n > 0 ? n : 0;
+    }
+
+    function sanitize(type, v, elt) {
+        var f = sanitizers[type];
+        return f ? f(v, elt) : v;
+    }
+
+    //
+    // Constraint validation.  These tables say which types the required,
+    // readonly, pattern and maxlength attributes apply to.
+    //
+    const textTypes = {
+        text: true, search: true, url: true, tel: true, email: true,
+        password: true
+    };
+
+    const dateAndNumberTypes = {
+        date: true, month: true, week: true, time: true,
+        "datetime-local": true, datetime: true, number: true
+    };
+
+    function requiredApplies(type) {
+        return textTypes[type] || dateAndNumberTypes[type] ||
+            type === "checkbox" || type === "radio" || type === "file";
+    }
+
+    function readonlyApplies(type) {
+        return textTypes[type] || dateAndNumberTypes[type];
+    }
+
+    const EMAIL = /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+    // XXX: this only checks that there is a scheme and no whitespace
+    const ABSOLUTE_URL = /^[a-zA-Z][a-zA-Z0-9+.-]*:[^ \t\n\f\r]*$/;
+
+    // Split the value of an email input into its addresses
+    function emailAddresses(elt, value) {
+        return elt.hasAttribute("multiple") ? split(value, ",") : [value];
+    }
+
+    const DAY = 86400000;
+
+    function utcDate(year, month, day) {
+        var d = new Date(0);
+        d.setUTCFullYear(year, month - 1, day);
+        return d.getTime();
+    }
+
+    // These convert valid strings to numbers: dates and times become
+    // milliseconds since the epoch, and months become months since the
+    // epoch
+    function dateToNumber(s) {
+        var m = exec(DATE, s);
+        return utcDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    }
+
+    function monthToNumber(s) {
+        var m = exec(MONTH, s);
+        return (Number(m[1]) - 1970) * 12 + Number(m[2]) - 1;
+    }
+
+    // Week 1 is the week, starting on Monday, that has January 4th in it
+    function weekToNumber(s) {
+        var m = exec(WEEK, s);
+        var jan4 = utcDate(Number(m[1]), 1, 4);
+        var weekday = (new Date(jan4).getUTCDay() + 6) % 7;
+        return jan4 - weekday * DAY + (Number(m[2]) - 1) * 7 * DAY;
+    }
+
+    function timeToNumber(s) {
+        var m = exec(TIME, s);
+        var ms = Number(substring((m[4] || "") + "000", 0, 3));
+        return ((Number(m[1]) * 60 + Number(m[2])) * 60 +
+                Number(m[3] || 0)) * 1000 + ms;
+    }
+
+    function dateTimeLocalToNumber(s) {
+        var parts = splitDateTime(s);
+        return dateToNumber(parts[0]) + timeToNumber(parts[1]);
+    }
+
+    function dateTimeToNumber(s) {
+        var parts = splitDateTime(s);
+        var m = exec(/^([^Z+-]*)(.*)$/, parts[1]);
+        var offset = exec(OFFSET, m[2]), minutes = 0;
+        if (offset[1] !== undefined) {
+            minutes = Number(offset[1]) * 60 + Number(offset[2]);
+            if (substring(m[2], 0, 1) === "-") minutes = -minutes;
+        }
+        return dateToNumber(parts[0]) + timeToNumber(m[1]) - minutes * 60000;
+    }
+
+    // For the types that have min, max and step attributes: how to
+    // convert strings to numbers, the default step, the step scale
+    // factor and the default step base.
+    const numericTypes = {
+        number: { toNumber: Number, step: 1, scale: 1, base: 0 },
+        range: { toNumber: Number, step: 1, scale: 1, base: 0 },
+        date: { toNumber: dateToNumber, step: 1, scale: DAY, base: 0 },
+        month: { toNumber: monthToNumber, step: 1, scale: 1, base: 0 },
+        week: { toNumber: weekToNumber, step: 1, scale: 7 * DAY,
+                base: -259200000 },
+        time: { toNumber: timeToNumber, step: 60, scale: 1000, base: 0 },
+        "datetime-local": { toNumber: dateTimeLocalToNumber, step: 60,
+                            scale: 1000, base: 0 },
+        datetime: { toNumber: dateTimeToNumber, step: 60, scale: 1000,
+                    base: 0 },
+    };
+
+    // Convert s to a number for an input of the given numeric type, or
+    // return null if it isn't a valid string for that type
+    function toNumber(type, s) {
+        if (s === null) return null;
+        if (type === "number" || type === "range") return parseFloatValue(s);
+        if (sanitizers[type](s) === "") return null;
+        return numericTypes[type].toNumber(s);
+    }
+
+    HTMLInputElement.prototype = O.create(impl.HTMLElement.prototype, {
+        _idlName: constant("HTMLInputElement"),
+
+        form: attribute(function() { return formOwner(this); }),
+
+        value: attribute(
+            function() {
+                var type = this.type;
+                switch(valueMode(type)) {
+                case "value":
+                    return this._dirtyValue
+                        ? this._value
+                        : sanitize(type, this._getattr("value") || "", this);
+                case "default":
+                    return this._getattr("value") || "";
+                case "default/on":
+                    var v = this._getattr("value");
+                    return v === null ? "on" : v;
+                case "filename":
+                    // XXX: there is no way to select files yet
+                    return "";
+                }
+            },
+            function(v) {
+                var type = this.type;
+                switch(valueMode(type)) {
+                case "value":
+                    var old = this.value;
+                    this._value = sanitize(type, v, this);
+                    this._dirtyValue = true;
+                    if (this._value !== old) this._selectToEnd();
+                    break;
+                case "default":
+                case "default/on":
+                    this._setattr("value", v);
+                    break;
+                case "filename":
+                    if (v !== "") InvalidStateError();
+                    break;
+                }
+            }),
+
+        checked: attribute(
+            function() { return this._checkedness; },
+            function(v) {
+                this._dirtyCheckedness = true;
+                this._setCheckedness(v);
+            }),
+
+        indeterminate: attribute(
+            function() { return this._indeterminate; },
+            function(v) { this._indeterminate = v; }),
+
+        // Set the checkedness, and keep only one radio button in a group
+        // checked
+        _setCheckedness: constant(function(v) {
+            this._checkedness = v;
+            if (v) this._uncheckRadioGroup();
+        }),
+
+        // If this is a checked radio button, uncheck the others in its group
+        _uncheckRadioGroup: constant(function() {
+            if (!this._checkedness || this.type !== "radio") return;
+            var group = this._radioGroup();
+            for(var i = 0, n = group.length; i < n; i++)
+                group[i]._checkedness = false;
+        }),
+
+        // Return the other radio buttons in this element's radio button
+        // group: radio buttons in the same tree, with the same form owner
+        // and the same non-empty name
+        _radioGroup: constant(function() {
+            var name = this._getattr("name");
+            if (!name) return [];
+            var self = this, owner = formOwner(this), group = [];
+            eachDescendantElement(treeRoot(this), function(e) {
+                if (e !== self && e instanceof HTMLInputElement &&
+                    e.type === "radio" && e._getattr("name") === name &&
+                    formOwner(e) === owner)
+                    push(group, e);
+            });
+            return group;
+        }),
+
+        // Check the group when the element is inserted into the document
+        _roothook: constant(function() {
+            this._uncheckRadioGroup();
+        }),
+
+        _selectionApplies: constant(function() {
+            return selectableTypes[this.type] === true;
+        }),
+
+        _barredFromValidation: constant(function() {
+            var type = this.type;
+            return type === "hidden" || type === "reset" ||
+                type === "button" ||
+                (readonlyApplies(type) && this.hasAttribute("readonly"));
+        }),
+
+        _suffersFrom: constant(function(flag) {
+            var type = this.type, value = this.value;
+            switch(flag) {
+            case "valueMissing":
+                if (!requiredApplies(type)) return false;
+                if (type === "checkbox")
+                    return this.hasAttribute("required") && !this.checked;
+                if (type === "radio") {
+                    // Any required button makes the whole group required
+                    var group = this._radioGroup(), required = false;
+                    push(group, this);
+                    for(var i = 0, n = group.length; i < n; i++) {
+                        if (group[i].checked) return false;
+                        if (group[i].hasAttribute("required")) required = true;
+                    }
+                    return required;
+                }
+                return this.hasAttribute("required") && value === "";
+
+            case "typeMismatch":
+                if (value === "") return false;
+                if (type === "url") return !test(ABSOLUTE_URL, value);
+                if (type === "email") {
+                    return !every(emailAddresses(this, value), function(a) {
+                        return test(EMAIL, a);
+                    });
+                }
+                return false;
+
+            case "patternMismatch":
+                var pattern = this._getattr("pattern");
+                if (!textTypes[type] || value === "" || pattern === null)
+                    return false;
+                // Invalid patterns are ignored
+                try {
+                    var re = new RegExp("^(?:" + pattern + ")$");
+                }
+                catch(e) {
+                    return false;
+                }
+                var values = type === "email"
+                    ? emailAddresses(this, value)
+                    : [value];
+                return !every(values, function(v) { return test(re, v); });
+
+            case "tooLong":
+                // Only values that have been changed can be too long
+                var max = this.maxLength;
+                return textTypes[type] === true && this._dirtyValue &&
+                    max >= 0 && value.length > max;
+
+            case "rangeUnderflow":
+            case "rangeOverflow":
+                if (!numericTypes[type]) return false;
+                var x = toNumber(type, value);
+                var limit = toNumber(type, this._getattr(
+                    flag === "rangeUnderflow" ? "min" : "max"));
+                if (x === null || limit === null) return false;
+                return flag === "rangeUnderflow" ? x < limit : x > limit;
+
+            case "stepMismatch":
+                var step = this._allowedStep();
+                if (step === null) return false;
+                var number = toNumber(type, value);
+                if (number === null) return false;
+                var steps = (number - this._stepBase()) / step;
+                return Math.abs(steps - Math.round(steps)) > 1e-7;
+            }
+            return false;
+        }),
+
+        // Return the allowed value step in milliseconds, months or units,
+        // or null if there is no step or the type has none
+        _allowedStep: constant(function() {
+            var t = numericTypes[this.type];
+            if (!t) return null;
+            var stepattr = this._getattr("step");
+            if (stepattr !== null && toLowerCase(stepattr) === "any")
+                return null;
+            var step = parseFloatValue(stepattr);
+            if (step === null || step <= 0) step = t.step;
+            return step * t.scale;
+        }),
+
+        // Steps are counted from the min attribute, or the value attribute
+        _stepBase: constant(function() {
+            var type = this.type;
+            var base = toNumber(type, this._getattr("min"));
+            if (base === null) base = toNumber(type, this._getattr("value"));
+            return base === null ? numericTypes[type].base : base;
+        }),
+
+        // Clicking a checkbox toggles it, and clicking a radio button
+        // checks it, before the click event is dispatched.  The old state
+        // is saved, so that it can be restored if the click is cancelled.
+        _pre_click_activation_steps: constant(function() {
+            var type = this.type;
+            if (type !== "checkbox" && type !== "radio") return;
+            var group = type === "radio" ? this._radioGroup() : [];
+            var checkedRadio = null;
+            for(var i = 0, n = group.length; i < n; i++) {
+                if (group[i]._checkedness) checkedRadio = group[i];
+            }
+            this._preClickState = {
+                checkedness: this._checkedness,
+                checkedRadio: checkedRadio
+            };
+            this._dirtyCheckedness = true;
+            this._setCheckedness(type === "checkbox" ? !this._checkedness
+                                                     : true);
+        }),
+
+        _cancelled_activation_steps: constant(function() {
+            var state = this._preClickState;
+            if (!state) return;
+            this._preClickState = null;
+            if (this.type === "radio" && state.checkedRadio &&
+                A.indexOf(this._radioGroup(), state.checkedRadio) !== -1) {
+                state.checkedRadio._setCheckedness(true);
+            }
+            else {
+                this._setCheckedness(state.checkedness);
+            }
+        }),
+
+        // Checkboxes and radio buttons that were changed by a click fire
+        // input and change events.  Submit buttons, image buttons and
+        // reset buttons submit or reset their form owner.
+        _post_click_activation_steps: constant(function(e) {
+            var state = this._preClickState;
+            if (state) {
+                this._preClickState = null;
+                if (!this.rooted || this._checkedness === state.checkedness)
+                    return;
+                this._dispatchEvent(new impl.Event("input",
+                                                   { bubbles: true }), true);
+                this._dispatchEvent(new impl.Event("change",
+                                                   { bubbles: true }), true);
+                return;
+            }
+
+            var form = formOwner(this);
+            if (!form || isActuallyDisabled(this)) return;
+            if (isSubmitButton(this)) form._submit(this, false);
+            else if (this.type === "reset") form.reset();
+        }),
+
+        // Pressing Enter in a text field clicks the form's default button,
+        // which is its first submit button.  A form without one is
+        // submitted, unless it has other fields that block implicit
+        // submission.  See EventTarget._dispatchEvent()
+        _implicit_submission: constant(function() {
+            if (!implicitSubmissionTypes[this.type]) return;
+            var form = formOwner(this);
+            if (!form) return;
+            var controls = formElements(form), fields = 0;
+            for(var i = 0, n = controls.length; i < n; i++) {
+                var c = controls[i];
+                if (isSubmitButton(c)) {
+                    if (!isActuallyDisabled(c)) c.click();
+                    return;
+                }
+                if (c instanceof HTMLInputElement &&
+                    implicitSubmissionTypes[c.type])
+                    fields++;
+            }
+            if (fields <= 1) form._submit(null, false);
+        }),
+
+        // The reset algorithm, for form.reset()
+        _reset: constant(function() {
+            this._dirtyValue = false;
+            this._value = "";
+            this._dirtyCheckedness = false;
+            this._setCheckedness(this.hasAttribute("checked"));
+        }),
+
+        // Clones copy the state of the control
+        clone: constant(function clone() {
+            var e = impl.HTMLElement.prototype.clone.call(this);
+            e._value = this._value;
+            e._dirtyValue = this._dirtyValue;
+            e._checkedness = this._checkedness;
+            e._dirtyCheckedness = this._dirtyCheckedness;
+            return e;
+        }),
+    });
+
+    defineTextSelection(HTMLInputElement);
+    defineConstraintValidation(HTMLInputElement);
+
+    // Until the checked state is changed directly, it follows the checked
+    // content attribute
+    impl.Element.registerAttributeChangeHandler(HTMLInputElement, "checked",
+        function(element, lname, oldval, newval) {
+            if (!element._dirtyCheckedness)
+                element._setCheckedness(newval !== null);
+        });
+
+    impl.Element.registerAttributeChangeHandler(HTMLInputElement, "name",
+        function(element, lname, oldval, newval) {
+            element._uncheckRadioGroup();
+        });
+
+    // Changing the type can move the value between the element's state
+    // and the value content attribute
+    impl.Element.registerAttributeChangeHandler(HTMLInputElement, "type",
+        function(element, lname, oldval, newval) {
+            var oldtype = typeState(oldval === undefined ? null : oldval);
+            var newtype = typeState(newval);
+            var oldmode = valueMode(oldtype), newmode = valueMode(newtype);
+            if (oldmode === "value" && newmode !== "value") {
+                var value = element._dirtyValue
+                    ? element._value
+                    : sanitize(oldtype, element._getattr("value") || "",
+                               element);
+                if (value !== "" && newmode !== "filename")
+                    element._setattr("value", value);
+            }
+            else if (oldmode !== "value" && newmode === "value") {
+                element._dirtyValue = false;
+            }
+            if (element._dirtyValue)
+                element._value = sanitize(newtype, element._value, element);
+            element._uncheckRadioGroup();
+        });
+
+    impl.Element.reflectStringAttribute(HTMLInputElement, "name");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement, "disabled");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement, "autofocus");
+
+    impl.Element.reflectStringAttribute(HTMLInputElement, "accept");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "alt");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "max");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "min");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "pattern");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "placeholder");
+    impl.Element.reflectStringAttribute(HTMLInputElement, "step");
+    impl.Element.reflectStringAttribute(HTMLInputElement,
+                                        "dirname", "dirName");
+    impl.Element.reflectStringAttribute(HTMLInputElement,
+                                        "value", "defaultValue");
+
+    impl.Element.reflectBooleanAttribute(HTMLInputElement, "multiple");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement, "required");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement,
+                                         "readonly", "readOnly");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement,
+                                        "checked", "defaultChecked");
+
+    impl.Element.reflectIntegerAttribute(HTMLInputElement, "size", 20, null,
+                                         1, null, 1);
+    impl.Element.reflectIntegerAttribute(HTMLInputElement, "maxlength", -1,
+                                         "maxLength", 0, null, 0);
+
+    // impl.Element.reflectURLAttribute(HTMLInputElement, "src");
+
+    impl.Element.reflectEnumeratedAttribute(HTMLInputElement, "autocomplete",
+                                            null,
+                                            {
+                                                on: "on",
+                                                off: "off"
+                                            });
+
+    impl.Element.reflectEnumeratedAttribute(HTMLInputElement, "type", null,
+                                            types, "text");
+
+
+    impl.Element.reflectStringAttribute(HTMLInputElement,
+                                        "formtarget", "formTarget");
+    impl.Element.reflectBooleanAttribute(HTMLInputElement,
+                                         "formnovalidate", "formNoValidate");
+    impl.Element.reflectEnumeratedAttribute(HTMLInputElement,
+                                            "formmethod", "formMethod", {
+                                                get: "get",
+                                                post: "post"
+                                            }, "get");
+    impl.Element.reflectEnumeratedAttribute(HTMLInputElement,
+                                            "formenctype", "formEnctype", {
+        "application/x-www-form-urlencoded":"application/x-www-form-urlencoded",
+        "multipart/form-data":"multipart/form-data",
+        "text/plain": "text/plain"
+    }, "application/x-www-form-urlencoded");
+
+    return HTMLInputElement;
+});
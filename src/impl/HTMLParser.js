@@ -2032,13 +2032,18 @@ const HTMLParser = (function() {
                 case "iframe":
                 case "noembed":
                 case "noframes":
+                    tokenizer = rawtext_state;
+                    break;
                 case "script":
-                case "plaintext":
-                    tokenizer = plaintext_state;
+                    tokenizer = script_data_state;
                     break;
                 case "noscript":
                     if (scripting_enabled)
-                        tokenizer = plaintext_state;
+                        tokenizer = rawtext_state;
+                    break;
+                case "plaintext":
+                    tokenizer = plaintext_state;
+                    break;
                 }
             }
 
@@ -2223,7 +2228,6 @@ const HTMLParser = (function() {
          */
         function addAttribute(namebuf,valuebuf) {
             var name = buf2str(namebuf);
-            var value;
 
             // Make sure there isn't already an attribute with this name
             // If there is, ignore this one.
@@ -2231,12 +2235,9 @@ const HTMLParser = (function() {
                 if (attributes[i][0] === name) return;
             }
 
-            if (valuebuf) {
-                push(attributes, [name, buf2str(valuebuf)]);
-            }
-            else {
-                push(attributes, [name]);
-            }
+            // Attributes without values have the empty string as their
+            // value, and the attribute change handlers need to see it
+            push(attributes, [name, valuebuf ? buf2str(valuebuf) : ""]);
         }
 
         // Shortcut for simple attributes
@@ -2971,8 +2972,9 @@ const HTMLParser = (function() {
             stack.elements.length = 0;  // pop everything off
 
             // If there is a window object associated with the document
-            // then trigger an load event on it
+            // then process autofocus and trigger an load event on it
             if (doc.defaultView) {
+                doc._processAutofocus();
                 doc.defaultView.dispatchEvent(new impl.Event("load",{}));
             }
 
@@ -340,61 +340,30 @@ defineLazyProperty(impl, "HTMLScriptElement", function() {
                 url = documenturl.resolve(url);
 
 
-                // XXX: this is experimental
-                // If we're in a web worker, use importScripts
-                // to load and execute the script.
-                // Maybe this will give us better error messages
-                if (global.importScripts) {
-                    try {
-                        importScripts(url);
-                    }
-                    catch(e) {
-                        error(e + " " + e.stack);
-                    }
-                    finally {
-                        this.ownerDocument._parser.resume();
-                    }
-                }
-                else {
-
-                    var script = this;
-                    var xhr = new XMLHttpRequest();
-
-                    // Web workers support this handler but not the old
-                    // onreadystatechange handler
-                    xhr.onloadend = function() {
-                        if (xhr.status === 200 ||
-                            xhr.status === 0 /* file:// urls */) {
-                            script._script_text = xhr.responseText;
-                            script._execute();
-                            delete script._script_text;
-                        }
-                        // Do this even if we failed
-                        if (script.ownerDocument._parser) {
-                            script.ownerDocument._parser.resume();
+                // Running the script and resuming the parser are
+                // queued as a task on the event loop
+                var script = this;
+                this.ownerDocument.defaultView._fetch({
+                    url: url
+                }, function(response) {
+                    EventLoop.main.queueTask(function() {
+                        try {
+                            // XHR loads file: urls with status 0
+                            if (response.status === 200 ||
+                                response.status === 0 && !response.error) {
+                                script._script_text = response.text;
+                                script._execute();
+                                delete script._script_text;
+                            }
                         }
-                    };
-
-                    // My node version of XHR responds to this handler but
-                    // not to onloadend above.
-                    xhr.onreadystatechange = function() {
-                        if (xhr.readyState !== 4) return;
-                        if (xhr.status === 200 ||
-                            xhr.status === 0 /* file:// urls */) {
-                            script._script_text = xhr.responseText;
-                            script._execute();
-                            delete script._script_text;
+                        finally {
+                            // Do this even if we failed
+                            if (script.ownerDocument._parser) {
+                                script.ownerDocument._parser.resume();
+                            }
                         }
-
-                        // Do this even if we failed
-                        if (script.ownerDocument._parser) {
-                            script.ownerDocument._parser.resume();
-                        }
-                    }
-
-                    xhr.open("GET", url);
-                    xhr.send();
-                }
+                    });
+                });
             }
             else {
 
@@ -521,8 +490,18 @@ defineLazyProperty(impl, "HTMLScriptElement", function() {
 //                global.document = olddoc;
             }
             catch(e) {
-                // XXX fire an onerror event before reporting
-                error(e + " " + e.stack);
+                // Report the exception: fire an ErrorEvent at the window,
+                // and log the exception unless the event is cancelled,
+                // which onerror does by returning true
+                var doc = this.ownerDocument, window = doc.defaultView;
+                var event = new impl.ErrorEvent("error", {
+                    cancelable: true,
+                    message: String(e),
+                    filename: doc._address,
+                    error: e
+                });
+                if (!window || window._dispatchEvent(event, true))
+                    error(e + " " + e.stack);
             }
 
             // Decrement the ignore-destructive-writes counter of neutralized
@@ -0,0 +1,11 @@
+defineLazyProperty(impl, "HashChangeEvent", function() {
+    function HashChangeEvent(type, dictionary) {
+        this.oldURL = this.newURL = "";
+        // Use the superclass constructor to initialize the rest
+        impl.Event.call(this, type, dictionary);
+    }
+    HashChangeEvent.prototype = O.create(impl.Event.prototype, {
+        _idlName: constant("HashChangeEvent"),
+    });
+    return HashChangeEvent;
+});
@@ -0,0 +1,224 @@
+//
+// The session history of a window.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/history.html
+//
+// The history is a list of entries, each with a url, the document that
+// was loaded for it, and a serialized state object.  pushState() and
+// fragment navigations add entries that share the current document, and
+// traversing between those entries just changes the document's URL and
+// fires popstate and hashchange events at the window.  Traversing to an
+// entry of another document loads its url again, since old documents
+// aren't kept around.
+//
+// XXX: state objects are serialized with JSON rather than with the
+// structured clone algorithm, so Dates become strings and undefined
+// properties are dropped.
+//
+function History(window) {
+    this._window = window;
+    this._initialDocument = window.document;
+    this._entries = [historyEntry(window.location.href, window.document, null)];
+    this._index = 0;
+    this._state = null;
+}
+
+function historyEntry(url, document, state) {
+    return { url: url, document: document, state: state };
+}
+
+// Serialize a state object for a history entry.  Functions, DOM
+// objects and cyclic objects can't be serialized.
+function serializeState(data) {
+    if (data === undefined) return null;
+    try {
+        return JSON.stringify(data, function(key, value) {
+            if (typeof value === "function" ||
+                (value !== null && typeof value === "object" &&
+                 wmget(idlToImplMap, value)))
+                DataCloneError();
+            return value;
+        });
+    }
+    catch(e) {
+        // JSON.stringify() throws TypeError for cyclic objects
+        if (e instanceof TypeError) DataCloneError();
+        throw e;
+    }
+}
+
+function deserializeState(serialized) {
+    return serialized === null ? null : JSON.parse(serialized);
+}
+
+// Return url without its fragment
+function stripFragment(url) {
+    var hash = S.indexOf(url, "#");
+    return hash === -1 ? url : substring(url, 0, hash);
+}
+
+// Return the fragment of url, or null if it doesn't have one
+function urlFragment(url) {
+    var hash = S.indexOf(url, "#");
+    return hash === -1 ? null : substring(url, hash + 1);
+}
+
+// Return true if a document at documentURL may change its URL to
+// targetURL with pushState() or replaceState()
+function canRewriteURL(documentURL, targetURL) {
+    var d = new URL(documentURL), t = new URL(targetURL);
+    if (toLowerCase(d.scheme || "") !== toLowerCase(t.scheme || "") ||
+        toLowerCase(d.host || "") !== toLowerCase(t.host || "") ||
+        d.port !== t.port)
+        return false;
+    var scheme = toLowerCase(t.scheme || "");
+    if (scheme === "http" || scheme === "https") return true;
+    if (scheme === "file") return d.path === t.path;
+    return stripFragment(documentURL) === stripFragment(targetURL);
+}
+
+History.prototype = O.create(Object.prototype, {
+    _idlName: constant("History"),
+
+    length: attribute(function() { return this._entries.length; }),
+    state: attribute(function() { return this._state; }),
+
+    go: constant(function go(delta) {
+        if (!delta) {
+            this._window.location.reload();
+            return;
+        }
+
+        // Traversal is done in a task
+        var self = this;
+        this._window._eventLoop.queueTask(function() {
+            var index = self._index + delta;
+            if (index < 0 || index >= self._entries.length) return;
+            self._traverse(self._entries[index]);
+        });
+    }),
+
+    back: constant(function back() { this.go(-1); }),
+    forward: constant(function forward() { this.go(1); }),
+
+    pushState: constant(function pushState(data, title, url) {
+        this._updateState(data, url, false);
+    }),
+
+    replaceState: constant(function replaceState(data, title, url) {
+        this._updateState(data, url, true);
+    }),
+
+    // The common steps of pushState() and replaceState()
+    _updateState: constant(function(data, url, replace) {
+        var doc = this._window.document;
+        var serialized = serializeState(data);
+        var newurl = doc._address;
+        if (url !== undefined) {
+            newurl = new URL(doc._address).resolve(url);
+            if (!canRewriteURL(doc._address, newurl)) SecurityError();
+        }
+
+        this._addEntry(historyEntry(newurl, doc, serialized), replace);
+        this._state = deserializeState(serialized);
+        this._setURL(newurl);
+    }),
+
+    // Location calls this to navigate to url, which only differs from the
+    // current document's URL in its fragment
+    _navigateToFragment: constant(function(url, replace) {
+        var doc = this._window.document;
+        var oldURL = doc._address;
+        this._addEntry(historyEntry(url, doc, null), replace);
+        this._state = null;
+        this._setURL(url);
+        this._firePopState();
+        if (urlFragment(oldURL) !== urlFragment(url))
+            this._fireHashChange(oldURL, url);
+    }),
+
+    // Location calls this when it has loaded a new document for url
+    _documentLoaded: constant(function(doc, url, replace) {
+        // The window's initial about:blank document is always replaced
+        var current = this._entries[this._index];
+        if (current.document === this._initialDocument) replace = true;
+        this._addEntry(historyEntry(url, doc, null), replace);
+        this._state = null;
+    }),
+
+    // Location.reload() calls this to load the current entry again
+    _reload: constant(function() {
+        this._loadEntry(this._entries[this._index]);
+    }),
+
+    // Make entry the current entry
+    _traverse: constant(function(entry) {
+        var doc = this._window.document;
+        if (entry.document !== doc) {
+            this._loadEntry(entry);
+            return;
+        }
+
+        var oldURL = doc._address;
+        this._index = A.indexOf(this._entries, entry);
+        this._state = deserializeState(entry.state);
+        this._setURL(entry.url);
+        this._firePopState();
+        if (urlFragment(oldURL) !== urlFragment(entry.url))
+            this._fireHashChange(oldURL, entry.url);
+    }),
+
+    // Load the url of entry into the window, and make it the current
+    // entry when the new document arrives
+    _loadEntry: constant(function(entry) {
+        var self = this;
+        this._window.location._load(entry.url, "GET", null, null,
+                                    function(doc) {
+            var index = A.indexOf(self._entries, entry);
+            if (index === -1) return;  // a later navigation pruned it
+
+            // The new document replaces the old one in all of its entries
+            var olddoc = entry.document;
+            for(var i = 0, n = self._entries.length; i < n; i++) {
+                if (self._entries[i].document === olddoc)
+                    self._entries[i].document = doc;
+            }
+            self._index = index;
+            self._state = deserializeState(entry.state);
+        });
+    }),
+
+    // Add entry after the current entry, dropping any entries that
+    // follow it, or have it replace the current entry
+    _addEntry: constant(function(entry, replace) {
+        if (replace) {
+            this._entries[this._index] = entry;
+        }
+        else {
+            splice(this._entries, this._index + 1);
+            push(this._entries, entry);
+            this._index = this._entries.length - 1;
+        }
+    }),
+
+    // Change the URL of the current document, without loading anything
+    _setURL: constant(function(url) {
+        this._window.location._href = url;
+        this._window.document._address = url;
+    }),
+
+    _firePopState: constant(function() {
+        this._window._dispatchEvent(
+            new impl.PopStateEvent("popstate", { state: this._state }), true);
+    }),
+
+    // hashchange events are fired from a task
+    _fireHashChange: constant(function(oldURL, newURL) {
+        var window = this._window;
+        window._eventLoop.queueTask(function() {
+            window._dispatchEvent(
+                new impl.HashChangeEvent("hashchange",
+                                         { oldURL: oldURL, newURL: newURL }),
+                true);
+        });
+    }),
+});
@@ -0,0 +1,21 @@
+defineLazyProperty(impl, "InputEvent", function() {
+    function InputEvent(type, dictionary) {
+        this.data = null;
+        this.isComposing = false;
+        this.inputType = "";
+
+        // Use the superclass constructor to initialize the rest
+        impl.UIEvent.call(this, type, dictionary);
+    }
+    InputEvent.prototype = O.create(impl.UIEvent.prototype, {
+        _idlName: constant("InputEvent"),
+        initInputEvent: constant(function(type, bubbles, cancelable, view,
+                                          data, isComposing, inputType) {
+            this.initUIEvent(type, bubbles, cancelable, view, 0);
+            this.data = data;
+            this.isComposing = isComposing;
+            this.inputType = inputType;
+        }),
+    });
+    return InputEvent;
+});
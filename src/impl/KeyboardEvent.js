@@ -0,0 +1,49 @@
+defineLazyProperty(impl, "KeyboardEvent", function() {
+    function KeyboardEvent(type, dictionary) {
+        this.key = this.code = "";
+        this.location = 0;
+        this.ctrlKey = this.altKey = this.shiftKey = this.metaKey = false;
+        this.repeat = this.isComposing = false;
+        this.charCode = this.keyCode = 0;
+
+        // Use the superclass constructor to initialize the rest
+        impl.UIEvent.call(this, type, dictionary);
+
+        // The legacy which attribute is the character or key code
+        if (!dictionary || !("which" in dictionary))
+            this.which = this.charCode || this.keyCode;
+    }
+    KeyboardEvent.prototype = O.create(impl.UIEvent.prototype, {
+        _idlName: constant("KeyboardEvent"),
+        initKeyboardEvent: constant(function(type, bubbles, cancelable,
+                                             view, key, location,
+                                             ctrlKey, altKey, shiftKey,
+                                             metaKey) {
+            this.initUIEvent(type, bubbles, cancelable, view, 0);
+            this.key = key;
+            this.location = location;
+            this.ctrlKey = ctrlKey;
+            this.altKey = altKey;
+            this.shiftKey = shiftKey;
+            this.metaKey = metaKey;
+        }),
+
+        initKeyEvent: constant(function(type, bubbles, cancelable, view,
+                                        ctrlKey, altKey, shiftKey, metaKey,
+                                        keyCode, charCode) {
+            this.initUIEvent(type, bubbles, cancelable, view, 0);
+            this.ctrlKey = ctrlKey;
+            this.altKey = altKey;
+            this.shiftKey = shiftKey;
+            this.metaKey = metaKey;
+            this.keyCode = keyCode;
+            this.charCode = charCode;
+            this.which = charCode || keyCode;
+        }),
+
+        getModifierState: constant(function(key) {
+            return modifierState(this, key);
+        }),
+    });
+    return KeyboardEvent;
+});
@@ -24,8 +24,34 @@ Location.prototype = Object.create(URLDecompositionAttributes.prototype, {
         // support a single window and there is only one base url.
         // So this is good enough for now.
         var current = new URL(this._href);
-        var newurl = current.resolve(url);
-        var self = this; // for the XHR callback below
+        this._navigate(current.resolve(url), "GET", null, null, false);
+    }),
+
+    // Navigate the window to the absolute url newurl, with the given
+    // method, request body and body content type.  The new session
+    // history entry replaces the current one if replace is true.
+    _navigate: constant(function(newurl, method, body, type, replace) {
+        var history = this._window.history;
+        var current = this._window.document._address;
+        if (newurl === current) replace = true;
+
+        // Navigating to a fragment of the current document doesn't load
+        // anything
+        if (method === "GET" && S.indexOf(newurl, "#") !== -1 &&
+            stripFragment(newurl) === stripFragment(current)) {
+            history._navigateToFragment(newurl, replace);
+            return;
+        }
+
+        this._load(newurl, method, body, type, function(doc) {
+            history._documentLoaded(doc, newurl, replace);
+        });
+    }),
+
+    // Load newurl into the window, and call loaded with the new
+    // document before it is parsed
+    _load: constant(function(newurl, method, body, type, loaded) {
+        var self = this; // for the fetch callback below
 
         // Save the new url
         this._href = newurl;
@@ -34,9 +60,21 @@ Location.prototype = Object.create(URLDecompositionAttributes.prototype, {
         // XXX
         // This is just something hacked together.
         // The real algorithm is: http://www.whatwg.org/specs/web-apps/current-work/multipage/history.html#navigate
-        var xhr = new XMLHttpRequest();
+        var headers = {};
+        if (type) headers["Content-Type"] = type;
+        this._window._fetch({
+            url: newurl,
+            method: method,
+            headers: headers,
+            body: body
+        }, function(response) {
+            // Parsing the new document is queued as a task
+            self._window._eventLoop.queueTask(function() {
+                navigate(response);
+            });
+        });
 
-        xhr.onload = function() {
+        function navigate(response) {
             var olddoc = self._window.document;
             var parser = new HTMLParser(newurl);
             var newdoc = unwrap(parser.document());
@@ -52,25 +90,29 @@ Location.prototype = Object.create(URLDecompositionAttributes.prototype, {
             self._window.document = newdoc;
             newdoc.defaultView = self._window;
 
-            // And parse the new file
-            parser.parse(xhr.responseText, true);
-        };
+            newdoc._referrer = olddoc._address === "about:blank"
+                ? "" : olddoc._address;
+            var modified = Date.parse(responseHeader(response,
+                                                     "Last-Modified"));
+            if (!isNaN(modified)) newdoc._lastModified = new Date(modified);
 
-        xhr.open("GET", newurl);
-        xhr.send();
+            loaded(newdoc);
 
+            // And parse the new file
+            parser.parse(response.text, true);
+        }
     }),
 
     replace: constant(function(url) {
-        // XXX
-        // Since we aren't tracking history yet, replace is the same as assign
-        this.assign(url);
+        // XXX: like assign(), this resolves against the wrong url
+        var current = new URL(this._href);
+        this._navigate(current.resolve(url), "GET", null, null, true);
     }),
 
     reload: constant(function() {
         // XXX:
         // Actually, the spec is a lot more complicated than this
-        this.assign(this.href);
+        this._window.history._reload();
     }),
 
     // XXX: Does WebIDL allow the wrapper class to have its own toString
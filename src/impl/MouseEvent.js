@@ -1,13 +1,17 @@
 defineLazyProperty(impl, "MouseEvent", function() {
-    function MouseEvent() {
-        // Just use the superclass constructor to initialize
-        impl.UIEvent.call(this);
-
+    function MouseEvent(type, dictionary) {
         this.screenX = this.screenY = this.clientX = this.clientY = 0;
         this.ctrlKey = this.altKey = this.shiftKey = this.metaKey = false;
         this.button = 0;
         this.buttons = 1;
         this.relatedTarget = null;
+
+        // Use the superclass constructor to initialize the rest
+        impl.UIEvent.call(this, type, dictionary);
+
+        // The legacy which attribute is the button number plus one
+        if (!dictionary || !("which" in dictionary))
+            this.which = this.button + 1;
     }
     MouseEvent.prototype = O.create(impl.UIEvent.prototype, {
         _idlName: constant("MouseEvent"),
@@ -16,7 +20,7 @@ defineLazyProperty(impl, "MouseEvent", function() {
                                           screenX, screenY, clientX, clientY,
                                           ctrlKey, altKey, shiftKey, metaKey,
                                           button, relatedTarget) {
-            this.initEvent(type, bubbles, cancelable, view, detail);
+            this.initUIEvent(type, bubbles, cancelable, view, detail);
             this.screenX = screenX;
             this.screenY = screenY;
             this.clientX = clientX;
@@ -26,6 +30,7 @@ defineLazyProperty(impl, "MouseEvent", function() {
             this.shiftKey = shiftKey;
             this.metaKey = metaKey;
             this.button = button;
+            this.which = button + 1;
             switch(button) {
             case 0: this.buttons = 1; break;
             case 1: this.buttons = 4; break;
@@ -36,13 +41,7 @@ defineLazyProperty(impl, "MouseEvent", function() {
         }),
 
         getModifierState: constant(function(key) {
-            switch(key) {
-            case "Alt": return this.altKey;
-            case "Control": return this.ctrlKey;
-            case "Shift": return this.shiftKey;
-            case "Meta": return this.metaKey;
-            default: return false;
-            }
+            return modifierState(this, key);
         }),
     });
 
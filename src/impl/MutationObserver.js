@@ -0,0 +1,287 @@
+//
+// This file implements MutationObserver.
+// See http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#mutation-observers
+//
+// Observers register themselves on nodes.  Each node that is being
+// observed has a _registeredObservers array of registration objects that
+// hold the observer and the MutationObserverInit options it was registered
+// with.  The mutate*() methods of Document call queueRecord() and
+// queueRemoval() below for every mutation, and those functions look up
+// the registrations on the target and its ancestors, append a
+// MutationRecord to each interested observer, and arrange for the
+// records to be delivered later.
+//
+defineLazyProperty(impl, "MutationObserver", function() {
+    // Observers are notified in creation order, so we number them
+    var nextObserverId = 0;
+
+    // Observers that have records waiting to be delivered
+    var pendingObservers = [];
+
+    // The number of nodes that have registered observers.  When this is
+    // zero (the common case) queueRecord() can return immediately.
+    var numObservedNodes = 0;
+
+    // True if a call to notifyObservers() has been scheduled
+    var notifyPending = false;
+
+    function MutationObserver(callback) {
+        this.callback = callback;
+        this.records = [];
+        this.nodes = [];    // The nodes this observer is registered on
+        this._id = nextObserverId++;
+    }
+
+    MutationObserver.prototype = O.create(Object.prototype, {
+        _idlName: constant("MutationObserver"),
+
+        observe: constant(function observe(target, options) {
+            options = options || {};
+
+            var o = {
+                childList: !!options.childList,
+                attributes: options.attributes,
+                characterData: options.characterData,
+                subtree: !!options.subtree,
+                attributeOldValue: options.attributeOldValue,
+                characterDataOldValue: options.characterDataOldValue,
+                attributeFilter: options.attributeFilter
+            };
+
+            // attributes and characterData are implied by the options
+            // that only make sense with them.
+            if (o.attributes === undefined &&
+                (o.attributeOldValue !== undefined ||
+                 o.attributeFilter !== undefined))
+                o.attributes = true;
+            if (o.characterData === undefined &&
+                o.characterDataOldValue !== undefined)
+                o.characterData = true;
+
+            o.attributes = !!o.attributes;
+            o.characterData = !!o.characterData;
+            o.attributeOldValue = !!o.attributeOldValue;
+            o.characterDataOldValue = !!o.characterDataOldValue;
+
+            if (!o.childList && !o.attributes && !o.characterData)
+                throw TypeError("MutationObserver.observe() options must " +
+                                "include childList, attributes or " +
+                                "characterData");
+            if (o.attributeOldValue && !o.attributes)
+                throw TypeError("attributeOldValue requires attributes");
+            if (o.attributeFilter !== undefined && !o.attributes)
+                throw TypeError("attributeFilter requires attributes");
+            if (o.characterDataOldValue && !o.characterData)
+                throw TypeError("characterDataOldValue requires " +
+                                "characterData");
+
+            // If we're already observing target, replace the options
+            var regs = target._registeredObservers;
+            if (regs) {
+                for(var i = 0, n = regs.length; i < n; i++) {
+                    if (regs[i].observer === this && !regs[i].transient) {
+                        removeTransientRegistrations(this);
+                        regs[i].options = o;
+                        return;
+                    }
+                }
+            }
+
+            addRegistration(target, { observer: this, options: o });
+            push(this.nodes, target);
+        }),
+
+        disconnect: constant(function disconnect() {
+            var nodes = this.nodes;
+            this.nodes = [];
+            for(var i = 0, n = nodes.length; i < n; i++)
+                removeRegistrations(nodes[i], this);
+            this.records = [];
+        }),
+
+        takeRecords: constant(function takeRecords() {
+            var records = this.records;
+            this.records = [];
+            return records;
+        }),
+    });
+
+    function addRegistration(node, reg) {
+        if (!node._registeredObservers) {
+            node._registeredObservers = [];
+            numObservedNodes++;
+        }
+        push(node._registeredObservers, reg);
+    }
+
+    // Remove the registrations of observer from node
+    function removeRegistrations(node, observer) {
+        var regs = node._registeredObservers;
+        if (!regs) return;
+        regs = filter(regs, function(r) { return r.observer !== observer; });
+        if (regs.length === 0) {
+            delete node._registeredObservers;
+            numObservedNodes--;
+        }
+        else {
+            node._registeredObservers = regs;
+        }
+    }
+
+    // Transient registrations keep an observer informed about a subtree
+    // that has been removed from an observed subtree until the next time
+    // its records are delivered.
+    function removeTransientRegistrations(observer) {
+        var nodes = observer.nodes;
+        observer.nodes = [];
+        for(var i = 0, n = nodes.length; i < n; i++) {
+            var node = nodes[i];
+            var regs = node._registeredObservers;
+            if (!regs) continue;
+            var kept = filter(regs, function(r) {
+                return !(r.observer === observer && r.transient);
+            });
+            if (kept.length !== regs.length) {
+                if (kept.length === 0) {
+                    delete node._registeredObservers;
+                    numObservedNodes--;
+                }
+                else {
+                    node._registeredObservers = kept;
+                }
+            }
+            // Keep the node if the observer is still registered on it
+            if (A.indexOf(observer.nodes, node) === -1 &&
+                A.some(kept, function(r) { return r.observer === observer; }))
+                push(observer.nodes, node);
+        }
+    }
+
+    // Queue a MutationRecord of the specified type for target.
+    // details is an object holding the other properties of the record.
+    // Its oldValue property will only be used by observers that asked
+    // for old values.
+    MutationObserver.queueRecord = function queueRecord(type, target,
+                                                        details) {
+        if (numObservedNodes === 0) return;
+
+        // Map each interested observer to whether it wants the old value
+        var interested = [], wantsOldValue = [];
+
+        for(var node = target; node; node = node.parentNode) {
+            var regs = node._registeredObservers;
+            if (!regs) continue;
+            for(var i = 0, n = regs.length; i < n; i++) {
+                var o = regs[i].options;
+                if (node !== target && !o.subtree) continue;
+
+                var oldvalue;
+                switch(type) {
+                case "attributes":
+                    if (!o.attributes) continue;
+                    if (o.attributeFilter &&
+                        (details.attributeNamespace !== null ||
+                         A.indexOf(o.attributeFilter,
+                                   details.attributeName) === -1))
+                        continue;
+                    oldvalue = o.attributeOldValue;
+                    break;
+                case "characterData":
+                    if (!o.characterData) continue;
+                    oldvalue = o.characterDataOldValue;
+                    break;
+                case "childList":
+                    if (!o.childList) continue;
+                    oldvalue = false;
+                    break;
+                }
+
+                var observer = regs[i].observer;
+                var idx = A.indexOf(interested, observer);
+                if (idx === -1) {
+                    push(interested, observer);
+                    push(wantsOldValue, oldvalue);
+                }
+                else if (oldvalue) {
+                    wantsOldValue[idx] = true;
+                }
+            }
+        }
+
+        for(var i = 0, n = interested.length; i < n; i++) {
+            var record = new impl.MutationRecord(type, target, details);
+            if (wantsOldValue[i]) record.oldValue = details.oldValue;
+            push(interested[i].records, record);
+            if (A.indexOf(pendingObservers, interested[i]) === -1)
+                push(pendingObservers, interested[i]);
+        }
+
+        if (interested.length > 0) scheduleNotification();
+    };
+
+    // Queue a childList record for the removal of node from parent, and
+    // give subtree observers of parent a transient registration on node.
+    MutationObserver.queueRemoval = function queueRemoval(node, parent,
+                                                          prev, next) {
+        if (numObservedNodes === 0) return;
+
+        for(var n = parent; n; n = n.parentNode) {
+            var regs = n._registeredObservers;
+            if (!regs) continue;
+            for(var i = 0, len = regs.length; i < len; i++) {
+                var r = regs[i];
+                if (!r.options.subtree) continue;
+                addRegistration(node, {
+                    observer: r.observer,
+                    options: r.options,
+                    transient: true
+                });
+                if (A.indexOf(r.observer.nodes, node) === -1)
+                    push(r.observer.nodes, node);
+                // Make sure the transient registration is removed at the
+                // next notification even if no records are queued
+                if (A.indexOf(pendingObservers, r.observer) === -1)
+                    push(pendingObservers, r.observer);
+                scheduleNotification();
+            }
+        }
+
+        MutationObserver.queueRecord("childList", parent, {
+            removedNodes: [node],
+            previousSibling: prev,
+            nextSibling: next
+        });
+    };
+
+    function scheduleNotification() {
+        if (notifyPending) return;
+        notifyPending = true;
+        EventLoop.main.queueMicrotask(notifyObservers);
+    }
+
+    // Deliver pending records to each observer's callback
+    function notifyObservers() {
+        notifyPending = false;
+        var list = sort(pendingObservers, function(a, b) {
+            return a._id - b._id;
+        });
+        pendingObservers = [];
+        for(var i = 0, n = list.length; i < n; i++) {
+            var observer = list[i];
+            removeTransientRegistrations(observer);
+            var records = observer.takeRecords();
+            if (records.length === 0) continue;
+            try {
+                var wrapper = wrap(observer);
+                call(observer.callback, wrapper,
+                     map(records, function(r) { return wrap(r); }),
+                     wrapper);
+            }
+            catch(e) {
+                error(e);
+            }
+        }
+    }
+
+    return MutationObserver;
+});
@@ -0,0 +1,25 @@
+// A MutationRecord describes a single mutation delivered to a
+// MutationObserver.  See src/impl/MutationObserver.js
+defineLazyProperty(impl, "MutationRecord", function() {
+    function MutationRecord(type, target, details) {
+        this.type = type;
+        this.target = target;
+
+        this.addedNodes = A.slice(details.addedNodes || [], 0);
+        this.addedNodes._idlName = "NodeList";
+        this.removedNodes = A.slice(details.removedNodes || [], 0);
+        this.removedNodes._idlName = "NodeList";
+
+        this.previousSibling = details.previousSibling || null;
+        this.nextSibling = details.nextSibling || null;
+        this.attributeName = details.attributeName || null;
+        this.attributeNamespace = details.attributeNamespace || null;
+        this.oldValue = null;
+    }
+
+    MutationRecord.prototype = O.create(Object.prototype, {
+        _idlName: constant("MutationRecord"),
+    });
+
+    return MutationRecord;
+});
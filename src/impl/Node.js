@@ -46,7 +46,7 @@ defineLazyProperty(impl, "Node", function() {
 
         previousSibling: attribute(function() {
             if (!this.parentNode) return null;
-            var sibs = this.parentNode.childNodes, i = this.index;
+            var sibs = this.parentNode.childNodes, i = this.siblingIndex;
             return i === 0
                 ? null
                 : sibs[i-1]
@@ -54,7 +54,7 @@ defineLazyProperty(impl, "Node", function() {
 
         nextSibling: attribute(function() {
             if (!this.parentNode) return null;
-            var sibs = this.parentNode.childNodes, i = this.index;
+            var sibs = this.parentNode.childNodes, i = this.siblingIndex;
             return i+1 === sibs.length
                 ? null
                 : sibs[i+1]
@@ -67,7 +67,7 @@ defineLazyProperty(impl, "Node", function() {
             if (child.isAncestor(parent)) HierarchyRequestError();
             if (child.nodeType === DOCUMENT_NODE) HierarchyRequestError();
             parent.ensureSameDoc(child);
-            child.insert(parent, refChild.index);
+            child.insert(parent, refChild.siblingIndex);
             return child;
         }),
 
@@ -134,7 +134,7 @@ defineLazyProperty(impl, "Node", function() {
                 if (these[i] !== those[i]) {
                     // We found two different ancestors, so compare
                     // their positions
-                    if (these[i].index < those[i].index)
+                    if (these[i].siblingIndex < those[i].siblingIndex)
                         return DOCUMENT_POSITION_FOLLOWING;
                     else
                         return DOCUMENT_POSITION_PRECEDING;
@@ -250,7 +250,7 @@ defineLazyProperty(impl, "Node", function() {
 
         // Return the index of this node in its parent.
         // Throw if no parent, or if this node is not a child of its parent
-        index: attribute(function() {
+        siblingIndex: attribute(function() {
             assert(this.parentNode);
             var kids = this.parentNode.childNodes
             if (this._index == undefined || kids[this._index] != this) {
@@ -318,28 +318,46 @@ defineLazyProperty(impl, "Node", function() {
 
         // Remove this node from its parent
         remove: constant(function remove() {
+            var parent = this.parentNode,
+                index = this.siblingIndex,
+                prev = this.previousSibling,
+                next = this.nextSibling;
+
+            // Move node iterators out of the subtree being removed
+            impl.NodeIterator.nodeRemoving(this);
+
             // Remove this node from its parents array of children
-            splice(this.parentNode.childNodes, this.index, 1);
+            splice(parent.childNodes, index, 1);
 
             // Update the structure id for all ancestors
-            this.parentNode.modify();
+            parent.modify();
 
             // Forget this node's parent
             delete this.parentNode;
 
-            // Send mutation events if necessary
-            if (this.rooted) this.ownerDocument.mutateRemove(this);
+            // Update live ranges
+            impl.Range.nodeRemoved(this, parent, index);
+
+            // Send mutation events
+            this.ownerDocument.mutateRemove(this, parent, prev, next);
         }),
 
         // Remove all of this node's children.  This is a minor
         // optimization that only calls modify() once.
         removeChildren: constant(function removeChildren() {
-            var root = this.rooted ? this.ownerDocument : null;
-            for(var i = 0, n = this.childNodes.length; i < n; i++) {
-                delete this.childNodes[i].parentNode;
-                if (root) root.mutateRemove(this.childNodes[i]);
+            var kids = this.childNodes, doc = this.doc;
+            // Fix up node iterators while all the children are still here.
+            // Going backwards gives the same result as doing it for each
+            // child just before it is removed.
+            for(var i = kids.length-1; i >= 0; i--)
+                impl.NodeIterator.nodeRemoving(kids[i]);
+            for(var i = 0, n = kids.length; i < n; i++) {
+                delete kids[i].parentNode;
+                // Each child is removed after all of the ones before it
+                impl.Range.nodeRemoved(kids[i], this, 0);
+                doc.mutateRemove(kids[i], this, null, kids[i+1] || null);
             }
-            this.childNodes.length = 0; // Forget all children
+            kids.length = 0;            // Forget all children
             this.modify();              // Update last modified type once only
         }),
 
@@ -351,7 +369,7 @@ defineLazyProperty(impl, "Node", function() {
             // If we are already a child of the specified parent, then t
             // the index may have to be adjusted.
             if (child.parentNode === parent) {
-                var currentIndex = child.index;
+                var currentIndex = child.siblingIndex;
                 // If we're not moving the node, we're done now
                 // XXX: or do DOM mutation events still have to be fired?
                 if (currentIndex === index) return;
@@ -379,18 +397,23 @@ defineLazyProperty(impl, "Node", function() {
             if (child.rooted && parent.rooted) {
                 // Remove the child from its current position in the tree
                 // without calling remove(), since we don't want to uproot it.
-                var curpar = child.parentNode, curidx = child.index;
-                splice(child.parentNode.childNodes, child.index, 1);
+                var curpar = child.parentNode, curidx = child.siblingIndex;
+                var curprev = child.previousSibling,
+                    curnext = child.nextSibling;
+                impl.NodeIterator.nodeRemoving(child);
+                splice(child.parentNode.childNodes, child.siblingIndex, 1);
                 curpar.modify();
+                impl.Range.nodeRemoved(child, curpar, curidx);
 
                 // And insert it as a child of its new parent
                 child.parentNode = parent;
                 splice(kids, index, 0, child);
                 child._index = index;              // Optimization
                 parent.modify();
+                impl.Range.nodeInserted(child);
 
                 // Generate a move mutation event
-                parent.ownerDocument.mutateMove(child);
+                child.ownerDocument.mutateMove(child, curpar, curprev, curnext);
             }
             else {
                 // If the child already has a parent, it needs to be
@@ -403,8 +426,11 @@ defineLazyProperty(impl, "Node", function() {
                 parent.modify();
                 child._index = index;              // Optimization
 
-                // And root the child if necessary
-                if (parent.rooted) parent.ownerDocument.mutateInsert(child);
+                // Update live ranges
+                impl.Range.nodeInserted(child);
+
+                // Send mutation events, and root the child if necessary
+                child.ownerDocument.mutateInsert(child);
             }
 
             // Script tags use this hook
@@ -433,10 +459,12 @@ defineLazyProperty(impl, "Node", function() {
         // lastModTime property set on them since there is no
         // previously queried value to ever compare the new value
         // against, so only update nodes that already have a
-        // _lastModTime property.
+        // _lastModTime property.  Note that we walk parentNode rather
+        // than parentElement so that Document and DocumentFragment roots
+        // are updated, too.
         modify: constant(function() {
             var time = ++this.doc.modclock;
-            for(var n = this; n; n = n.parentElement) {
+            for(var n = this; n; n = n.parentNode) {
                 if (n._lastModTime) {
                     n._lastModTime = time;
                 }
@@ -460,13 +488,16 @@ defineLazyProperty(impl, "Node", function() {
 
 
         // Convert the children of a node to an HTML string.
-        // This is used by the innerHTML getter
+        // This is used by the innerHTML getter.  If outer is true,
+        // serialize the node itself instead, for the outerHTML getter.
         // The serialization spec is at:
         // http://www.whatwg.org/specs/web-apps/current-work/multipage/the-end.html#serializing-html-fragments
-        serialize: constant(function() {
+        serialize: constant(function(outer) {
             var s = "";
-            for(var i = 0, n = this.childNodes.length; i < n; i++) {
-                var kid = this.childNodes[i];
+            var parent = outer ? this.parentNode : this;
+            var kids = outer ? [this] : this.childNodes;
+            for(var i = 0, n = kids.length; i < n; i++) {
+                var kid = kids[i];
                 switch(kid.nodeType) {
                 case COMMENT_NODE:
                     s += "<!--" + kid.data + "-->";
@@ -480,9 +511,9 @@ defineLazyProperty(impl, "Node", function() {
                 case TEXT_NODE:
                 case CDATA_SECTION_NODE:
                     var parenttag;
-                    if (this.nodeType === ELEMENT_NODE &&
-                        this.namespaceURI === HTML_NAMESPACE)
-                        parenttag = this.tagName;
+                    if (parent && parent.nodeType === ELEMENT_NODE &&
+                        parent.namespaceURI === HTML_NAMESPACE)
+                        parenttag = parent.tagName;
                     else
                         parenttag = "";
                     switch(parenttag) {
@@ -0,0 +1,40 @@
+// This file defines the filtering step shared by TreeWalker and
+// NodeIterator.  See
+// http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#traversal
+//
+// The FILTER_* and SHOW_* constants are defined by the NodeFilter
+// interface in src/idl/domcore.idl.
+
+// Return FILTER_ACCEPT, FILTER_REJECT or FILTER_SKIP for node, using
+// the whatToShow mask and the filter of traverser, which is a TreeWalker
+// or NodeIterator.  The filter is a function or an object with an
+// acceptNode() method that was passed to us by the public API.
+function filterNode(traverser, node) {
+    // Filters may not recursively use the object they are filtering for
+    if (traverser._active) InvalidStateError();
+
+    var mask = 1 << (node.nodeType - 1);
+    if (!(traverser.whatToShow & mask)) return FILTER_SKIP;
+
+    var filter = traverser.filter;
+    if (filter === null) return FILTER_ACCEPT;
+
+    var rv;
+    traverser._active = true;
+    try {
+        if (typeof filter === "function") {
+            rv = filter(wrap(node));
+        }
+        else {
+            var f = filter.acceptNode;
+            if (typeof f !== "function")
+                throw TypeError("acceptNode property of " +
+                                "node filter object is not a function.");
+            rv = f.call(filter, wrap(node));
+        }
+    }
+    finally {
+        traverser._active = false;
+    }
+    return toUShort(rv);
+}
@@ -0,0 +1,127 @@
+//
+// This file implements the NodeIterator interface.
+// See http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#interface-nodeiterator
+//
+// Like ranges, node iterators are updated when the document changes:
+// each document keeps its iterators in its _nodeIterators WeakList
+// and Node.remove() calls NodeIterator.nodeRemoving() so that the
+// reference node of an iterator is never a node that has been removed.
+// The list doesn't keep iterators alive, so they needn't be detached.
+// See src/impl/WeakList.js
+//
+defineLazyProperty(impl, "NodeIterator", function() {
+    function NodeIterator(root, whatToShow, filter) {
+        this.root = root;
+        this.whatToShow = whatToShow;
+        this.filter = filter;
+        this.referenceNode = root;
+        this.pointerBeforeReferenceNode = true;
+        this._active = false;
+
+        var doc = root.ownerDocument;
+        if (!doc._nodeIterators) doc._nodeIterators = new WeakList();
+        doc._nodeIterators.add(this);
+    }
+
+    // Return the node after node in document order, or null if
+    // there is no such node inside root
+    function following(node, root) {
+        if (node.firstChild) return node.firstChild;
+        for(; node !== root; node = node.parentNode) {
+            if (node.nextSibling) return node.nextSibling;
+        }
+        return null;
+    }
+
+    // Return the node before node in document order, or null if
+    // there is no such node inside root
+    function preceding(node, root) {
+        if (node === root) return null;
+        var prev = node.previousSibling;
+        if (!prev) return node.parentNode;
+        while(prev.lastChild) prev = prev.lastChild;
+        return prev;
+    }
+
+    // The traverse algorithm: next is true for nextNode()
+    // and false for previousNode()
+    function traverse(ni, next) {
+        var node = ni.referenceNode,
+            beforeNode = ni.pointerBeforeReferenceNode;
+        for(;;) {
+            if (next) {
+                if (beforeNode) beforeNode = false;
+                else {
+                    node = following(node, ni.root);
+                    if (!node) return null;
+                }
+            }
+            else {
+                if (!beforeNode) beforeNode = true;
+                else {
+                    node = preceding(node, ni.root);
+                    if (!node) return null;
+                }
+            }
+            if (filterNode(ni, node) === FILTER_ACCEPT) break;
+        }
+        ni.referenceNode = node;
+        ni.pointerBeforeReferenceNode = beforeNode;
+        return node;
+    }
+
+    NodeIterator.prototype = O.create(Object.prototype, {
+        _idlName: constant("NodeIterator"),
+
+        nextNode: constant(function nextNode() {
+            return traverse(this, true);
+        }),
+
+        previousNode: constant(function previousNode() {
+            return traverse(this, false);
+        }),
+
+        // Once detached, the iterator is no longer told about removals
+        detach: constant(function detach() {
+            this.root.ownerDocument._nodeIterators.remove(this);
+        }),
+    });
+
+    // Called by Node.remove() before node is removed from its parent.
+    // If the reference node of an iterator is inside node, move it
+    // to a node that will still be in the tree.
+    NodeIterator.nodeRemoving = function nodeRemoving(node) {
+        var iterators = node.ownerDocument._nodeIterators;
+        if (!iterators) return;
+
+        iterators.forEach(function(ni) {
+            var root = ni.root;
+            if (!node.isAncestor(ni.referenceNode) || node.isAncestor(root))
+                return;
+
+            if (ni.pointerBeforeReferenceNode) {
+                // Use the first node after the removed subtree, if any
+                var next = node;
+                while(next !== root && !next.nextSibling)
+                    next = next.parentNode;
+                if (next !== root) {
+                    ni.referenceNode = next.nextSibling;
+                    return;
+                }
+                ni.pointerBeforeReferenceNode = false;
+            }
+
+            // Otherwise use the last node before the removed subtree
+            var prev = node.previousSibling;
+            if (prev) {
+                while(prev.lastChild) prev = prev.lastChild;
+                ni.referenceNode = prev;
+            }
+            else {
+                ni.referenceNode = node.parentNode;
+            }
+        });
+    };
+
+    return NodeIterator;
+});
@@ -0,0 +1,11 @@
+defineLazyProperty(impl, "PopStateEvent", function() {
+    function PopStateEvent(type, dictionary) {
+        this.state = null;
+        // Use the superclass constructor to initialize the rest
+        impl.Event.call(this, type, dictionary);
+    }
+    PopStateEvent.prototype = O.create(impl.Event.prototype, {
+        _idlName: constant("PopStateEvent"),
+    });
+    return PopStateEvent;
+});
@@ -9,9 +9,11 @@ defineLazyProperty(impl, "ProcessingInstruction", function() {
 
     var nodeValue = attribute(function() { return this._data; },
                               function(v) {
+                                  var oldval = this._data;
                                   this._data = v;
-                                  if (this.rooted)
-                                      this.ownerDocument.mutateValue(this);
+                                  impl.Range.dataReplaced(this, 0, oldval.length,
+                                                          v.length);
+                                  this.ownerDocument.mutateValue(this, oldval);
                               });
 
     ProcessingInstruction.prototype = O.create(impl.Leaf.prototype, {
@@ -0,0 +1,560 @@
+//
+// This file implements the DOM Range interface.
+// See http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#ranges
+//
+// Ranges are "live": when the document is mutated, their boundary points
+// are updated.  Each document keeps its ranges in its _ranges WeakList,
+// and the static functions at the end of this file are called from
+// the insert and remove code in src/impl/Node.js and from the
+// CharacterData editing methods to update them.  The list doesn't keep
+// ranges alive, so ranges that scripts drop stop being updated once they
+// are garbage collected, even though scripts never detach() them.
+// See src/impl/WeakList.js
+//
+defineLazyProperty(impl, "Range", function() {
+    function Range(doc) {
+        this.ownerDocument = doc;
+        this.startContainer = doc;
+        this.startOffset = 0;
+        this.endContainer = doc;
+        this.endOffset = 0;
+
+        if (!doc._ranges) doc._ranges = new WeakList();
+        doc._ranges.add(this);
+    }
+
+    // Return the length of a node, as the Range spec defines it
+    function nodeLength(node) {
+        switch(node.nodeType) {
+        case DOCUMENT_TYPE_NODE:
+            return 0;
+        case TEXT_NODE:
+        case COMMENT_NODE:
+        case PROCESSING_INSTRUCTION_NODE:
+            return node.data.length;
+        default:
+            return node.childNodes.length;
+        }
+    }
+
+    function isCharacterData(node) {
+        return node.nodeType === TEXT_NODE ||
+            node.nodeType === COMMENT_NODE ||
+            node.nodeType === PROCESSING_INSTRUCTION_NODE;
+    }
+
+    // Return the root of the tree that node is in
+    function rootOf(node) {
+        while(node.parentNode) node = node.parentNode;
+        return node;
+    }
+
+    // Return true if ancestor is an inclusive ancestor of node
+    function contains(ancestor, node) {
+        for(; node; node = node.parentNode)
+            if (node === ancestor) return true;
+        return false;
+    }
+
+    // Processing instructions are not CharacterData nodes in dom.js,
+    // so borrow the CharacterData method for them.
+    function replaceData(node, offset, count, data) {
+        impl.CharacterData.prototype.replaceData.call(node, offset,
+                                                      count, data);
+    }
+
+    // Compare the boundary point (na, oa) to the boundary point (nb, ob).
+    // Return -1 if it is before, 0 if they are equal and 1 if it is after.
+    // The nodes must have the same root.
+    function comparePoints(na, oa, nb, ob) {
+        if (na === nb) return (oa === ob) ? 0 : (oa < ob ? -1 : 1);
+
+        if (na.compareDocumentPosition(nb) & DOCUMENT_POSITION_PRECEDING)
+            return -comparePoints(nb, ob, na, oa);
+
+        if (contains(na, nb)) {
+            var child = nb;
+            while(child.parentNode !== na) child = child.parentNode;
+            if (child.siblingIndex < oa) return 1;
+        }
+
+        return -1;
+    }
+
+    // Return true if node is contained in the range r
+    function isContained(r, node) {
+        if (rootOf(node) !== rootOf(r.startContainer)) return false;
+        return comparePoints(node, 0,
+                             r.startContainer, r.startOffset) > 0 &&
+            comparePoints(node, nodeLength(node),
+                          r.endContainer, r.endOffset) < 0;
+    }
+
+    // Return true if node is partially contained in the range r
+    function isPartiallyContained(r, node) {
+        return contains(node, r.startContainer) !==
+            contains(node, r.endContainer);
+    }
+
+    Range.prototype = O.create(Object.prototype, {
+        _idlName: constant("Range"),
+
+        collapsed: attribute(function() {
+            return this.startContainer === this.endContainer &&
+                this.startOffset === this.endOffset;
+        }),
+
+        commonAncestorContainer: attribute(function() {
+            var container = this.startContainer;
+            while(!contains(container, this.endContainer))
+                container = container.parentNode;
+            return container;
+        }),
+
+        _setBoundary: constant(function(node, offset, isStart) {
+            if (node.nodeType === DOCUMENT_TYPE_NODE) InvalidNodeTypeError();
+            if (offset > nodeLength(node)) IndexSizeError();
+
+            if (isStart) {
+                this.startContainer = node;
+                this.startOffset = offset;
+                if (rootOf(node) !== rootOf(this.endContainer) ||
+                    comparePoints(node, offset,
+                                  this.endContainer, this.endOffset) > 0) {
+                    this.endContainer = node;
+                    this.endOffset = offset;
+                }
+            }
+            else {
+                this.endContainer = node;
+                this.endOffset = offset;
+                if (rootOf(node) !== rootOf(this.startContainer) ||
+                    comparePoints(node, offset,
+                                  this.startContainer, this.startOffset) < 0) {
+                    this.startContainer = node;
+                    this.startOffset = offset;
+                }
+            }
+        }),
+
+        setStart: constant(function setStart(node, offset) {
+            this._setBoundary(node, offset, true);
+        }),
+
+        setEnd: constant(function setEnd(node, offset) {
+            this._setBoundary(node, offset, false);
+        }),
+
+        setStartBefore: constant(function setStartBefore(node) {
+            var parent = node.parentNode;
+            if (!parent) InvalidNodeTypeError();
+            this._setBoundary(parent, node.siblingIndex, true);
+        }),
+
+        setStartAfter: constant(function setStartAfter(node) {
+            var parent = node.parentNode;
+            if (!parent) InvalidNodeTypeError();
+            this._setBoundary(parent, node.siblingIndex + 1, true);
+        }),
+
+        setEndBefore: constant(function setEndBefore(node) {
+            var parent = node.parentNode;
+            if (!parent) InvalidNodeTypeError();
+            this._setBoundary(parent, node.siblingIndex, false);
+        }),
+
+        setEndAfter: constant(function setEndAfter(node) {
+            var parent = node.parentNode;
+            if (!parent) InvalidNodeTypeError();
+            this._setBoundary(parent, node.siblingIndex + 1, false);
+        }),
+
+        collapse: constant(function collapse(toStart) {
+            if (toStart) {
+                this.endContainer = this.startContainer;
+                this.endOffset = this.startOffset;
+            }
+            else {
+                this.startContainer = this.endContainer;
+                this.startOffset = this.endOffset;
+            }
+        }),
+
+        selectNode: constant(function selectNode(node) {
+            var parent = node.parentNode;
+            if (!parent) InvalidNodeTypeError();
+            var index = node.siblingIndex;
+            this.startContainer = this.endContainer = parent;
+            this.startOffset = index;
+            this.endOffset = index + 1;
+        }),
+
+        selectNodeContents: constant(function selectNodeContents(node) {
+            if (node.nodeType === DOCUMENT_TYPE_NODE) InvalidNodeTypeError();
+            this.startContainer = this.endContainer = node;
+            this.startOffset = 0;
+            this.endOffset = nodeLength(node);
+        }),
+
+        compareBoundaryPoints: constant(function compareBoundaryPoints(how,
+                                                                       source) {
+            if (how !== START_TO_START && how !== START_TO_END &&
+                how !== END_TO_END && how !== END_TO_START)
+                NotSupportedError();
+            if (rootOf(this.startContainer) !== rootOf(source.startContainer))
+                WrongDocumentError();
+
+            switch(how) {
+            case START_TO_START:
+                return comparePoints(this.startContainer, this.startOffset,
+                                     source.startContainer, source.startOffset);
+            case START_TO_END:
+                return comparePoints(this.endContainer, this.endOffset,
+                                     source.startContainer, source.startOffset);
+            case END_TO_END:
+                return comparePoints(this.endContainer, this.endOffset,
+                                     source.endContainer, source.endOffset);
+            case END_TO_START:
+                return comparePoints(this.startContainer, this.startOffset,
+                                     source.endContainer, source.endOffset);
+            }
+        }),
+
+        // Return -1, 0 or 1 depending on whether the point is before,
+        // inside or after the range.
+        comparePoint: constant(function comparePoint(node, offset) {
+            if (rootOf(node) !== rootOf(this.startContainer))
+                WrongDocumentError();
+            if (node.nodeType === DOCUMENT_TYPE_NODE) InvalidNodeTypeError();
+            if (offset > nodeLength(node)) IndexSizeError();
+
+            if (comparePoints(node, offset,
+                              this.startContainer, this.startOffset) < 0)
+                return -1;
+            if (comparePoints(node, offset,
+                              this.endContainer, this.endOffset) > 0)
+                return 1;
+            return 0;
+        }),
+
+        isPointInRange: constant(function isPointInRange(node, offset) {
+            if (rootOf(node) !== rootOf(this.startContainer)) return false;
+            return this.comparePoint(node, offset) === 0;
+        }),
+
+        deleteContents: constant(function deleteContents() {
+            // Extracting the contents removes exactly the nodes and
+            // data that deleting them would, so just discard the result
+            this.extractContents();
+        }),
+
+        extractContents: constant(function extractContents() {
+            return this._extractOrClone(true);
+        }),
+
+        cloneContents: constant(function cloneContents() {
+            return this._extractOrClone(false);
+        }),
+
+        // This implements both the extract and the clone algorithms
+        // of the Range spec.  They only differ in whether they remove
+        // nodes and data from the document.
+        _extractOrClone: constant(function(extract) {
+            var doc = this.startContainer.doc;
+            var frag = doc.createDocumentFragment();
+            if (this.collapsed) return frag;
+
+            var sc = this.startContainer, so = this.startOffset,
+                ec = this.endContainer, eo = this.endOffset;
+            var clone;
+
+            if (sc === ec && isCharacterData(sc)) {
+                clone = sc.cloneNode(false);
+                clone.data = substring(sc.data, so, eo);
+                frag.appendChild(clone);
+                if (extract) replaceData(sc, so, eo - so, "");
+                return frag;
+            }
+
+            var ancestor = this.commonAncestorContainer;
+
+            var firstPartial = null, lastPartial = null;
+            if (!contains(sc, ec)) {
+                firstPartial = sc;
+                while(firstPartial.parentNode !== ancestor)
+                    firstPartial = firstPartial.parentNode;
+            }
+            if (!contains(ec, sc)) {
+                lastPartial = ec;
+                while(lastPartial.parentNode !== ancestor)
+                    lastPartial = lastPartial.parentNode;
+            }
+
+            var range = this;
+            var contained = filter(ancestor.childNodes, function(c) {
+                return isContained(range, c);
+            });
+            for(var i = 0, n = contained.length; i < n; i++)
+                if (contained[i].nodeType === DOCUMENT_TYPE_NODE)
+                    HierarchyRequestError();
+
+            // Figure out where the range will be collapsed to
+            var newNode, newOffset;
+            if (extract) {
+                if (contains(sc, ec)) {
+                    newNode = sc;
+                    newOffset = so;
+                }
+                else {
+                    var ref = sc;
+                    while(ref.parentNode && !contains(ref.parentNode, ec))
+                        ref = ref.parentNode;
+                    newNode = ref.parentNode;
+                    newOffset = ref.siblingIndex + 1;
+                }
+            }
+
+            var subrange;
+            if (firstPartial && isCharacterData(firstPartial)) {
+                clone = sc.cloneNode(false);
+                clone.data = substring(sc.data, so);
+                frag.appendChild(clone);
+                if (extract)
+                    replaceData(sc, so, nodeLength(sc) - so, "");
+            }
+            else if (firstPartial) {
+                clone = firstPartial.cloneNode(false);
+                frag.appendChild(clone);
+                subrange = new Range(doc);
+                subrange.setStart(sc, so);
+                subrange.setEnd(firstPartial, nodeLength(firstPartial));
+                clone.appendChild(subrange._extractOrClone(extract));
+                subrange.detach();
+            }
+
+            for(var i = 0, n = contained.length; i < n; i++) {
+                frag.appendChild(extract
+                                 ? contained[i]
+                                 : contained[i].cloneNode(true));
+            }
+
+            if (lastPartial && isCharacterData(lastPartial)) {
+                clone = ec.cloneNode(false);
+                clone.data = substring(ec.data, 0, eo);
+                frag.appendChild(clone);
+                if (extract) replaceData(ec, 0, eo, "");
+            }
+            else if (lastPartial) {
+                clone = lastPartial.cloneNode(false);
+                frag.appendChild(clone);
+                subrange = new Range(doc);
+                subrange.setStart(lastPartial, 0);
+                subrange.setEnd(ec, eo);
+                clone.appendChild(subrange._extractOrClone(extract));
+                subrange.detach();
+            }
+
+            if (extract) {
+                this.startContainer = this.endContainer = newNode;
+                this.startOffset = this.endOffset = newOffset;
+            }
+
+            return frag;
+        }),
+
+        insertNode: constant(function insertNode(node) {
+            var sc = this.startContainer, so = this.startOffset;
+
+            if (sc.nodeType === PROCESSING_INSTRUCTION_NODE ||
+                sc.nodeType === COMMENT_NODE ||
+                (sc.nodeType === TEXT_NODE && !sc.parentNode) ||
+                sc === node)
+                HierarchyRequestError();
+
+            var ref, parent;
+            if (sc.nodeType === TEXT_NODE) {
+                ref = sc;
+                parent = sc.parentNode;
+            }
+            else {
+                ref = sc.childNodes[so] || null;
+                parent = sc;
+            }
+
+            if (sc.nodeType === TEXT_NODE) ref = sc.splitText(so);
+            if (node === ref) ref = node.nextSibling;
+            if (node.parentNode) node.parentNode.removeChild(node);
+
+            var newOffset = ref ? ref.siblingIndex : parent.childNodes.length;
+            newOffset += (node.nodeType === DOCUMENT_FRAGMENT_NODE)
+                ? node.childNodes.length
+                : 1;
+
+            parent.insertBefore(node, ref);
+
+            if (this.collapsed) {
+                this.endContainer = parent;
+                this.endOffset = newOffset;
+            }
+        }),
+
+        surroundContents: constant(function surroundContents(newParent) {
+            // Throw if a non-Text node is partially contained
+            var nodes = [];
+            for(var n = this.startContainer; n; n = n.parentNode)
+                push(nodes, n);
+            for(var n = this.endContainer; n; n = n.parentNode)
+                push(nodes, n);
+            for(var i = 0, len = nodes.length; i < len; i++) {
+                if (nodes[i].nodeType !== TEXT_NODE &&
+                    isPartiallyContained(this, nodes[i]))
+                    InvalidStateError();
+            }
+
+            var type = newParent.nodeType;
+            if (type === DOCUMENT_NODE || type === DOCUMENT_TYPE_NODE ||
+                type === DOCUMENT_FRAGMENT_NODE)
+                InvalidNodeTypeError();
+
+            var fragment = this.extractContents();
+            if (newParent.firstChild) newParent.removeChildren();
+            this.insertNode(newParent);
+            newParent.appendChild(fragment);
+            this.selectNode(newParent);
+        }),
+
+        cloneRange: constant(function cloneRange() {
+            var r = new Range(this.ownerDocument);
+            r.startContainer = this.startContainer;
+            r.startOffset = this.startOffset;
+            r.endContainer = this.endContainer;
+            r.endOffset = this.endOffset;
+            return r;
+        }),
+
+        // Stop updating this range when the document changes
+        detach: constant(function detach() {
+            this.ownerDocument._ranges.remove(this);
+        }),
+
+        toString: constant(function toString() {
+            var sc = this.startContainer, so = this.startOffset,
+                ec = this.endContainer, eo = this.endOffset;
+
+            if (sc === ec && sc.nodeType === TEXT_NODE)
+                return substring(sc.data, so, eo);
+
+            var s = "";
+            if (sc.nodeType === TEXT_NODE) s += substring(sc.data, so);
+
+            // Append the text of all Text nodes contained in the range
+            var ancestor = this.commonAncestorContainer;
+            var r = this;
+            (function appendText(node) {
+                var kids = node.childNodes;
+                for(var i = 0, n = kids.length; i < n; i++) {
+                    var kid = kids[i];
+                    if (kid.nodeType === TEXT_NODE) {
+                        if (isContained(r, kid)) s += kid.data;
+                    }
+                    else {
+                        appendText(kid);
+                    }
+                }
+            }(ancestor));
+
+            if (ec.nodeType === TEXT_NODE) s += substring(ec.data, 0, eo);
+            return s;
+        }),
+    });
+
+    //
+    // The functions below keep live ranges up to date.
+    //
+
+    // Called after node has been inserted into its parent
+    Range.nodeInserted = function nodeInserted(node) {
+        var ranges = node.ownerDocument._ranges;
+        if (!ranges) return;
+
+        var parent = node.parentNode, index = node.siblingIndex;
+        ranges.forEach(function(r) {
+            if (r.startContainer === parent && r.startOffset > index)
+                r.startOffset++;
+            if (r.endContainer === parent && r.endOffset > index)
+                r.endOffset++;
+        });
+    };
+
+    // Called after node has been removed from parent. index is
+    // the index it had before it was removed.
+    Range.nodeRemoved = function nodeRemoved(node, parent, index) {
+        var ranges = node.ownerDocument._ranges;
+        if (!ranges) return;
+
+        ranges.forEach(function(r) {
+            if (contains(node, r.startContainer)) {
+                r.startContainer = parent;
+                r.startOffset = index;
+            }
+            else if (r.startContainer === parent && r.startOffset > index) {
+                r.startOffset--;
+            }
+
+            if (contains(node, r.endContainer)) {
+                r.endContainer = parent;
+                r.endOffset = index;
+            }
+            else if (r.endContainer === parent && r.endOffset > index) {
+                r.endOffset--;
+            }
+        });
+    };
+
+    // Called when count code units starting at offset in node's data
+    // have been replaced with length new code units.
+    Range.dataReplaced = function dataReplaced(node, offset, count, length) {
+        var ranges = node.ownerDocument._ranges;
+        if (!ranges) return;
+
+        ranges.forEach(function(r) {
+            if (r.startContainer === node) {
+                if (r.startOffset > offset + count)
+                    r.startOffset += length - count;
+                else if (r.startOffset > offset)
+                    r.startOffset = offset;
+            }
+            if (r.endContainer === node) {
+                if (r.endOffset > offset + count)
+                    r.endOffset += length - count;
+                else if (r.endOffset > offset)
+                    r.endOffset = offset;
+            }
+        });
+    };
+
+    // Called by Text.splitText() after newnode has been inserted after
+    // node, but before the data after offset has been removed from node.
+    Range.textSplit = function textSplit(node, offset, newnode) {
+        var ranges = node.ownerDocument._ranges;
+        if (!ranges) return;
+
+        var parent = node.parentNode, index = node.siblingIndex;
+        ranges.forEach(function(r) {
+            if (r.startContainer === node && r.startOffset > offset) {
+                r.startContainer = newnode;
+                r.startOffset -= offset;
+            }
+            if (r.endContainer === node && r.endOffset > offset) {
+                r.endContainer = newnode;
+                r.endOffset -= offset;
+            }
+            if (r.startContainer === parent && r.startOffset === index + 1)
+                r.startOffset++;
+            if (r.endContainer === parent && r.endOffset === index + 1)
+                r.endOffset++;
+        });
+    };
+
+    return Range;
+});
@@ -0,0 +1,199 @@
+//
+// Resource loaders fetch the documents and scripts that a window loads.
+// All of the fetches that dom.js makes go through Window._fetch(), which
+// hands them to the window's loader.
+//
+// A loader is any object with a load(request, callback) method.  The
+// request has url, method, headers and body properties, where headers
+// is an object that maps header names to values.  The loader calls
+// callback, synchronously or later, with a response object that has
+// url, status, headers and text properties.  Response headers map header
+// names to values, or to arrays of values for repeated headers like
+// Set-Cookie.  Network errors are reported with a status of 0 and an
+// error property.
+//
+// This file defines three loaders: XHRResourceLoader uses XMLHttpRequest,
+// FileResourceLoader reads file: urls from the local filesystem, and
+// FixtureResourceLoader serves responses from memory, for tests.
+// DefaultResourceLoader uses the file loader for file: urls when it can
+// read files, and the XHR loader for everything else.
+//
+// Scripts can replace the window's loader with mozSetResourceLoader(),
+// and can see, change or answer each request with the interceptors they
+// add with mozAddRequestInterceptor().  See src/main.js
+//
+
+// Return a copy of response with its header names in lowercase and its
+// header values in arrays, and with any missing properties filled in
+function normalizeResponse(response, request) {
+    var headers = O.create(null), h = response.headers || {};
+    for(var name in h) {
+        var value = h[name];
+        var values = isArray(value) ? map(value, String) : [String(value)];
+        var lcname = toLowerCase(name);
+        headers[lcname] = headers[lcname] ? concat(headers[lcname], values)
+                                          : values;
+    }
+    var rv = {
+        url: response.url ? String(response.url) : request.url,
+        status: response.status === undefined ? 200 : +response.status,
+        headers: headers,
+        text: response.text === undefined || response.text === null
+            ? "" : String(response.text)
+    };
+    if (response.error) rv.error = response.error;
+    return rv;
+}
+
+// Return the first value of the named header of a normalized response,
+// or null if it doesn't have one
+function responseHeader(response, name) {
+    var values = response.headers[toLowerCase(name)];
+    return values ? values[0] : null;
+}
+
+// Parse the string returned by XMLHttpRequest.getAllResponseHeaders()
+function parseResponseHeaders(s) {
+    var headers = {};
+    var lines = split(s || "", /\r?\n/);
+    for(var i = 0, n = lines.length; i < n; i++) {
+        var colon = S.indexOf(lines[i], ":");
+        if (colon <= 0) continue;
+        var name = toLowerCase(trim(substring(lines[i], 0, colon)));
+        var value = trim(substring(lines[i], colon + 1));
+        if (headers[name]) push(headers[name], value);
+        else headers[name] = [value];
+    }
+    return headers;
+}
+
+function networkError(request, error) {
+    return { url: request.url, status: 0, headers: {}, text: "",
+             error: error };
+}
+
+// Load resources with whatever XMLHttpRequest is defined when the
+// request is made, so that tests can replace it
+function XHRResourceLoader() {}
+
+XHRResourceLoader.prototype = O.create(Object.prototype, {
+    load: constant(function load(request, callback) {
+        if (typeof XMLHttpRequest !== "function") {
+            callback(networkError(request, "XMLHttpRequest is not defined"));
+            return;
+        }
+
+        var xhr = new XMLHttpRequest();
+        var done = false;
+
+        function loaded() {
+            if (done) return;
+            done = true;
+            callback({
+                url: xhr.responseURL || request.url,
+                status: xhr.status,
+                headers: parseResponseHeaders(xhr.getAllResponseHeaders()),
+                text: xhr.responseText
+            });
+        }
+
+        // Different XHR implementations support different handlers:
+        // web workers have onloadend, and my node version of XHR
+        // only has onreadystatechange.
+        xhr.onload = xhr.onloadend = loaded;
+        xhr.onreadystatechange = function() {
+            if (xhr.readyState === 4) loaded();
+        };
+        xhr.onerror = function() {
+            if (done) return;
+            done = true;
+            callback(networkError(request, "XMLHttpRequest failed"));
+        };
+
+        xhr.open(request.method, request.url);
+        for(var name in request.headers) {
+            // XXX: browsers don't allow headers like Cookie to be set,
+            // and send them themselves
+            try {
+                xhr.setRequestHeader(name, request.headers[name]);
+            }
+            catch(e) {}
+        }
+        xhr.send(request.body);
+    }),
+});
+
+// Load file: urls from the local filesystem, with node's fs module or
+// the read() function of the js shell
+function FileResourceLoader() {}
+
+// Return true if this host can read local files
+FileResourceLoader.canReadFiles = function canReadFiles() {
+    return typeof require === "function" || typeof global.read === "function";
+};
+
+FileResourceLoader.prototype = O.create(Object.prototype, {
+    load: constant(function load(request, callback) {
+        var url = new URL(request.url);
+        if (toLowerCase(url.scheme || "") !== "file") {
+            callback(networkError(request, "not a file: url"));
+            return;
+        }
+
+        var text;
+        try {
+            var path = decodeURIComponent(url.path || "/");
+            if (typeof require === "function")
+                text = require("fs").readFileSync(path, "utf8");
+            else
+                text = global.read(path);
+        }
+        catch(e) {
+            callback({ url: request.url, status: 404, headers: {}, text: "" });
+            return;
+        }
+        callback({ url: request.url, status: 200, headers: {}, text: text });
+    }),
+});
+
+// Serve responses from memory.  fixtures maps absolute urls to response
+// objects, or to strings that are the text of 200 responses.  Fragments
+// are ignored, and urls without fixtures get 404 responses.  Each request
+// is recorded in the requests array.
+function FixtureResourceLoader(fixtures) {
+    this._fixtures = O.create(null);
+    this.requests = [];
+    for(var url in fixtures || {}) this.set(url, fixtures[url]);
+}
+
+FixtureResourceLoader.prototype = O.create(Object.prototype, {
+    // Set or replace the response for url
+    set: constant(function set(url, response) {
+        if (typeof response === "string") response = { text: response };
+        this._fixtures[stripFragment(url)] = response;
+    }),
+
+    load: constant(function load(request, callback) {
+        push(this.requests, request);
+        var response = this._fixtures[stripFragment(request.url)];
+        if (typeof response === "function") response = response(request);
+        callback(response || { status: 404, text: "" });
+    }),
+});
+
+// Use the file loader for file: urls, if we can, and the XHR loader
+// for everything else
+function DefaultResourceLoader() {
+    this._xhr = new XHRResourceLoader();
+    this._file = new FileResourceLoader();
+}
+
+DefaultResourceLoader.prototype = O.create(Object.prototype, {
+    load: constant(function load(request, callback) {
+        var scheme = toLowerCase(new URL(request.url).scheme || "");
+        if (scheme === "file" && FileResourceLoader.canReadFiles())
+            this._file.load(request, callback);
+        else
+            this._xhr.load(request, callback);
+    }),
+});
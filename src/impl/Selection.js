@@ -0,0 +1,160 @@
+//
+// This file implements the Selection interface returned by
+// window.getSelection() and document.getSelection().
+// See http://dvcs.w3.org/hg/editing/raw-file/tip/editing.html#selections
+//
+// A selection holds at most one range.  The anchor and focus are the
+// start and end of that range, swapped if the selection was extended
+// backwards.  Since the range is live, the selection follows changes
+// to the document.
+//
+// Every live range costs some work on each mutation until it is
+// collected, so the selection reuses its range when it can: a range that
+// the selection made itself and that scripts have never been given is
+// changed in place, and is detached when the selection drops it.
+//
+defineLazyProperty(impl, "Selection", function() {
+    function Selection(doc) {
+        this.ownerDocument = doc;
+        this._range = null;
+        this._backwards = false;
+        this._exposed = false;  // Could a script hold on to _range?
+    }
+
+    // Return a range that the selection can change: its own range if no
+    // script has seen it, or else a new copy of it
+    function ownRange(selection) {
+        var r = selection._range;
+        if (!r) {
+            selection._range = new impl.Range(selection.ownerDocument);
+        }
+        else if (selection._exposed) {
+            selection._range = r.cloneRange();
+            selection._exposed = false;
+        }
+        return selection._range;
+    }
+
+    // Drop the selection's range, detaching it if nobody else has it
+    function dropRange(selection) {
+        if (selection._range && !selection._exposed)
+            selection._range.detach();
+        selection._range = null;
+    }
+
+    Selection.prototype = O.create(Object.prototype, {
+        _idlName: constant("Selection"),
+
+        anchorNode: attribute(function() {
+            var r = this._range;
+            if (!r) return null;
+            return this._backwards ? r.endContainer : r.startContainer;
+        }),
+        anchorOffset: attribute(function() {
+            var r = this._range;
+            if (!r) return 0;
+            return this._backwards ? r.endOffset : r.startOffset;
+        }),
+        focusNode: attribute(function() {
+            var r = this._range;
+            if (!r) return null;
+            return this._backwards ? r.startContainer : r.endContainer;
+        }),
+        focusOffset: attribute(function() {
+            var r = this._range;
+            if (!r) return 0;
+            return this._backwards ? r.startOffset : r.endOffset;
+        }),
+
+        isCollapsed: attribute(function() {
+            return !this._range || this._range.collapsed;
+        }),
+
+        rangeCount: attribute(function() {
+            return this._range ? 1 : 0;
+        }),
+
+        getRangeAt: constant(function getRangeAt(index) {
+            if (index !== 0 || !this._range) IndexSizeError();
+            this._exposed = true;
+            return this._range;
+        }),
+
+        // We only support a single range, so adding a range
+        // while there already is one has no effect
+        addRange: constant(function addRange(range) {
+            if (this._range || range.ownerDocument !== this.ownerDocument)
+                return;
+            this._range = range;
+            this._exposed = true;
+            this._backwards = false;
+        }),
+
+        removeRange: constant(function removeRange(range) {
+            if (range === this._range) dropRange(this);
+        }),
+
+        removeAllRanges: constant(function removeAllRanges() {
+            dropRange(this);
+        }),
+
+        collapse: constant(function collapse(node, offset) {
+            if (node.ownerDocument !== this.ownerDocument) return;
+            var r = ownRange(this);
+            r.setStart(node, offset);
+            r.collapse(true);
+            this._backwards = false;
+        }),
+
+        collapseToStart: constant(function collapseToStart() {
+            if (!this._range) InvalidStateError();
+            this.collapse(this._range.startContainer, this._range.startOffset);
+        }),
+
+        collapseToEnd: constant(function collapseToEnd() {
+            if (!this._range) InvalidStateError();
+            this.collapse(this._range.endContainer, this._range.endOffset);
+        }),
+
+        // Move the focus to the given point, leaving the anchor where it is
+        extend: constant(function extend(node, offset) {
+            if (!this._range) InvalidStateError();
+            if (node.ownerDocument !== this.ownerDocument) return;
+
+            var anchorNode = this.anchorNode, anchorOffset = this.anchorOffset;
+            // Set the end first, so that the range is unchanged
+            // if the focus is not a valid boundary point
+            var r = ownRange(this);
+            r.setEnd(node, offset);
+            r.setStart(anchorNode, anchorOffset);
+
+            // If the focus is before the anchor, setStart() will have
+            // collapsed the range to the anchor.
+            if (r.collapsed &&
+                (node !== anchorNode || offset !== anchorOffset)) {
+                r.setStart(node, offset);
+                r.setEnd(anchorNode, anchorOffset);
+                this._backwards = true;
+            }
+            else {
+                this._backwards = false;
+            }
+        }),
+
+        selectAllChildren: constant(function selectAllChildren(node) {
+            if (node.ownerDocument !== this.ownerDocument) return;
+            ownRange(this).selectNodeContents(node);
+            this._backwards = false;
+        }),
+
+        deleteFromDocument: constant(function deleteFromDocument() {
+            if (this._range) this._range.deleteContents();
+        }),
+
+        toString: constant(function toString() {
+            return this._range ? this._range.toString() : "";
+        }),
+    });
+
+    return Selection;
+});
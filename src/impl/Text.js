@@ -8,12 +8,7 @@ defineLazyProperty(impl, "Text", function() {
     var nodeValue = attribute(function() { return this._data; },
                               function(v) {
                                   if (v === this._data) return;
-                                  this._data = v;
-                                  if (this.rooted)
-                                      this.ownerDocument.mutateValue(this);
-                                  if (this.parentNode &&
-                                      this.parentNode._textchangehook)
-                                      this.parentNode._textchangehook(this);
+                                  this.replaceData(0, this._data.length, v);
                               });
 
     Text.prototype = O.create(impl.CharacterData.prototype, {
@@ -33,12 +28,16 @@ defineLazyProperty(impl, "Text", function() {
 
             var newdata = substring(this._data, offset),
                 newnode = this.ownerDocument.createTextNode(newdata);
-            this.data = substring(this.data, 0, offset);
 
+            // Insert the new node before truncating this one so that
+            // live ranges can follow the split text
             var parent = this.parentNode;
-            if (parent !== null)
+            if (parent !== null) {
                 parent.insertBefore(newnode, this.nextSibling);
+                impl.Range.textSplit(this, offset, newnode);
+            }
 
+            this.replaceData(offset, this._data.length - offset, "");
             return newnode;
         }),
 
@@ -0,0 +1,168 @@
+//
+// This file implements the TreeWalker interface.
+// See http://dvcs.w3.org/hg/domcore/raw-file/tip/Overview.html#interface-treewalker
+//
+defineLazyProperty(impl, "TreeWalker", function() {
+    function TreeWalker(root, whatToShow, filter) {
+        this.root = root;
+        this.whatToShow = whatToShow;
+        this.filter = filter;
+        this._currentNode = root;
+        this._active = false;
+    }
+
+    // The traverse children algorithm: first is true for firstChild()
+    // and false for lastChild()
+    function traverseChildren(tw, first) {
+        var node = first ? tw._currentNode.firstChild
+                         : tw._currentNode.lastChild;
+        while(node) {
+            var result = filterNode(tw, node);
+            if (result === FILTER_ACCEPT) {
+                tw._currentNode = node;
+                return node;
+            }
+            if (result === FILTER_SKIP) {
+                var child = first ? node.firstChild : node.lastChild;
+                if (child) {
+                    node = child;
+                    continue;
+                }
+            }
+            while(node) {
+                var sibling = first ? node.nextSibling : node.previousSibling;
+                if (sibling) {
+                    node = sibling;
+                    break;
+                }
+                var parent = node.parentNode;
+                if (!parent || parent === tw.root ||
+                    parent === tw._currentNode)
+                    return null;
+                node = parent;
+            }
+        }
+        return null;
+    }
+
+    // The traverse siblings algorithm: next is true for nextSibling()
+    // and false for previousSibling()
+    function traverseSiblings(tw, next) {
+        var node = tw._currentNode;
+        if (node === tw.root) return null;
+        for(;;) {
+            var sibling = next ? node.nextSibling : node.previousSibling;
+            while(sibling) {
+                node = sibling;
+                var result = filterNode(tw, node);
+                if (result === FILTER_ACCEPT) {
+                    tw._currentNode = node;
+                    return node;
+                }
+                sibling = next ? node.firstChild : node.lastChild;
+                if (result === FILTER_REJECT || !sibling)
+                    sibling = next ? node.nextSibling : node.previousSibling;
+            }
+            node = node.parentNode;
+            if (!node || node === tw.root) return null;
+            if (filterNode(tw, node) === FILTER_ACCEPT) return null;
+        }
+    }
+
+    TreeWalker.prototype = O.create(Object.prototype, {
+        _idlName: constant("TreeWalker"),
+
+        currentNode: attribute(
+            function() { return this._currentNode; },
+            function(v) { this._currentNode = v; }
+        ),
+
+        parentNode: constant(function parentNode() {
+            var node = this._currentNode;
+            while(node && node !== this.root) {
+                node = node.parentNode;
+                if (node && filterNode(this, node) === FILTER_ACCEPT) {
+                    this._currentNode = node;
+                    return node;
+                }
+            }
+            return null;
+        }),
+
+        firstChild: constant(function firstChild() {
+            return traverseChildren(this, true);
+        }),
+
+        lastChild: constant(function lastChild() {
+            return traverseChildren(this, false);
+        }),
+
+        previousSibling: constant(function previousSibling() {
+            return traverseSiblings(this, false);
+        }),
+
+        nextSibling: constant(function nextSibling() {
+            return traverseSiblings(this, true);
+        }),
+
+        previousNode: constant(function previousNode() {
+            var node = this._currentNode;
+            while(node !== this.root) {
+                var sibling = node.previousSibling;
+                while(sibling) {
+                    node = sibling;
+                    var result = filterNode(this, node);
+                    // Descend to the last descendant unless rejected
+                    while(result !== FILTER_REJECT && node.lastChild) {
+                        node = node.lastChild;
+                        result = filterNode(this, node);
+                    }
+                    if (result === FILTER_ACCEPT) {
+                        this._currentNode = node;
+                        return node;
+                    }
+                    sibling = node.previousSibling;
+                }
+                if (node === this.root || !node.parentNode) return null;
+                node = node.parentNode;
+                if (filterNode(this, node) === FILTER_ACCEPT) {
+                    this._currentNode = node;
+                    return node;
+                }
+            }
+            return null;
+        }),
+
+        nextNode: constant(function nextNode() {
+            var node = this._currentNode, result = FILTER_ACCEPT;
+            for(;;) {
+                while(result !== FILTER_REJECT && node.firstChild) {
+                    node = node.firstChild;
+                    result = filterNode(this, node);
+                    if (result === FILTER_ACCEPT) {
+                        this._currentNode = node;
+                        return node;
+                    }
+                }
+
+                // Go across, or up and across, without leaving the root
+                var sibling = null;
+                for(var temp = node; temp; temp = temp.parentNode) {
+                    if (temp === this.root) return null;
+                    sibling = temp.nextSibling;
+                    if (sibling) break;
+                }
+                if (!sibling) return null;
+
+                node = sibling;
+                result = filterNode(this, node);
+                if (result === FILTER_ACCEPT) {
+                    this._currentNode = node;
+                    return node;
+                }
+            }
+        }),
+    });
+
+    return TreeWalker;
+});
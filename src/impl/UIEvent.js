@@ -1,10 +1,11 @@
 defineLazyProperty(impl, "UIEvent", function() {
-    function UIEvent() {
-        // Just use the superclass constructor to initialize
-        impl.Event.call(this);
-
+    function UIEvent(type, dictionary) {
         this.view = null;  // FF uses the current window
         this.detail = 0;
+        this.which = 0;
+
+        // Use the superclass constructor to initialize the rest
+        impl.Event.call(this, type, dictionary);
     }
     UIEvent.prototype = O.create(impl.Event.prototype, {
         _idlName: constant("UIEvent"),
@@ -17,3 +18,44 @@ defineLazyProperty(impl, "UIEvent", function() {
     });
     return UIEvent;
 });
+
+// The modifier keys that getModifierState() knows, other than Alt,
+// Control, Shift and Meta, which have their own attributes.  Their
+// state is kept in properties like modifierCapsLock, which is how the
+// EventModifierInit dictionary passes them to the constructors.
+const otherModifierKeys = {
+    AltGraph: true, CapsLock: true, Fn: true, FnLock: true, Hyper: true,
+    NumLock: true, ScrollLock: true, Super: true, Symbol: true,
+    SymbolLock: true
+};
+
+// getModifierState() for MouseEvent and KeyboardEvent
+function modifierState(event, key) {
+    switch(key) {
+    case "Alt": return event.altKey;
+    case "Control": return event.ctrlKey;
+    case "Shift": return event.shiftKey;
+    case "Meta": return event.metaKey;
+    default:
+        return hasOwnProperty(otherModifierKeys, key) &&
+            !!event["modifier" + key];
+    }
+}
+
+// Set the modifier state of event from a space-separated list of
+// modifier key names, for the legacy initializers that take one
+function setModifiers(event, list) {
+    var keys = split(trim(list), /\s+/);
+    for(var i = 0, n = keys.length; i < n; i++) {
+        switch(keys[i]) {
+        case "Alt": event.altKey = true; break;
+        case "Control": event.ctrlKey = true; break;
+        case "Shift": event.shiftKey = true; break;
+        case "Meta": event.metaKey = true; break;
+        default:
+            if (hasOwnProperty(otherModifierKeys, keys[i]))
+                event["modifier" + keys[i]] = true;
+            break;
+        }
+    }
+}
@@ -138,7 +138,7 @@ URLDecompositionAttributes.prototype = {
         var output = this.getInput();
         var url = new URL(output);
         if (url.isAbsolute() && url.isHierarchical()) {
-            if (v.charAt(0) !== "?") v = v.substring(1);
+            if (v.charAt(0) === "?") v = v.substring(1);
             v = v.replace(/[^-+\._~!$&'()*,;:=@\/?a-zA-z0-9]/g,
                           URL.percentEncode);
             url.query = v;
@@ -151,7 +151,7 @@ URLDecompositionAttributes.prototype = {
         var output = this.getInput();
         var url = new URL(output);
         if (url.isAbsolute()) {
-            if (v.charAt(0) !== "#") v = v.substring(1);
+            if (v.charAt(0) === "#") v = v.substring(1);
             v = v.replace(/[^-+\._~!$&'()*,;:=@\/?a-zA-z0-9]/g,
                           URL.percentEncode);
             url.fragment = v;
@@ -0,0 +1,44 @@
+//
+// This file implements the object returned by the validity property of
+// form controls.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/association-of-controls-and-forms.html#validitystate
+//
+// A ValidityState has no state of its own: each flag asks its element
+// whether it suffers from that kind of invalidity, so it is always live.
+// Elements answer through their _suffersFrom() method.  See
+// defineConstraintValidation() in src/impl/formcontrols.js
+//
+defineLazyProperty(impl, "ValidityState", function() {
+    function ValidityState(elt) {
+        this.element = elt;
+    }
+
+    const flags = [
+        "valueMissing", "typeMismatch", "patternMismatch", "tooLong",
+        "rangeUnderflow", "rangeOverflow", "stepMismatch"
+    ];
+
+    var members = {
+        _idlName: constant("ValidityState"),
+
+        customError: attribute(function() {
+            return this.element._customValidity !== "";
+        }),
+
+        valid: attribute(function() {
+            for(var i = 0, n = flags.length; i < n; i++)
+                if (this[flags[i]]) return false;
+            return !this.customError;
+        }),
+    };
+
+    flags.forEach(function(flag) {
+        members[flag] = attribute(function() {
+            return this.element._suffersFrom(flag);
+        });
+    });
+
+    ValidityState.prototype = O.create(Object.prototype, members);
+
+    return ValidityState;
+});
@@ -0,0 +1,77 @@
+//
+// A virtual clock for tests.  While it is installed, the window's event
+// loop reads the time from it instead of from Date.now, and nothing runs
+// until the test moves the clock forward.  So timers, animation frames,
+// event timestamps and tasks like script loading can all be tested
+// deterministically, in a single synchronous pass, without sleeping.
+//
+// Get one with Window.useVirtualClock() (mozVirtualClock() in scripts).
+//
+function VirtualClock(loop) {
+    this._loop = loop;
+    this.time = now();
+    this._savedHooks = null;     // The loop's clock and scheduler
+}
+
+// runAllTimers() gives up after running this many tasks, since an
+// interval would otherwise keep it going forever
+const MAX_VIRTUAL_TASKS = 10000;
+
+VirtualClock.prototype = O.create(Object.prototype, {
+    // Make the event loop use this clock, and stop it from asking the
+    // host to run it
+    install: constant(function install() {
+        var self = this, loop = this._loop;
+        if (!this._savedHooks)
+            this._savedHooks = { clock: loop.clock, scheduler: loop.scheduler };
+        loop.clock = function() { return self.time; };
+        loop.scheduler = null;
+    }),
+
+    // Go back to the clock and scheduler that the loop had before
+    uninstall: constant(function uninstall() {
+        var saved = this._savedHooks, loop = this._loop;
+        if (!saved) return;
+        this._savedHooks = null;
+        loop.clock = saved.clock;
+        loop.scheduler = saved.scheduler;
+        loop._wakeTime = Infinity;
+        loop._schedule();
+    }),
+
+    // Move time forward by ms milliseconds, running each task, timer and
+    // animation frame when its time comes, and return the number of
+    // tasks that were run.
+    advance: constant(function advance(ms) {
+        var end = this.time + (ms > 0 ? ms : 0);
+        var count = this._runUntil(end);
+        this.time = end;
+        return count;
+    }),
+
+    // Run tasks and timers until there are none left, moving time forward
+    // as needed, and return the number of tasks that were run.
+    runAllTimers: constant(function runAllTimers() {
+        return this._runUntil(Infinity);
+    }),
+
+    runPendingMicrotasks: constant(function runPendingMicrotasks() {
+        this._loop.performMicrotaskCheckpoint();
+    }),
+
+    _runUntil: constant(function(end) {
+        var loop = this._loop, q = loop._queue, count = 0;
+        loop.performMicrotaskCheckpoint();
+        while(q.length > 0 && q[0].time <= end) {
+            if (++count > MAX_VIRTUAL_TASKS && end === Infinity)
+                throw Error("Ran " + MAX_VIRTUAL_TASKS +
+                            " tasks without finishing. Is an interval set?");
+            if (q[0].time > this.time) this.time = q[0].time;
+            // Run just the first task, so that time moves forward
+            // before tasks that are due later are run
+            var task = splice(q, 0, 1)[0];
+            loop._runTask(task);
+        }
+        return count;
+    }),
+});
@@ -0,0 +1,58 @@
+//
+// A WeakList is a list of objects that doesn't keep them alive.  Each
+// document keeps its live ranges and node iterators in WeakLists, so
+// that they can be garbage collected when scripts drop them: scripts
+// hardly ever call detach().  Entries for objects that have been
+// collected are dropped as the list is walked.
+//
+// Hosts without WeakRef get a list that holds its objects strongly, and
+// only remove() takes objects out of it.
+//
+function WeakList() {
+    this._refs = [];
+}
+
+// Return the object that ref refers to, or undefined if it has been
+// collected
+function weakListDeref(ref) {
+    return WeakRef ? wrderef(ref) : ref;
+}
+
+WeakList.prototype = O.create(Object.prototype, {
+    add: constant(function add(o) {
+        push(this._refs, WeakRef ? new WeakRef(o) : o);
+    }),
+
+    remove: constant(function remove(o) {
+        var refs = this._refs;
+        for(var i = 0, n = refs.length; i < n; i++) {
+            if (weakListDeref(refs[i]) === o) {
+                splice(refs, i, 1);
+                return;
+            }
+        }
+    }),
+
+    // Call f with each object in the list that is still alive, and drop
+    // the entries of the ones that aren't.  f must not change the list.
+    forEach: constant(function forEach(f) {
+        var refs = this._refs, collected = false;
+        for(var i = 0, n = refs.length; i < n; i++) {
+            var o = weakListDeref(refs[i]);
+            if (o === undefined) collected = true;
+            else f(o);
+        }
+        if (collected) {
+            this._refs = filter(refs, function(ref) {
+                return weakListDeref(ref) !== undefined;
+            });
+        }
+    }),
+
+    // The number of objects in the list that are still alive
+    length: attribute(function() {
+        var count = 0;
+        this.forEach(function() { count++; });
+        return count;
+    }),
+});
@@ -0,0 +1,30 @@
+defineLazyProperty(impl, "WheelEvent", function() {
+    function WheelEvent(type, dictionary) {
+        this.deltaX = this.deltaY = this.deltaZ = 0;
+        this.deltaMode = 0;  // DOM_DELTA_PIXEL
+
+        // Use the superclass constructor to initialize the rest
+        impl.MouseEvent.call(this, type, dictionary);
+    }
+    WheelEvent.prototype = O.create(impl.MouseEvent.prototype, {
+        _idlName: constant("WheelEvent"),
+        initWheelEvent: constant(function(type, bubbles, cancelable,
+                                          view, detail,
+                                          screenX, screenY, clientX, clientY,
+                                          button, relatedTarget,
+                                          modifiersList,
+                                          deltaX, deltaY, deltaZ,
+                                          deltaMode) {
+            this.initMouseEvent(type, bubbles, cancelable, view, detail,
+                                screenX, screenY, clientX, clientY,
+                                false, false, false, false,
+                                button, relatedTarget);
+            setModifiers(this, modifiersList);
+            this.deltaX = deltaX;
+            this.deltaY = deltaY;
+            this.deltaZ = deltaZ;
+            this.deltaMode = deltaMode;
+        }),
+    });
+    return WheelEvent;
+});
@@ -2,22 +2,21 @@
 // We'll set things up (in src/main.js for now) so that it unwraps
 // to the global object
 function Window() {
+    // Create the event loop first, since events read its clock
+    var loop = this._eventLoop = EventLoop.main = new EventLoop();
+    this._cookieJar = new CookieJar(function() { return loop.clock(); });
+    this._resourceLoader = new DefaultResourceLoader();
+    this._requestInterceptors = [];
     this.document = new impl.DOMImplementation().createHTMLDocument("");
     this.document._scripting_enabled = true;
     this.document.defaultView = this;
     this.location = new Location(this, "about:blank");
+    this.history = new History(this);
 }
 
 Window.prototype = O.create(impl.EventTarget.prototype, {
     _idlName: constant("Window"),
 
-    history: constant({
-        back: nyi,
-        forward: nyi,
-        go: nyi,
-        _idlName: "History"
-    }),
-
     navigator: constant({
         appName: "dom.js",
         appVersion: "0.1",
@@ -40,18 +39,127 @@ Window.prototype = O.create(impl.EventTarget.prototype, {
     frameElement: constant(null),  // not part of a frame
     opener: constant(null),        // not opened by another window
 
-    // The onload event handler.
-    // XXX: need to support a bunch of other event types, too,
-    // and have them interoperate with document.body.
+    getSelection: constant(function getSelection() {
+        return this.document.getSelection();
+    }),
+
+    // Timers and animation frames belong to the window's event loop.
+    // See src/impl/EventLoop.js
+    setTimeout: constant(function setTimeout(handler, timeout) {
+        return this._eventLoop.setTimeout(handler, timeout);
+    }),
+    clearTimeout: constant(function clearTimeout(handle) {
+        this._eventLoop.clearTimeout(handle);
+    }),
+    setInterval: constant(function setInterval(handler, timeout) {
+        return this._eventLoop.setInterval(handler, timeout);
+    }),
+    clearInterval: constant(function clearInterval(handle) {
+        this._eventLoop.clearInterval(handle);
+    }),
+    requestAnimationFrame: constant(function requestAnimationFrame(callback) {
+        return this._eventLoop.requestAnimationFrame(callback);
+    }),
+    cancelAnimationFrame: constant(function cancelAnimationFrame(handle) {
+        this._eventLoop.cancelAnimationFrame(handle);
+    }),
+
+    // Navigate to the request made by a form submission, or hand it to
+    // the hook set with mozSetFormSubmissionHook().  See
+    // src/impl/formsubmission.js
+    // XXX: the request's target is ignored, since there is only one window
+    _formSubmissionHook: { value: null, writable: true },
+    _submitForm: constant(function(request) {
+        if (this._formSubmissionHook) this._formSubmissionHook(request);
+        else this.location._navigate(request.url, request.method,
+                                     request.body, request.enctype);
+    }),
+
+    // Fetch a resource through the window's resource loader, and call
+    // callback with the response.  request has url, method, headers and
+    // body properties.  Each interceptor is called with the request, and
+    // may change it, or return a response to use instead of loading it.
+    // See src/impl/ResourceLoader.js
+    _fetch: constant(function(request, callback) {
+        var jar = this._cookieJar;
+        request = {
+            url: request.url,
+            method: request.method || "GET",
+            headers: request.headers || {},
+            body: request.body === undefined ? null : request.body
+        };
+
+        var finished = false;
+        function done(response) {
+            finished = true;
+            response = normalizeResponse(response, request);
+            jar.storeResponseCookies(response, request.url);
+            callback(response);
+        }
 
-    onload: attribute(
-        function() {
-            return this._getEventHandler("load");
-        },
-        function(v) {
-            this._setEventHandler("load", v);
+        // An exception from an interceptor or the loader becomes a network
+        // error, so that the callback is always called.  Otherwise a
+        // parser waiting for a script would never resume.
+        try {
+            var interceptors = A.slice(this._requestInterceptors);
+            for(var i = 0, n = interceptors.length; i < n; i++) {
+                var response = interceptors[i](request);
+                if (response) {
+                    done(response);
+                    return;
+                }
+            }
+            // Interceptors may change the url, so cookies are only added
+            // once the request is on its way to the loader
+            jar.addRequestCookies(request);
+            this._resourceLoader.load(request, done);
         }
-    ),
+        catch(e) {
+            // Exceptions from the callback itself aren't ours to handle
+            if (finished) throw e;
+            error("Exception while loading " + request.url + ": " + e);
+            done(networkError(request, String(e)));
+        }
+    }),
+
+    // Use loader for all fetches, or restore the default loader if
+    // loader is null
+    _setResourceLoader: constant(function(loader) {
+        this._resourceLoader = loader || new DefaultResourceLoader();
+    }),
+
+    _addRequestInterceptor: constant(function(interceptor) {
+        if (A.indexOf(this._requestInterceptors, interceptor) === -1)
+            push(this._requestInterceptors, interceptor);
+    }),
 
+    _removeRequestInterceptor: constant(function(interceptor) {
+        var i = A.indexOf(this._requestInterceptors, interceptor);
+        if (i !== -1) splice(this._requestInterceptors, i, 1);
+    }),
 
+    // For tests: make the event loop run on a virtual clock, and return
+    // the clock so the test can move time forward.
+    useVirtualClock: constant(function useVirtualClock() {
+        if (!this._virtualClock)
+            this._virtualClock = new VirtualClock(this._eventLoop);
+        this._virtualClock.install();
+        return this._virtualClock;
+    }),
 });
+
+// The event handler IDL attributes of windows: the GlobalEventHandlers,
+// like onclick, and the WindowEventHandlers, like onpopstate.  Events
+// dispatched at nodes in the window's document propagate to the window.
+// See src/impl/EventTarget.js
+concat(globalEventHandlerTypes, windowEventHandlerTypes).forEach(
+    function(type) {
+        Object.defineProperty(Window.prototype, "on" + type, {
+            get: function() {
+                return this._getEventHandler(type);
+            },
+            set: function(v) {
+                this._setEventHandler(type, v);
+            }
+        });
+    });
@@ -0,0 +1,650 @@
+/*
+ * This file contains a non-validating, namespace-aware XML 1.0 parser.
+ * See http://www.w3.org/TR/xml/ and http://www.w3.org/TR/xml-names/
+ *
+ * Usage:
+ *
+ * The file defines a single XMLParser() factory function.  Like
+ * HTMLParser(), it takes the URL of the document and returns an object
+ * with parse() and document() methods.  Unlike the HTML parser, this
+ * parser is not incremental: parse() just buffers its text until it is
+ * called with true as its second argument, and then the whole document
+ * is parsed at once.  document() always returns an unwrapped document.
+ * DOMParser.parseFromString() is the public API for this parser.
+ *
+ * The parser builds an impl.Document with isHTML false, and uses
+ * xmlnames.js to validate element, attribute and other names.
+ *
+ * Well-formedness errors are fatal, but they are not reported with
+ * exceptions.  Instead, like Gecko, the parser replaces the content
+ * of the document with a parsererror element that describes the error
+ * and where it occurred.
+ *
+ * Limitations: the parser does not read external entities or DTDs.
+ * The internal DTD subset is skipped, except for internal general entity
+ * declarations.  The replacement text of those entities is treated as
+ * character data, even if it contains markup.  References to external
+ * entities are ignored.  CDATA sections become ordinary Text nodes.
+ */
+const XMLParser = (function() {
+    const PARSERERROR_NAMESPACE =
+        "http://www.mozilla.org/newlayout/xml/parsererror.xml";
+
+    // Characters that may not appear anywhere in an XML document
+    var INVALIDCHARS = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/;
+
+    // Match a run of characters that might be a name. The result is
+    // checked with xml.isValidName() or xml.isValidQName()
+    var NAMECHARS = /[^ \t\n\r<>\/=?!&;"'\[\]%]+/g;
+
+    // The attributes of an XML declaration, in the required order
+    var XMLDECL = (function() {
+        var sp = "[ \\t\\n\\r]", eq = sp + "*=" + sp + "*";
+        return new RegExp("^" +
+                          sp + "+version" + eq + "([\"'])1\\.[0-9]+\\1" +
+                          "(" + sp + "+encoding" + eq +
+                          "([\"'])[A-Za-z][-A-Za-z0-9._]*\\3)?" +
+                          "(" + sp + "+standalone" + eq +
+                          "([\"'])(yes|no)\\5)?" +
+                          sp + "*$");
+    }());
+
+    // The characters allowed in public identifiers
+    var PUBIDCHARS = /^[-\x20\x0D\x0Aa-zA-Z0-9'()+,.\/:=?;!*#@$_%]*$/;
+
+    var REFERENCE = /&([^&;]*)(;?)/g;
+
+    // The five entities that every XML document has
+    var predefinedEntities = {
+        lt: "<", gt: ">", amp: "&", apos: "'", quot: '"'
+    };
+
+    // A limit on the number of entity expansions, so that a small
+    // document can't expand into a huge one
+    const MAX_EXPANSIONS = 10000;
+
+    // The parser throws one of these to abort parsing when it finds
+    // a well-formedness error.  pos is the position of the error.
+    function ParseError(message, pos) {
+        this.message = message;
+        this.pos = pos;
+    }
+
+    function isValidChar(c) {
+        return c === 0x9 || c === 0xA || c === 0xD ||
+            (c >= 0x20 && c <= 0xD7FF) ||
+            (c >= 0xE000 && c <= 0xFFFD) ||
+            (c >= 0x10000 && c <= 0x10FFFF);
+    }
+
+    function codepointToString(c) {
+        if (c <= 0xFFFF) return fromCharCode(c);
+        c -= 0x10000;
+        return fromCharCode(0xD800 + (c >> 10), 0xDC00 + (c & 0x3FF));
+    }
+
+    function XMLParser(address) {
+        var doc = new impl.Document(false, address);
+        var chunks = [];
+
+        // Parser state
+        var s;                           // The text being parsed
+        var pos;                         // The current position in s
+        var parent;                      // Where new nodes are appended
+        var text;                        // Character data not yet appended
+        var entities = O.create(null);   // Entities declared in the DTD
+        var expanding;                   // Entities being expanded
+        var expansions;                  // Number of entity expansions
+
+        // The namespace bindings in scope.  Each element gets a new scope
+        // that inherits from its parent's.  The empty string is the key
+        // for the default namespace, and null means no namespace.
+        var rootScope = O.create(null);
+        rootScope[""] = null;
+        rootScope.xml = XML_NAMESPACE;
+        rootScope.xmlns = XMLNS_NAMESPACE;
+
+        return {
+            parse: function(chunk, end) {
+                push(chunks, chunk);
+                if (!end) return;
+
+                // Normalize line endings before doing anything else
+                s = replace(join(chunks, ""), /\r\n?/g, "\n");
+                chunks = [];
+                pos = 0;
+                parent = doc;
+                text = "";
+                expanding = [];
+                expansions = 0;
+
+                try {
+                    parseDocument();
+                }
+                catch(e) {
+                    if (!(e instanceof ParseError)) throw e;
+                    reportError(e.message, e.pos);
+                }
+            },
+
+            document: function() {
+                return doc;
+            }
+        };
+
+        function error(message, p) {
+            throw new ParseError(message, p === undefined ? pos : p);
+        }
+
+        // Replace the content of the document with a description of
+        // the error, in the format that Gecko uses
+        function reportError(message, p) {
+            var before = substring(s, 0, p);
+            var linestart = S.lastIndexOf(before, "\n") + 1;
+            var lineend = S.indexOf(s, "\n", p);
+            if (lineend === -1) lineend = s.length;
+            var line = split(before, "\n").length;
+            var column = p - linestart + 1;
+
+            while(doc.hasChildNodes())
+                doc.removeChild(doc.firstChild);
+
+            var root = doc.createElementNS(PARSERERROR_NAMESPACE,
+                                           "parsererror");
+            root.appendChild(doc.createTextNode(
+                "XML Parsing Error: " + message +
+                "\nLocation: " + doc._address +
+                "\nLine Number " + line + ", Column " + column + ":"));
+            var source = doc.createElementNS(PARSERERROR_NAMESPACE,
+                                             "sourcetext");
+            var marker = "";
+            for(var i = 1; i < column; i++) marker += "-";
+            source.appendChild(doc.createTextNode(
+                substring(s, linestart, lineend) + "\n" + marker + "^"));
+            root.appendChild(source);
+            doc.appendChild(root);
+        }
+
+        //
+        // Low-level scanning functions
+        //
+
+        function lookingAt(str) {
+            return substring(s, pos, pos + str.length) === str;
+        }
+
+        function expect(str) {
+            if (!lookingAt(str)) error("not well-formed");
+            pos += str.length;
+        }
+
+        // Skip whitespace and return true if there was any
+        function skipSpace() {
+            var start = pos;
+            for(;;) {
+                var c = s[pos];
+                if (c !== " " && c !== "\t" && c !== "\n" && c !== "\r")
+                    return pos > start;
+                pos++;
+            }
+        }
+
+        function requireSpace() {
+            if (!skipSpace()) error("not well-formed");
+        }
+
+        function parseName() {
+            NAMECHARS.lastIndex = pos;
+            var m = exec(NAMECHARS, s);
+            if (!m || m.index !== pos || !xml.isValidName(m[0]))
+                error("not well-formed");
+            pos += m[0].length;
+            return m[0];
+        }
+
+        // Names of elements and attributes must also be valid QNames
+        function parseQName() {
+            var start = pos;
+            var name = parseName();
+            if (!xml.isValidQName(name))
+                error("not well-formed (invalid qualified name)", start);
+            return name;
+        }
+
+        // Names of PI targets and entities must not include colons
+        function parseNCName() {
+            var start = pos;
+            var name = parseName();
+            if (S.indexOf(name, ":") !== -1)
+                error("not well-formed (colon in name)", start);
+            return name;
+        }
+
+        function parseQuoted() {
+            var quote = s[pos];
+            if (quote !== '"' && quote !== "'") error("not well-formed");
+            var end = S.indexOf(s, quote, pos + 1);
+            if (end === -1) error("unclosed token");
+            var value = substring(s, pos + 1, end);
+            pos = end + 1;
+            return value;
+        }
+
+        //
+        // Entity and character references
+        //
+
+        // Expand the references in raw, which starts at position start
+        function expandReferences(raw, start) {
+            if (S.indexOf(raw, "&") === -1) return raw;
+            return replace(raw, REFERENCE, function(ref, name, semi, offset) {
+                if (!semi) error("not well-formed", start + offset);
+                return expandReference(name, start + offset);
+            });
+        }
+
+        function expandReference(name, p) {
+            if (name[0] === "#") {
+                var code = NaN;
+                if (test(/^#x[0-9a-fA-F]+$/, name))
+                    code = parseInt(substring(name, 2), 16);
+                else if (test(/^#[0-9]+$/, name))
+                    code = parseInt(substring(name, 1), 10);
+                if (!isValidChar(code))
+                    error("reference to invalid character number", p);
+                return codepointToString(code);
+            }
+
+            if (!xml.isValidName(name)) error("not well-formed", p);
+            if (hasOwnProperty(predefinedEntities, name))
+                return predefinedEntities[name];
+
+            var value = entities[name];
+            if (value === undefined) error("undefined entity", p);
+            if (value === null) return "";   // An external entity
+            if (A.indexOf(expanding, name) !== -1)
+                error("recursive entity reference", p);
+            if (++expansions > MAX_EXPANSIONS)
+                error("too many entity expansions", p);
+
+            // The replacement text may contain more references.  This
+            // is a recursive call, so use a new RegExp object here.
+            push(expanding, name);
+            value = replace(value, /&([^&;]*)(;?)/g, function(ref, name, semi) {
+                if (!semi) error("not well-formed", p);
+                return expandReference(name, p);
+            });
+            pop(expanding);
+            return value;
+        }
+
+        //
+        // The grammar
+        //
+
+        function appendNode(node) {
+            if (text) {
+                parent.appendChild(doc.createTextNode(text));
+                text = "";
+            }
+            parent.appendChild(node);
+        }
+
+        function parseDocument() {
+            var bad = search(s, INVALIDCHARS);
+            if (bad !== -1) error("not well-formed (invalid token)", bad);
+
+            if (s[0] === "\uFEFF") pos = 1;  // Skip a byte order mark
+
+            if (test(/^<\?xml[ \t\n\r?]/, substring(s, pos, pos + 6)))
+                parseXMLDecl();
+
+            parseMisc();
+            if (lookingAt("<!DOCTYPE")) {
+                parseDoctype();
+                parseMisc();
+            }
+
+            if (pos >= s.length) error("no root element found");
+            if (s[pos] !== "<") error("syntax error");
+            parseContent();
+
+            parseMisc();
+            if (pos < s.length) error("junk after document element");
+        }
+
+        function parseXMLDecl() {
+            var start = pos;
+            pos += 5;
+            var end = S.indexOf(s, "?>", pos);
+            if (end === -1 || !test(XMLDECL, substring(s, pos, end)))
+                error("XML declaration not well-formed", start);
+            pos = end + 2;
+        }
+
+        // Comments, processing instructions and whitespace, which are
+        // the only things allowed outside of the document element
+        function parseMisc() {
+            for(;;) {
+                skipSpace();
+                if (lookingAt("<!--")) parseComment();
+                else if (lookingAt("<?")) parsePI();
+                else return;
+            }
+        }
+
+        function parseComment() {
+            var start = pos;
+            var end = S.indexOf(s, "-->", pos + 4);
+            if (end === -1) error("unclosed token", start);
+            var data = substring(s, pos + 4, end);
+            if (S.indexOf(data, "--") !== -1 || data[data.length-1] === "-")
+                error("not well-formed (comment contains --)", start);
+            pos = end + 3;
+            appendNode(doc.createComment(data));
+        }
+
+        function parsePI() {
+            var start = pos;
+            pos += 2;
+            var target = parseNCName();
+            if (toLowerCase(target) === "xml")
+                error("XML or text declaration not at start of entity", start);
+            var data = "";
+            if (!lookingAt("?>")) {
+                requireSpace();
+                var end = S.indexOf(s, "?>", pos);
+                if (end === -1) error("unclosed token", start);
+                data = substring(s, pos, end);
+                pos = end;
+            }
+            pos += 2;
+            appendNode(doc.createProcessingInstruction(target, data));
+        }
+
+        function parseDoctype() {
+            var start = pos;
+            pos += 9;
+            requireSpace();
+            var name = parseQName();
+            var publicId = "", systemId = "";
+            skipSpace();
+            if (lookingAt("PUBLIC")) {
+                pos += 6;
+                requireSpace();
+                publicId = parseQuoted();
+                if (!test(PUBIDCHARS, publicId))
+                    error("illegal character in public id", start);
+                requireSpace();
+                systemId = parseQuoted();
+                skipSpace();
+            }
+            else if (lookingAt("SYSTEM")) {
+                pos += 6;
+                requireSpace();
+                systemId = parseQuoted();
+                skipSpace();
+            }
+            if (s[pos] === "[") {
+                pos++;
+                parseInternalSubset();
+                skipSpace();
+            }
+            expect(">");
+            appendNode(new impl.DocumentType(name, publicId, systemId));
+        }
+
+        // Skip over the markup declarations of the internal subset,
+        // except for general entity declarations, which we remember
+        function parseInternalSubset() {
+            var end;
+            for(;;) {
+                skipSpace();
+                if (pos >= s.length) error("unclosed token");
+                if (s[pos] === "]") {
+                    pos++;
+                    return;
+                }
+                if (lookingAt("<!--")) {
+                    end = S.indexOf(s, "-->", pos + 4);
+                    if (end === -1) error("unclosed token");
+                    pos = end + 3;
+                }
+                else if (lookingAt("<?")) {
+                    end = S.indexOf(s, "?>", pos + 2);
+                    if (end === -1) error("unclosed token");
+                    pos = end + 2;
+                }
+                else if (lookingAt("<!ENTITY")) {
+                    parseEntityDecl();
+                }
+                else if (lookingAt("<!")) {
+                    skipDeclaration();
+                }
+                else if (s[pos] === "%") {
+                    // A parameter entity reference: we don't read those
+                    parseName();
+                    expect(";");
+                }
+                else error("syntax error");
+            }
+        }
+
+        // Skip to the end of a markup declaration, ignoring any >
+        // characters in quoted strings
+        function skipDeclaration() {
+            while(pos < s.length) {
+                var c = s[pos];
+                if (c === ">") {
+                    pos++;
+                    return;
+                }
+                if (c === '"' || c === "'") parseQuoted();
+                else pos++;
+            }
+            error("unclosed token");
+        }
+
+        function parseEntityDecl() {
+            var start = pos;
+            pos += 8;
+            requireSpace();
+            if (s[pos] === "%") {   // Parameter entities are ignored
+                skipDeclaration();
+                return;
+            }
+            var name = parseNCName();
+            requireSpace();
+            var value;
+            if (s[pos] === '"' || s[pos] === "'") {
+                value = parseQuoted();
+            }
+            else {
+                if (lookingAt("PUBLIC")) {
+                    pos += 6;
+                    requireSpace();
+                    parseQuoted();
+                }
+                else expect("SYSTEM");
+                requireSpace();
+                parseQuoted();
+                value = null;  // The external entity is not read
+            }
+            skipDeclaration();
+
+            // The first declaration of an entity is binding
+            if (!(name in entities)) entities[name] = value;
+        }
+
+        // Parse the document element and its content.  This is a loop
+        // rather than a recursion so that deep documents can't overflow
+        // the stack.
+        function parseContent() {
+            var stack = [];   // The open elements
+            var scope = rootScope;
+
+            parseStartTag();
+
+            while(stack.length > 0) {
+                if (pos >= s.length) {
+                    error("no element found");
+                }
+                if (s[pos] !== "<") {
+                    parseText();
+                }
+                else if (s[pos+1] === "/") {
+                    parseEndTag();
+                }
+                else if (lookingAt("<!--")) {
+                    parseComment();
+                }
+                else if (lookingAt("<![CDATA[")) {
+                    var end = S.indexOf(s, "]]>", pos + 9);
+                    if (end === -1) error("unclosed token");
+                    text += substring(s, pos + 9, end);
+                    pos = end + 3;
+                }
+                else if (lookingAt("<?")) {
+                    parsePI();
+                }
+                else if (lookingAt("<!")) {
+                    error("syntax error");
+                }
+                else {
+                    parseStartTag();
+                }
+            }
+
+            function parseStartTag() {
+                var start = pos;
+                pos++;
+                var qname = parseQName();
+                var names = [], values = [];
+
+                for(;;) {
+                    var space = skipSpace();
+                    if (s[pos] === ">" || lookingAt("/>")) break;
+                    if (!space) error("not well-formed");
+                    var attrstart = pos;
+                    var name = parseQName();
+                    if (A.indexOf(names, name) !== -1)
+                        error("duplicate attribute", attrstart);
+                    skipSpace();
+                    expect("=");
+                    skipSpace();
+                    push(names, name);
+                    push(values, parseAttributeValue());
+                }
+
+                // Process namespace declarations first, since they
+                // apply to the element and its other attributes
+                var newscope = O.create(scope);
+                for(var i = 0, n = names.length; i < n; i++) {
+                    var name = names[i], value = values[i];
+                    if (name === "xmlns") {
+                        if (value === XML_NAMESPACE ||
+                            value === XMLNS_NAMESPACE)
+                            error("reserved namespace", start);
+                        newscope[""] = value || null;
+                    }
+                    else if (substring(name, 0, 6) === "xmlns:") {
+                        var prefix = substring(name, 6);
+                        if (prefix === "xmlns" ||
+                            value === XMLNS_NAMESPACE ||
+                            value === "" ||
+                            (prefix === "xml") !== (value === XML_NAMESPACE))
+                            error("reserved prefix or namespace", start);
+                        newscope[prefix] = value;
+                    }
+                }
+
+                var elt = doc.createElementNS(resolve(qname, true, start),
+                                              qname);
+
+                // Attributes are unique by namespace and local name, too
+                var expanded = [];
+                for(var i = 0, n = names.length; i < n; i++) {
+                    var name = names[i], ns;
+                    if (name === "xmlns" || substring(name, 0, 6) === "xmlns:")
+                        ns = XMLNS_NAMESPACE;
+                    else
+                        ns = resolve(name, false, start);
+                    var key = ns + " " + substring(name,
+                                                   S.indexOf(name, ":") + 1);
+                    if (ns !== null) {
+                        if (A.indexOf(expanded, key) !== -1)
+                            error("duplicate attribute", start);
+                        push(expanded, key);
+                    }
+                    elt._setAttributeNS(ns, name, values[i]);
+                }
+
+                appendNode(elt);
+
+                if (lookingAt("/>")) {
+                    pos += 2;
+                }
+                else {
+                    pos++;
+                    push(stack, { element: elt, qname: qname, scope: scope });
+                    parent = elt;
+                    scope = newscope;
+                }
+
+                // Return the namespace of a qualified name.  Unprefixed
+                // attributes are never in the default namespace.
+                function resolve(qname, isElement, p) {
+                    var i = S.indexOf(qname, ":");
+                    if (i === -1) return isElement ? newscope[""] : null;
+                    var ns = newscope[substring(qname, 0, i)];
+                    if (ns === undefined) error("unbound prefix", p);
+                    return ns;
+                }
+            }
+
+            function parseEndTag() {
+                var start = pos;
+                pos += 2;
+                var qname = parseName();
+                skipSpace();
+                expect(">");
+
+                var open = pop(stack);
+                if (qname !== open.qname)
+                    error("mismatched tag. Expected: </" + open.qname + ">",
+                          start);
+
+                // Flush any character data before closing the element
+                if (text) {
+                    parent.appendChild(doc.createTextNode(text));
+                    text = "";
+                }
+                scope = open.scope;
+                parent = stack.length
+                    ? stack[stack.length-1].element
+                    : doc;
+            }
+        }
+
+        function parseAttributeValue() {
+            var start = pos + 1;
+            var raw = parseQuoted();
+            if (S.indexOf(raw, "<") !== -1)
+                error("not well-formed", start + S.indexOf(raw, "<"));
+            // Literal whitespace is normalized to spaces
+            return expandReferences(replace(raw, /[\t\n\r]/g, " "), start);
+        }
+
+        function parseText() {
+            var end = S.indexOf(s, "<", pos);
+            if (end === -1) end = s.length;
+            var raw = substring(s, pos, end);
+            var bad = S.indexOf(raw, "]]>");
+            if (bad !== -1) error("not well-formed", pos + bad);
+            text += expandReferences(raw, pos);
+            pos = end;
+        }
+    }
+
+    return XMLParser;
+}());
@@ -0,0 +1,179 @@
+//
+// This file implements XMLSerializer.
+// See http://html5.org/specs/dom-parsing.html#the-xmlserializer-interface
+//
+// Elements and attributes keep their prefixes where possible, but the
+// serializer keeps track of the namespace declarations it has output, and
+// adds declarations (or picks different prefixes for attributes) so that
+// the output, when parsed, gives every node its namespace back.
+//
+defineLazyProperty(impl, "XMLSerializer", function() {
+    function XMLSerializer() {}
+
+    // HTML elements that are serialized as empty elements when they
+    // have no children
+    var voidElements = {
+        area: true, base: true, basefont: true, bgsound: true, br: true,
+        col: true, command: true, embed: true, frame: true, hr: true,
+        img: true, input: true, keygen: true, link: true, meta: true,
+        param: true, source: true, track: true, wbr: true
+    };
+
+    XMLSerializer.prototype = O.create(Object.prototype, {
+        _idlName: constant("XMLSerializer"),
+
+        serializeToString: constant(function serializeToString(root) {
+            // The namespace bindings in scope are kept in an object that
+            // maps prefixes to namespaces.  Each element gets an object
+            // that inherits from its parent's.  The empty string is the
+            // key for the default namespace, and null means no namespace.
+            var scope = O.create(null);
+            scope[""] = null;
+            scope.xml = XML_NAMESPACE;
+            scope.xmlns = XMLNS_NAMESPACE;
+            return serialize(root, scope);
+        }),
+    });
+
+    function serialize(node, scope) {
+        switch(node.nodeType) {
+        case ELEMENT_NODE:
+            return serializeElement(node, scope);
+        case DOCUMENT_NODE:
+        case DOCUMENT_FRAGMENT_NODE:
+            return serializeChildren(node, scope);
+        case TEXT_NODE:
+            return escapeText(node.data);
+        case CDATA_SECTION_NODE:
+            return "<![CDATA[" + node.data + "]]>";
+        case COMMENT_NODE:
+            return "<!--" + node.data + "-->";
+        case PROCESSING_INSTRUCTION_NODE:
+            return "<?" + node.target + " " + node.data + "?>";
+        case DOCUMENT_TYPE_NODE:
+            var s = "<!DOCTYPE " + node.name;
+            if (node.publicId) s += ' PUBLIC "' + node.publicId + '"';
+            else if (node.systemId) s += " SYSTEM";
+            if (node.systemId) s += ' "' + node.systemId + '"';
+            return s + ">";
+        default:
+            InvalidStateError();
+        }
+    }
+
+    function serializeChildren(node, scope) {
+        var s = "";
+        for(var i = 0, n = node.childNodes.length; i < n; i++)
+            s += serialize(node.childNodes[i], scope);
+        return s;
+    }
+
+    function serializeElement(elt, scope) {
+        var ns = elt.namespaceURI, prefix = elt.prefix;
+        var qname = prefix ? prefix + ":" + elt.localName : elt.localName;
+        var key = prefix || "";
+        var attrs = "", decls = "";
+        var skipped = [];
+        var i, n, a;
+
+        scope = O.create(scope);
+
+        // The element's own namespace declarations come into scope first,
+        // except for any that contradict the namespace of the element
+        for(i = 0, n = elt._numattrs; i < n; i++) {
+            a = elt._attr(i);
+            if (a.namespaceURI !== XMLNS_NAMESPACE) continue;
+            var declared = a.prefix === null ? "" : a.localName;
+            if (declared === "xml" || declared === "xmlns" ||
+                (declared === key && (a.value || null) !== ns))
+                push(skipped, a);
+            else
+                scope[declared] = a.value || null;
+        }
+
+        // Declare the element's namespace if it is not in scope
+        if (scope[key] !== ns) {
+            scope[key] = ns;
+            decls += key
+                ? " xmlns:" + key + '="' + escapeAttr(ns) + '"'
+                : ' xmlns="' + escapeAttr(ns || "") + '"';
+        }
+
+        for(i = 0, n = elt._numattrs; i < n; i++) {
+            a = elt._attr(i);
+            var ans = a.namespaceURI, name;
+            if (ans === null) {
+                name = a.localName;
+            }
+            else if (ans === XMLNS_NAMESPACE) {
+                if (A.indexOf(skipped, a) !== -1) continue;
+                name = a.prefix === null ? "xmlns" : "xmlns:" + a.localName;
+            }
+            else if (ans === XML_NAMESPACE) {
+                name = "xml:" + a.localName;
+            }
+            else {
+                var p = attributePrefix(elt, a, scope);
+                if (scope[p] !== ans) {
+                    scope[p] = ans;
+                    decls += " xmlns:" + p + '="' + escapeAttr(ans) + '"';
+                }
+                name = p + ":" + a.localName;
+            }
+            attrs += " " + name + '="' + escapeAttr(a.value) + '"';
+        }
+
+        var s = "<" + qname + attrs + decls;
+        if (!elt.hasChildNodes()) {
+            if (ns !== HTML_NAMESPACE) return s + "/>";
+            if (voidElements[elt.localName]) return s + " />";
+        }
+        return s + ">" + serializeChildren(elt, scope) + "</" + qname + ">";
+    }
+
+    // Choose a prefix for an attribute in a namespace.  The default
+    // namespace doesn't apply to attributes, so they always need one.
+    // Use a prefix that is already bound to the namespace if there is
+    // one.  Otherwise use the attribute's own prefix, or the prefix the
+    // tree declares for the namespace, or a generated one, whichever is
+    // first to be free.  The caller declares the prefix if needed.
+    function attributePrefix(elt, a, scope) {
+        var ns = a.namespaceURI, p = a.prefix;
+        if (p !== null && scope[p] === ns) return p;
+        for(var bound in scope) {
+            if (bound !== "" && scope[bound] === ns) return bound;
+        }
+
+        if (p !== null && scope[p] === undefined) return p;
+        p = elt.lookupPrefix(ns);
+        if (p !== null && scope[p] === undefined) return p;
+        for(var i = 1; scope["ns" + i] !== undefined; i++);
+        return "ns" + i;
+    }
+
+    function escapeText(s) {
+        return replace(s, /[&<>]/g, function(c) {
+            switch(c) {
+            case "&": return "&amp;";
+            case "<": return "&lt;";
+            case ">": return "&gt;";
+            }
+        });
+    }
+
+    function escapeAttr(s) {
+        return replace(s, /[&<>"\t\n\r]/g, function(c) {
+            switch(c) {
+            case "&": return "&amp;";
+            case "<": return "&lt;";
+            case ">": return "&gt;";
+            case '"': return "&quot;";
+            case "\t": return "&#9;";
+            case "\n": return "&#10;";
+            case "\r": return "&#13;";
+            }
+        });
+    }
+
+    return XMLSerializer;
+});
@@ -0,0 +1,166 @@
+//
+// This file holds the focus model of a document: which elements are
+// focusable areas, the focusing and unfocusing steps that move the focus
+// and fire focus events, autofocus, and sequential focus navigation.
+// Each document has its own focused element, in _focusedElement.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/editing.html#focus
+//
+
+// Return the value of the tabindex attribute of e, parsed with the rules
+// for parsing integers, or NaN if it doesn't have a valid one
+function tabIndexValue(e) {
+    return parseInt(e._getattr("tabindex"), 10);
+}
+
+// Return true if e is the root of an editable region: an HTML element
+// that the contenteditable attribute makes editable, and whose parent
+// isn't editable
+function isEditingHost(e) {
+    return e.isHTML && e.contentEditable === "true" &&
+        !(e.parentNode && e.parentNode.isContentEditable);
+}
+
+// Return true if e is focusable because of what kind of element it is,
+// whether or not it has a tabindex attribute.  This decides the default
+// value of the tabIndex attribute.
+function isFocusableByDefault(e) {
+    if (!e.isHTML) return false;
+    if (isEditingHost(e)) return true;
+    switch(e.localName) {
+    case "a":
+    case "area":
+    case "link":
+        return e.hasAttribute("href");
+    case "input":
+        return e.type !== "hidden" && !isActuallyDisabled(e);
+    case "button":
+    case "keygen":
+    case "select":
+    case "textarea":
+        return !isActuallyDisabled(e);
+    case "iframe":
+        return true;
+    case "summary":
+        // Only the summary that is the first summary child of a details
+        var p = e.parentNode;
+        if (!p || p.nodeType !== ELEMENT_NODE || !p.isHTML ||
+            p.localName !== "details")
+            return false;
+        var first = p.firstElementChild;
+        while(first && !(first.isHTML && first.localName === "summary"))
+            first = first.nextElementSibling;
+        return first === e;
+    default:
+        return false;
+    }
+}
+
+// Return true if e is a focusable area: an element in its document that
+// is focusable by default or has a tabindex attribute, and that isn't
+// disabled or hidden.  We don't know what a renderer renders, so we
+// treat elements with a hidden attribute and their descendants, and
+// hidden inputs, as not being rendered.
+function isFocusableArea(e) {
+    if (e.nodeType !== ELEMENT_NODE || !e.rooted) return false;
+    if (isNaN(tabIndexValue(e)) && !isFocusableByDefault(e)) return false;
+    // A disabled element can't have the focus, even with a tabindex
+    if (isDisabledElement(e)) return false;
+    if (e.isHTML && e.localName === "input" && e.type === "hidden")
+        return false;
+    for(var p = e; p && p.nodeType === ELEMENT_NODE; p = p.parentNode) {
+        if (p.isHTML && p.hasAttribute("hidden")) return false;
+    }
+    return true;
+}
+
+// The focus fixup rule: if the focused element of doc is no longer a
+// focusable area of doc, because it was removed, disabled or hidden,
+// then the viewport has the focus.  No events are fired.
+function fixupFocus(doc) {
+    var e = doc._focusedElement;
+    if (e && (e.ownerDocument !== doc || !isFocusableArea(e)))
+        doc._focusedElement = null;
+}
+
+// Fire a trusted FocusEvent of the given type at target.  focusin and
+// focusout bubble, focus and blur don't.
+function fireFocusEvent(target, type, relatedTarget) {
+    var event = new impl.FocusEvent(type, {
+        bubbles: type === "focusin" || type === "focusout",
+        view: target.ownerDocument.defaultView || null,
+        relatedTarget: relatedTarget
+    });
+    target._dispatchEvent(event, true);
+}
+
+// Move the focus of doc to the element e, or to the viewport if e is
+// null.  The element that loses the focus gets blur and then focusout,
+// and the element that gains it gets focus and then focusin, each with
+// the other element as its relatedTarget.  If a handler for one of those
+// events moves the focus somewhere else, the rest aren't fired.  While
+// an element is losing the focus, it is flagged with _losingFocus, so
+// that a blur or focusout handler that moves the focus doesn't fire
+// those events at it again.
+function setFocus(doc, e) {
+    var old = doc._focusedElement;
+    if (old === e) return;
+
+    if (old && !old._losingFocus) {
+        old._losingFocus = true;
+        try {
+            fireFocusEvent(old, "blur", e);
+            if (doc._focusedElement === old)
+                fireFocusEvent(old, "focusout", e);
+        }
+        finally {
+            old._losingFocus = false;
+        }
+        if (doc._focusedElement !== old) return;
+    }
+
+    doc._focusedElement = e;
+
+    if (e) {
+        fireFocusEvent(e, "focus", old);
+        if (doc._focusedElement !== e) return;
+        fireFocusEvent(e, "focusin", old);
+    }
+}
+
+// Return the elements of doc in sequential focus navigation order: the
+// focusable areas with a positive tabindex in increasing order of their
+// tabindex, and then those with a tabindex of 0 or without a tabindex,
+// in tree order.  Elements with a negative tabindex are left out.
+function sequentialFocusOrder(doc) {
+    var positive = [], rest = [];
+    var root = doc.documentElement;
+    for(var e = root; e; e = e.nextElement(root)) {
+        if (!isFocusableArea(e)) continue;
+        var index = tabIndexValue(e);
+        if (isNaN(index) || index === 0)
+            push(rest, e);
+        else if (index > 0)
+            push(positive, { element: e, index: index,
+                             order: positive.length });
+    }
+
+    // Sort by tabindex, and keep tree order for equal tabindexes
+    sort(positive, function(a, b) {
+        return (a.index - b.index) || (a.order - b.order);
+    });
+    return concat(map(positive, function(p) { return p.element; }), rest);
+}
+
+// Return the element that sequential focus navigation moves the focus of
+// doc to from its focused element: the next one in sequential focus
+// navigation order, or the previous one if backward is true.  Without a
+// focused element, or if the focused element isn't in that order, it
+// starts from the beginning or the end.  Past the last or the first
+// element, it returns null: the focus leaves the document.
+function sequentialFocusTarget(doc, backward) {
+    var order = sequentialFocusOrder(doc);
+    var i = doc._focusedElement ? A.indexOf(order, doc._focusedElement) : -1;
+    if (i === -1) i = backward ? order.length : -1;
+    i += backward ? -1 : 1;
+    return (i >= 0 && i < order.length) ? order[i] : null;
+}
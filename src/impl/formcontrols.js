@@ -0,0 +1,571 @@
+//
+// This file holds code shared by the form control elements: finding
+// an element's form owner, finding the controls of a form, the text
+// selection API of input and textarea elements, and the constraint
+// validation API.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/forms.html
+//
+
+// The elements that are listed in form.elements, and whose state is
+// reset when their form is reset.  Options aren't listed, but they have
+// a form owner: the form owner of their select element.
+const listedElements = {
+    button: true, fieldset: true, input: true, keygen: true,
+    object: true, output: true, select: true, textarea: true
+};
+
+// The listed elements whose names and values are submitted, and whose
+// constraints are validated when their form is submitted
+const submittableElements = {
+    button: true, input: true, keygen: true, object: true, select: true,
+    textarea: true
+};
+
+// The elements that can be disabled
+const disableableElements = {
+    button: true, fieldset: true, input: true, keygen: true,
+    optgroup: true, option: true, select: true, textarea: true
+};
+
+// The elements that a label element can label
+const labelableElements = {
+    button: true, input: true, keygen: true, meter: true, output: true,
+    progress: true, select: true, textarea: true
+};
+
+// Return the root of the tree that n is in
+function treeRoot(n) {
+    while(n.parentNode) n = n.parentNode;
+    return n;
+}
+
+// Call f on each element below root, in tree order
+function eachDescendantElement(root, f) {
+    var n = root.firstChild;
+    while(n) {
+        if (n.nodeType === ELEMENT_NODE) f(n);
+        if (n.firstChild) {
+            n = n.firstChild;
+            continue;
+        }
+        while(n !== root && !n.nextSibling) n = n.parentNode;
+        if (n === root) break;
+        n = n.nextSibling;
+    }
+}
+
+// Return the form owner of a form-associated element.  An element with
+// a form attribute belongs to the form with that id, if it is in the
+// same tree.  Otherwise it belongs to its nearest form ancestor.
+// XXX: the parser's form element pointer is not taken into account
+function formOwner(elt) {
+    var id = elt._getattr("form");
+    if (id !== null) {
+        var form = null;
+        eachDescendantElement(treeRoot(elt), function(e) {
+            if (!form && e._getattr("id") === id) form = e;
+        });
+        if (form && form.localName === "form" && form.isHTML) return form;
+        return null;
+    }
+    for(var p = elt.parentNode; p; p = p.parentNode) {
+        if (p.nodeType === ELEMENT_NODE && p.localName === "form" &&
+            p.namespaceURI === HTML_NAMESPACE)
+            return p;
+    }
+    return null;
+}
+
+// Return an array of the listed elements whose form owner is form,
+// in tree order.
+function formElements(form) {
+    var controls = [];
+    eachDescendantElement(treeRoot(form), function(e) {
+        if (e.namespaceURI === HTML_NAMESPACE && listedElements[e.localName] &&
+            formOwner(e) === form)
+            push(controls, e);
+    });
+    return controls;
+}
+
+// Return true if the form control is disabled, either by its own disabled
+// attribute or by a disabled fieldset ancestor.  The contents of a
+// fieldset's first legend child aren't disabled by the fieldset.
+function isActuallyDisabled(e) {
+    if (e.hasAttribute("disabled")) return true;
+    for(var c = e, p = e.parentNode; p; c = p, p = p.parentNode) {
+        if (p.nodeType !== ELEMENT_NODE || !p.isHTML ||
+            p.localName !== "fieldset" || !p.hasAttribute("disabled"))
+            continue;
+        var legend = p.firstElementChild;
+        while(legend && !(legend.isHTML && legend.localName === "legend"))
+            legend = legend.nextElementSibling;
+        if (c !== legend) return true;
+    }
+    return false;
+}
+
+// Return true if e is an HTML element that can be disabled, and is
+function isDisabledElement(e) {
+    return e.nodeType === ELEMENT_NODE && e.isHTML &&
+        disableableElements[e.localName] === true && isActuallyDisabled(e);
+}
+
+// Return true if e is an element that a label can label.  Hidden
+// inputs can't be labelled.
+function isLabelable(e) {
+    return e.nodeType === ELEMENT_NODE && e.isHTML &&
+        labelableElements[e.localName] === true &&
+        !(e.localName === "input" && e.type === "hidden");
+}
+
+// Return true if e is inside a datalist element
+function hasDatalistAncestor(e) {
+    for(var p = e.parentNode; p; p = p.parentNode) {
+        if (p.nodeType === ELEMENT_NODE && p.isHTML &&
+            p.localName === "datalist")
+            return true;
+    }
+    return false;
+}
+
+// Convert CRLF pairs and lone CRs to LFs
+function normalizeNewlines(s) {
+    return replace(s, /\r\n?/g, "\n");
+}
+
+// Add the text selection API to the class c.  The element's value
+// property holds the text, and its _selectionApplies() method says
+// whether the API applies to the element at all.  When the value
+// changes, the element should call _selectToEnd().
+function defineTextSelection(c) {
+    var p = c.prototype;
+
+    O.defineProperties(p, {
+        _selectionStart: { value: 0, writable: true },
+        _selectionEnd: { value: 0, writable: true },
+        _selectionDirection: { value: "none", writable: true },
+
+        // Clamp the selection to the current value
+        _clampSelection: constant(function() {
+            var len = this.value.length;
+            if (this._selectionStart > len) this._selectionStart = len;
+            if (this._selectionEnd > len) this._selectionEnd = len;
+        }),
+
+        // Move the cursor to the end of the value
+        _selectToEnd: constant(function() {
+            this._selectionStart = this._selectionEnd = this.value.length;
+            this._selectionDirection = "none";
+        }),
+
+        select: constant(function select() {
+            if (!this._selectionApplies()) return;
+            this._setSelection(0, this.value.length, "none");
+        }),
+
+        setSelectionRange: constant(function setSelectionRange(start, end,
+                                                               direction) {
+            if (!this._selectionApplies()) InvalidStateError();
+            this._setSelection(start, end, direction);
+        }),
+
+        _setSelection: constant(function(start, end, direction) {
+            var len = this.value.length;
+            if (end > len) end = len;
+            if (start > end) start = end;
+            if (direction !== "forward" && direction !== "backward")
+                direction = "none";
+            this._selectionStart = start;
+            this._selectionEnd = end;
+            this._selectionDirection = direction;
+
+            // Queue a task to fire a select event at the element
+            var elt = this;
+            EventLoop.main.queueTask(function() {
+                elt._dispatchEvent(new impl.Event("select",
+                                                  { bubbles: true }), true);
+            });
+        }),
+
+        // These return null when the selection API doesn't apply
+        selectionStart: attribute(
+            function() {
+                if (!this._selectionApplies()) return null;
+                this._clampSelection();
+                return this._selectionStart;
+            },
+            function(v) {
+                if (!this._selectionApplies()) InvalidStateError();
+                this._clampSelection();
+                this._setSelection(v, Math.max(v, this._selectionEnd),
+                                   this._selectionDirection);
+            }),
+
+        selectionEnd: attribute(
+            function() {
+                if (!this._selectionApplies()) return null;
+                this._clampSelection();
+                return this._selectionEnd;
+            },
+            function(v) {
+                if (!this._selectionApplies()) InvalidStateError();
+                this._clampSelection();
+                this._setSelection(this._selectionStart, v,
+                                   this._selectionDirection);
+            }),
+
+        selectionDirection: attribute(
+            function() {
+                if (!this._selectionApplies()) return null;
+                return this._selectionDirection;
+            },
+            function(v) {
+                if (!this._selectionApplies()) InvalidStateError();
+                this._clampSelection();
+                this._setSelection(this._selectionStart, this._selectionEnd, v);
+            }),
+    });
+}
+
+// Default validation messages for each kind of invalidity
+const validationMessages = {
+    valueMissing: "Please fill out this field.",
+    typeMismatch: "Please enter a valid value.",
+    patternMismatch: "Please match the requested format.",
+    tooLong: "Please shorten this text.",
+    rangeUnderflow: "Please enter a larger value.",
+    rangeOverflow: "Please enter a smaller value.",
+    stepMismatch: "Please enter an allowed value."
+};
+
+// Add the constraint validation API to the class c.  The class can
+// define a _barredFromValidation() method for the ways its elements are
+// barred from constraint validation, other than being disabled or in a
+// datalist, and a _suffersFrom(flag) method that says whether an element
+// suffers from one of the kinds of invalidity in src/impl/ValidityState.js
+function defineConstraintValidation(c) {
+    var p = c.prototype;
+
+    if (!p._barredFromValidation) {
+        O.defineProperty(p, "_barredFromValidation",
+                         constant(function() { return false; }));
+    }
+    if (!p._suffersFrom) {
+        O.defineProperty(p, "_suffersFrom",
+                         constant(function(flag) { return false; }));
+    }
+
+    O.defineProperties(p, {
+        _customValidity: { value: "", writable: true },
+
+        willValidate: attribute(function() {
+            return !isActuallyDisabled(this) && !hasDatalistAncestor(this) &&
+                !this._barredFromValidation();
+        }),
+
+        validity: attribute(function() {
+            if (!this._validity)
+                this._validity = new impl.ValidityState(this);
+            return this._validity;
+        }),
+
+        validationMessage: attribute(function() {
+            if (!this.willValidate) return "";
+            if (this._customValidity) return this._customValidity;
+            for(var flag in validationMessages) {
+                if (this._suffersFrom(flag)) return validationMessages[flag];
+            }
+            return "";
+        }),
+
+        setCustomValidity: constant(function setCustomValidity(error) {
+            this._customValidity = error;
+        }),
+
+        // Fire an invalid event if the element is invalid, and return
+        // true if it is valid
+        checkValidity: constant(function checkValidity() {
+            if (!this.willValidate || this.validity.valid) return true;
+            this._dispatchEvent(new impl.Event("invalid", { cancelable: true }),
+                                true);
+            return false;
+        }),
+    });
+}
+
+// Statically validate the constraints of form: fire invalid events at
+// each of its submittable elements that is invalid, and return true if
+// there were none
+function staticallyValidate(form) {
+    var controls = formElements(form), valid = true;
+    for(var i = 0, n = controls.length; i < n; i++) {
+        var control = controls[i];
+        if (submittableElements[control.localName] &&
+            !control.checkValidity())
+            valid = false;
+    }
+    return valid;
+}
+
+// Return a map from each id and name of the elements to an array of the
+// elements with that id or name, in tree order
+function elementsByName(elements) {
+    var map = O.create(null);
+    function add(key, e) {
+        if (!key) return;
+        if (map[key]) push(map[key], e);
+        else map[key] = [e];
+    }
+    for(var i = 0, n = elements.length; i < n; i++) {
+        var e = elements[i], id = e._getattr("id"), name = e._getattr("name");
+        add(id, e);
+        if (name !== id) add(name, e);
+    }
+    return map;
+}
+
+// The elements property of a form is an instance of this class.  Like
+// the children of an element, it defines length, item(), namedItem() and
+// namedItems, and is wrapped by an HTMLFormControlsCollection.  It holds
+// the form's listed elements, except image buttons, and is updated when
+// the tree that the form is in changes.
+function FormControlsCollection(form) {
+    this.form = form;
+    this.root = null;
+    this.lastModTime = 0;
+}
+
+FormControlsCollection.prototype = {
+    _idlName: "HTMLFormControlsCollection",
+
+    get length() {
+        this.updateCache();
+        return this.controlsByNumber.length;
+    },
+
+    item: function item(n) {
+        this.updateCache();
+        return this.controlsByNumber[n] || null;
+    },
+
+    // The IDL type of this method is object, so the bindings don't wrap
+    // the element or RadioNodeList that it returns
+    namedItem: function namedItem(name) {
+        this.updateCache();
+        var item = this.controlsByName[name];
+        return item ? wrap(item) : null;
+    },
+
+    get namedItems() {
+        this.updateCache();
+        return this.controlsByName;
+    },
+
+    updateCache: function updateCache() {
+        var root = treeRoot(this.form);
+        if (root === this.root && this.lastModTime === root.lastModTime)
+            return;
+        this.root = root;
+        this.lastModTime = root.lastModTime;
+        this.controlsByNumber = [];
+
+        var controls = formElements(this.form);
+        for(var i = 0, n = controls.length; i < n; i++) {
+            var c = controls[i];
+            if (c.localName === "input" && c.type === "image") continue;
+            push(this.controlsByNumber, c);
+        }
+
+        // A name shared by several controls names a RadioNodeList
+        var names = elementsByName(this.controlsByNumber);
+        this.controlsByName = O.create(null);
+        for(var name in names) {
+            this.controlsByName[name] = names[name].length === 1
+                ? names[name][0]
+                : new RadioNodeList(this, name);
+        }
+    }
+};
+
+// A live list of the controls in a form's elements collection that have
+// the same id or name
+function RadioNodeList(collection, name) {
+    this.collection = collection;
+    this.name = name;
+}
+
+RadioNodeList.prototype = {
+    _idlName: "RadioNodeList",
+
+    get elements() {
+        var name = this.name;
+        this.collection.updateCache();
+        return filter(this.collection.controlsByNumber, function(e) {
+            return e._getattr("id") === name || e._getattr("name") === name;
+        });
+    },
+
+    get length() { return this.elements.length; },
+
+    item: function item(n) { return this.elements[n] || null; },
+
+    // The value of the checked radio button in the list
+    get value() {
+        var elements = this.elements;
+        for(var i = 0, n = elements.length; i < n; i++) {
+            var e = elements[i];
+            if (e.localName === "input" && e.type === "radio" && e.checked)
+                return e.value;
+        }
+        return "";
+    },
+
+    // Check the first radio button in the list with the value v
+    set value(v) {
+        var elements = this.elements;
+        for(var i = 0, n = elements.length; i < n; i++) {
+            var e = elements[i];
+            if (e.localName === "input" && e.type === "radio" &&
+                e.value === v) {
+                e.checked = true;
+                return;
+            }
+        }
+    }
+};
+
+// The options property of a select is an instance of this class.  It
+// holds the select's list of options, and is wrapped by an
+// HTMLOptionsCollection.  Unlike other collections, it can be modified.
+function OptionsCollection(select) {
+    this.select = select;
+    this.lastModTime = 0;
+}
+
+OptionsCollection.prototype = {
+    _idlName: "HTMLOptionsCollection",
+
+    get options() {
+        var select = this.select;
+        if (this.lastModTime !== select.lastModTime || !this.cache) {
+            this.lastModTime = select.lastModTime;
+            this.cache = select._options();
+            this.names = null;
+        }
+        return this.cache;
+    },
+
+    get length() { return this.options.length; },
+
+    // Setting the length removes options from the end, or appends new
+    // empty options
+    set length(n) {
+        var options = this.options, select = this.select;
+        if (n < options.length) {
+            for(var i = options.length - 1; i >= n; i--)
+                options[i].parentNode.removeChild(options[i]);
+        }
+        else {
+            for(var i = options.length; i < n; i++)
+                select.appendChild(select.ownerDocument.createElement("option"));
+        }
+    },
+
+    item: function item(n) { return this.options[n] || null; },
+
+    namedItem: function namedItem(name) {
+        return this.namedItems[name] || null;
+    },
+
+    // The first option with each id or name
+    get namedItems() {
+        var options = this.options;
+        if (!this.names) {
+            var names = elementsByName(options);
+            this.names = O.create(null);
+            for(var name in names) this.names[name] = names[name][0];
+        }
+        return this.names;
+    },
+
+    // The IDL type of before is any, so the bindings pass it through
+    // unconverted: it is a wrapped element, an index, or null
+    add: function add(element, before) {
+        var select = this.select;
+        if (!(element instanceof impl.HTMLOptionElement ||
+              element instanceof impl.HTMLOptGroupElement))
+            throw new TypeError("Expected an HTMLOptionElement or " +
+                                "HTMLOptGroupElement");
+        if (element.isAncestor(select)) HierarchyRequestError();
+
+        var reference = null;
+        if (before !== null && typeof before === "object") {
+            reference = unwrap(before);
+            if (reference === select || !select.isAncestor(reference))
+                NotFoundError();
+        }
+        else if (before !== null && before !== undefined) {
+            reference = this.options[toLong(before)] || null;
+        }
+
+        if (reference) reference.parentNode.insertBefore(element, reference);
+        else select.appendChild(element);
+    },
+
+    remove: function remove(index) {
+        var option = this.options[index];
+        if (option) option.parentNode.removeChild(option);
+    },
+
+    get selectedIndex() { return this.select.selectedIndex; },
+    set selectedIndex(v) { this.select.selectedIndex = v; },
+
+    // Set the option at index, for the indexed setter.  A null option
+    // removes the option at index, and new options are appended to fill
+    // any gap before index.
+    _setItem: function _setItem(index, option) {
+        var options = this.options, select = this.select;
+        if (option === null) {
+            this.remove(index);
+            return;
+        }
+        for(var i = options.length; i < index; i++)
+            select.appendChild(select.ownerDocument.createElement("option"));
+        var old = this.options[index];
+        if (old) old.parentNode.replaceChild(option, old);
+        else select.appendChild(option);
+    }
+};
+
+// The selectedOptions property of a select is an instance of this class.
+// It holds the options that are selected, in tree order.
+function SelectedOptionsCollection(select) {
+    this.select = select;
+}
+
+SelectedOptionsCollection.prototype = {
+    _idlName: "HTMLCollection",
+
+    // Selectedness can change without the tree changing, so this isn't
+    // cached
+    get options() {
+        return filter(this.select._options(), function(o) {
+            return o.selected;
+        });
+    },
+
+    get length() { return this.options.length; },
+
+    item: function item(n) { return this.options[n] || null; },
+
+    namedItem: function namedItem(name) {
+        return this.namedItems[name] || null;
+    },
+
+    get namedItems() {
+        var names = elementsByName(this.options), items = O.create(null);
+        for(var name in names) items[name] = names[name][0];
+        return items;
+    }
+};
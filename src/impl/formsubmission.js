@@ -0,0 +1,234 @@
+//
+// This file holds the form submission algorithm: constructing the form
+// data set, encoding it, and handing the resulting request to the window.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/association-of-controls-and-forms.html#form-submission
+//
+// A request is a plain object with url, method ("GET" or "POST"),
+// enctype (the Content-Type of the body, or null), body (a string or
+// null), and target properties.  The window navigates to it, unless a
+// hook has been set with mozSetFormSubmissionHook().
+//
+
+// Input types that are buttons, and are only submitted as the submitter
+const buttonInputTypes = {
+    submit: true, reset: true, button: true, image: true
+};
+
+const formMethods = { get: "get", post: "post" };
+
+const formEnctypes = {
+    "application/x-www-form-urlencoded": "application/x-www-form-urlencoded",
+    "multipart/form-data": "multipart/form-data",
+    "text/plain": "text/plain"
+};
+
+// Return true if the element is a button, or an input that acts as one
+function isButton(e) {
+    if (e.localName === "button") return true;
+    return e.localName === "input" && buttonInputTypes[e.type] === true;
+}
+
+// Return true if the element is a submit button
+function isSubmitButton(e) {
+    if (e.localName === "button") return e.type === "submit";
+    return e.localName === "input" &&
+        (e.type === "submit" || e.type === "image");
+}
+
+// Resolve url against the document base URL of elt's document
+function resolveURL(elt, url) {
+    return new URL(elt.ownerDocument._documentBaseURL).resolve(url);
+}
+
+// Construct the form data set of form, as an array of entries with
+// name, value and file properties.  submitter is the button that
+// submitted the form, or null.
+function constructFormDataSet(form, submitter) {
+    var entries = [];
+    var controls = formElements(form);
+
+    function append(name, value, file) {
+        push(entries, { name: name, value: value, file: !!file });
+    }
+
+    for(var i = 0, n = controls.length; i < n; i++) {
+        var field = controls[i];
+        var type = field.localName === "input" ? field.type : null;
+
+        if (!submittableElements[field.localName]) continue;
+        if (hasDatalistAncestor(field) || isActuallyDisabled(field)) continue;
+        if (isButton(field) && field !== submitter) continue;
+        if ((type === "checkbox" || type === "radio") && !field.checked)
+            continue;
+        // XXX: we don't have plugins, and can't generate keys
+        if (field.localName === "object" || field.localName === "keygen")
+            continue;
+
+        var name = field._getattr("name");
+
+        // Image buttons submit the coordinates that were clicked.
+        // XXX: there is no layout, so the coordinates are always 0
+        if (type === "image") {
+            var prefix = name ? name + "." : "";
+            append(prefix + "x", "0");
+            append(prefix + "y", "0");
+            continue;
+        }
+
+        if (!name) continue;
+
+        if (field.localName === "select") {
+            var options = field._options();
+            for(var j = 0, m = options.length; j < m; j++) {
+                var option = options[j];
+                if (option.selected && !option._disabled)
+                    append(name, option.value);
+            }
+        }
+        else if (type === "file") {
+            // XXX: files can't be selected, so there is never a file
+            append(name, "", true);
+        }
+        else if (type === "hidden" && name === "_charset_" &&
+                 !field.hasAttribute("value")) {
+            // XXX: we only submit UTF-8
+            append(name, "UTF-8");
+        }
+        else {
+            append(name, field.value);
+        }
+
+        // The directionality of text fields is submitted too.
+        // XXX: it is always ltr until the dir attribute is supported
+        var dirname = field._getattr("dirname");
+        if (dirname && (field.localName === "textarea" ||
+                        type === "text" || type === "search"))
+            append(dirname, "ltr");
+    }
+
+    return entries;
+}
+
+// Line breaks in submitted names and values are always CRLF pairs
+function crlf(s) {
+    return replace(s, /\r\n|\r|\n/g, "\r\n");
+}
+
+// The characters that encodeURIComponent() leaves alone but forms escape
+const unreservedEscapes = {
+    "!": "%21", "'": "%27", "(": "%28", ")": "%29", "~": "%7E"
+};
+
+// Encode s as UTF-8 and percent-encode the bytes, except for alphanumerics
+// and *-._, with spaces as +
+function urlencode(s) {
+    s = encodeURIComponent(s);
+    s = replace(s, /[!'()~]/g, function(c) { return unreservedEscapes[c]; });
+    return replace(s, /%20/g, "+");
+}
+
+function encodeURLEncoded(entries) {
+    return join(map(entries, function(e) {
+        return urlencode(crlf(e.name)) + "=" + urlencode(crlf(e.value));
+    }), "&");
+}
+
+function encodeTextPlain(entries) {
+    return join(map(entries, function(e) {
+        return crlf(e.name) + "=" + crlf(e.value) + "\r\n";
+    }), "");
+}
+
+// Quote a name or filename for a Content-Disposition header
+function quoteHeaderParam(s) {
+    s = replace(s, /\r\n|\r|\n/g, "\r\n");
+    s = replace(s, /\r/g, "%0D");
+    s = replace(s, /\n/g, "%0A");
+    return '"' + replace(s, /"/g, "%22") + '"';
+}
+
+// Return a boundary string for a multipart/form-data body
+function multipartBoundary() {
+    var s = "----domjsFormBoundary";
+    for(var i = 0; i < 16; i++)
+        s += (Math.floor(Math.random() * 36)).toString(36);
+    return s;
+}
+
+// See RFC 2388.  The body is a string: it will be UTF-8 encoded when
+// it is sent.
+function encodeMultipart(entries, boundary) {
+    var body = "";
+    for(var i = 0, n = entries.length; i < n; i++) {
+        var e = entries[i];
+        body += "--" + boundary + "\r\n" +
+            "Content-Disposition: form-data; name=" + quoteHeaderParam(e.name);
+        if (e.file) {
+            body += "; filename=" + quoteHeaderParam(e.value) + "\r\n" +
+                "Content-Type: application/octet-stream\r\n\r\n\r\n";
+        }
+        else {
+            body += "\r\n\r\n" + crlf(e.value) + "\r\n";
+        }
+    }
+    return body + "--" + boundary + "--\r\n";
+}
+
+// Return url with its query replaced by query, keeping any fragment
+function replaceQuery(url, query) {
+    var parsed = new URL(url);
+    parsed.query = query;
+    return parsed.toString();
+}
+
+// Return the request that submitting form with submitter would make.
+// The attributes of the submitter override those of the form.
+function formSubmissionRequest(form, submitter) {
+    function get(name) {
+        if (submitter && submitter.hasAttribute("form" + name))
+            return submitter._getattr("form" + name);
+        return form._getattr(name);
+    }
+
+    var entries = constructFormDataSet(form, submitter);
+
+    var action = get("action");
+    var url = action ? resolveURL(form, action) : form.ownerDocument._address;
+    var scheme = toLowerCase(new URL(url).scheme || "");
+    var method = formMethods[toLowerCase(get("method") || "")] || "get";
+    var enctype = formEnctypes[toLowerCase(get("enctype") || "")] ||
+        "application/x-www-form-urlencoded";
+    var target = get("target") || "";
+
+    var request = {
+        url: url, method: "GET", enctype: null, body: null, target: target
+    };
+
+    // XXX: ftp and javascript URLs are just navigated to, and data and
+    // mailto URLs are treated like http URLs
+    if (scheme === "ftp" || scheme === "javascript") return request;
+
+    if (method === "get") {
+        request.url = replaceQuery(url, encodeURLEncoded(entries));
+    }
+    else {
+        request.method = "POST";
+        switch(enctype) {
+        case "multipart/form-data":
+            var boundary = multipartBoundary();
+            request.body = encodeMultipart(entries, boundary);
+            request.enctype = enctype + "; boundary=" + boundary;
+            break;
+        case "text/plain":
+            request.body = encodeTextPlain(entries);
+            request.enctype = enctype;
+            break;
+        default:
+            request.body = encodeURLEncoded(entries);
+            request.enctype = enctype;
+            break;
+        }
+    }
+
+    return request;
+}
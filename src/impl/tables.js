@@ -0,0 +1,97 @@
+//
+// This file holds code shared by the table elements: finding the
+// captions, sections, rows and cells of a table, and inserting and
+// deleting rows and cells by index.
+// See http://www.whatwg.org/specs/web-apps/current-work/multipage/tabular-data.html
+//
+
+// Return true if n is an HTML element with the local name localName
+function isHTMLElement(n, localName) {
+    return n.nodeType === ELEMENT_NODE &&
+        n.namespaceURI === HTML_NAMESPACE && n.localName === localName;
+}
+
+// Return an array of the children of parent that are HTML elements with
+// the local name localName
+function childElements(parent, localName) {
+    var elements = [];
+    for(var kid = parent.firstChild; kid; kid = kid.nextSibling)
+        if (isHTMLElement(kid, localName)) push(elements, kid);
+    return elements;
+}
+
+// Return the first child of parent that is an HTML element with the local
+// name localName, or null
+function firstChildElement(parent, localName) {
+    for(var kid = parent.firstChild; kid; kid = kid.nextSibling)
+        if (isHTMLElement(kid, localName)) return kid;
+    return null;
+}
+
+// The rows of a table: the rows of its thead children, then the rows that
+// are its children or the children of its tbody children, then the rows
+// of its tfoot children, each in tree order
+function tableRows(table) {
+    var rows = [], kid;
+    function addRows(section) {
+        for(var r = section.firstChild; r; r = r.nextSibling)
+            if (isHTMLElement(r, "tr")) push(rows, r);
+    }
+
+    for(kid = table.firstChild; kid; kid = kid.nextSibling)
+        if (isHTMLElement(kid, "thead")) addRows(kid);
+    for(kid = table.firstChild; kid; kid = kid.nextSibling) {
+        if (isHTMLElement(kid, "tr")) push(rows, kid);
+        else if (isHTMLElement(kid, "tbody")) addRows(kid);
+    }
+    for(kid = table.firstChild; kid; kid = kid.nextSibling)
+        if (isHTMLElement(kid, "tfoot")) addRows(kid);
+    return rows;
+}
+
+// The rows of a thead, tbody or tfoot element
+function sectionRows(section) {
+    return childElements(section, "tr");
+}
+
+// The td and th children of a row
+function rowCells(row) {
+    var cells = [];
+    for(var kid = row.firstChild; kid; kid = kid.nextSibling)
+        if (isHTMLElement(kid, "td") || isHTMLElement(kid, "th"))
+            push(cells, kid);
+    return cells;
+}
+
+// Check an index argument of insertRow() or insertCell().  -1 means the
+// end of the list, and so does a missing index.
+function insertionIndex(index, length) {
+    if (index === undefined || index === -1) return length;
+    if (index < -1 || index > length) IndexSizeError();
+    return index;
+}
+
+// Check an index argument of deleteRow() or deleteCell().  -1 means the
+// last item of the list, and there is nothing to delete if it is empty.
+function deletionIndex(index, length) {
+    if (index === -1) return length - 1;
+    if (index < -1 || index >= length) IndexSizeError();
+    return index;
+}
+
+// Insert a new element with the local name localName into the list of
+// elements items at index, as a child of parent if index is at the end.
+// Return the new element.
+function insertAtIndex(parent, items, index, localName) {
+    index = insertionIndex(index, items.length);
+    var e = parent.ownerDocument.createElement(localName);
+    if (index === items.length) parent.appendChild(e);
+    else items[index].parentNode.insertBefore(e, items[index]);
+    return e;
+}
+
+// Remove the element at index from the list of elements items
+function deleteAtIndex(items, index) {
+    index = deletionIndex(index, items.length);
+    if (index >= 0) items[index].parentNode.removeChild(items[index]);
+}
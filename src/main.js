@@ -51,15 +51,19 @@ Object.defineProperty(global, "location", {
 });
 
 
-Object.defineProperty(global, "onload", {
-    get: function() {
-        return unwrap(this).onload;
-    },
-    set: function(v) {
-        unwrap(this).onload = toCallbackOrNull(v);
-    },
-    enumerable: true,
-    configurable: true
+// The event handler IDL attributes.  See src/impl/Window.js
+concat(globalEventHandlerTypes, windowEventHandlerTypes).forEach(function(type){
+    var property = "on" + type;
+    Object.defineProperty(global, property, {
+        get: function() {
+            return unwrap(this)[property];
+        },
+        set: function(v) {
+            unwrap(this)[property] = toCallbackOrNull(v);
+        },
+        enumerable: true,
+        configurable: true
+    });
 });
 
 
@@ -77,6 +81,194 @@ global.removeEventListener = function addEventListener(type, listener, capture){
         OptionalBoolean(capture));
 };
 
+global.dispatchEvent = function dispatchEvent(event) {
+    var e = unwrap(event);
+    if (!(e instanceof impl.Event)) throw TypeError();
+    return unwrap(this).dispatchEvent(e);
+};
+
+// Use w rather than this, since getSelection() is often called unqualified
+global.getSelection = function getSelection() {
+    return wrap(w.getSelection());
+};
+
+// Timer handlers may be strings of code, and extra arguments to
+// setTimeout() and setInterval() are passed on to the handler.
+// Use w rather than this, since these are usually called unqualified.
+function timerHandler(handler, args) {
+    if (typeof handler === "function")
+        return function() { apply(handler, global, args); };
+    handler = String(handler);
+    return function() { evalScript(handler); };
+}
+
+global.setTimeout = function setTimeout(handler, timeout) {
+    return w.setTimeout(timerHandler(handler, A.slice(arguments, 2)),
+                        OptionaltoLong(timeout));
+};
+
+global.clearTimeout = function clearTimeout(handle) {
+    w.clearTimeout(OptionaltoLong(handle));
+};
+
+global.setInterval = function setInterval(handler, timeout) {
+    return w.setInterval(timerHandler(handler, A.slice(arguments, 2)),
+                         OptionaltoLong(timeout));
+};
+
+global.clearInterval = function clearInterval(handle) {
+    w.clearInterval(OptionaltoLong(handle));
+};
+
+global.requestAnimationFrame = function requestAnimationFrame(callback) {
+    callback = toCallback(callback);
+    return w.requestAnimationFrame(function(time) {
+        call(callback, global, time);
+    });
+};
+
+global.cancelAnimationFrame = function cancelAnimationFrame(handle) {
+    w.cancelAnimationFrame(toLong(handle));
+};
+
+// Hosts and tests that want to control time can replace the clock that
+// the event loop reads and the scheduler it uses to ask to be run.
+// The scheduler is called with a function and a delay in milliseconds,
+// like setTimeout().  Passing null for either restores the default.
+// mozRunEventLoop() runs every task that is due.
+global.mozSetEventLoopHooks = function mozSetEventLoopHooks(clock, scheduler) {
+    var loop = w._eventLoop;
+    loop.clock = clock ? toCallback(clock) : now;
+    loop.scheduler = scheduler ? toCallback(scheduler) : hostSetTimeout;
+    loop._wakeTime = Infinity;
+    loop._schedule();
+};
+
+global.mozRunEventLoop = function mozRunEventLoop() {
+    w._eventLoop.run();
+};
+
+// mozSetFormSubmissionHook(hook) makes form submissions call hook with
+// a request object that has url, method, enctype, body and target
+// properties instead of navigating.  Passing null restores navigation.
+global.mozSetFormSubmissionHook = function mozSetFormSubmissionHook(hook) {
+    if (hook === null || hook === undefined) {
+        w._formSubmissionHook = null;
+        return;
+    }
+    hook = toCallback(hook);
+    w._formSubmissionHook = function(request) { call(hook, global, request); };
+};
+
+// Tests get the window's cookie jar, which can serialize() its cookies
+// and load() serialized cookies, set and read cookies with setCookie()
+// and cookieString(), and clear() them.  Like mozVirtualClock(), it is
+// an object with just those methods, bound to the jar.
+// See src/impl/CookieJar.js
+var cookieJar = null;
+global.mozCookieJar = function mozCookieJar() {
+    if (!cookieJar) {
+        var jar = w._cookieJar;
+        cookieJar = O.create(Object.prototype, {
+            setCookie: constant(bind(jar.setCookie, jar)),
+            cookieString: constant(bind(jar.cookieString, jar)),
+            serialize: constant(bind(jar.serialize, jar)),
+            load: constant(bind(jar.load, jar)),
+            clear: constant(bind(jar.clear, jar)),
+        });
+    }
+    return cookieJar;
+};
+
+// mozSetResourceLoader(loader) makes the window load documents and
+// scripts with loader, an object with a load(request, callback) method.
+// Passing null restores the default loader.  mozXHRLoader(),
+// mozFileLoader() and mozFixtureLoader(fixtures) return the loaders
+// that dom.js defines.  See src/impl/ResourceLoader.js
+global.mozSetResourceLoader = function mozSetResourceLoader(loader) {
+    w._setResourceLoader(loader || null);
+};
+
+global.mozXHRLoader = function mozXHRLoader() {
+    return new XHRResourceLoader();
+};
+
+global.mozFileLoader = function mozFileLoader() {
+    return new FileResourceLoader();
+};
+
+global.mozFixtureLoader = function mozFixtureLoader(fixtures) {
+    return new FixtureResourceLoader(fixtures);
+};
+
+// Interceptors are called with each request that the window makes, and
+// may change its url, method, headers or body, or return a response
+// object to use instead of loading it.
+global.mozAddRequestInterceptor = function mozAddRequestInterceptor(f) {
+    if (typeof f !== "function")
+        throw TypeError("Expected interceptor function; got: " + f);
+    w._addRequestInterceptor(f);
+};
+
+global.mozRemoveRequestInterceptor = function mozRemoveRequestInterceptor(f) {
+    w._removeRequestInterceptor(f);
+};
+
+// Tests get a virtual clock with advance(ms), runAllTimers() and
+// runPendingMicrotasks() methods, an uninstall() method that goes back to
+// real time, and a time property.  It is a small object with those
+// methods bound to the window's clock, rather than the clock itself, so
+// that scripts can't reach the event loop through it.
+// See src/impl/VirtualClock.js
+var virtualClock = null;
+global.mozVirtualClock = function mozVirtualClock() {
+    var clock = w.useVirtualClock();
+    if (!virtualClock) {
+        virtualClock = O.create(Object.prototype, {
+            time: attribute(function() { return clock.time; }),
+            advance: constant(bind(clock.advance, clock)),
+            runAllTimers: constant(bind(clock.runAllTimers, clock)),
+            runPendingMicrotasks:
+                constant(bind(clock.runPendingMicrotasks, clock)),
+            uninstall: constant(bind(clock.uninstall, clock)),
+        });
+    }
+    return virtualClock;
+};
+
+// mozMoveFocus(backward) moves the focus to the next element in
+// sequential focus navigation order, or to the previous one if backward
+// is true, as pressing Tab or Shift+Tab does, so that tests can script
+// keyboard navigation.  It returns the element that has the focus
+// afterwards, or null if the focus left the document.
+// See src/impl/focus.js
+global.mozMoveFocus = function mozMoveFocus(backward) {
+    return wrap(w.document._moveFocus(Boolean(backward)));
+};
+
+// mozDispatchRendererEvent(target, type, details) dispatches an event at
+// target, an element in the document, the way a renderer does: as a
+// trusted event of the interface for its type, created from details.
+// The event is dispatched as a task, so that tests can script user
+// input and see its default actions.  See Document._dispatchRendererEvent()
+global.mozDispatchRendererEvent = function mozDispatchRendererEvent(target,
+                                                                    type,
+                                                                    details) {
+    var node = unwrap(target), init = {};
+    for(var p in details) init[p] = details[p];
+    if (init.relatedTarget)
+        init.relatedTarget = unwrap(init.relatedTarget)._nid;
+    node.ownerDocument._dispatchRendererEvent(node._nid, String(type), init);
+};
+
+// mozLiveRangeCount() returns the number of ranges that mutations of the
+// document still update, so that tests can check that ranges scripts
+// have dropped are let go.  See src/impl/Range.js
+global.mozLiveRangeCount = function mozLiveRangeCount() {
+    var ranges = w.document._ranges;
+    return ranges ? ranges.length : 0;
+};
+
 // XXX
 // This is a completely broken implementation put here just to see if we
 // can get jQuery animations to work
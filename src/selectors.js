@@ -0,0 +1,842 @@
+// This file implements a Selectors Level 3 engine for the
+// querySelector(), querySelectorAll() and matches() methods of Element,
+// Document and DocumentFragment.
+//
+// See http://www.w3.org/TR/css3-selectors/ and
+// http://www.w3.org/TR/selectors-api/
+//
+// A selector string is parsed into a group of complex selectors.  Each
+// complex selector is an array of compound selectors joined by
+// combinators, and each compound selector is compiled into a predicate
+// function.  Complex selectors are matched right-to-left: we test the
+// rightmost compound against the candidate element and then walk up or
+// back through the tree as the combinators require.
+//
+// Namespace prefixes in type and attribute selectors are resolved with
+// the lookupNamespaceURI() algorithm on the node the query is made on,
+// since the Selectors API does not define any other way to declare them.
+// An unresolvable prefix is a NAMESPACE_ERR.
+//
+const selectors = (function() {
+
+    // Cache of parsed selector strings, keyed by the selector text.
+    // Results that depend on namespace prefixes are not cached here since
+    // the prefixes may resolve differently for different context nodes.
+    var parsed = O.create(null);
+    var numparsed = 0;
+    const MAX_PARSED = 256;
+
+    // Cache of querySelectorAll() results. The first level of the map is
+    // keyed by the root node, the second by the selector text.  The cache
+    // for a root records the root's lastModTime when it was filled, just
+    // as FilteredElementList does, and is emptied when that changes.  It
+    // holds at most MAX_PARSED results, like the cache above.  lastModTime
+    // only changes for changes inside the root, so only the results of
+    // selectors that look at nothing else are cached: see volatile below.
+    var results = new WeakMap();
+
+    var whitespace = /^[ \t\n\r\f]+/;
+    var identstart = /[-_a-zA-Z\u00A0-\uFFFF\\]/;
+    var namechar = /[-_a-zA-Z0-9\u00A0-\uFFFF]/;
+    var hexdigits = /^[0-9a-fA-F]{1,6}/;
+    var nthexpr = /^([-+]?)(\d*)n(?:\s*([-+])\s*(\d+))?$/;
+
+    // HTML attributes whose values are matched case-insensitively
+    // in HTML documents.
+    var caseInsensitiveAttributes = {
+        accept: true, "accept-charset": true, align: true, alink: true,
+        axis: true, bgcolor: true, charset: true, checked: true, clear: true,
+        codetype: true, color: true, compact: true, declare: true,
+        defer: true, dir: true, direction: true, disabled: true,
+        enctype: true, face: true, frame: true, hreflang: true,
+        "http-equiv": true, lang: true, language: true, link: true,
+        media: true, method: true, multiple: true, nohref: true,
+        noresize: true, noshade: true, nowrap: true, readonly: true,
+        rel: true, rev: true, rules: true, scope: true, scrolling: true,
+        selected: true, shape: true, target: true, text: true, type: true,
+        valign: true, valuetype: true, vlink: true
+    };
+
+    // Elements that the :disabled and :enabled pseudo-classes apply to
+    var formControls = {
+        button: true, input: true, select: true, textarea: true,
+        optgroup: true, option: true, fieldset: true, keygen: true,
+        command: true
+    };
+
+    // Pseudo-classes that depend on state that is not in the tree, on
+    // ancestors of the element, or on text (which changes without
+    // changing lastModTime), so query results that use them can't be cached
+    var volatilePseudoClasses = {
+        target: true, checked: true, focus: true,
+        enabled: true, disabled: true, empty: true, lang: true
+    };
+
+    // Pseudo-elements. Selectors that include them never match elements.
+    var pseudoElements = {
+        "first-line": true, "first-letter": true, before: true, after: true
+    };
+
+    //
+    // The parser
+    //
+
+    // A Parser object holds the selector text and the current position
+    // in it.  The node argument is used to resolve namespace prefixes.
+    function Parser(text, node) {
+        this.text = text;
+        this.pos = 0;
+        this.node = node;
+        this.usesPrefixes = false;
+        this.volatile = false;
+    }
+
+    Parser.prototype = {
+        peek: function() { return this.text[this.pos] || ""; },
+
+        eof: function() { return this.pos >= this.text.length; },
+
+        // Skip whitespace and return true if there was any
+        skipws: function() {
+            var m = exec(whitespace, substring(this.text, this.pos));
+            if (!m) return false;
+            this.pos += m[0].length;
+            return true;
+        },
+
+        expect: function(c) {
+            if (this.peek() !== c) SyntaxError();
+            this.pos++;
+        },
+
+        isIdentStart: function() {
+            var c = this.peek(), d;
+            if (c === "-") {
+                d = this.text[this.pos+1] || "";
+                return d !== "" && d !== "-" && test(identstart, d);
+            }
+            return c !== "" && test(identstart, c);
+        },
+
+        // Parse a backslash escape and return the character it represents
+        escape: function() {
+            this.expect("\\");
+            if (this.eof()) SyntaxError();
+            var m = exec(hexdigits, substring(this.text, this.pos));
+            if (m) {
+                this.pos += m[0].length;
+                var code = parseInt(m[0], 16);
+                // A single whitespace character terminates a hex escape
+                if (test(/[ \t\n\r\f]/, this.peek())) this.pos++;
+                if (code === 0 || code > 0x10FFFF ||
+                    (code >= 0xD800 && code <= 0xDFFF))
+                    return "\uFFFD";
+                if (code > 0xFFFF) {
+                    code -= 0x10000;
+                    return fromCharCode(0xD800 + (code >> 10),
+                                        0xDC00 + (code & 0x3FF));
+                }
+                return fromCharCode(code);
+            }
+            if (test(/[\n\r\f]/, this.peek())) SyntaxError();
+            return this.text[this.pos++];
+        },
+
+        // Parse a sequence of name characters
+        name: function() {
+            var s = "";
+            for(;;) {
+                var c = this.peek();
+                if (c === "\\") s += this.escape();
+                else if (c !== "" && test(namechar, c)) {
+                    s += c;
+                    this.pos++;
+                }
+                else break;
+            }
+            if (s === "") SyntaxError();
+            return s;
+        },
+
+        ident: function() {
+            if (!this.isIdentStart()) SyntaxError();
+            return this.name();
+        },
+
+        string: function() {
+            var quote = this.peek(), s = "";
+            this.pos++;
+            for(;;) {
+                var c = this.peek();
+                if (c === "") SyntaxError();
+                if (c === quote) {
+                    this.pos++;
+                    return s;
+                }
+                if (c === "\\") {
+                    // An escaped newline is ignored inside strings
+                    var d = this.text[this.pos+1];
+                    if (d === "\n" || d === "\f") {
+                        this.pos += 2;
+                        continue;
+                    }
+                    if (d === "\r") {
+                        this.pos += (this.text[this.pos+2] === "\n") ? 3 : 2;
+                        continue;
+                    }
+                    s += this.escape();
+                }
+                else if (c === "\n" || c === "\r" || c === "\f") {
+                    SyntaxError();
+                }
+                else {
+                    s += c;
+                    this.pos++;
+                }
+            }
+        },
+
+        // Resolve a namespace prefix to a namespace URI
+        namespace: function(prefix) {
+            this.usesPrefixes = true;
+            var ns = this.node ? this.node.lookupNamespaceURI(prefix) : null;
+            if (ns === null) NamespaceError();
+            return ns;
+        },
+
+        // Parse a selectors group and return an array of complex selectors
+        group: function() {
+            var complexes = [];
+            this.skipws();
+            for(;;) {
+                push(complexes, this.complex());
+                this.skipws();
+                if (this.eof()) break;
+                this.expect(",");
+                this.skipws();
+            }
+            return complexes;
+        },
+
+        // Parse a complex selector.  Return an object with parallel arrays
+        // of compound selector predicates and the combinators to their left.
+        complex: function() {
+            var compounds = [], combinators = [];
+            var combinator = null;
+            for(;;) {
+                push(compounds, this.compound(false));
+                push(combinators, combinator);
+
+                var sawws = this.skipws();
+                var c = this.peek();
+                if (c === ">" || c === "+" || c === "~") {
+                    this.pos++;
+                    this.skipws();
+                    combinator = c;
+                }
+                else if (sawws && c !== "," && c !== "") {
+                    combinator = " ";
+                }
+                else {
+                    break;
+                }
+                // Combinators can reach elements outside of the root
+                this.volatile = true;
+            }
+            return { compounds: compounds, combinators: combinators };
+        },
+
+        // Parse a compound selector (a "sequence of simple selectors")
+        // and return a predicate function for it. If simple is true,
+        // then only a single simple selector is allowed, as in :not().
+        compound: function(simple) {
+            var tests = [];
+            var start = this.pos;
+
+            var type = this.typeSelector();
+            if (type) push(tests, type);
+
+            for(;;) {
+                var c = this.peek(), t;
+                if (c === "#") {
+                    this.pos++;
+                    t = idTest(this.name());
+                }
+                else if (c === ".") {
+                    this.pos++;
+                    t = classTest(this.ident());
+                }
+                else if (c === "[") {
+                    t = this.attribute();
+                }
+                else if (c === ":") {
+                    t = this.pseudo(simple);
+                }
+                else {
+                    break;
+                }
+                if (simple && (type || tests.length > 0)) SyntaxError();
+                push(tests, t);
+            }
+
+            // An empty compound selector is an error
+            if (this.pos === start) SyntaxError();
+
+            switch(tests.length) {
+            case 0: return ftrue;   // The universal selector
+            case 1: return tests[0];
+            default:
+                return function(e) {
+                    for(var i = 0, n = tests.length; i < n; i++)
+                        if (!tests[i](e)) return false;
+                    return true;
+                };
+            }
+        },
+
+        // Parse an optional namespace prefix followed by a name or *.
+        // Returns undefined if there is none, or an object with ns, name
+        // and prefixed properties. An ns of undefined means any namespace
+        // and a name of null means any name.
+        qualifiedName: function(allowUniversal) {
+            var save = this.pos, prefix, name, ns;
+            var c = this.peek();
+
+            if (c === "|" && this.text[this.pos+1] !== "=") {
+                // Explicitly no namespace
+                this.pos++;
+                return { ns: null, name: this.nameOrStar(allowUniversal),
+                         prefixed: true };
+            }
+
+            if (c === "*") {
+                this.pos++;
+                prefix = "*";
+            }
+            else if (this.isIdentStart()) {
+                prefix = this.ident();
+            }
+            else {
+                return undefined;
+            }
+
+            if (this.peek() === "|" && this.text[this.pos+1] !== "=") {
+                this.pos++;
+                ns = (prefix === "*") ? undefined : this.namespace(prefix);
+                return { ns: ns, name: this.nameOrStar(allowUniversal),
+                         prefixed: true };
+            }
+
+            if (prefix === "*" && !allowUniversal) {
+                this.pos = save;
+                SyntaxError();
+            }
+            return { ns: undefined, name: (prefix === "*") ? null : prefix,
+                     prefixed: false };
+        },
+
+        nameOrStar: function(allowUniversal) {
+            if (this.peek() === "*") {
+                if (!allowUniversal) SyntaxError();
+                this.pos++;
+                return null;
+            }
+            return this.ident();
+        },
+
+        typeSelector: function() {
+            var q = this.qualifiedName(true);
+            if (!q) return null;
+            if (q.ns === undefined && q.name === null) return null;
+            return typeTest(q.ns, q.name);
+        },
+
+        attribute: function() {
+            this.expect("[");
+            this.skipws();
+            var q = this.qualifiedName(false);
+            if (!q) SyntaxError();
+            this.skipws();
+
+            var op = null, value;
+            var c = this.peek();
+            if (c === "=") {
+                op = "=";
+                this.pos++;
+            }
+            else if (c !== "" && S.indexOf("~|^$*", c) !== -1 &&
+                     this.text[this.pos+1] === "=") {
+                op = c;
+                this.pos += 2;
+            }
+
+            if (op) {
+                this.skipws();
+                c = this.peek();
+                value = (c === "\"" || c === "'") ? this.string() : this.ident();
+                this.skipws();
+            }
+            this.expect("]");
+
+            // Without a namespace prefix, attribute selectors only match
+            // attributes that are in no namespace.
+            return attributeTest(q.prefixed ? q.ns : null, q.name, op, value);
+        },
+
+        pseudo: function(simple) {
+            this.expect(":");
+            if (this.peek() === ":") {
+                // A pseudo-element.  These must come last and never match.
+                this.pos++;
+                this.ident();
+                if (!this.eof() && this.peek() !== "," &&
+                    !test(/[ \t\n\r\f]/, this.peek())) SyntaxError();
+                return ffalse;
+            }
+
+            var name = toLowerCase(this.ident());
+            if (volatilePseudoClasses[name]) this.volatile = true;
+            if (this.peek() === "(") {
+                this.pos++;
+                this.skipws();
+                var t = this.functionalPseudo(name, simple);
+                this.skipws();
+                this.expect(")");
+                return t;
+            }
+
+            if (pseudoElements[name]) return ffalse;
+
+            var t = pseudoClasses[name];
+            if (!t) SyntaxError();
+            return t;
+        },
+
+        functionalPseudo: function(name, simple) {
+            switch(name) {
+            case "not":
+                if (simple) SyntaxError();   // No nested :not()
+                var t = this.compound(true);
+                return function(e) { return !t(e); };
+            case "lang":
+                var lang = toLowerCase(this.ident());
+                return function(e) { return langTest(e, lang); };
+            case "nth-child":
+            case "nth-last-child":
+            case "nth-of-type":
+            case "nth-last-of-type":
+                var end = S.indexOf(this.text, ")", this.pos);
+                if (end === -1) SyntaxError();
+                var ab = parseNth(substring(this.text, this.pos, end));
+                this.pos = end;
+                return nthTest(ab[0], ab[1],
+                               name === "nth-last-child" ||
+                               name === "nth-last-of-type",
+                               name === "nth-of-type" ||
+                               name === "nth-last-of-type");
+            default:
+                SyntaxError();
+            }
+        }
+    };
+
+    // Parse the argument of an :nth-child() etc. pseudo-class and
+    // return an [a, b] pair
+    function parseNth(s) {
+        s = toLowerCase(trim(s));
+        if (s === "odd") return [2, 1];
+        if (s === "even") return [2, 0];
+        if (test(/^[-+]?\d+$/, s)) return [0, parseInt(s, 10)];
+
+        var m = exec(nthexpr, s);
+        if (!m) SyntaxError();
+        var a = (m[2] === "") ? 1 : parseInt(m[2], 10);
+        if (m[1] === "-") a = -a;
+        var b = m[4] ? parseInt(m[4], 10) : 0;
+        if (m[3] === "-") b = -b;
+        return [a, b];
+    }
+
+    //
+    // Predicate factories for simple selectors
+    //
+
+    function typeTest(ns, name) {
+        var lcname = (name === null) ? null : toLowerCase(name);
+        return function(e) {
+            if (ns !== undefined && e.namespaceURI !== ns) return false;
+            if (name === null) return true;
+            return e.isHTML ? e.localName === lcname : e.localName === name;
+        };
+    }
+
+    function idTest(id) {
+        return function(e) { return e._getattr("id") === id; };
+    }
+
+    function classTest(name) {
+        return function(e) {
+            if (!e._getattr("class")) return false;
+            return e.classList.contains(name);
+        };
+    }
+
+    // Return an array of the values of the attributes of e that match
+    // the specified namespace and name.  An ns of undefined matches
+    // any namespace.
+    function attributeValues(e, ns, name) {
+        if (e.isHTML) name = toLowerCase(name);
+        var values = [];
+        for(var i = 0, n = e._numattrs; i < n; i++) {
+            var a = e._attr(i);
+            if (a.localName === name &&
+                (ns === undefined || a.namespaceURI === ns))
+                push(values, a.value);
+        }
+        return values;
+    }
+
+    function attributeTest(ns, name, op, value) {
+        var lcvalue = (value === undefined) ? value : toLowerCase(value);
+
+        var match;
+        switch(op) {
+        case null:
+            match = ftrue;
+            break;
+        case "=":
+            match = function(v, s) { return v === s; };
+            break;
+        case "~":
+            match = function(v, s) {
+                if (s === "" || test(/[ \t\n\r\f]/, s)) return false;
+                return A.indexOf(split(v, /[ \t\n\r\f]+/), s) !== -1;
+            };
+            break;
+        case "|":
+            match = function(v, s) {
+                return v === s || substring(v, 0, s.length + 1) === s + "-";
+            };
+            break;
+        case "^":
+            match = function(v, s) {
+                return s !== "" && substring(v, 0, s.length) === s;
+            };
+            break;
+        case "$":
+            match = function(v, s) {
+                return s !== "" && v.length >= s.length &&
+                    substring(v, v.length - s.length) === s;
+            };
+            break;
+        case "*":
+            match = function(v, s) {
+                return s !== "" && S.indexOf(v, s) !== -1;
+            };
+            break;
+        }
+
+        var ignoreCase = caseInsensitiveAttributes[toLowerCase(name)] === true;
+
+        return function(e) {
+            var values = attributeValues(e, ns, name);
+            for(var i = 0, n = values.length; i < n; i++) {
+                var v = values[i];
+                if (ignoreCase && e.isHTML) {
+                    if (match(toLowerCase(v), lcvalue)) return true;
+                }
+                else if (match(v, value)) return true;
+            }
+            return false;
+        };
+    }
+
+    function langTest(e, lang) {
+        for(var n = e; n; n = n.parentElement) {
+            var l = n.getAttributeNS(XML_NAMESPACE, "lang");
+            if (l === null) l = n._getattr("lang");
+            if (l !== null) {
+                l = toLowerCase(l);
+                return l === lang ||
+                    substring(l, 0, lang.length + 1) === lang + "-";
+            }
+        }
+        return false;
+    }
+
+    // Return the 1-based position of e among its element siblings.
+    // If ofType is true, only count siblings with the same expanded name.
+    // If fromEnd is true, count from the last sibling.
+    function position(e, fromEnd, ofType) {
+        var parent = e.parentNode;
+        if (!parent) return 1;
+
+        var sibs = parent.childNodes, pos = 1;
+        var start, end, step;
+        if (fromEnd) {
+            start = sibs.length - 1;
+            step = -1;
+        }
+        else {
+            start = 0;
+            step = 1;
+        }
+
+        for(var i = start; sibs[i] !== e; i += step) {
+            var s = sibs[i];
+            if (s.nodeType !== ELEMENT_NODE) continue;
+            if (ofType && (s.localName !== e.localName ||
+                           s.namespaceURI !== e.namespaceURI))
+                continue;
+            pos++;
+        }
+        return pos;
+    }
+
+    function nthTest(a, b, fromEnd, ofType) {
+        return function(e) {
+            var n = position(e, fromEnd, ofType) - b;
+            if (a === 0) return n === 0;
+            return n / a >= 0 && n % a === 0;
+        };
+    }
+
+    function isDisabled(e) {
+        if (!e.isHTML || !formControls[e.localName]) return false;
+        if (e._getattr("disabled") !== null) return true;
+
+        if (e.localName === "option") {
+            var p = e.parentElement;
+            return !!p && p.isHTML && p.localName === "optgroup" &&
+                p._getattr("disabled") !== null;
+        }
+
+        if (e.localName === "optgroup" || e.localName === "option")
+            return false;
+
+        // Form controls are disabled if they are inside a disabled
+        // fieldset, unless they are inside that fieldset's first legend.
+        for(var child = e, p = e.parentElement; p;
+            child = p, p = p.parentElement) {
+            if (p.isHTML && p.localName === "fieldset" &&
+                p._getattr("disabled") !== null) {
+                var legend = null;
+                for(var k = p.firstElementChild; k; k = k.nextElementSibling) {
+                    if (k.isHTML && k.localName === "legend") {
+                        legend = k;
+                        break;
+                    }
+                }
+                if (child !== legend) return true;
+            }
+        }
+        return false;
+    }
+
+    function isChecked(e) {
+        if (!e.isHTML) return false;
+        switch(e.localName) {
+        case "input":
+            var type = e._getattr("type");
+            type = type ? toLowerCase(type) : "";
+            return (type === "checkbox" || type === "radio") && e.checked;
+        case "option":
+            return e.selected;
+        default:
+            return false;
+        }
+    }
+
+    function isTarget(e) {
+        var address = e.ownerDocument._address;
+        var hash = S.indexOf(address, "#");
+        if (hash === -1) return false;
+        var id = substring(address, hash+1);
+        return id !== "" && e._getattr("id") === id;
+    }
+
+    var pseudoClasses = {
+        root: function(e) {
+            return !!e.parentNode && e.parentNode.nodeType === DOCUMENT_NODE;
+        },
+        "first-child": nthTest(0, 1, false, false),
+        "last-child": nthTest(0, 1, true, false),
+        "first-of-type": nthTest(0, 1, false, true),
+        "last-of-type": nthTest(0, 1, true, true),
+        "only-child": function(e) {
+            return position(e, false, false) === 1 &&
+                position(e, true, false) === 1;
+        },
+        "only-of-type": function(e) {
+            return position(e, false, true) === 1 &&
+                position(e, true, true) === 1;
+        },
+        empty: function(e) {
+            var kids = e.childNodes;
+            for(var i = 0, n = kids.length; i < n; i++) {
+                var k = kids[i];
+                if (k.nodeType === ELEMENT_NODE) return false;
+                if (k.nodeType === TEXT_NODE && k.data.length > 0) return false;
+            }
+            return true;
+        },
+        link: function(e) {
+            return e.isHTML &&
+                (e.localName === "a" || e.localName === "area" ||
+                 e.localName === "link") &&
+                e._getattr("href") !== null;
+        },
+        visited: ffalse,
+        // We don't track pointer state
+        hover: ffalse,
+        active: ffalse,
+        focus: function(e) {
+            return e.ownerDocument._focusedElement === e;
+        },
+        target: isTarget,
+        enabled: function(e) {
+            return e.isHTML && !!formControls[e.localName] && !isDisabled(e);
+        },
+        disabled: isDisabled,
+        checked: isChecked,
+        indeterminate: ffalse
+    };
+
+    //
+    // Matching
+    //
+
+    // Match element e against compound selector i of complex selector c,
+    // and then recursively against the compounds to its left.
+    function matchComplex(e, c, i) {
+        if (!c.compounds[i](e)) return false;
+        if (i === 0) return true;
+
+        switch(c.combinators[i]) {
+        case ">":
+            var p = e.parentElement;
+            return !!p && matchComplex(p, c, i-1);
+        case " ":
+            for(var p = e.parentElement; p; p = p.parentElement)
+                if (matchComplex(p, c, i-1)) return true;
+            return false;
+        case "+":
+            var s = e.previousElementSibling;
+            return !!s && matchComplex(s, c, i-1);
+        case "~":
+            for(var s = e.previousElementSibling; s;
+                s = s.previousElementSibling)
+                if (matchComplex(s, c, i-1)) return true;
+            return false;
+        }
+    }
+
+    // Parse the selector text, or get it from the cache, and return
+    // an object with a match() predicate and a volatile flag that
+    // tells whether results may change without the lastModTime of the
+    // root changing.
+    function compile(text, node) {
+        var cached = parsed[text];
+        if (cached) return cached;
+
+        var parser = new Parser(text, node);
+        var complexes = parser.group();
+        var n = complexes.length;
+
+        var selector = {
+            volatile: parser.volatile,
+            match: function(e) {
+                for(var i = 0; i < n; i++) {
+                    var c = complexes[i];
+                    if (matchComplex(e, c, c.compounds.length-1)) return true;
+                }
+                return false;
+            }
+        };
+
+        if (!parser.usesPrefixes) {
+            if (numparsed >= MAX_PARSED) {
+                parsed = O.create(null);
+                numparsed = 0;
+            }
+            parsed[text] = selector;
+            numparsed++;
+        }
+
+        return selector;
+    }
+
+    // Return the first element child of root. Documents and fragments
+    // don't have a firstElementChild property, so we search childNodes.
+    function firstElementUnder(root) {
+        var kids = root.childNodes;
+        for(var i = 0, n = kids.length; i < n; i++)
+            if (kids[i].nodeType === ELEMENT_NODE) return kids[i];
+        return null;
+    }
+
+    // Return the first element under root matching selector, or null
+    function first(root, selector) {
+        for(var e = firstElementUnder(root); e; e = e.nextElement(root))
+            if (selector.match(e)) return e;
+        return null;
+    }
+
+    // Return an array of all elements under root matching selector
+    function all(root, selector) {
+        var matches = [];
+        for(var e = firstElementUnder(root); e; e = e.nextElement(root))
+            if (selector.match(e)) push(matches, e);
+        return matches;
+    }
+
+    return {
+        // Return true if element e matches the selector text
+        matches: function(e, text) {
+            return compile(text, e).match(e);
+        },
+
+        // Return the first descendant of root that matches, or null
+        first: function(root, text) {
+            var selector = compile(text, root);
+            var cache = wmget(results, root);
+            var elements = cache && cache.entries[text];
+            if (elements && !selector.volatile &&
+                cache.lastModTime === root.lastModTime)
+                return elements[0] || null;
+            return first(root, selector);
+        },
+
+        // Return a new array of all descendants of root that match
+        all: function(root, text) {
+            var selector = compile(text, root);
+            var elements;
+
+            if (selector.volatile) {
+                elements = all(root, selector);
+            }
+            else {
+                var cache = wmget(results, root);
+                if (!cache || cache.lastModTime !== root.lastModTime ||
+                    cache.count >= MAX_PARSED && !cache.entries[text]) {
+                    cache = {
+                        lastModTime: root.lastModTime,
+                        entries: O.create(null),
+                        count: 0
+                    };
+                    wmset(results, root, cache);
+                }
+                elements = cache.entries[text];
+                if (!elements) {
+                    elements = cache.entries[text] = all(root, selector);
+                    cache.count++;
+                }
+            }
+
+            // The returned list is static, so always return a copy
+            var result = A.slice(elements, 0);
+            result._idlName = "NodeList";
+            return result;
+        }
+    };
+}());
@@ -40,7 +40,8 @@ const undefined = void 0,
     RegExp = global.RegExp,
     String = global.String,
     TypeError = global.TypeError,
-    WeakMap = global.WeakMap;
+    WeakMap = global.WeakMap,
+    WeakRef = global.WeakRef;   // Not all hosts have this one
 
 
 // callbind parameterizes the binding of `this`
@@ -112,6 +113,9 @@ const
     wmget = callbind(WeakMap.prototype.get),
     wmset = callbind(WeakMap.prototype.set),
 
+    // WeakRef functions, where there are WeakRefs
+    wrderef = WeakRef ? callbind(WeakRef.prototype.deref) : null,
+
     // Object functions
     hasOwnProperty = callbind(Object.prototype.hasOwnProperty),
 
@@ -32,6 +32,12 @@ function error(msg) {
     }
 }
 
+// Report an exception that nothing else will handle.  Scripts can throw
+// any value, including null and undefined, which have no stack.
+function reportException(e) {
+    error(e && e.stack ? e + " " + e.stack : String(e));
+}
+
 // Utility functions that return property descriptors
 function constant(v) { return { value: v }; }
 function attribute(get, set) {
@@ -0,0 +1,147 @@
+// Tests for MutationObserver and MutationRecord
+
+assert(MutationObserver);
+
+var calls = [];
+function callback(records, observer) { calls.push([records, observer]); }
+
+var div = document.createElement("div");   // Not rooted
+div.innerHTML = "<p id='a'>hello</p><p id='b'></p>";
+var p1 = div.firstChild, p2 = div.lastChild, text = p1.firstChild;
+
+// Options must include at least one type of mutation
+var mo = new MutationObserver(callback);
+assertThrows(function() { mo.observe(div, {}); }, "TypeError");
+assertThrows(function() { mo.observe(div, { childList: true,
+                                             attributes: false,
+                                             attributeOldValue: true }); },
+             "TypeError");
+
+// childList
+mo.observe(div, { childList: true });
+var span = document.createElement("span");
+div.insertBefore(span, p2);
+div.removeChild(p1);
+var records = mo.takeRecords();
+assert(records.length === 2, records.length);
+assert(records[0] instanceof MutationRecord);
+assert(records[0].type === "childList");
+assert(records[0].target === div);
+assert(records[0].addedNodes.length === 1);
+assert(records[0].addedNodes[0] === span);
+assert(records[0].removedNodes.length === 0);
+assert(records[0].previousSibling === p1);
+assert(records[0].nextSibling === p2);
+assert(records[1].removedNodes[0] === p1);
+assert(records[1].previousSibling === null);
+assert(records[1].nextSibling === span);
+assert(mo.takeRecords().length === 0);
+
+// Without subtree, mutations of descendants are not reported
+span.appendChild(document.createTextNode("x"));
+span.setAttribute("title", "t");
+assert(mo.takeRecords().length === 0);
+
+// attributes, with attributeOldValue and attributeFilter
+mo.disconnect();
+mo.observe(div, { attributes: true, attributeOldValue: true, subtree: true,
+                  attributeFilter: ["title", "class"] });
+span.setAttribute("title", "u");
+span.className = "c";
+span.id = "s";
+span.removeAttribute("title");
+records = mo.takeRecords();
+assert(records.length === 3, records.length);
+assert(records[0].type === "attributes");
+assert(records[0].target === span);
+assert(records[0].attributeName === "title");
+assert(records[0].attributeNamespace === null);
+assert(records[0].oldValue === "t");
+assert(records[1].attributeName === "class");
+assert(records[1].oldValue === null);
+assert(records[2].attributeName === "title");
+assert(records[2].oldValue === "u");
+
+// Observing the same node again replaces the options
+mo.observe(div, { attributes: true });
+div.setAttribute("lang", "en");
+span.setAttribute("lang", "en");
+records = mo.takeRecords();
+assert(records.length === 1, records.length);
+assert(records[0].target === div);
+assert(records[0].oldValue === null);
+
+// characterData
+mo.disconnect();
+mo.observe(div, { characterData: true, characterDataOldValue: true,
+                  subtree: true });
+text.data = "goodbye";  // p1 was removed, so this is not reported
+span.firstChild.appendData("yz");
+records = mo.takeRecords();
+assert(records.length === 1, records.length);
+assert(records[0].type === "characterData");
+assert(records[0].target === span.firstChild);
+assert(records[0].oldValue === "x");
+
+// Subtree observers are told about mutations in a subtree that was
+// removed from the observed subtree, until the records are delivered.
+mo.disconnect();
+mo.observe(div, { childList: true, subtree: true });
+div.removeChild(span);
+span.appendChild(document.createElement("i"));
+records = mo.takeRecords();
+assert(records.length === 2, records.length);
+assert(records[0].removedNodes[0] === span);
+assert(records[1].target === span);
+
+// Several observers can watch the same rooted subtree, and moves within
+// the document are reported as a removal and an insertion.
+document.body.appendChild(div);
+var mo2 = new MutationObserver(callback);
+mo2.observe(document.body, { childList: true, subtree: true });
+div.appendChild(p1);
+div.insertBefore(p1, div.firstChild);
+records = mo2.takeRecords();
+assert(records.length === 3, records.length);
+assert(records[0].addedNodes[0] === p1);
+assert(records[1].removedNodes[0] === p1);
+assert(records[1].previousSibling === p2);
+assert(records[2].addedNodes[0] === p1);
+assert(records[2].nextSibling === p2);
+assert(mo.takeRecords().length === 3);
+
+// After disconnect, nothing is reported
+mo.disconnect();
+mo2.disconnect();
+div.appendChild(document.createElement("b"));
+assert(mo.takeRecords().length === 0);
+assert(mo2.takeRecords().length === 0);
+assert(calls.length === 0);
+
+// Records are delivered to the callback at the next microtask checkpoint,
+// all together, with the observer as the second argument
+var clock = mozVirtualClock();
+mo.observe(div, { childList: true, attributes: true });
+div.setAttribute("title", "t");
+var b = document.createElement("b");
+div.appendChild(b);
+assert(calls.length === 0);
+clock.runPendingMicrotasks();
+assert(calls.length === 1, calls.length);
+records = calls[0][0];
+assert(calls[0][1] === mo);
+assert(records.length === 2, records.length);
+assert(records[0].type === "attributes");
+assert(records[0].attributeName === "title");
+assert(records[1].type === "childList" && records[1].addedNodes[0] === b);
+assert(mo.takeRecords().length === 0);
+
+// Nothing is delivered when there are no new records
+clock.runPendingMicrotasks();
+assert(calls.length === 1);
+div.removeChild(b);
+mo.takeRecords();
+clock.runPendingMicrotasks();
+assert(calls.length === 1);
+mo.disconnect();
+clock.uninstall();
@@ -0,0 +1,209 @@
+// Tests for Range and Selection
+
+var root = document.createElement("div");
+root.innerHTML = "<p>Hello <b>bold</b> world</p><p>second</p>";
+document.body.appendChild(root);
+var p1 = root.firstChild, p2 = root.lastChild;
+var hello = p1.firstChild, b = hello.nextSibling, world = p1.lastChild;
+
+// A new range is collapsed at the start of the document
+var r = document.createRange();
+assert(r instanceof Range);
+assert(r.startContainer === document && r.startOffset === 0);
+assert(r.collapsed);
+assert(r.commonAncestorContainer === document);
+
+// Setting boundary points
+r.setStart(hello, 2);
+r.setEnd(world, 3);
+assert(!r.collapsed);
+assert(r.commonAncestorContainer === p1);
+assert(r.toString() === "llo bold wo", r.toString());
+assertThrows(function() { r.setStart(hello, 100); },
+             DOMException.INDEX_SIZE_ERR);
+assertThrows(function() { r.setStart(document.doctype, 0); },
+             DOMException.INVALID_NODE_TYPE_ERR);
+
+// Setting the start after the end collapses the range
+var r2 = r.cloneRange();
+r2.setStart(p2, 1);
+assert(r2.collapsed && r2.endContainer === p2 && r2.endOffset === 1);
+
+r2.selectNode(b);
+assert(r2.startContainer === p1 && r2.startOffset === 1);
+assert(r2.endOffset === 2);
+assert(r2.toString() === "bold");
+r2.selectNodeContents(p1);
+assert(r2.startOffset === 0 && r2.endOffset === 3);
+r2.setStartAfter(b);
+r2.setEndBefore(world);
+assert(r2.collapsed);
+r2.collapse(true);
+assert(r2.collapsed);
+
+// Comparisons
+r2.selectNode(b);
+assert(r.compareBoundaryPoints(Range.START_TO_START, r2) === -1);
+assert(r.compareBoundaryPoints(Range.END_TO_END, r2) === 1);
+assert(r2.compareBoundaryPoints(Range.START_TO_END, r) === 1);
+assert(r2.compareBoundaryPoints(Range.END_TO_START, r) === -1);
+assertThrows(function() { r.compareBoundaryPoints(7, r2); },
+             DOMException.NOT_SUPPORTED_ERR);
+assert(r.comparePoint(p1, 0) === -1);
+assert(r.comparePoint(b.firstChild, 2) === 0);
+assert(r.comparePoint(p2, 0) === 1);
+assert(r.isPointInRange(b, 0));
+assert(!r.isPointInRange(document.createElement("i"), 0));
+
+// cloneContents leaves the document alone
+var frag = r.cloneContents();
+assert(frag.childNodes.length === 3);
+assert(frag.firstChild.data === "llo ");
+assert(frag.childNodes[1].nodeName === "B");
+assert(frag.lastChild.data === " wo");
+assert(p1.textContent === "Hello bold world");
+
+// extractContents removes them and collapses the range
+frag = r.extractContents();
+assert(frag.textContent === "llo bold wo");
+assert(p1.textContent === "Herld", p1.textContent);
+assert(r.collapsed);
+assert(r.startContainer === p1 && r.startOffset === 1);
+
+// deleteContents across elements
+root.innerHTML = "<p>one</p><p>two</p><p>three</p>";
+r.setStart(root.firstChild.firstChild, 1);
+r.setEnd(root.lastChild.firstChild, 2);
+r.deleteContents();
+assert(root.innerHTML === "<p>o</p><p>ree</p>", root.innerHTML);
+
+// insertNode splits a text node
+root.innerHTML = "<p>abcd</p>";
+var text = root.firstChild.firstChild;
+r.setStart(text, 2);
+r.setEnd(text, 3);
+r.insertNode(document.createElement("br"));
+assert(root.innerHTML === "<p>ab<br>cd</p>", root.innerHTML);
+assert(r.startContainer === text && r.startOffset === 2);
+assert(r.toString() === "c", r.toString());
+
+// surroundContents
+r.selectNodeContents(root.firstChild);
+r.surroundContents(document.createElement("em"));
+assert(root.innerHTML === "<p><em>ab<br>cd</em></p>", root.innerHTML);
+r.setStart(root.firstChild.firstChild.firstChild, 1);
+r.setEnd(root.firstChild, 1);
+assertThrows(function() {
+    r.surroundContents(document.createElement("span"));
+}, DOMException.INVALID_STATE_ERR);
+
+// Boundary points follow insertions and removals
+root.innerHTML = "<i>1</i><i>2</i><i>3</i>";
+r.setStart(root, 1);
+r.setEnd(root, 3);
+root.insertBefore(document.createElement("hr"), root.firstChild);
+assert(r.startOffset === 2 && r.endOffset === 4);
+root.removeChild(root.firstChild);
+assert(r.startOffset === 1 && r.endOffset === 3);
+r.selectNodeContents(root.childNodes[1].firstChild);
+root.removeChild(root.childNodes[1]);
+assert(r.startContainer === root && r.startOffset === 1);
+assert(r.endContainer === root && r.endOffset === 1);
+
+// and CharacterData edits
+root.innerHTML = "abcdef";
+text = root.firstChild;
+r.setStart(text, 2);
+r.setEnd(text, 5);
+text.insertData(0, "xx");
+assert(r.startOffset === 4 && r.endOffset === 7);
+text.deleteData(3, 2);
+assert(r.startOffset === 3 && r.endOffset === 5);
+assert(r.toString() === "de", r.toString());
+text.appendData("gh");
+assert(r.endOffset === 5);
+text.data = "new";
+assert(r.collapsed && r.startContainer === text && r.startOffset === 0);
+
+// and splitText
+root.innerHTML = "abcdef";
+text = root.firstChild;
+r.setStart(text, 1);
+r.setEnd(text, 5);
+var rest = text.splitText(3);
+assert(r.startContainer === text && r.startOffset === 1);
+assert(r.endContainer === rest && r.endOffset === 2);
+assert(r.toString() === "bcde", r.toString());
+
+// Selection
+var sel = getSelection();
+assert(sel === window.getSelection());
+assert(sel === document.getSelection());
+sel.removeAllRanges();
+assert(sel.rangeCount === 0 && sel.anchorNode === null && sel.isCollapsed);
+assertThrows(function() { sel.getRangeAt(0); }, DOMException.INDEX_SIZE_ERR);
+assertThrows(function() { sel.collapseToStart(); },
+             DOMException.INVALID_STATE_ERR);
+
+sel.addRange(r);
+assert(sel.rangeCount === 1 && sel.getRangeAt(0) === r);
+assert(sel.anchorNode === text && sel.focusNode === rest);
+assert(sel.toString() === "bcde");
+
+sel.collapse(rest, 1);
+assert(sel.isCollapsed && sel.focusOffset === 1);
+sel.extend(text, 1);
+assert(!sel.isCollapsed);
+assert(sel.anchorNode === rest && sel.anchorOffset === 1);
+assert(sel.focusNode === text && sel.focusOffset === 1);
+assert(sel.toString() === "bcd", sel.toString());
+sel.collapseToEnd();
+assert(sel.anchorNode === rest && sel.anchorOffset === 1);
+
+sel.selectAllChildren(root);
+sel.deleteFromDocument();
+assert(root.childNodes.length === 0);
+sel.removeRange(sel.getRangeAt(0));
+assert(sel.rangeCount === 0);
+
+// The selection changes its own range in place, but doesn't change
+// ranges that scripts have been given
+root.innerHTML = "<p>one</p><p>two</p>";
+sel.collapse(root.firstChild, 0);
+sel.extend(root.lastChild, 1);
+var held = sel.getRangeAt(0);
+sel.collapse(root, 0);
+assert(held.startContainer === root.firstChild && held.endOffset === 1);
+assert(sel.getRangeAt(0) !== held && sel.anchorNode === root);
+assertThrows(function() { sel.extend(root, 5); }, DOMException.INDEX_SIZE_ERR);
+assert(sel.anchorNode === root && sel.isCollapsed);
+sel.selectAllChildren(root.lastChild);
+assert(sel.toString() === "two", sel.toString());
+root.removeChild(root.lastChild);
+assert(sel.isCollapsed && sel.anchorNode === root && sel.anchorOffset === 1);
+sel.removeAllRanges();
+held.detach();
+
+// The document doesn't keep ranges alive, so ranges that scripts drop
+// without detaching them stop costing anything once they are collected.
+// WeakRefs keep their targets alive until the current job ends, so
+// collection can only be checked from a later task, and only where the
+// host lets scripts call gc().
+var before = mozLiveRangeCount();
+(function() {
+    for(var i = 0; i < 10000; i++) document.createRange().selectNode(root);
+}());
+assert(mozLiveRangeCount() === before + 10000);
+root.innerHTML = "<p></p>";
+r = document.createRange();
+r.setStart(root, 1);
+root.insertBefore(document.createElement("p"), root.firstChild);
+assert(r.startOffset === 2);
+if (typeof gc === "function") {
+    setTimeout(function() {
+        gc();
+        assert(mozLiveRangeCount() <= before + 1, mozLiveRangeCount());
+        root.insertBefore(document.createElement("p"), root.firstChild);
+        assert(r.startOffset === 3);
+    }, 0);
+}
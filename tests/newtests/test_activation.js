@@ -0,0 +1,182 @@
+// Tests for the activation behavior of checkboxes, radio buttons, labels,
+// buttons and links, implicit form submission, and for the default
+// actions of trusted input from a renderer
+
+var clock = mozVirtualClock();
+var requests = [];
+mozSetFormSubmissionHook(function(request) { requests.push(request); });
+
+var root = document.createElement("div");
+document.body.appendChild(root);
+root.innerHTML =
+    '<form id="f" action="http://example.com/submit">' +
+    '<input id="box" name="box" type="checkbox">' +
+    '<input id="r1" name="r" type="radio" value="1" checked>' +
+    '<input id="r2" name="r" type="radio" value="2">' +
+    '<label id="forbox" for="box">Box</label>' +
+    '<label id="wrapper"><span id="text">Wrapped</span>' +
+    '<input id="wrapped" type="checkbox"></label>' +
+    '<input id="off" type="checkbox" disabled>' +
+    '<input id="q" name="q" value="x">' +
+    '<button id="go" name="go" value="1">Go</button>' +
+    '</form>' +
+    '<a id="link" href="#there"><span id="inlink">link</span></a>';
+
+function $(id) { return document.getElementById(id); }
+
+var log = [];
+["click", "input", "change"].forEach(function(type) {
+    root.addEventListener(type, function(e) {
+        log.push(type + " " + e.target.id + " " +
+                 (e.target.checked ? "on" : "off"));
+    }, false);
+});
+
+// Checkboxes are toggled before the click is dispatched, and fire input
+// and change events after it
+$("box").click();
+assert($("box").checked);
+assert(log.join() === "click box on,input box on,change box on", log.join());
+
+// A cancelled click puts the old state back, without any events
+log = [];
+function cancel(e) { e.preventDefault(); }
+$("box").addEventListener("click", cancel, false);
+$("box").click();
+$("box").removeEventListener("click", cancel, false);
+assert($("box").checked);
+assert(log.join() === "click box off", log.join());
+
+// Radio buttons are checked by a click, and a cancelled click checks
+// the one that was checked before
+log = [];
+$("r2").click();
+assert($("r2").checked && !$("r1").checked);
+assert(log.join() === "click r2 on,input r2 on,change r2 on", log.join());
+log = [];
+$("r2").click();  // Already checked: no input or change events
+assert(log.join() === "click r2 on", log.join());
+$("r1").addEventListener("click", cancel, false);
+$("r1").click();
+$("r1").removeEventListener("click", cancel, false);
+assert($("r2").checked && !$("r1").checked);
+
+// Disabled controls can't be clicked
+log = [];
+$("off").click();
+assert(!$("off").checked && log.length === 0);
+
+// Labels forward clicks to their control, and focus it
+assert($("forbox").control === $("box") && $("forbox").form === $("f"));
+assert($("wrapper").control === $("wrapped"));
+log = [];
+$("forbox").click();
+assert(!$("box").checked && document.activeElement === $("box"));
+assert(log.join() === "click forbox off,click box off," +
+       "input box off,change box off", log.join());
+
+// Clicks inside a label are forwarded, but clicks on the control itself
+// aren't forwarded a second time
+$("text").click();
+assert($("wrapped").checked && document.activeElement === $("wrapped"));
+$("wrapped").click();
+assert(!$("wrapped").checked);
+
+// Links navigate through Location when they are clicked, even when the
+// click is on an element inside them
+assert($("link").href === location.href.replace(/#.*/, "") + "#there");
+$("inlink").click();
+clock.advance(0);
+assert(location.hash === "#there", location.hash);
+
+// Submit buttons submit their form, with themselves as the submitter
+$("go").click();
+clock.advance(0);
+assert(requests.length === 1);
+assert(requests.pop().url === "http://example.com/submit?r=2&q=x&go=1");
+
+// Trusted input from a renderer: pressing and releasing the mouse button
+// focuses and clicks, and the click has its default action
+log = [];
+mozDispatchRendererEvent($("text"), "mousedown",
+                         { bubbles: true, cancelable: true, clientX: 5 });
+mozDispatchRendererEvent($("text"), "mouseup",
+                         { bubbles: true, cancelable: true, clientX: 6 });
+clock.advance(0);
+assert($("wrapped").checked);
+assert(log.join() === "click text off,click wrapped on," +
+       "input wrapped on,change wrapped on", log.join());
+assert(document.activeElement === $("wrapped"));
+
+// Pressing the mouse button outside of any focusable element moves the
+// focus to the body
+mozDispatchRendererEvent(root, "mousedown", { bubbles: true });
+clock.advance(0);
+assert(document.activeElement === document.body);
+
+// Cancelled mousedowns don't make clicks or move the focus
+$("box").focus();
+log = [];
+root.addEventListener("mousedown", cancel, false);
+mozDispatchRendererEvent($("text"), "mousedown", { bubbles: true,
+                                                   cancelable: true });
+mozDispatchRendererEvent($("text"), "mouseup", { bubbles: true,
+                                                 cancelable: true });
+clock.advance(0);
+root.removeEventListener("mousedown", cancel, false);
+assert(log.length === 0 && document.activeElement === $("box"));
+
+// Clicks on disabled controls aren't dispatched
+mozDispatchRendererEvent($("off"), "mousedown", { bubbles: true });
+mozDispatchRendererEvent($("off"), "mouseup", { bubbles: true });
+clock.advance(0);
+assert(log.length === 0 && !$("off").checked);
+
+// Pressing Enter in a text field clicks the form's default button
+var clicked = 0;
+$("go").addEventListener("click", function() { clicked++; }, false);
+mozDispatchRendererEvent($("q"), "keydown", { bubbles: true,
+                                              cancelable: true,
+                                              key: "Enter" });
+clock.advance(0);
+assert(clicked === 1 && requests.length === 1);
+assert(requests.pop().url === "http://example.com/submit?r=2&q=x&go=1");
+
+// Other keys, cancelled keydowns and untrusted events don't submit
+mozDispatchRendererEvent($("q"), "keydown", { bubbles: true, key: "a" });
+$("q").addEventListener("keydown", cancel, false);
+mozDispatchRendererEvent($("q"), "keydown", { bubbles: true,
+                                              cancelable: true,
+                                              key: "Enter" });
+clock.advance(0);
+$("q").removeEventListener("keydown", cancel, false);
+$("q").dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }));
+clock.advance(0);
+assert(clicked === 1 && requests.length === 0);
+
+// A disabled default button blocks implicit submission
+$("go").disabled = true;
+mozDispatchRendererEvent($("q"), "keydown", { key: "Enter" });
+clock.advance(0);
+assert(clicked === 1 && requests.length === 0);
+
+// Without a default button, a form with a single text field is submitted
+// and a form with more than one isn't
+$("f").removeChild($("go"));
+var submits = 0;
+$("f").addEventListener("submit", function() { submits++; }, false);
+mozDispatchRendererEvent($("q"), "keydown", { key: "Enter" });
+clock.advance(0);
+assert(submits === 1 && requests.length === 1);
+assert(requests.pop().url === "http://example.com/submit?r=2&q=x");
+
+var second = document.createElement("input");
+second.type = "email";
+$("f").appendChild(second);
+mozDispatchRendererEvent($("q"), "keydown", { key: "Enter" });
+clock.advance(0);
+assert(submits === 1 && requests.length === 0);
+
+document.body.removeChild(root);
+mozSetFormSubmissionHook(null);
+clock.uninstall();
@@ -0,0 +1,93 @@
+// Tests for Element.classList, DOMTokenList and DOMSettableTokenList
+
+var div = document.createElement("div");
+div.className = "  a\tb  a ";
+var cl = div.classList;
+assert(cl instanceof DOMTokenList);
+assert(cl === div.classList);
+assert(cl.length === 2, cl.length);
+assert(cl[0] === "a" && cl[1] === "b" && cl[2] === undefined);
+assert(cl.item(1) === "b" && cl.item(2) === null);
+assert(cl.contains("a") && !cl.contains("c"));
+assert(String(cl) === "  a\tb  a ");
+
+// add, remove and toggle rewrite the class attribute
+cl.add("c");
+assert(div.className === "a b c", div.className);
+cl.add("a");
+assert(div.className === "a b c");
+cl.remove("b");
+assert(div.getAttribute("class") === "a c");
+cl.remove("nothing");
+assert(div.className === "a c");
+assert(cl.toggle("d") === true);
+assert(cl.toggle("a") === false);
+assert(div.className === "c d");
+assert(cl.toggle("c", true) === true);
+assert(cl.toggle("x", false) === false);
+assert(div.className === "c d");
+
+assertThrows(function() { cl.add(""); }, DOMException.SYNTAX_ERR);
+assertThrows(function() { cl.remove("a b"); },
+             DOMException.INVALID_CHARACTER_ERR);
+assertThrows(function() { cl.toggle(" "); },
+             DOMException.INVALID_CHARACTER_ERR);
+
+// The list is live however the attribute is changed
+div.setAttribute("class", "x y");
+assert(cl.length === 2 && cl[1] === "y");
+div.attributes[0].value = "z";
+assert(cl.length === 1 && cl[0] === "z");
+div.removeAttribute("class");
+assert(cl.length === 0 && String(cl) === "");
+cl.add("fresh");
+assert(div.getAttribute("class") === "fresh");
+
+// Non-HTML elements have a classList too
+var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+svg.setAttribute("class", "p q");
+assert(svg.classList.contains("q"));
+
+// getElementsByClassName and class selectors stay in sync with classList
+var root = document.createElement("div");
+root.innerHTML = "<p class='one two'></p><p class='two'></p><p></p>";
+document.body.appendChild(root);
+var twos = root.getElementsByClassName("two");
+assert(twos.length === 2);
+assert(root.getElementsByClassName("one two").length === 1);
+root.lastChild.classList.add("two");
+assert(twos.length === 3);
+root.firstChild.classList.remove("two");
+assert(twos.length === 2);
+assert(root.querySelectorAll(".two").length === 2);
+assert(root.querySelectorAll(".one").length === 1);
+
+// relList on links and anchors
+var a = document.createElement("a");
+a.rel = "nofollow noopener";
+assert(a.relList.length === 2 && a.relList.contains("noopener"));
+a.relList.remove("nofollow");
+assert(a.rel === "noopener");
+var link = document.createElement("link");
+link.relList.add("stylesheet");
+assert(link.getAttribute("rel") === "stylesheet");
+
+// htmlFor on output is a settable token list
+var output = document.createElement("output");
+output.setAttribute("for", "a b");
+assert(output.htmlFor instanceof DOMSettableTokenList);
+assert(output.htmlFor instanceof DOMTokenList);
+assert(output.htmlFor.length === 2 && output.htmlFor[1] === "b");
+assert(output.htmlFor.value === "a b");
+output.htmlFor.value = "c";
+assert(output.getAttribute("for") === "c");
+assert(output.htmlFor.contains("c") && !output.htmlFor.contains("a"));
+output.htmlFor = "d e";   // [PutForwards=value]
+assert(output.getAttribute("for") === "d e");
+assert(output.htmlFor.length === 2);
+
+// Settable token lists inherit the stringifier of DOMTokenList
+assert(String(output.htmlFor) === "d e", String(output.htmlFor));
+assert(output.htmlFor + "" === "d e");
+link.setAttribute("sizes", "16x16 32x32");
+assert(String(link.sizes) === "16x16 32x32", String(link.sizes));
@@ -0,0 +1,105 @@
+// Tests for the virtual clock that tests use to control time
+
+var clock = mozVirtualClock();
+assert(mozVirtualClock() === clock);
+// The clock only has its public methods
+assert(!("_loop" in clock) && !("_runUntil" in clock) && !("install" in clock));
+var advance = clock.advance;
+assert(advance(0) === 0);
+var start = clock.time;
+
+// Nothing runs until the clock moves
+var log = [];
+setTimeout(function() { log.push("timeout " + (clock.time - start)); }, 10);
+setTimeout(function() { log.push("later " + (clock.time - start)); }, 30);
+assert(log.length === 0);
+assert(clock.advance(9) === 0);
+assert(log.length === 0);
+assert(clock.advance(1) === 1);
+assert(log.join() === "timeout 10", log.join());
+assert(clock.time === start + 10);
+
+// advance() moves time forward to each timer as it runs it
+clock.advance(100);
+assert(log.join() === "timeout 10,later 30", log.join());
+assert(clock.time === start + 110);
+
+// Intervals run once for each time they come due
+start = clock.time;
+var ticks = [];
+var interval = setInterval(function() { ticks.push(clock.time - start); }, 25);
+clock.advance(100);
+assert(ticks.join() === "25,50,75,100", ticks.join());
+clearInterval(interval);
+
+// runAllTimers() runs timers set by other timers, however far ahead
+log = [];
+setTimeout(function() {
+    log.push(1);
+    setTimeout(function() { log.push(2); }, 60000);
+}, 1000);
+start = clock.time;
+assert(clock.runAllTimers() === 2);
+assert(log.join() === "1,2");
+assert(clock.time === start + 61000);
+
+// ...but gives up on an interval that never ends
+interval = setInterval(function() {}, 1);
+assertThrows(function() { clock.runAllTimers(); });
+clearInterval(interval);
+assert(clock.runAllTimers() === 0);
+
+// advance() always ends, so it runs as many tasks as come due
+var count = 0;
+interval = setInterval(function() { count++; }, 1);
+clock.advance(50000);
+clearInterval(interval);
+assert(count > 10000, count);
+
+// Event timestamps come from the clock
+var e = document.createEvent("Event");
+assert(e.timeStamp === clock.time);
+clock.advance(5);
+var stamps = [];
+document.body.addEventListener("x", function(e) {
+    stamps.push(e.timeStamp);
+}, false);
+e = document.createEvent("Event");
+e.initEvent("x", true, false);
+document.body.dispatchEvent(e);
+assert(stamps[0] === clock.time);
+
+// So do animation frames
+requestAnimationFrame(function(t) { stamps.push(t); });
+clock.advance(20);
+assert(stamps[1] === clock.time - 20, stamps.join());
+
+// Microtasks run when asked, or after each task
+var div = document.createElement("div");
+var delivered = 0;
+var mo = new MutationObserver(function(records) {
+    delivered += records.length;
+});
+mo.observe(div, { attributes: true });
+div.setAttribute("a", "1");
+assert(delivered === 0);
+clock.runPendingMicrotasks();
+assert(delivered === 1);
+setTimeout(function() {
+    div.setAttribute("b", "2");
+    log.push(delivered);
+}, 0);
+setTimeout(function() { log.push(delivered); }, 0);
+log = [];
+clock.advance(0);
+assert(log.join() === "1,2", log.join());
+div.setAttribute("c", "3");
+clock.advance(0);
+assert(delivered === 3);
+mo.disconnect();
+
+// Going back to the real clock
+clock.uninstall();
+var before = Date.now();
+e = document.createEvent("Event");
+assert(e.timeStamp >= before && e.timeStamp <= Date.now());
@@ -8,11 +8,90 @@ img2.setAttribute('src', 'bar');
 document.body.appendChild(img);
 document.body.appendChild(img2);
 
-//assert(document.images.length === 2);
+assert(document.images.length === 2);
 
-//assert(document.images.item(0) === img);
-//assert(document.images.item(1) === img2);
+assert(document.images.item(0) === img);
+assert(document.images.item(1) === img2);
 
 var img3 = document.createElement('img');
 img3.setAttribute('src', 'baz');
 
+document.body.removeChild(img);
+document.body.removeChild(img2);
+
+// The collections of a document: images, embeds, plugins, links, forms,
+// scripts, anchors and all
+var root = document.createElement("div");
+document.body.appendChild(root);
+root.innerHTML =
+    '<img id="logo" src="a.png"><img name="photo">' +
+    '<embed name="movie">' +
+    '<a href="#1" id="first">1</a><a name="anchor">2</a>' +
+    '<map><area href="#3"></map>' +
+    '<form name="login"><input name="user"></form><form id="search"></form>' +
+    '<p id="dup"></p><span name="dup"></span>';
+
+// The collections are live HTMLCollections, and are cached
+var images = document.images;
+assert(images instanceof HTMLCollection);
+assert(images === document.images);
+assert(images.length === 2);
+assert(images[0].id === "logo" && images.item(1).getAttribute("name") === "photo");
+assert(images.item(2) === null && images[2] === undefined);
+assert(images.logo === images[0] && images.photo === images[1]);
+assert(images.namedItem("photo") === images[1]);
+assert(images.namedItem("nonesuch") === null);
+var added = root.appendChild(document.createElement("img"));
+assert(images.length === 3 && images[2] === added);
+root.removeChild(added);
+assert(images.length === 2);
+
+assert(document.embeds.length === 1 && document.embeds.movie.localName === "embed");
+assert(document.plugins === document.embeds);
+
+// Links are a and area elements with href attributes, and anchors are a
+// elements with name attributes
+var links = document.links;
+assert(links.length === 2 && links.first.localName === "a");
+assert(links[1].localName === "area");
+assert(document.anchors.length === 1 && document.anchors.anchor);
+
+var forms = document.forms;
+assert(forms.length === 2);
+assert(forms.login === forms[0] && forms.search === forms[1]);
+assert(forms.login.elements.user.localName === "input");
+assert(forms.namedItem("search").id === "search");
+
+assert(document.scripts.length === 0);
+var script = document.createElement("script");
+script.type = "text/x-inert";
+root.appendChild(script);
+assert(document.scripts.length === 1 && document.scripts[0] === script);
+
+// Only elements in the document are included
+var detached = document.createElement("form");
+assert(forms.length === 2);
+
+// document.all holds every element, in tree order
+var all = document.all;
+assert(all === document.all);
+assert(all instanceof HTMLAllCollection && all instanceof HTMLCollection);
+assert(all[0] === document.documentElement);
+assert(all.length === document.getElementsByTagName("*").length);
+assert(all.logo === images[0] && all.namedItem("logo") === images[0]);
+assert(all.namedItem("nonesuch") === null);
+
+// Several elements with the same name make a collection
+var dups = all.dup;
+assert(dups instanceof HTMLAllCollection && dups.length === 2);
+assert(dups[0].localName === "p" && dups[1].localName === "span");
+assert(all.namedItem("dup").length === 2);
+
+// tags() filters by tag name
+var tags = all.tags("IMG");
+assert(tags instanceof HTMLAllCollection && tags.length === 2);
+assert(tags[0] === images[0]);
+
+document.body.removeChild(root);
+assert(images.length === 0 && forms.length === 0);
+assert(all.dup === undefined);
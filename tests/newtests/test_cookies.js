@@ -0,0 +1,148 @@
+// Tests for the cookie jar, document.cookie, and the cookies sent and
+// received by navigation and script loading
+
+var clock = mozVirtualClock();
+var jar = mozCookieJar();
+assert(mozCookieJar() === jar && !("_cookies" in jar));
+jar.clear();
+
+var page = "http://www.example.com/dir/page.html";
+
+// Cookies are matched by host, path and scheme
+jar.setCookie(page, "a=1", true);
+jar.setCookie(page, " b = 2 ; Path=/", true);
+jar.setCookie(page, "c=3; path=/other", true);
+jar.setCookie(page, "d=4; Secure", true);
+jar.setCookie(page, "e=5; HttpOnly", true);
+jar.setCookie(page, "f=6; Domain=.example.com; Path=/", true);
+jar.setCookie(page, "g=7; Domain=other.com", true);
+jar.setCookie(page, "novalue", true);
+jar.setCookie(page, "=noname", true);
+assert(jar.cookieString(page, true) === "a=1; e=5; b=2; f=6",
+       jar.cookieString(page, true));
+assert(jar.cookieString("https://www.example.com/dir/x", true) ===
+       "a=1; d=4; e=5; b=2; f=6");
+assert(jar.cookieString("http://www.example.com/", true) === "b=2; f=6");
+assert(jar.cookieString("http://www.example.com/other/x", true) ===
+       "c=3; b=2; f=6");
+assert(jar.cookieString("http://www.example.com/otherwise", true) ===
+       "b=2; f=6");
+assert(jar.cookieString("http://sub.www.example.com/dir/", true) === "f=6");
+assert(jar.cookieString("http://example.com/", true) === "f=6");
+assert(jar.cookieString("http://other.com/", true) === "");
+
+// Scripts can't see or replace HttpOnly cookies
+assert(jar.cookieString(page, false) === "a=1; b=2; f=6");
+jar.setCookie(page, "e=replaced", false);
+jar.setCookie(page, "h=8; HttpOnly", false);
+assert(jar.cookieString(page, true) === "a=1; e=5; b=2; f=6");
+
+// Setting a cookie again replaces it, but keeps its place
+jar.setCookie(page, "a=changed", true);
+assert(jar.cookieString(page, false) === "a=changed; b=2; f=6");
+
+// Max-Age beats Expires, and cookies expire on the event loop's clock
+jar.clear();
+jar.setCookie(page, "session=1", true);
+jar.setCookie(page, "m=1; Max-Age=10; Expires=Wed, 09 Jun 2100 10:18:14 GMT",
+              true);
+jar.setCookie(page, "x=1; Expires=Wed, 09 Jun 2100 10:18:14 GMT; Max-Age=10",
+              true);
+jar.setCookie(page, "old=1; expires=Thu, 01-Jan-70 00:00:01 GMT", true);
+jar.setCookie(page, "future=1; expires=Fri, 31 Dec 2100 23:59:59 GMT", true);
+jar.setCookie(page, "bad=1; expires=not a date", true);
+assert(jar.cookieString(page, true) === "session=1; m=1; x=1; future=1; bad=1",
+       jar.cookieString(page, true));
+clock.advance(10000);
+assert(jar.cookieString(page, true) === "session=1; future=1; bad=1");
+jar.setCookie(page, "future=; Max-Age=0", true);
+assert(jar.cookieString(page, true) === "session=1; bad=1");
+
+// The jar can be serialized and loaded
+jar.setCookie(page, "lax=1; SameSite=lax; Secure", true);
+var saved = jar.serialize();
+var cookies = JSON.parse(saved);
+assert(cookies.length === 3);
+assert(cookies[2].name === "lax" && cookies[2].sameSite === "Lax");
+assert(cookies[2].secure && cookies[2].domain === "www.example.com");
+assert(cookies[2].path === "/dir" && cookies[2].hostOnly);
+jar.clear();
+assert(jar.cookieString("https://www.example.com/dir/", true) === "");
+jar.load(saved);
+assert(jar.cookieString("https://www.example.com/dir/", true) ===
+       "session=1; bad=1; lax=1");
+jar.clear();
+jar.load(JSON.stringify([{ name: "pre", value: "loaded",
+                           domain: "www.example.com" }]));
+assert(jar.cookieString("http://www.example.com/", true) === "pre=loaded");
+
+// The test document is about:blank, so it has no cookies
+document.cookie = "blank=1";
+assert(document.cookie === "");
+var doc = document.implementation.createHTMLDocument("");
+doc.cookie = "nowindow=1";
+assert(doc.cookie === "");
+
+// Fake the network, recording requests and answering them
+var requests = [];
+var responses = {
+    "http://www.example.com/dir/page.html": {
+        headers: "Content-Type: text/html\r\n" +
+            "Set-Cookie: fromServer=1; Path=/\r\n" +
+            "Set-Cookie: secret=2; HttpOnly; Path=/",
+        body: "<html><body>Navigated</body></html>"
+    },
+    "http://www.example.com/script.js": {
+        headers: "Set-Cookie: fromScript=3; Path=/",
+        body: "scriptRan = true;"
+    }
+};
+XMLHttpRequest = function() { this.headers = {}; };
+XMLHttpRequest.prototype = {
+    open: function(method, url) { this.url = url; },
+    setRequestHeader: function(name, value) { this.headers[name] = value; },
+    send: function() {
+        requests.push(this);
+        var response = responses[this.url];
+        this.status = 200;
+        this.readyState = 4;
+        this.responseText = response.body;
+        this.responseHeaders = response.headers;
+        if (this.onload) this.onload();
+        if (this.onreadystatechange) this.onreadystatechange();
+    },
+    getAllResponseHeaders: function() { return this.responseHeaders; },
+    getResponseHeader: function() { return null; }
+};
+
+// Navigation sends the jar's cookies, and stores the cookies it gets back
+location.assign(page);
+clock.advance(0);
+assert(requests.length === 1);
+assert(requests[0].headers.Cookie === "pre=loaded", requests[0].headers.Cookie);
+assert(document.URL === page && document.body.textContent === "Navigated");
+assert(document.cookie === "pre=loaded; fromServer=1", document.cookie);
+
+// document.cookie sets cookies for the document's address
+document.cookie = "fromDocument=4; SameSite=Strict";
+document.cookie = "secret=replaced; Path=/";
+assert(document.cookie === "fromDocument=4; pre=loaded; fromServer=1",
+       document.cookie);
+assert(jar.cookieString(page, true) ===
+       "fromDocument=4; pre=loaded; fromServer=1; secret=2",
+       jar.cookieString(page, true));
+
+// Scripts are loaded with cookies too
+var scriptRan = false;
+var script = document.createElement("script");
+script.setAttribute("src", "/script.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(requests.length === 2 && scriptRan);
+assert(requests[1].headers.Cookie ===
+       "pre=loaded; fromServer=1; secret=2", requests[1].headers.Cookie);
+assert(document.cookie === "fromDocument=4; pre=loaded; fromServer=1; " +
+       "fromScript=3", document.cookie);
+
+jar.clear();
+clock.uninstall();
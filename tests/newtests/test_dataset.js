@@ -0,0 +1,58 @@
+// Tests for HTMLElement.dataset
+
+var div = document.createElement("div");
+div.innerHTML = "<p data-b='2' title='t' data-foo-bar='fb' data-a='1'></p>";
+var p = div.firstChild;
+var ds = p.dataset;
+assert(ds instanceof DOMStringMap);
+assert(ds === p.dataset);
+
+// Reading, with dashed names converted to camelCase
+assert(ds.b === "2");
+assert(ds.fooBar === "fb");
+assert(ds["foo-bar"] === undefined);
+assert(ds.title === undefined);
+assert("a" in ds);
+assert(!("nothing" in ds));
+
+// Enumeration follows the attribute order
+assert(Object.keys(ds).join() === "b,fooBar,a", Object.keys(ds).join());
+var names = [];
+for(var name in ds) if (ds.hasOwnProperty(name)) names.push(name);
+assert(names.join() === "b,fooBar,a", names.join());
+
+// Writing creates and sets data-* attributes
+ds.a = "one";
+assert(p.getAttribute("data-a") === "one");
+ds.someLongName = 42;
+assert(p.getAttribute("data-some-long-name") === "42");
+assert(ds.someLongName === "42");
+Object.defineProperty(ds, "x", { value: "y" });
+assert(p.getAttribute("data-x") === "y");
+
+// The map is live
+p.setAttribute("data-live-one", "l");
+assert(ds.liveOne === "l");
+p.removeAttribute("data-b");
+assert(ds.b === undefined);
+
+// Deleting removes the attribute
+assert(delete ds.fooBar);
+assert(!p.hasAttribute("data-foo-bar"));
+assert(delete ds.nothing);
+assert(Object.keys(ds).join() === "a,someLongName,x,liveOne",
+       Object.keys(ds).join());
+
+// Invalid names
+assertThrows(function() { ds["a-b"] = "x"; }, DOMException.SYNTAX_ERR);
+assertThrows(function() { ds["a b"] = "x"; },
+             DOMException.INVALID_CHARACTER_ERR);
+ds["-1"] = "dash";      // A dash before a non-letter is allowed
+assert(p.getAttribute("data--1") === "dash");
+assert(ds["-1"] === "dash");
+
+// Attributes with uppercase letters or in a namespace are not exposed
+p.setAttributeNS(null, "data-Upper", "u");
+p.setAttributeNS("http://example.com/", "data-ns", "n");
+assert(ds.upper === undefined && ds.Upper === undefined);
+assert(ds.ns === undefined);
@@ -1,8 +1,6 @@
 
 
-notYetImplemented(function() { document.documentURI; });
-
-notYetImplemented(function() { document.documentURI = "foo"; });
+assert(document.documentURI === document.URL);
 
 assertThrows(function() {
     // createProcessingInstruction only works for non-html docs
@@ -126,26 +124,8 @@ doc.documentElement.insertBefore(foreign, null);
 assert(foreign.parentNode === doc.documentElement);
 var foreign2 = doc.createElement("bar");
 
-notYetImplemented(function() { document.images; });
-notYetImplemented(function() { document.embeds; });
-notYetImplemented(function() { document.plugins; });
-notYetImplemented(function() { document.links; });
-notYetImplemented(function() { document.forms; });
-notYetImplemented(function() { document.scripts; });
-notYetImplemented(function() { document.URL; });
-notYetImplemented(function() { document.domain; });
-notYetImplemented(function() { document.domain = "foo"; });
-notYetImplemented(function() { document.referrer; });
-notYetImplemented(function() { document.cookie; });
-notYetImplemented(function() { document.cookie = "foo"; });
-notYetImplemented(function() { document.lastModified; });
 // Commenting out this test because we've stubbed in a temporary
 // implementation, but it still really isn't implemented
 // notYetImplemented(function() { document.readyState; });
-// Ditto for this one
-// notYetImplemented(function() { document.title; });
-notYetImplemented(function() { document.title = "foo" });
-notYetImplemented(function() { document.dir; });
-notYetImplemented(function() { document.dir = "foo"; });
 
 
@@ -78,10 +78,55 @@ var defaultcustom = new CustomEvent("bar");
 assert(defaultcustom.type === "bar", defaultcustom.type);
 assert(defaultcustom.bubbles === false);
 assert(defaultcustom.cancelable === false);
+assert(defaultcustom.detail === null, defaultcustom.detail);
+
+// Init dictionaries only set the members they declare, converted to
+// the declared types
+var bogus = new Event("bogus", {
+    bubbles: 1, cancelable: "", target: document.body,
+    eventPhase: Event.BUBBLING_PHASE,
+    defaultPrevented: true, isTrusted: true, _dispatching: true
+});
+assert(bogus.bubbles === true && bogus.cancelable === false);
+assert(bogus.target === null && bogus.eventPhase !== Event.BUBBLING_PHASE);
+assert(bogus.defaultPrevented === false && bogus.isTrusted === false);
+document.body.dispatchEvent(bogus);
+assert(bogus.target === document.body);
+
+var threw = false;
+try { new Event("x", 3); } catch(e) { threw = e instanceof TypeError; }
+assert(threw);
+assert(new Event("x", null).bubbles === false);
+
+var uievent = new UIEvent("foo", { view: window, detail: "42.5", which: 7 });
+assert(uievent instanceof UIEvent && uievent instanceof Event);
+assert(uievent.view === window && uievent.detail === 42);
+assert(uievent.which === 7 && uievent.bubbles === false);
+assert(new UIEvent("foo").view === null);
+
+threw = false;
+try { new UIEvent("foo", { view: {} }); }
+catch(e) { threw = e instanceof TypeError; }
+assert(threw);
+
+var mouseevent = new MouseEvent("click", {
+    bubbles: true, clientX: "10", clientY: -5.5, button: 2, buttons: 2,
+    shiftKey: "yes", relatedTarget: document.body, screenX: undefined
+});
+assert(mouseevent instanceof MouseEvent && mouseevent instanceof UIEvent);
+assert(mouseevent.bubbles && mouseevent.clientX === 10);
+assert(mouseevent.clientY === -5 && mouseevent.screenX === 0);
+assert(mouseevent.button === 2 && mouseevent.buttons === 2);
+assert(mouseevent.which === 3 && mouseevent.shiftKey === true);
+assert(mouseevent.relatedTarget === document.body);
+
+mouseevent = new MouseEvent("mousemove");
+assert(mouseevent.buttons === 0 && mouseevent.which === 1);
+assert(mouseevent.relatedTarget === null && mouseevent.detail === 0);
 
 // 
 // Now test that idl and content attributes like "onclick" work correctly
-// to register event handlers, that they are invoked before listeners
+// to register event handlers, that they are invoked in order with listeners
 // registered with addEventListener, and that handlers registered with
 // content attributes are invoked with the correct scope chain.
 // 
@@ -112,7 +157,7 @@ assert(defaultcustom.cancelable === false);
     assert(global.pass === true);
 }());
 
-// Are handlers invoked before listeners?
+// Are handlers invoked in the order they were registered with listeners?
 (function() {
     var elt = document.createElement("div");
     var evt = document.createEvent("Event");
@@ -121,8 +166,38 @@ assert(defaultcustom.cancelable === false);
     var s = "";
     elt.addEventListener("click", function() { s += "foo"; });
     elt.onclick = function() { s += "bar" };
+    elt.addEventListener("click", function() { s += "baz"; });
+    elt.dispatchEvent(evt);
+    assert(s === "foobarbaz", s);
+
+    // Changing a handler keeps its place, but removing it doesn't
+    s = "";
+    elt.onclick = function() { s += "BAR" };
     elt.dispatchEvent(evt);
-    assert(s === "barfoo");
+    assert(s === "fooBARbaz", s);
+    s = "";
+    elt.onclick = null;
+    elt.setAttribute("onclick", "this.s += 'QUUX'");
+    elt.s = "";
+    elt.dispatchEvent(evt);
+    assert(s === "foobaz" && elt.s === "QUUX", s);
+}());
+
+// Do stopImmediatePropagation() and removing listeners during dispatch
+// stop the rest of the listeners?
+(function() {
+    var elt = document.createElement("div");
+    var s = "";
+    function a() { s += "a"; elt.removeEventListener("x", b, false); }
+    function b() { s += "b"; }
+    function c(e) { s += "c"; e.stopImmediatePropagation(); }
+    function d() { s += "d"; }
+    elt.addEventListener("x", a, false);
+    elt.addEventListener("x", b, false);
+    elt.addEventListener("x", c, false);
+    elt.addEventListener("x", d, false);
+    elt.dispatchEvent(new Event("x"));
+    assert(s === "ac", s);
 }());
 
 // Does the scope chain get set appropriately for content attribute handlers?
@@ -232,7 +307,8 @@ assert(defaultcustom.cancelable === false);
     assert(global.pass === true);
 });
 
-// In addition, make sure that the following ones work for <body> tags
+// In addition, make sure that the following ones work for <body> tags,
+// where they are the event handlers of the window
 [
     "afterprint",
     "beforeprint",
@@ -259,11 +335,171 @@ assert(defaultcustom.cancelable === false);
     
     var pass = false;
     elt["on" + type] = function() { pass = true; }
-    elt.dispatchEvent(evt);
+    assert(window["on" + type] === elt["on" + type], type);
+    window.dispatchEvent(evt);
     assert(pass === true);
 
     global.pass = false;
     elt.setAttribute("on" + type, "pass = true;");
-    elt.dispatchEvent(evt);
+    assert(window["on" + type] === elt["on" + type], type);
+    window.dispatchEvent(evt);
     assert(global.pass === true);
-});
\ No newline at end of file
+
+    elt.removeAttribute("on" + type);
+    elt["on" + type] = null;
+    assert(window["on" + type] === null, type);
+});
+
+// Body handlers are null in documents without a window
+(function() {
+    var doc = document.implementation.createHTMLDocument("");
+    doc.body.onpopstate = function() {};
+    assert(doc.body.onpopstate === null && window.onpopstate === null);
+}());
+// The window is the last target in the event path of nodes in its
+// document, except for load events
+(function() {
+    var elt = document.createElement("div");
+    document.body.appendChild(elt);
+    var path = [];
+    function capture(e) { path.push("capture"); }
+    function bubble(e) {
+        assert(e.currentTarget === window && this === window);
+        path.push("bubble " + e.type);
+    }
+    window.addEventListener("click", capture, true);
+    window.addEventListener("click", bubble, false);
+    window.addEventListener("load", bubble, false);
+    function target() { path.push("target"); }
+    elt.addEventListener("click", target, false);
+    elt.dispatchEvent(new Event("click", { bubbles: true }));
+    elt.dispatchEvent(new Event("load", { bubbles: true }));
+    assert(path.join() === "capture,target,bubble click", path.join());
+
+    path = [];
+    window.dispatchEvent(new Event("load"));
+    assert(path.join() === "bubble load", path.join());
+    window.removeEventListener("click", capture, true);
+    window.removeEventListener("click", bubble, false);
+    window.removeEventListener("load", bubble, false);
+
+    // Detached nodes don't propagate to the window
+    document.body.removeChild(elt);
+    elt.removeEventListener("click", target, false);
+    window.onclick = function() { path.push("window"); };
+    elt.dispatchEvent(new Event("click", { bubbles: true }));
+    document.dispatchEvent(new Event("click", { bubbles: true }));
+    window.onclick = null;
+    assert(path.join() === "bubble load,window", path.join());
+}());
+
+// Windows and documents have all of the GlobalEventHandlers, and windows
+// have the WindowEventHandlers too
+["abort", "blur", "change", "click", "error", "focus", "input", "keydown",
+ "load", "mousedown", "readystatechange", "scroll", "submit", "waiting"
+].forEach(function(type) {
+    [window, document].forEach(function(target) {
+        assert(target["on" + type] === null, type);
+        var pass = false;
+        target["on" + type] = function(e) { pass = e.type === type; };
+        target.dispatchEvent(new Event(type));
+        assert(pass === true, type);
+        target["on" + type] = null;
+        assert(target["on" + type] === null, type);
+    });
+});
+
+["afterprint", "beforeprint", "beforeunload", "hashchange", "message",
+ "offline", "online", "pagehide", "pageshow", "popstate", "resize",
+ "storage", "unload"
+].forEach(function(type) {
+    assert(window["on" + type] === null, type);
+    assert(!("on" + type in document), type);
+    var pass = false;
+    window["on" + type] = function() { pass = true; };
+    window.dispatchEvent(new Event(type));
+    window["on" + type] = null;
+    assert(pass === true, type);
+});
+
+// Returning false from a handler cancels the event
+(function() {
+    var evt = new Event("click", { cancelable: true });
+    window.onclick = function() { return false; };
+    assert(window.dispatchEvent(evt) === false && evt.defaultPrevented);
+    window.onclick = function() { return true; };
+    assert(window.dispatchEvent(new Event("click", { cancelable: true })));
+    window.onclick = null;
+}());
+
+// The onerror handler of the window gets the details of ErrorEvents as
+// five arguments, and returning true cancels them
+(function() {
+    var err = new Error("oops");
+    var evt = new ErrorEvent("error", {
+        cancelable: true, message: "oops", filename: "http://x/y.js",
+        lineno: 10, colno: 4, error: err
+    });
+    assert(evt.message === "oops" && evt.filename === "http://x/y.js");
+    assert(evt.lineno === 10 && evt.colno === 4 && evt.error === err);
+
+    var args;
+    window.onerror = function() {
+        args = Array.prototype.slice.call(arguments);
+        return true;
+    };
+    assert(window.dispatchEvent(evt) === false);
+    assert(args.length === 5 && args[0] === "oops");
+    assert(args[1] === "http://x/y.js" && args[2] === 10 && args[3] === 4);
+    assert(args[4] === err);
+
+    // Plain error events, and onerror handlers of other targets, get
+    // the event, and are cancelled by returning false
+    evt = new Event("error", { cancelable: true });
+    assert(window.dispatchEvent(evt) === true);
+    assert(args.length === 1 && args[0] === evt);
+    window.onerror = null;
+
+    document.onerror = function(e) { args = arguments; return false; };
+    evt = new ErrorEvent("error", { cancelable: true, message: "x" });
+    assert(document.dispatchEvent(evt) === false);
+    assert(args.length === 1 && args[0] === evt);
+    document.onerror = null;
+
+    // Exceptions thrown by scripts are reported to onerror
+    window.onerror = function(message, filename, lineno, colno, error) {
+        args = arguments;
+        return true;
+    };
+    var script = document.createElement("script");
+    script.textContent = "throw new TypeError('bad');";
+    document.body.appendChild(script);
+    document.body.removeChild(script);
+    window.onerror = null;
+    assert(args.length === 5 && args[4] instanceof TypeError);
+    assert(args[0] === "TypeError: bad", args[0]);
+}());
+
+// A value returned by onbeforeunload cancels the event and becomes its
+// returnValue, unless the event already has one
+(function() {
+    var evt = document.createEvent("BeforeUnloadEvent");
+    evt.initEvent("beforeunload", false, true);
+    assert(evt instanceof BeforeUnloadEvent && evt.returnValue === "");
+    window.onbeforeunload = function() { return "Leave?"; };
+    assert(window.dispatchEvent(evt) === false);
+    assert(evt.returnValue === "Leave?", evt.returnValue);
+
+    evt = document.createEvent("BeforeUnloadEvent");
+    evt.initEvent("beforeunload", false, true);
+    evt.returnValue = "Stay";
+    window.dispatchEvent(evt);
+    assert(evt.returnValue === "Stay" && evt.defaultPrevented);
+
+    // Handlers that don't return anything don't cancel it
+    evt = document.createEvent("BeforeUnloadEvent");
+    evt.initEvent("beforeunload", false, true);
+    window.onbeforeunload = function() { };
+    assert(window.dispatchEvent(evt) === true && evt.returnValue === "");
+    window.onbeforeunload = null;
+}());
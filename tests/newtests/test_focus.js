@@ -0,0 +1,189 @@
+// Tests for focus(), blur(), document.activeElement, tabIndex,
+// contentEditable and sequential focus navigation
+
+var container = document.createElement("div");
+document.body.appendChild(container);
+container.innerHTML =
+    '<input id="text">' +
+    '<a id="nolink">not a link</a><a id="link" href="#x">link</a>' +
+    '<button id="disabled" disabled>disabled</button>' +
+    '<fieldset disabled><legend><input id="inlegend"></legend>' +
+    '<input id="infieldset"></fieldset>' +
+    '<div id="div">div</div><div id="tabbable" tabindex="-1">div</div>' +
+    '<div id="editable" contenteditable><p id="inside">text</p></div>' +
+    '<div hidden><input id="hidden"></div>' +
+    '<input type="hidden" id="hiddeninput">';
+
+function $(id) { return document.getElementById(id); }
+
+assert(document.hasFocus());
+assert(document.activeElement === document.body);
+
+// Default tabIndex values depend on whether the element is focusable
+assert($("text").tabIndex === 0);
+assert($("link").tabIndex === 0 && $("nolink").tabIndex === -1);
+assert($("disabled").tabIndex === -1 && $("infieldset").tabIndex === -1);
+assert($("inlegend").tabIndex === 0);
+assert($("div").tabIndex === -1 && $("tabbable").tabIndex === -1);
+assert($("editable").tabIndex === 0 && $("inside").tabIndex === -1);
+assert(document.createElement("button").tabIndex === 0);
+
+// contentEditable and isContentEditable
+assert($("editable").contentEditable === "true");
+assert($("editable").isContentEditable && $("inside").isContentEditable);
+assert($("div").contentEditable === "inherit" && !$("div").isContentEditable);
+$("inside").contentEditable = "false";
+assert($("inside").getAttribute("contenteditable") === "false");
+assert(!$("inside").isContentEditable);
+$("inside").contentEditable = "inherit";
+assert(!$("inside").hasAttribute("contenteditable"));
+assertThrows(function() { $("inside").contentEditable = "bogus"; });
+
+// focus() and blur() fire events in order, with relatedTarget
+var log = [];
+function logger(e) {
+    assert(e instanceof FocusEvent && e.isTrusted);
+    log.push(e.type + " " + e.target.id + " " +
+             (e.relatedTarget ? e.relatedTarget.id : "null"));
+}
+["focus", "blur", "focusin", "focusout"].forEach(function(type) {
+    container.addEventListener(type, logger, true);
+});
+
+$("text").focus();
+assert(document.activeElement === $("text"));
+$("link").focus();
+assert(document.activeElement === $("link"));
+$("link").focus();  // Already focused: no events
+$("link").blur();
+assert(document.activeElement === document.body);
+$("text").blur();   // Not focused: no events
+assert(log.join() === [
+    "focus text null", "focusin text null",
+    "blur text link", "focusout text link",
+    "focus link text", "focusin link text",
+    "blur link null", "focusout link null"
+].join(), log.join());
+
+// Only focusable areas can be focused
+["nolink", "disabled", "infieldset", "div", "inside", "hidden",
+ "hiddeninput"].forEach(function(id) {
+    $(id).focus();
+    assert(document.activeElement === document.body, id);
+});
+["inlegend", "tabbable", "editable"].forEach(function(id) {
+    $(id).focus();
+    assert(document.activeElement === $(id), id);
+});
+assert(document.createElement("input").focus() === undefined);
+assert(document.activeElement === $("editable"));
+
+// focus and focusin bubble only in their bubbling variants
+var bubbled = [];
+container.addEventListener("focus", function(e) {
+    if (e.eventPhase === Event.BUBBLING_PHASE) bubbled.push(e.type);
+}, false);
+container.addEventListener("focusin", function(e) {
+    if (e.eventPhase === Event.BUBBLING_PHASE) bubbled.push(e.type);
+}, false);
+$("text").focus();
+assert(bubbled.join() === "focusin", bubbled.join());
+
+// A handler that moves the focus cancels the rest of the events, and
+// the element that is losing the focus doesn't get blur again
+log = [];
+$("text").onblur = function() { $("link").focus(); };
+$("tabbable").focus();
+$("text").onblur = null;
+assert(document.activeElement === $("link"));
+assert(log.join() === [
+    "blur text tabbable",
+    "focus link text", "focusin link text"
+].join(), log.join());
+
+// Focus fixup: disabled, hidden and removed elements lose the focus
+// without any events
+log = [];
+$("text").focus();
+$("text").disabled = true;
+assert(document.activeElement === document.body);
+$("text").disabled = false;
+$("text").focus();
+$("text").parentNode.removeChild($("text"));
+assert(document.activeElement === document.body);
+assert(log.join() === [
+    "blur link text", "focusout link text",
+    "focus text link", "focusin text link",
+    "focus text null", "focusin text null"
+].join(), log.join());
+
+// Sequential focus navigation: positive tabindexes first, then tree order
+["focus", "blur", "focusin", "focusout"].forEach(function(type) {
+    container.removeEventListener(type, logger, true);
+});
+container.innerHTML =
+    '<input id="a"><input id="b" tabindex="2"><input id="c" tabindex="-1">' +
+    '<input id="d" tabindex="1"><input id="e" tabindex="2">' +
+    '<a id="f" href="#f">f</a><input id="g" disabled>';
+
+function tab(backward) {
+    var e = mozMoveFocus(backward);
+    assert(e === (document.activeElement === document.body ?
+                  null : document.activeElement));
+    return e ? e.id : null;
+}
+
+var visited = [];
+for(var i = 0; i < 6; i++) visited.push(tab());
+assert(visited.join() === "d,b,e,a,f,", visited.join());
+assert(document.activeElement === document.body);
+assert(tab(true) === "f" && tab(true) === "a" && tab(true) === "e");
+
+// Navigation from an element that isn't in the order starts over
+$("c").focus();
+assert(tab() === "d");
+$("c").focus();
+assert(tab(true) === "f");
+
+// Keyboard-driven tests can combine navigation with key events
+var typed = "";
+container.addEventListener("keydown", function(e) {
+    typed += e.target.id;
+}, false);
+$("a").focus();
+document.activeElement.dispatchEvent(new KeyboardEvent("keydown",
+                                                       { bubbles: true }));
+tab();
+document.activeElement.dispatchEvent(new KeyboardEvent("keydown",
+                                                       { bubbles: true }));
+assert(typed === "af", typed);
+
+// The :focus pseudo-class matches the focused element, and query
+// results follow the focus even though the tree doesn't change
+assert(document.activeElement === $("f") && $("f").matches(":focus"));
+assert(container.querySelectorAll(":focus")[0] === $("f"));
+$("a").focus();
+assert(!$("f").matches(":focus"));
+assert(container.querySelector("input:focus") === $("a"));
+assert(container.querySelectorAll(":focus")[0] === $("a"));
+document.activeElement.blur();
+assert(container.querySelectorAll(":focus").length === 0);
+
+// Autofocus is processed when the parser finishes loading a document:
+// the first focusable element with an autofocus attribute gets the focus
+var clock = mozVirtualClock();
+mozSetResourceLoader(mozFixtureLoader({
+    "http://www.example.com/form.html":
+        '<input id="x" autofocus disabled><input id="y">' +
+        '<textarea id="z" autofocus></textarea><input id="w" autofocus>' +
+        '<script>var focusedDuringParse = document.activeElement.id;' +
+        'onload = function() { focusedAtLoad = document.activeElement.id; };' +
+        '</script>'
+}));
+var focusedDuringParse, focusedAtLoad;
+location.assign("http://www.example.com/form.html");
+clock.advance(0);
+assert(focusedDuringParse === "", focusedDuringParse);
+assert(focusedAtLoad === "z", focusedAtLoad);
+assert(document.activeElement === $("z"));
+mozSetResourceLoader(null);
@@ -0,0 +1,288 @@
+// Tests for the state of form controls: values, checkedness, selectedness,
+// dirty flags, radio groups, sanitization and reset
+
+var clock = mozVirtualClock();
+var root = document.createElement("div");
+document.body.appendChild(root);
+
+root.innerHTML = '<form id="f">' +
+    '<input id="text" value="initial">' +
+    '<input id="box" type="checkbox" checked>' +
+    '<input id="r1" type="radio" name="g" checked>' +
+    '<input id="r2" type="radio" name="g">' +
+    '<input id="r3" type="radio" name="other">' +
+    '<textarea id="ta">line1\r\nline2</textarea>' +
+    '<select id="sel"><option>a</option><option selected>b</option>' +
+    '<option value="cv">c</option></select>' +
+    '</form>' +
+    '<input id="outside" type="radio" name="g" form="f">' +
+    '<input id="orphan" type="radio" name="g" checked>';
+
+var form = document.getElementById("f");
+var text = document.getElementById("text");
+var box = document.getElementById("box");
+var r1 = document.getElementById("r1");
+var r2 = document.getElementById("r2");
+var r3 = document.getElementById("r3");
+var outside = document.getElementById("outside");
+var orphan = document.getElementById("orphan");
+var ta = document.getElementById("ta");
+var sel = document.getElementById("sel");
+
+// Form owners
+assert(text.form === form && sel.form === form && ta.form === form);
+assert(outside.form === form);
+assert(orphan.form === null);
+assert(document.createElement("input").form === null);
+
+// The value mode: the value follows the attribute until it is set
+assert(text.value === "initial" && text.defaultValue === "initial");
+text.setAttribute("value", "changed");
+assert(text.value === "changed");
+text.value = "typed";
+assert(text.value === "typed" && text.getAttribute("value") === "changed");
+text.defaultValue = "new default";
+assert(text.value === "typed");
+
+// Text values lose their line breaks
+text.value = "a\r\nb\nc";
+assert(text.value === "abc");
+
+// The default and default/on modes use the attribute
+var hidden = document.createElement("input");
+hidden.type = "hidden";
+hidden.value = "h";
+assert(hidden.getAttribute("value") === "h" && hidden.value === "h");
+assert(box.value === "on");
+box.value = "yes";
+assert(box.getAttribute("value") === "yes" && box.value === "yes");
+
+// The filename mode can only be cleared
+var file = document.createElement("input");
+file.type = "file";
+assert(file.value === "");
+file.value = "";
+assertThrows(function() { file.value = "C:\\x"; },
+             DOMException.INVALID_STATE_ERR);
+
+// Changing the type moves the value into the value attribute
+var changer = document.createElement("input");
+changer.value = "kept";
+changer.type = "button";
+assert(changer.getAttribute("value") === "kept" && changer.value === "kept");
+changer.type = "text";
+changer.setAttribute("value", "from attr");
+assert(changer.value === "from attr");
+
+// Value sanitization for each type
+function sanitized(type, value, attrs) {
+    var input = document.createElement("input");
+    for(var name in attrs || {}) input.setAttribute(name, attrs[name]);
+    input.type = type;
+    input.value = value;
+    return input.value;
+}
+assert(sanitized("url", "  http://x/\n ") === "http://x/");
+assert(sanitized("email", " a@b \n") === "a@b");
+assert(sanitized("email", " a@b , c@d ", { multiple: "" }) === "a@b,c@d");
+assert(sanitized("number", "1.5e3") === "1.5e3");
+assert(sanitized("number", "1.5x") === "");
+assert(sanitized("number", " 1") === "");
+assert(sanitized("color", "#ABCDEF") === "#abcdef");
+assert(sanitized("color", "red") === "#000000");
+assert(sanitized("date", "2012-02-29") === "2012-02-29");
+assert(sanitized("date", "2011-02-29") === "");
+assert(sanitized("month", "2012-13") === "");
+assert(sanitized("month", "2012-12") === "2012-12");
+assert(sanitized("week", "2015-W53") === "2015-W53");
+assert(sanitized("week", "2014-W53") === "");
+assert(sanitized("time", "23:59:59.999") === "23:59:59.999");
+assert(sanitized("time", "24:00") === "");
+assert(sanitized("datetime-local", "2012-01-01T10:20:00.500") ===
+       "2012-01-01T10:20:00.5");
+assert(sanitized("datetime-local", "2012-01-01T10:20:00") ===
+       "2012-01-01T10:20");
+assert(sanitized("datetime-local", "2012-01-01 10:20") === "");
+assert(sanitized("datetime", "2012-01-01T10:20Z") === "2012-01-01T10:20Z");
+assert(sanitized("datetime", "2012-01-01T10:20") === "");
+assert(sanitized("range", "") === "50");
+assert(sanitized("range", "150") === "100");
+assert(sanitized("range", "-5", { min: "0", max: "10" }) === "0");
+assert(sanitized("range", "7", { min: "0", max: "10", step: "5" }) === "5");
+assert(sanitized("range", "7.5", { min: "0", max: "10", step: "5" }) === "10");
+assert(sanitized("range", "0.3", { min: "0", max: "1", step: "0.1" }) ===
+       "0.3");
+assert(sanitized("range", "5", { min: "10", max: "0" }) === "10");
+
+// Checkedness follows the checked attribute until it is set
+assert(box.checked && box.defaultChecked);
+box.removeAttribute("checked");
+assert(!box.checked);
+box.checked = true;
+assert(box.checked && !box.defaultChecked);
+box.removeAttribute("checked");
+box.setAttribute("checked", "");
+box.removeAttribute("checked");
+assert(box.checked);
+
+// indeterminate is separate state
+box.indeterminate = true;
+assert(box.indeterminate && box.checked);
+
+// Radio button groups
+assert(r1.checked && !r2.checked);
+assert(orphan.checked);         // Not in the form, so a different group
+r2.checked = true;
+assert(!r1.checked && r2.checked && orphan.checked);
+outside.checked = true;         // In the form through its form attribute
+assert(!r2.checked && outside.checked);
+r3.checked = true;              // Different name
+assert(outside.checked && r3.checked);
+// Renaming a checked button into a group unchecks the rest of the group
+r3.name = "g";
+assert(r3.checked && !outside.checked);
+
+// Inserting a checked radio button unchecks the others in its group
+var r4 = document.createElement("input");
+r4.type = "radio";
+r4.name = "g";
+r4.checked = true;
+form.appendChild(r4);
+assert(r4.checked && !r3.checked);
+form.removeChild(r4);
+
+// :checked uses the checkedness
+assert(form.querySelector(":checked") === box, form.querySelector(":checked"));
+box.checked = false;
+assert(form.querySelectorAll("input:checked").length === 0);
+r1.checked = true;
+assert(form.querySelector("input:checked") === r1);
+assert(form.querySelector("option:checked").value === "b");
+
+// textarea values
+assert(ta.defaultValue === "line1\nline2", ta.defaultValue);
+assert(ta.value === "line1\nline2");
+assert(ta.textLength === 11 && ta.type === "textarea");
+ta.defaultValue = "changed default";
+assert(ta.value === "changed default");
+ta.value = "a\r\nb\rc";
+assert(ta.value === "a\nb\nc");
+ta.defaultValue = "ignored";
+assert(ta.value === "a\nb\nc");
+
+// Text selection
+assert(ta.selectionStart === 5 && ta.selectionEnd === 5);
+assert(ta.selectionDirection === "none");
+ta.setSelectionRange(1, 3, "backward");
+assert(ta.selectionStart === 1 && ta.selectionEnd === 3);
+assert(ta.selectionDirection === "backward");
+ta.setSelectionRange(4, 2);
+assert(ta.selectionStart === 2 && ta.selectionEnd === 2);
+ta.selectionEnd = 100;
+assert(ta.selectionEnd === 5);
+ta.selectionStart = 5;
+assert(ta.selectionStart === 5 && ta.selectionEnd === 5);
+var selectEvents = 0;
+text.addEventListener("select", function() { selectEvents++; }, false);
+text.value = "hello";
+assert(text.selectionStart === 5);
+text.select();
+assert(text.selectionStart === 0 && text.selectionEnd === 5);
+assert(selectEvents === 0);
+clock.advance(0);
+assert(selectEvents === 1);
+assert(box.selectionStart === null);
+assertThrows(function() { box.setSelectionRange(0, 0); },
+             DOMException.INVALID_STATE_ERR);
+assertThrows(function() { box.selectionStart = 0; },
+             DOMException.INVALID_STATE_ERR);
+
+// Selects and options
+assert(sel.type === "select-one");
+assert(sel.selectedIndex === 1 && sel.value === "b");
+var options = sel.getElementsByTagName("option");
+assert(options[2].value === "cv" && options[2].text === "c");
+assert(options[2].index === 2 && options[0].form === form);
+sel.value = "cv";
+assert(sel.selectedIndex === 2 && options[2].selected && !options[1].selected);
+sel.selectedIndex = 0;
+assert(sel.value === "a");
+sel.value = "nothing";
+assert(sel.selectedIndex === 0);   // Drop-downs always have a selection
+options[1].selected = true;
+assert(sel.selectedIndex === 1 && !options[0].selected);
+
+// A drop-down select always has one option selected
+var dropdown = document.createElement("select");
+assert(dropdown.selectedIndex === -1 && dropdown.value === "");
+dropdown.innerHTML = "<option disabled>x</option><optgroup><option>y" +
+    "</option></optgroup><option>z</option>";
+assert(dropdown.selectedIndex === 1, dropdown.selectedIndex);
+var z = dropdown.lastChild;
+z.setAttribute("selected", "");
+assert(dropdown.selectedIndex === 2);
+z.selected = false;
+assert(dropdown.selectedIndex === 1);
+// An inserted selected option wins, even before the selected one
+var w = document.createElement("option");
+w.text = "  w  w ";
+assert(w.text === "w w" && w.label === "w w" && w.index === 0);
+w.defaultSelected = true;
+dropdown.insertBefore(w, dropdown.firstChild);
+assert(dropdown.selectedIndex === 0 && dropdown.value === "w w");
+
+// Multiple selects allow any number of options to be selected
+var multi = document.createElement("select");
+multi.multiple = true;
+multi.innerHTML = "<option selected>1</option><option selected>2</option>" +
+    "<option>3</option>";
+assert(multi.type === "select-multiple");
+assert(multi.selectedIndex === 0);
+assert(multi.querySelectorAll(":checked").length === 2);
+multi.firstChild.selected = false;
+assert(multi.selectedIndex === 1);
+multi.selectedIndex = -1;
+assert(multi.querySelectorAll(":checked").length === 0);
+
+// Option text skips scripts and collapses whitespace
+var option = document.createElement("option");
+option.innerHTML = " a <b> b</b><script>c</script>\n d ";
+assert(option.text === "a b d", option.text);
+assert(option.value === "a b d");
+option.label = "L";
+assert(option.label === "L" && option.text === "a b d");
+
+// Clones copy the state of the control
+text.value = "cloned";
+var copy = text.cloneNode(false);
+assert(copy.value === "cloned");
+box.checked = true;
+assert(box.cloneNode(false).checked);
+ta.value = "ta clone";
+assert(ta.cloneNode(true).value === "ta clone");
+
+// Resetting the form restores the defaults
+var resets = 0;
+form.addEventListener("reset", function(e) {
+    resets++;
+    if (resets === 1) e.preventDefault();
+}, false);
+form.reset();
+assert(resets === 1 && text.value === "cloned");
+form.reset();
+assert(resets === 2);
+assert(text.value === "new default", text.value);
+assert(box.checked === false);
+assert(r1.checked);
+assert(outside.checked === false);
+assert(ta.value === "ignored");
+assert(sel.selectedIndex === 1);
+// Controls reset by the form follow their attributes again
+text.defaultValue = "after reset";
+assert(text.value === "after reset");
+box.setAttribute("checked", "");
+assert(box.checked);
+assert(orphan.checked);  // Not in the form, so not reset
+
+document.body.removeChild(root);
+clock.uninstall();
@@ -0,0 +1,193 @@
+// Tests for form submission: the elements collection, the form data set,
+// its encodings, and the submit and reset events
+
+var clock = mozVirtualClock();
+var requests = [];
+mozSetFormSubmissionHook(function(request) { requests.push(request); });
+
+var root = document.createElement("div");
+document.body.appendChild(root);
+
+root.innerHTML = '<form id="f" action="http://example.com/submit?old#frag">' +
+    '<input name="text" value="a b&c=d">' +
+    '<input name="unnamed-value">' +
+    '<input value="no name">' +
+    '<input name="box" type="checkbox" checked>' +
+    '<input name="unchecked" type="checkbox">' +
+    '<input name="r" type="radio" value="1">' +
+    '<input name="r" type="radio" value="2" checked>' +
+    '<input name="disabled" value="x" disabled>' +
+    '<fieldset disabled><legend><input name="legend" value="ok">' +
+    '</legend><input name="fieldset" value="no"></fieldset>' +
+    '<input type="hidden" name="_charset_">' +
+    '<textarea name="ta" dirname="ta.dir">line1\nline2</textarea>' +
+    '<select name="s" multiple><option selected>o1</option>' +
+    '<option selected disabled>o2</option>' +
+    '<optgroup disabled><option selected>o3</option></optgroup>' +
+    '<option selected value="v4">o4</option></select>' +
+    '<datalist><input name="inlist" value="no"></datalist>' +
+    '<input name="file" type="file">' +
+    '<button name="b1" value="one">One</button>' +
+    '<input type="submit" name="b2" value="two">' +
+    '<input type="image" name="img">' +
+    '<input type="reset" name="rst">' +
+    '</form>' +
+    '<input name="outside" value="yes" form="f">';
+
+var form = document.getElementById("f");
+var b1 = form.querySelector("button");
+var b2 = form.querySelector("[name=b2]");
+var img = form.querySelector("[type=image]");
+var rst = form.querySelector("[type=reset]");
+
+// The elements collection holds the listed elements, without image buttons
+var elements = form.elements;
+assert(elements === form.elements);
+assert(elements.length === 20, elements.length);
+assert(form.length === elements.length);
+assert(elements[0].name === "text");
+assert(elements.item(elements.length - 1).name === "outside");
+assert(elements.namedItem("ta").localName === "textarea");
+assert(elements.b1 === b1);
+assert(elements.img === undefined);
+var extra = document.createElement("input");
+form.appendChild(extra);
+assert(form.length === 21);
+form.removeChild(extra);
+assert(form.length === 20);
+
+assert(form.action === "http://example.com/submit?old#frag");
+
+// A GET submission replaces the query of the action URL.  submit()
+// doesn't fire a submit event, and the request is made in a later task.
+var submits = 0;
+form.addEventListener("submit", function(e) {
+    submits++;
+    if (e.target.cancelNext) {
+        e.target.cancelNext = false;
+        e.preventDefault();
+    }
+}, false);
+form.submit();
+assert(requests.length === 0);
+clock.advance(0);
+assert(requests.length === 1 && submits === 0);
+var r = requests.pop();
+assert(r.method === "GET" && r.body === null && r.enctype === null);
+assert(r.url === "http://example.com/submit?" +
+       "text=a+b%26c%3Dd&unnamed-value=&box=on&r=2&legend=ok&" +
+       "_charset_=UTF-8&ta=line1%0D%0Aline2&ta.dir=ltr&s=o1&s=v4&file=&" +
+       "outside=yes#frag", r.url);
+
+// Submit buttons submit themselves, and fire submit events
+b1.click();
+clock.advance(0);
+assert(submits === 1);
+r = requests.pop();
+assert(/&b1=one&outside=yes#frag$/.test(r.url), r.url);
+b2.click();
+img.click();
+clock.advance(0);
+// The second submission replaced the first
+assert(requests.length === 1 && submits === 3);
+r = requests.pop();
+assert(/&img\.x=0&img\.y=0&outside=yes#frag$/.test(r.url), r.url);
+
+// Cancelling the submit event cancels the submission
+form.cancelNext = true;
+b2.click();
+clock.advance(0);
+assert(submits === 4 && requests.length === 0);
+
+// Disabled buttons don't submit
+b2.disabled = true;
+b2.click();
+clock.advance(0);
+assert(submits === 4 && requests.length === 0);
+b2.disabled = false;
+
+// Reset buttons reset the form
+var text = elements.namedItem("text");
+text.value = "changed";
+rst.click();
+assert(text.value === "a b&c=d");
+
+// POST submissions put the form data set in the body
+var post = document.createElement("form");
+post.method = "post";
+post.action = "http://example.com/post";
+post.innerHTML = '<input name="a" value="1 2">' +
+    '<input name="na&quot;me&#10;" value="x\ty">' +
+    '<textarea name="t">b\nc</textarea>' +
+    '<input name="f" type="file">' +
+    '<button formmethod="get" formaction="http://example.com/get">' +
+    'Get</button>' +
+    '<button formenctype="text/plain" name="plain" value="p">Plain</button>';
+root.appendChild(post);
+post.submit();
+clock.advance(0);
+r = requests.pop();
+assert(r.method === "POST" && r.url === "http://example.com/post");
+assert(r.enctype === "application/x-www-form-urlencoded");
+assert(r.body === "a=1+2&na%22me%0D%0A=x%09y&t=b%0D%0Ac&f=", r.body);
+
+// text/plain
+post.querySelectorAll("button")[1].click();
+clock.advance(0);
+r = requests.pop();
+assert(r.method === "POST" && r.enctype === "text/plain");
+assert(r.body === "a=1 2\r\nna\"me\r\n=x\ty\r\nt=b\r\nc\r\nf=\r\n" +
+       "plain=p\r\n", JSON.stringify(r.body));
+
+// The submitter's attributes override the form's
+post.querySelector("button").click();
+clock.advance(0);
+r = requests.pop();
+assert(r.method === "GET" && r.url === "http://example.com/get?" +
+       "a=1+2&na%22me%0D%0A=x%09y&t=b%0D%0Ac&f=", r.url);
+
+// multipart/form-data
+post.enctype = "multipart/form-data";
+post.target = "_blank";
+post.submit();
+clock.advance(0);
+r = requests.pop();
+assert(r.target === "_blank");
+var m = /^multipart\/form-data; boundary=(.+)$/.exec(r.enctype);
+assert(m, r.enctype);
+var boundary = m[1];
+assert(r.body ===
+       "--" + boundary + "\r\n" +
+       'Content-Disposition: form-data; name="a"\r\n\r\n1 2\r\n' +
+       "--" + boundary + "\r\n" +
+       'Content-Disposition: form-data; name="na%22me%0D%0A"\r\n\r\n' +
+       "x\ty\r\n" +
+       "--" + boundary + "\r\n" +
+       'Content-Disposition: form-data; name="t"\r\n\r\nb\r\nc\r\n' +
+       "--" + boundary + "\r\n" +
+       'Content-Disposition: form-data; name="f"; filename=""\r\n' +
+       "Content-Type: application/octet-stream\r\n\r\n\r\n" +
+       "--" + boundary + "--\r\n", JSON.stringify(r.body));
+
+// Forms in documents without a window aren't submitted
+var other = document.implementation.createHTMLDocument("");
+var detached = other.createElement("form");
+other.body.appendChild(detached);
+detached.submit();
+clock.advance(0);
+assert(requests.length === 0);
+
+// Reset events are cancelable
+var resets = 0;
+post.addEventListener("reset", function(e) {
+    resets++;
+    e.preventDefault();
+}, false);
+var a = post.elements.namedItem("a");
+a.value = "changed";
+post.reset();
+assert(resets === 1 && a.value === "changed");
+
+document.body.removeChild(root);
+mozSetFormSubmissionHook(null);
+clock.uninstall();
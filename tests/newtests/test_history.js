@@ -0,0 +1,157 @@
+// Tests for the session history: History, Location.replace(), fragment
+// navigation, and popstate and hashchange events
+
+var clock = mozVirtualClock();
+
+// Fake the network, recording the urls that are loaded
+var requests = [];
+XMLHttpRequest = function() {};
+XMLHttpRequest.prototype = {
+    open: function(method, url) { this.url = url; },
+    setRequestHeader: function() {},
+    send: function() {
+        requests.push(this.url);
+        this.status = 200;
+        this.readyState = 4;
+        this.responseText = "<title>" + this.url + "</title>";
+        if (this.onload) this.onload();
+    },
+    getAllResponseHeaders: function() { return ""; },
+    getResponseHeader: function() { return null; }
+};
+
+var events = [];
+onpopstate = function(e) {
+    assert(e instanceof PopStateEvent && e.isTrusted && !e.bubbles);
+    events.push("popstate " + JSON.stringify(e.state));
+};
+window.addEventListener("hashchange", function(e) {
+    assert(e instanceof HashChangeEvent && e.isTrusted);
+    events.push("hashchange " + e.oldURL + " " + e.newURL);
+}, false);
+
+var base = "http://www.example.com/app/";
+
+// The initial about:blank document is replaced by the first navigation
+assert(history instanceof History);
+assert(history.length === 1 && history.state === null);
+location.assign(base + "index.html");
+clock.advance(0);
+assert(requests.length === 1 && document.URL === base + "index.html");
+assert(history.length === 1);
+
+// pushState() and replaceState() change the URL without loading anything,
+// and store a copy of the state object
+var state = { page: 1, items: [1, 2] };
+history.pushState(state, "", "page1");
+assert(history.length === 2);
+assert(location.href === base + "page1" && document.URL === base + "page1");
+assert(history.state !== state && history.state.page === 1);
+assert(history.state.items[1] === 2);
+history.replaceState({ page: 2 }, "");
+assert(history.length === 2 && location.href === base + "page1");
+assert(history.state.page === 2);
+assert(requests.length === 1 && events.length === 0);
+
+// Functions, DOM objects and cyclic objects can't be serialized
+assertThrows(function() { history.pushState(function() {}, ""); },
+             DOMException.DATA_CLONE_ERR);
+assertThrows(function() { history.pushState({ body: document.body }, ""); },
+             DOMException.DATA_CLONE_ERR);
+var cyclic = {};
+cyclic.self = cyclic;
+assertThrows(function() { history.replaceState(cyclic, ""); },
+             DOMException.DATA_CLONE_ERR);
+// URLs of other origins can't be pushed
+assertThrows(function() {
+    history.pushState(null, "", "http://www.other.com/");
+}, DOMException.SECURITY_ERR);
+assert(history.length === 2 && history.state.page === 2);
+
+// Setting the hash adds an entry, fires popstate right away and
+// hashchange from a task
+location.hash = "#section";
+assert(location.href === base + "page1#section");
+assert(history.length === 3 && history.state === null);
+assert(events.join() === "popstate null");
+clock.advance(0);
+assert(events[1] === "hashchange " + base + "page1 " + base + "page1#section");
+assert(requests.length === 1);
+
+// Navigating to the same URL replaces the current entry
+events = [];
+location.hash = "section";
+clock.advance(0);
+assert(history.length === 3 && events.join() === "popstate null");
+
+// Traversal is done by a task, and restores the URL and the state
+events = [];
+history.back();
+assert(location.href === base + "page1#section");
+clock.advance(0);
+assert(location.href === base + "page1" && history.state.page === 2);
+assert(events[0] === 'popstate {"page":2}');
+assert(events[1] === "hashchange " + base + "page1#section " + base + "page1");
+history.forward();
+clock.advance(0);
+assert(location.href === base + "page1#section" && history.state === null);
+history.go(-2);
+clock.advance(0);
+assert(document.URL === base + "index.html" && history.state === null);
+history.go(-1);
+history.go(5);
+clock.advance(0);
+assert(document.URL === base + "index.html" && history.length === 3);
+assert(requests.length === 1);
+
+// Location.replace() loads a document into the current entry
+location.replace("other.html");
+clock.advance(0);
+assert(requests.length === 2 && document.URL === base + "other.html");
+assert(document.title === base + "other.html");
+assert(history.length === 3);
+
+// Traversing to an entry of another document loads it again, and
+// restores its state without a popstate event
+events = [];
+history.forward();
+clock.advance(0);
+assert(requests.length === 3 && requests[2] === base + "page1");
+assert(document.title === base + "page1");
+assert(history.state.page === 2 && events.length === 0);
+// The other entries of the old document now belong to the new one
+history.forward();
+clock.advance(0);
+assert(requests.length === 3 && location.hash === "#section");
+assert(events[0] === "popstate null");
+
+// Navigating drops the entries after the current one
+history.back();
+clock.advance(0);
+location.assign("index.html");
+clock.advance(0);
+assert(requests.length === 4 && history.length === 3);
+history.forward();
+clock.advance(0);
+assert(document.URL === base + "index.html");
+
+// Reloading keeps the current entry
+location.reload();
+clock.advance(0);
+assert(requests.length === 5 && requests[4] === base + "index.html");
+assert(history.length === 3);
+history.go(0);
+clock.advance(0);
+assert(requests.length === 6 && history.length === 3);
+
+// The event constructors
+var e = new PopStateEvent("popstate", { state: { a: 1 } });
+assert(e instanceof Event && e.state.a === 1 && !e.isTrusted);
+assert(new PopStateEvent("popstate").state === null);
+e = new HashChangeEvent("hashchange", { oldURL: "a", newURL: "b" });
+assert(e.oldURL === "a" && e.newURL === "b");
+assert(new HashChangeEvent("hashchange").oldURL === "");
+e = document.createEvent("PopStateEvent");
+assert(e instanceof PopStateEvent && e.state === null);
+
+clock.uninstall();
@@ -0,0 +1,86 @@
+// Tests for the metadata of a document: title, dir, URL, documentURI,
+// domain, referrer and lastModified
+
+function parse(address, html) {
+    var parser = document.implementation.mozHTMLParser(address);
+    parser.parse(html, true);
+    return parser.document();
+}
+
+// The title is the text of the first title element, with whitespace
+// stripped and collapsed
+var doc = parse("http://www.example.com:8080/dir/page.html?q#f",
+                "<title>\n  The \t first\r\n title </title>" +
+                "<title>second</title><body>");
+assert(doc.title === "The first title", JSON.stringify(doc.title));
+doc.title = "  New  title ";
+assert(doc.getElementsByTagName("title")[0].textContent === "  New  title ");
+assert(doc.title === "New title");
+
+// Setting the title creates a title element in the head
+doc = document.implementation.createHTMLDocument("");
+doc.head.removeChild(doc.head.firstChild);
+assert(doc.title === "");
+doc.title = "Created";
+assert(doc.head.lastChild.localName === "title");
+assert(doc.title === "Created");
+
+// The title element can be anywhere in the document
+doc = parse("about:blank", "<body><p><title>In body</title>");
+assert(doc.title === "In body");
+
+// Without a head, setting the title does nothing
+doc.documentElement.removeChild(doc.head);
+doc.body.innerHTML = "";
+doc.title = "nowhere";
+assert(doc.title === "" && doc.getElementsByTagName("title").length === 0);
+
+// The title of an SVG document is the title child of its root
+var svgns = "http://www.w3.org/2000/svg";
+var svg = document.implementation.createDocument(svgns, "svg", null);
+assert(svg.title === "");
+svg.documentElement.appendChild(svg.createElement("g"));
+svg.title = " SVG  title ";
+var title = svg.documentElement.firstChild;
+assert(title.namespaceURI === svgns && title.localName === "title");
+assert(svg.title === "SVG title");
+svg.documentElement.firstChild.textContent = "changed";
+assert(svg.title === "changed");
+
+// Other documents have no title
+var xml = document.implementation.createDocument(null, "root", null);
+xml.title = "ignored";
+assert(xml.title === "" && !xml.documentElement.firstChild);
+
+// dir reflects the dir attribute of the html element
+doc = document.implementation.createHTMLDocument("");
+assert(doc.dir === "");
+doc.dir = "rtl";
+assert(doc.documentElement.getAttribute("dir") === "rtl");
+assert(doc.dir === "rtl");
+doc.documentElement.setAttribute("dir", "bogus");
+assert(doc.dir === "");
+assert(xml.dir === "");
+xml.dir = "ltr";
+assert(!xml.documentElement.hasAttribute("dir"));
+
+// URL, documentURI and domain come from the document's address
+doc = parse("http://www.example.com:8080/dir/page.html?q#f", "");
+assert(doc.URL === "http://www.example.com:8080/dir/page.html?q#f");
+assert(doc.documentURI === doc.URL);
+assert(doc.domain === "www.example.com");
+assert(document.domain === "");
+// Documents without a window can't set their domain
+assertThrows(function() { doc.domain = "example.com"; },
+             DOMException.SECURITY_ERR);
+assertThrows(function() { document.domain = "example.com"; },
+             DOMException.SECURITY_ERR);
+
+// Documents that haven't been navigated to have no referrer
+assert(doc.referrer === "");
+
+// lastModified defaults to the current time
+assert(/^\d\d\/\d\d\/\d\d\d\d \d\d:\d\d:\d\d$/.test(doc.lastModified),
+       doc.lastModified);
+var now = new Date();
+assert(doc.lastModified.slice(6, 10) === String(now.getFullYear()));
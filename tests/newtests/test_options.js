@@ -0,0 +1,167 @@
+// Tests for select.options, select.selectedOptions, option properties,
+// and the RadioNodeLists of form.elements
+
+var root = document.createElement("div");
+document.body.appendChild(root);
+
+root.innerHTML = '<form><select name="s">' +
+    '<option id="a">A</option>' +
+    '<option name="b" value="bv" selected>  B\n text  </option>' +
+    '<optgroup label="g"><option label="C label">C</option></optgroup>' +
+    '</select></form>';
+
+var form = root.firstChild;
+var select = form.firstChild;
+var options = select.options;
+
+// options is a live HTMLOptionsCollection
+assert(options === select.options);
+assert(options instanceof HTMLOptionsCollection);
+assert(options instanceof HTMLCollection);
+assert(options.length === 3 && select.length === 3);
+assert(options[0].id === "a" && options.item(2).text === "C");
+assert(options.a === options[0] && options.namedItem("b") === options[1]);
+assert(select.namedItem("a") === options[0]);
+assert(options.namedItem("nonesuch") === null);
+assert(options[3] === undefined);
+
+// Option properties
+var b = options[1];
+assert(b.text === "B text" && b.value === "bv" && b.label === "B text");
+assert(options[2].label === "C label" && options[2].value === "C");
+assert(b.index === 1 && options[2].index === 2);
+assert(b.form === form);
+assert(document.createElement("option").index === 0);
+assert(document.createElement("option").form === null);
+
+// selectedIndex and value
+assert(select.selectedIndex === 1 && options.selectedIndex === 1);
+assert(select.value === "bv");
+options.selectedIndex = 2;
+assert(select.value === "C" && !b.selected);
+select.value = "A";
+assert(select.selectedIndex === 0);
+select.value = "nonesuch";
+assert(select.selectedIndex === 0);
+
+// A single select always has one option selected
+options[0].selected = false;
+assert(select.selectedIndex === 0);
+b.selected = true;
+assert(!options[0].selected && select.selectedIndex === 1);
+
+// A multiple select can have any number
+select.multiple = true;
+b.selected = false;
+assert(select.selectedIndex === -1 && select.value === "");
+options[0].selected = true;
+options[2].selected = true;
+assert(select.selectedIndex === 0);
+
+// selectedOptions is live
+var selected = select.selectedOptions;
+assert(selected === select.selectedOptions);
+assert(selected instanceof HTMLCollection);
+assert(selected.length === 2 && selected[1] === options[2]);
+assert(selected.a === options[0]);
+options[0].selected = false;
+assert(selected.length === 1 && selected[0] === options[2]);
+select.multiple = false;
+
+// add() appends, or inserts before an option or an index
+var d = document.createElement("option");
+d.text = "D";
+options.add(d);
+assert(options.length === 4 && options[3] === d);
+var e = document.createElement("option");
+e.text = "E";
+select.add(e, options[2]);
+assert(options[2] === e && e.parentNode.localName === "optgroup");
+var f = document.createElement("option");
+f.text = "F";
+options.add(f, 0);
+assert(options[0] === f && f.parentNode === select);
+var g = document.createElement("optgroup");
+options.add(g, null);
+assert(select.lastChild === g && options.length === 6);
+assertThrows(function() {
+    options.add(document.createElement("div"));
+}, "TypeError");
+assertThrows(function() {
+    options.add(document.createElement("option"), root);
+}, DOMException.NOT_FOUND_ERR);
+assertThrows(function() {
+    var group = document.createElement("optgroup");
+    group.appendChild(select);
+    options.add(group);
+}, DOMException.HIERARCHY_REQUEST_ERR);
+assert(select.parentNode.localName === "optgroup");
+form.appendChild(select);
+
+// remove() removes by index, and ignores bad indexes
+options.remove(0);
+assert(options[0].id === "a" && options.length === 5);
+select.remove(10);
+assert(options.length === 5);
+select.remove(3);
+assert(options.length === 4 && options[3] === d);
+
+// Setting the length truncates or appends empty options
+options.length = 2;
+assert(options.length === 2 && select.lastChild === g);
+select.length = 4;
+assert(options.length === 4 && options[3].text === "");
+assert(options[3].parentNode === select);
+
+// Setting an index replaces, appends, pads or removes options
+var h = document.createElement("option");
+options[0] = h;
+assert(options[0] === h && options.length === 4);
+var i = document.createElement("option");
+options[6] = i;
+assert(options.length === 7 && options[6] === i);
+options[6] = null;
+assert(options.length === 6);
+assertThrows(function() {
+    options[0] = document.createElement("div");
+}, "TypeError");
+
+// The elements of a form
+root.innerHTML = '<form>' +
+    '<input type="radio" name="r" value="1">' +
+    '<input type="radio" name="r" value="2" checked>' +
+    '<input id="r" type="text" value="3">' +
+    '<input name="single">' +
+    '</form>';
+form = root.firstChild;
+var elements = form.elements;
+assert(elements instanceof HTMLFormControlsCollection);
+assert(elements.single === elements.namedItem("single"));
+assert(elements.single.localName === "input");
+assert(elements.namedItem("nonesuch") === null);
+
+// A name shared by several controls names a RadioNodeList
+var radios = elements.namedItem("r");
+assert(radios instanceof RadioNodeList && radios instanceof NodeList);
+assert(elements.r instanceof RadioNodeList);
+assert(radios.length === 3 && radios[0].value === "1");
+assert(radios.item(2).type === "text");
+assert(radios.value === "2");
+radios.value = "1";
+assert(radios[0].checked && !radios[1].checked && radios.value === "1");
+// Setting the value only checks radio buttons
+radios.value = "3";
+assert(radios[0].checked && radios.value === "1");
+radios[0].checked = false;
+assert(radios.value === "");
+
+// RadioNodeLists are live
+var r3 = document.createElement("input");
+r3.type = "radio";
+r3.name = "r";
+r3.value = "4";
+r3.checked = true;
+form.appendChild(r3);
+assert(radios.length === 4 && radios.value === "4");
+
+document.body.removeChild(root);
@@ -0,0 +1,117 @@
+// Tests for outerHTML, insertAdjacentHTML, insertAdjacentElement,
+// insertAdjacentText and the Document.innerHTML setter
+
+var root = document.createElement("div");
+document.body.appendChild(root);
+root.innerHTML = "<p id='a' class=\"x\">one &amp; <b>two</b></p><br>";
+var p = root.firstChild;
+
+// The outerHTML getter includes the element's own tags
+assert(p.outerHTML === '<p id="a" class="x">one &amp; <b>two</b></p>',
+       p.outerHTML);
+assert(root.lastChild.outerHTML === "<br>");
+assert(root.outerHTML === "<div>" + root.innerHTML + "</div>");
+
+// The outerHTML setter replaces the element with the parsed nodes
+p.firstChild.nextSibling.outerHTML = "<i>2</i><u>3</u>";
+assert(p.innerHTML === "one &amp; <i>2</i><u>3</u>", p.innerHTML);
+p.outerHTML = "";
+assert(root.innerHTML === "<br>");
+
+// Setting outerHTML on an element without a parent does nothing
+var lone = document.createElement("span");
+lone.outerHTML = "<em></em>";
+assert(lone.parentNode === null && lone.outerHTML === "<span></span>");
+
+// ...and is an error if the parent is the document
+assertThrows(function() {
+    document.documentElement.outerHTML = "<html></html>";
+}, DOMException.NO_MODIFICATION_ALLOWED_ERR);
+
+// In a fragment, the markup is parsed as if it were in a body
+var frag = document.createDocumentFragment();
+var child = frag.appendChild(document.createElement("div"));
+child.outerHTML = "<td>cell</td>text";
+assert(frag.childNodes.length === 1 && frag.firstChild.data === "celltext");
+
+// The context is the parent, so table parts parse properly
+root.innerHTML = "<table><tr><td>a</td></tr></table>";
+var td = root.getElementsByTagName("td")[0];
+td.outerHTML = "<td>b</td><td>c</td>";
+var tr = root.getElementsByTagName("tr")[0];
+assert(tr.innerHTML === "<td>b</td><td>c</td>", tr.innerHTML);
+tr.outerHTML = "<tr><th>h</th></tr>";
+assert(root.getElementsByTagName("th").length === 1);
+
+// insertAdjacentHTML at each of the four positions
+root.innerHTML = "<p>x</p>";
+p = root.firstChild;
+p.insertAdjacentHTML("beforebegin", "<a>1</a>");
+p.insertAdjacentHTML("AfterBegin", "<b>2</b>");
+p.insertAdjacentHTML("beforeend", "<i>3</i>");
+p.insertAdjacentHTML("afterend", "<s>4</s>");
+assert(root.innerHTML === "<a>1</a><p><b>2</b>x<i>3</i></p><s>4</s>",
+       root.innerHTML);
+assertThrows(function() { p.insertAdjacentHTML("middle", "x"); },
+             DOMException.SYNTAX_ERR);
+assertThrows(function() { lone.insertAdjacentHTML("afterend", "x"); },
+             DOMException.NO_MODIFICATION_ALLOWED_ERR);
+assertThrows(function() {
+    document.documentElement.insertAdjacentHTML("beforebegin", "x");
+}, DOMException.NO_MODIFICATION_ALLOWED_ERR);
+lone.insertAdjacentHTML("beforeend", "<b>ok</b>");
+assert(lone.innerHTML === "<b>ok</b>");
+
+// insertAdjacentHTML uses a table row or a select as the context
+root.innerHTML = "<table><tr><td>a</td></tr></table><select></select>";
+td = root.getElementsByTagName("td")[0];
+td.insertAdjacentHTML("afterend", "<td>z</td>");
+assert(td.nextSibling.localName === "td" && td.nextSibling.textContent === "z");
+var select = root.lastChild;
+select.insertAdjacentHTML("beforeend", "<option>o1<option>o2<p>no</p>");
+assert(select.innerHTML === "<option>o1</option><option>o2no</option>",
+       select.innerHTML);
+
+// Raw text and RCDATA elements don't parse tags in their content
+var style = document.createElement("style");
+style.insertAdjacentHTML("afterbegin", "a > b { x: '<b>' }");
+assert(style.childNodes.length === 1 &&
+       style.firstChild.data === "a > b { x: '<b>' }");
+var script = document.createElement("script");
+script.innerHTML = "if (a<b) '<!--x-->';";
+assert(script.firstChild.data === "if (a<b) '<!--x-->';");
+var textarea = document.createElement("textarea");
+textarea.innerHTML = "<b>&amp;</b>";
+assert(textarea.firstChild.data === "<b>&</b>", textarea.firstChild.data);
+assert(textarea.innerHTML === "&lt;b&gt;&amp;&lt;/b&gt;", textarea.innerHTML);
+
+// insertAdjacentElement and insertAdjacentText
+root.innerHTML = "<p>x</p>";
+p = root.firstChild;
+var em = document.createElement("em");
+assert(p.insertAdjacentElement("beforeBegin", em) === em);
+assert(root.firstChild === em);
+p.insertAdjacentText("beforeend", "<y>");
+assert(p.innerHTML === "x&lt;y&gt;");
+var detached = document.createElement("div");
+assert(detached.insertAdjacentElement("afterend", em) === null);
+assert(em.parentNode === root);
+detached.insertAdjacentText("beforebegin", "nothing");
+assert(detached.parentNode === null);
+assertThrows(function() { p.insertAdjacentText("nowhere", "x"); },
+             DOMException.SYNTAX_ERR);
+
+// Document.innerHTML replaces the whole document
+var doc = document.implementation.createHTMLDocument("old");
+doc.innerHTML = "<!DOCTYPE html><title>new</title><p>hello";
+assert(doc.doctype !== null && doc.doctype.name === "html");
+assert(doc.doctype.ownerDocument === doc);
+assert(doc.documentElement.localName === "html");
+assert(doc.body.innerHTML === "<p>hello</p>", doc.body.innerHTML);
+assert(doc.getElementsByTagName("title")[0].textContent === "new");
+assert(doc.compatMode === "CSS1Compat");
+assert(doc.innerHTML === "<!DOCTYPE html><html><head><title>new</title>" +
+       "</head><body><p>hello</p></body></html>", doc.innerHTML);
+doc.innerHTML = "<p>quirky";
+assert(doc.doctype === null && doc.compatMode === "BackCompat");
+assert(doc.body.firstChild.ownerDocument === doc);
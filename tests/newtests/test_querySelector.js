@@ -0,0 +1,147 @@
+// Tests for querySelector(), querySelectorAll() and matches()
+
+var root = document.createElement("div");
+root.innerHTML =
+    '<ul id="list" class="items main">' +
+      '<li class="a" lang="en-US">one</li>' +
+      '<li class="b">two</li>' +
+      '<li class="a b" data-x="foo-bar baz">three</li>' +
+      '<li><a href="#x">four</a></li>' +
+      '<li></li>' +
+    '</ul>' +
+    '<p id="p1">para</p>' +
+    '<form>' +
+      '<input type="checkbox" checked>' +
+      '<input type="text" disabled>' +
+      '<fieldset disabled><legend><input id="inlegend"></legend>' +
+        '<input id="infieldset"></fieldset>' +
+    '</form>';
+document.body.appendChild(root);
+
+function ids(list) {
+    var r = [];
+    for(var i = 0; i < list.length; i++) r.push(list[i].textContent);
+    return r.join(",");
+}
+
+var lis = root.querySelectorAll("li");
+assert(lis.length === 5, lis.length);
+assert(lis instanceof NodeList);
+
+// Type, class, id and compound selectors
+assert(root.querySelector("#list") === document.getElementById("list"));
+assert(ids(root.querySelectorAll("li.a")) === "one,three");
+assert(ids(root.querySelectorAll(".a.b")) === "three");
+assert(ids(root.querySelectorAll("UL > LI.b")) === "two,three");
+assert(root.querySelector("ul.main.items#list") !== null);
+assert(root.querySelector("nothing") === null);
+
+// Combinators
+assert(ids(root.querySelectorAll("div li a")) === "four");
+assert(ids(root.querySelectorAll("li.a + li")) === "two,four");
+assert(ids(root.querySelectorAll("li.b ~ li")) === "three,four,");
+assert(ids(root.querySelectorAll("ul > li > a")) === "four");
+assert(root.querySelectorAll("ul>a").length === 0);
+
+// Selector groups are returned in document order without duplicates
+assert(ids(root.querySelectorAll("#p1, li.b, .a")) === "one,two,three,para");
+
+// Attribute selectors
+assert(ids(root.querySelectorAll("[data-x]")) === "three");
+assert(ids(root.querySelectorAll("[data-x='foo-bar baz']")) === "three");
+assert(ids(root.querySelectorAll("[data-x~=baz]")) === "three");
+assert(ids(root.querySelectorAll("[data-x|=foo]")) === "three");
+assert(ids(root.querySelectorAll("[data-x^=foo]")) === "three");
+assert(ids(root.querySelectorAll("[data-x$=\"baz\"]")) === "three");
+assert(ids(root.querySelectorAll("[data-x*=bar]")) === "three");
+assert(root.querySelectorAll("[data-x^='']").length === 0);
+assert(root.querySelectorAll("[TYPE=CHECKBOX]").length === 1);
+
+// Structural pseudo-classes
+assert(ids(root.querySelectorAll("li:first-child")) === "one");
+assert(ids(root.querySelectorAll("li:last-child")) === "");
+assert(ids(root.querySelectorAll("li:nth-child(2n+1)")) === "one,three,");
+assert(ids(root.querySelectorAll("li:nth-child(even)")) === "two,four");
+assert(ids(root.querySelectorAll("li:nth-last-child(-n+2)")) === "four,");
+assert(ids(root.querySelectorAll("li:nth-of-type(3)")) === "three");
+assert(ids(root.querySelectorAll("li:empty")) === "");
+assert(root.querySelectorAll("ul:only-of-type").length === 1);
+assert(root.querySelectorAll("a:only-child").length === 1);
+assert(document.querySelector(":root") === document.documentElement);
+assert(ids(root.querySelectorAll("li:not(.a)")) === "two,four,");
+assert(ids(root.querySelectorAll("li:lang(en)")) === "one");
+assert(root.querySelectorAll("a:link").length === 1);
+
+// UI state pseudo-classes
+assert(root.querySelectorAll("input:checked").length === 1);
+assert(root.querySelectorAll(":disabled").length === 3);
+assert(root.querySelector("#infieldset").matches(":disabled"));
+assert(root.querySelector("#inlegend").matches(":enabled"));
+
+// Pseudo-elements never match
+assert(root.querySelectorAll("li::before").length === 0);
+
+// Namespaces
+assert(root.querySelectorAll("*|li").length === 5);
+assert(root.querySelectorAll("|li").length === 0);
+var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+svg.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns:s",
+                   "http://www.w3.org/2000/svg");
+svg.appendChild(document.createElementNS("http://www.w3.org/2000/svg",
+                                         "circle"));
+assert(svg.querySelector("s|circle") !== null);
+assertThrows(function() { root.querySelector("q|li"); },
+             DOMException.NAMESPACE_ERR);
+
+// matches()
+assert(lis[2].matches("ul li.a.b"));
+assert(!lis[2].matches("ol li"));
+assert(lis[0].matches("p, li"));
+
+// Syntax errors
+["", "li >", "[", "li:nosuch", "a,,b", ":not(:not(a))", "#", "li:nth-child(x)"]
+    .forEach(function(s) {
+        assertThrows(function() { root.querySelectorAll(s); },
+                     DOMException.SYNTAX_ERR);
+    });
+
+// Document and DocumentFragment
+assert(document.querySelector("#p1").id === "p1");
+var frag = document.createDocumentFragment();
+frag.appendChild(document.createElement("span"));
+frag.appendChild(document.createElement("b"));
+frag.lastChild.appendChild(document.createElement("i"));
+assert(frag.querySelectorAll("span, i").length === 2);
+
+// The lists are static, but reflect changes on the next query
+var list = root.querySelectorAll("li.a");
+assert(list.length === 2);
+lis[1].className = "a";
+assert(list.length === 2);
+assert(root.querySelectorAll("li.a").length === 3);
+lis[1].parentNode.removeChild(lis[1]);
+assert(root.querySelectorAll("li.a").length === 2);
+assert(list.length === 2);
+
+// Results stay right when more selectors are used than are cached
+for(var i = 0; i < 300; i++)
+    assert(root.querySelectorAll("li.a, #x" + i).length === 2);
+assert(root.querySelectorAll("li.a, #x0").length === 2);
+assert(root.querySelector("li.a, #x299").className === "a");
+
+// Results that depend on more than the root's own subtree are never
+// reused: ancestors and siblings of the root, and text
+var outer = document.createElement("div");
+outer.innerHTML = "<h1></h1><ul><li>x</li><li></li></ul>";
+document.body.appendChild(outer);
+var ul = outer.lastChild;
+assert(ul.querySelectorAll(".active li").length === 0);
+outer.className = "active";
+assert(ul.querySelectorAll(".active li").length === 2);
+assert(ul.querySelectorAll("h1 ~ * li").length === 2);
+outer.removeChild(outer.firstChild);
+assert(ul.querySelectorAll("h1 ~ * li").length === 0);
+assert(ul.querySelectorAll("li:empty").length === 1);
+ul.firstChild.firstChild.deleteData(0, 1);
+assert(ul.querySelectorAll("li:empty").length === 2);
+document.body.removeChild(outer);
@@ -0,0 +1,201 @@
+// Tests for the resource loaders that documents and scripts are loaded
+// with, and for request interceptors
+
+var clock = mozVirtualClock();
+mozCookieJar().clear();
+
+var base = "http://www.example.com/";
+
+// The fixture loader serves responses from memory
+var loader = mozFixtureLoader({
+    "http://www.example.com/index.html": {
+        headers: {
+            "Content-Type": "text/html",
+            "Last-Modified": "Wed, 09 Jun 2021 10:18:14 GMT",
+            "Set-Cookie": ["a=1; Path=/", "b=2; Path=/"]
+        },
+        text: "<title>Index</title><script src='app.js'></script>"
+    },
+    "http://www.example.com/app.js": "var appRan = true;"
+});
+mozSetResourceLoader(loader);
+
+var appRan = false;
+location.assign(base + "index.html#top");
+clock.advance(0);
+assert(loader.requests.length === 2);
+var request = loader.requests[0];
+assert(request.url === base + "index.html#top" && request.method === "GET");
+assert(request.body === null && !("Cookie" in request.headers));
+assert(document.title === "Index" && appRan);
+assert(document.lastModified.slice(0, 10) === "06/09/2021");
+// Response cookies are stored, and sent with later requests
+assert(document.cookie === "a=1; b=2");
+assert(loader.requests[1].url === base + "app.js");
+assert(loader.requests[1].headers.Cookie === "a=1; b=2");
+
+// Fixtures can be added later, and can be functions of the request
+loader.set(base + "echo.html", function(request) {
+    return { text: "<title>" + request.method + " " + request.body + "</title>" };
+});
+document.body.innerHTML =
+    '<form method="post" action="echo.html"><input name="q" value="x"></form>';
+document.forms[0].submit();
+clock.advance(0);
+assert(document.title === "POST q=x", document.title);
+request = loader.requests[2];
+assert(request.headers["Content-Type"] === "application/x-www-form-urlencoded");
+
+// Urls without fixtures are 404s, and scripts that fail to load don't run
+var script = document.createElement("script");
+script.setAttribute("src", "missing.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(loader.requests.length === 4 && loader.requests[3].url === base + "missing.js");
+
+// Interceptors see each request, and can change it or answer it
+var seen = [];
+function record(request) {
+    seen.push(request.url);
+}
+function answer(request) {
+    if (request.url === base + "intercepted.js")
+        return { text: "var intercepted = true;" };
+}
+function redirect(request) {
+    if (request.url === base + "old.js") request.url = base + "app.js";
+}
+mozAddRequestInterceptor(record);
+mozAddRequestInterceptor(answer);
+mozAddRequestInterceptor(redirect);
+assertThrows(function() { mozAddRequestInterceptor({}); }, "TypeError");
+
+var intercepted = false;
+script = document.createElement("script");
+script.setAttribute("src", "intercepted.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(intercepted && loader.requests.length === 4);
+
+appRan = false;
+script = document.createElement("script");
+script.setAttribute("src", "old.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(appRan && loader.requests[4].url === base + "app.js");
+assert(seen.join() === base + "intercepted.js," + base + "old.js");
+
+mozRemoveRequestInterceptor(record);
+mozRemoveRequestInterceptor(answer);
+mozRemoveRequestInterceptor(redirect);
+script = document.createElement("script");
+script.setAttribute("src", "intercepted.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(seen.length === 2 && loader.requests.length === 6);
+
+// Cookies are added after interceptors change the url, so they belong
+// to the host the request goes to
+function elsewhere(request) {
+    if (request.url === base + "moved.js")
+        request.url = "http://other.example.org/app.js";
+}
+mozAddRequestInterceptor(elsewhere);
+loader.set("http://other.example.org/app.js", {
+    headers: { "Set-Cookie": "other=1; Path=/" },
+    text: "var movedRan = true;"
+});
+var movedRan = false;
+script = document.createElement("script");
+script.setAttribute("src", "moved.js");
+document.body.appendChild(script);
+clock.advance(0);
+request = loader.requests[loader.requests.length - 1];
+assert(movedRan && request.url === "http://other.example.org/app.js");
+assert(!("Cookie" in request.headers), request.headers.Cookie);
+assert(document.cookie === "a=1; b=2", document.cookie);
+mozRemoveRequestInterceptor(elsewhere);
+
+// Exceptions from loaders and interceptors are reported as network
+// errors, so the parser resumes after a script that couldn't be loaded
+loader.set(base + "throws.js", function() { throw new Error("broken"); });
+loader.set(base + "after.html",
+           "<script src='throws.js'></script><title>After</title>");
+location.assign(base + "after.html");
+clock.advance(0);
+assert(document.title === "After", document.title);
+
+function broken(request) { throw new Error("broken"); }
+mozAddRequestInterceptor(broken);
+loader.set(base + "before.html",
+           "<script src='app.js'></script><title>Before</title>");
+appRan = false;
+location.assign(base + "before.html");
+clock.advance(0);
+mozRemoveRequestInterceptor(broken);
+assert(document.title !== "Before" && !appRan);
+appRan = false;
+location.assign(base + "before.html");
+clock.advance(0);
+assert(document.title === "Before" && appRan);
+
+// Custom loaders can answer asynchronously, and report network errors
+var pending = [];
+mozSetResourceLoader({
+    load: function(request, callback) {
+        pending.push(function(response) { callback(response); });
+    }
+});
+var ran = false;
+script = document.createElement("script");
+script.setAttribute("src", "async.js");
+document.body.appendChild(script);
+clock.advance(0);
+assert(pending.length === 1 && !ran);
+pending[0]({ text: "ran = true;" });
+clock.advance(0);
+assert(ran);
+ran = false;
+script = document.createElement("script");
+script.setAttribute("src", "error.js");
+document.body.appendChild(script);
+pending[1]({ status: 0, error: "offline", text: "ran = true;" });
+clock.advance(0);
+assert(!ran);
+
+// The file loader reads file: urls
+var results = [];
+var fileLoader = mozFileLoader();
+fileLoader.load({ url: "file:///nonexistent/dom.js/test.js", method: "GET",
+                  headers: {}, body: null },
+                function(response) { results.push(response); });
+fileLoader.load({ url: base, method: "GET", headers: {}, body: null },
+                function(response) { results.push(response); });
+assert(results[0].status === 404);
+assert(results[1].status === 0 && results[1].error);
+
+// The XHR loader uses whatever XMLHttpRequest is defined
+XMLHttpRequest = function() {};
+XMLHttpRequest.prototype = {
+    open: function(method, url) { this.method = method; this.url = url; },
+    setRequestHeader: function(name, value) { this.header = name + value; },
+    send: function(body) {
+        this.status = 201;
+        this.responseText = this.method + " " + this.url + " " + body;
+        this.onload();
+    },
+    getAllResponseHeaders: function() {
+        return "X-One: 1\r\nx-two: 2\r\nX-Two: 3\r\n";
+    }
+};
+mozXHRLoader().load({ url: base + "x", method: "PUT", headers: { A: "b" },
+                      body: "data" },
+                    function(response) { results.push(response); });
+var response = results[2];
+assert(response.status === 201 && response.text === "PUT " + base + "x data");
+assert(response.headers["x-one"][0] === "1");
+assert(response.headers["x-two"].join() === "2,3");
+
+mozSetResourceLoader(null);
+mozCookieJar().clear();
+clock.uninstall();
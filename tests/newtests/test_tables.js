@@ -0,0 +1,136 @@
+// Tests for the table object model: captions, sections, the rows, tBodies
+// and cells collections, and inserting and deleting rows and cells
+
+var table = document.createElement("table");
+document.body.appendChild(table);
+
+// Captions
+assert(table.caption === null);
+var caption = table.createCaption();
+assert(caption.localName === "caption" && table.firstChild === caption);
+assert(table.createCaption() === caption && table.caption === caption);
+table.deleteCaption();
+assert(table.caption === null && !table.firstChild);
+table.appendChild(document.createElement("colgroup"));
+table.caption = caption;
+assert(table.firstChild === caption);
+assertThrows(function() {
+    table.caption = document.createElement("div");
+}, DOMException.HIERARCHY_REQUEST_ERR);
+assert(table.caption === caption);
+
+// A table without rows gets a tbody when a row is inserted
+assert(table.rows.length === 0 && table.tBodies.length === 0);
+var rows = table.rows, tBodies = table.tBodies;
+assert(rows === table.rows && tBodies === table.tBodies);
+var row = table.insertRow();
+assert(row.localName === "tr" && row.parentNode.localName === "tbody");
+assert(rows.length === 1 && tBodies.length === 1 && rows[0] === row);
+var tbody = tBodies[0];
+
+// Sections
+var thead = table.createTHead();
+assert(thead.localName === "thead" && table.tHead === thead);
+assert(table.createTHead() === thead);
+// The thead goes after the caption and colgroup
+assert(thead.previousSibling.localName === "colgroup");
+assert(thead.nextSibling === tbody);
+var tfoot = table.createTFoot();
+assert(table.tFoot === tfoot && table.lastChild === tfoot);
+var tbody2 = table.createTBody();
+assert(tbody2.previousSibling === tbody && tbody2.nextSibling === tfoot);
+assert(tBodies.length === 2 && tBodies[1] === tbody2);
+
+// The rows of the head come first, and the rows of the foot last
+var footRow = tfoot.insertRow(0);
+var headRow = thead.insertRow(-1);
+var bodyRow = tbody2.insertRow();
+var tableRow = table.appendChild(document.createElement("tr"));
+assert(rows.length === 5);
+assert(rows[0] === headRow && rows[1] === row && rows[2] === bodyRow);
+assert(rows[3] === tableRow && rows[4] === footRow);
+assert(headRow.rowIndex === 0 && footRow.rowIndex === 4);
+assert(tableRow.rowIndex === 3 && tableRow.sectionRowIndex === 3);
+assert(bodyRow.sectionRowIndex === 0 && footRow.sectionRowIndex === 0);
+assert(document.createElement("tr").rowIndex === -1);
+assert(document.createElement("tr").sectionRowIndex === -1);
+var nested = document.createElement("div").appendChild(
+    document.createElement("tbody")).appendChild(document.createElement("tr"));
+assert(nested.rowIndex === -1 && nested.sectionRowIndex === 0);
+
+// Table rows are inserted before the row at the index, or after the
+// last row
+var r1 = table.insertRow(1);
+assert(r1.parentNode === tbody && r1.nextSibling === row);
+assert(rows[1] === r1);
+var last = table.insertRow(-1);
+assert(last.parentNode === tfoot && rows[rows.length - 1] === last);
+var end = table.insertRow(rows.length);
+assert(end.previousSibling === last);
+assertThrows(function() { table.insertRow(-2); },
+             DOMException.INDEX_SIZE_ERR);
+assertThrows(function() { table.insertRow(rows.length + 1); },
+             DOMException.INDEX_SIZE_ERR);
+
+// Deleting rows
+var count = rows.length;
+table.deleteRow(1);
+assert(rows.length === count - 1 && !r1.parentNode);
+table.deleteRow(-1);
+assert(!end.parentNode && rows[rows.length - 1] === last);
+assertThrows(function() { table.deleteRow(rows.length); },
+             DOMException.INDEX_SIZE_ERR);
+assertThrows(function() { table.deleteRow(-2); },
+             DOMException.INDEX_SIZE_ERR);
+tbody2.deleteRow(0);
+assert(!bodyRow.parentNode && tbody2.rows.length === 0);
+tbody2.deleteRow(-1);
+assertThrows(function() { tbody2.deleteRow(0); },
+             DOMException.INDEX_SIZE_ERR);
+
+// Section rows
+var sectionRows = tbody.rows;
+assert(sectionRows === tbody.rows && sectionRows.length === 1);
+var s0 = tbody.insertRow(0);
+assert(sectionRows.length === 2 && sectionRows[0] === s0);
+assert(s0.sectionRowIndex === 0 && row.sectionRowIndex === 1);
+assertThrows(function() { tbody.insertRow(3); },
+             DOMException.INDEX_SIZE_ERR);
+
+// Cells
+var cells = row.cells;
+assert(cells === row.cells && cells.length === 0);
+var c1 = row.insertCell();
+var c0 = row.insertCell(0);
+var th = row.appendChild(document.createElement("th"));
+row.appendChild(document.createElement("div"));
+assert(c1.localName === "td" && cells.length === 3);
+assert(cells[0] === c0 && cells[1] === c1 && cells[2] === th);
+assert(c0.cellIndex === 0 && th.cellIndex === 2);
+assert(document.createElement("td").cellIndex === -1);
+th.id = "header";
+assert(cells.header === th && cells.namedItem("header") === th);
+row.deleteCell(-1);
+assert(!th.parentNode && cells.length === 2);
+row.deleteCell(0);
+assert(cells[0] === c1);
+assertThrows(function() { row.deleteCell(1); },
+             DOMException.INDEX_SIZE_ERR);
+assertThrows(function() { row.insertCell(2); },
+             DOMException.INDEX_SIZE_ERR);
+
+// Replacing and deleting sections
+var newHead = document.createElement("thead");
+table.tHead = newHead;
+assert(table.tHead === newHead && !thead.parentNode);
+assert(newHead.previousSibling.localName === "colgroup");
+assertThrows(function() {
+    table.tHead = document.createElement("tbody");
+}, DOMException.HIERARCHY_REQUEST_ERR);
+table.deleteTHead();
+assert(table.tHead === null);
+table.tFoot = null;
+assert(table.tFoot === null && !tfoot.parentNode);
+table.deleteTFoot();
+
+document.body.removeChild(table);
@@ -0,0 +1,155 @@
+// Tests for the window's event loop: timers, microtasks and animation stamps
+
+// Drive the event loop with a fake clock and a scheduler that just
+// remembers when it was asked to run the loop
+var time = 1000;
+var wakeups = [];
+mozSetEventLoopHooks(function() { return time; },
+                     function(fn, delay) { wakeups.push(time + delay); });
+
+// Advance the clock by ms, running tasks as they come due
+function advance(ms) {
+    var end = time + ms;
+    for(;;) {
+        wakeups.sort(function(a, b) { return a - b; });
+        if (wakeups.length === 0 || wakeups[0] > end) break;
+        var t = wakeups.shift();
+        if (t > time) time = t;
+        mozRunEventLoop();
+    }
+    time = end;
+}
+
+var log = [];
+
+// Timers run in order of their timeouts, then the order they were set
+setTimeout(function() { log.push("b"); }, 20);
+setTimeout(function() { log.push("a"); }, 10);
+setTimeout(function() { log.push("c"); }, 20);
+setTimeout("log.push('string')", 30);
+setTimeout(function(x, y) { log.push(x + y); }, 40, "ar", "gs");
+assert(log.length === 0);
+advance(15);
+assert(log.join() === "a", log.join());
+advance(100);
+assert(log.join() === "a,b,c,string,args", log.join());
+
+// Timers can be cleared, and ids are unique across both kinds
+log = [];
+var t1 = setTimeout(function() { log.push("no"); }, 5);
+var t2 = setInterval(function() { log.push("no"); }, 5);
+assert(typeof t1 === "number" && t1 !== t2);
+clearTimeout(t1);
+clearInterval(t2);
+clearTimeout(12345);     // Unknown ids are ignored
+advance(50);
+assert(log.length === 0);
+
+// Intervals repeat until cleared
+var count = 0;
+var interval = setInterval(function() {
+    if (++count === 3) clearInterval(interval);
+}, 10);
+advance(25);
+assert(count === 2);
+advance(100);
+assert(count === 3);
+
+// Negative timeouts are treated as 0, and a timer set by another
+// timer runs in a later task
+log = [];
+setTimeout(function() {
+    log.push(1);
+    setTimeout(function() { log.push(3); }, -10);
+    log.push(2);
+}, 0);
+advance(0);
+assert(log.join() === "1,2,3", log.join());
+
+// Deeply nested timers are clamped to 4ms
+var depth = 0, times = [];
+function nest() {
+    times.push(time);
+    if (++depth < 8) setTimeout(nest, 0);
+}
+setTimeout(nest, 0);
+advance(100);
+assert(depth === 8);
+assert(times[4] === times[0], times.join());
+assert(times[5] === times[4] + 4, times.join());
+assert(times[7] === times[6] + 4, times.join());
+
+// Exceptions in timers don't stop the loop
+log = [];
+setTimeout(function() { throw new Error("expected test error"); }, 1);
+setTimeout(function() { log.push("after"); }, 1);
+advance(5);
+assert(log.join() === "after");
+
+// ...even when they aren't Errors
+log = [];
+setTimeout(function() { throw null; }, 1);
+setTimeout(function() { throw undefined; }, 1);
+requestAnimationFrame(function() { throw null; });
+requestAnimationFrame(function() { log.push("frame"); });
+var thrower = new MutationObserver(function() { throw undefined; });
+var target = document.createElement("div");
+thrower.observe(target, { attributes: true });
+setTimeout(function() { target.id = "x"; }, 1);
+setTimeout(function() { log.push("after"); }, 1);
+advance(20);
+thrower.disconnect();
+assert(log.sort().join() === "after,frame", log.join());
+
+// Microtasks: mutation records are delivered after the current task
+var div = document.createElement("div");
+var delivered = [];
+var mo = new MutationObserver(function(records) {
+    delivered.push(records.length);
+});
+mo.observe(div, { childList: true });
+setTimeout(function() {
+    div.appendChild(document.createElement("p"));
+    div.appendChild(document.createElement("p"));
+    log.push(delivered.length);
+}, 1);
+setTimeout(function() { log.push(delivered.join()); }, 1);
+log = [];
+advance(1);
+assert(log.join() === "0,2", log.join());
+
+// Records queued outside of a task get their own wakeup
+div.appendChild(document.createElement("p"));
+assert(delivered.length === 1);
+advance(0);
+assert(delivered.join() === "2,1", delivered.join());
+mo.disconnect();
+
+// Animation frame callbacks all get the same time, and callbacks
+// requested during a frame wait for the next one
+var stamps = [];
+requestAnimationFrame(function(t) {
+    stamps.push(t);
+    requestAnimationFrame(function(t) { stamps.push(t); });
+});
+requestAnimationFrame(function(t) { stamps.push(t); });
+var cancelled = requestAnimationFrame(function() { stamps.push("no"); });
+cancelAnimationFrame(cancelled);
+advance(0);
+assert(stamps.length === 2 && stamps[0] === stamps[1], stamps.join());
+advance(16);
+assert(stamps.length === 3 && stamps[2] === stamps[0] + 16, stamps.join());
+assertThrows(function() { requestAnimationFrame(1); }, "TypeError");
+
+// A virtual clock gives the loop back the hooks it had before
+var clock = mozVirtualClock();
+wakeups = [];
+var id = setTimeout(function() {}, 10);
+assert(wakeups.length === 0);
+clock.uninstall();
+clearTimeout(id);
+setTimeout(function() {}, 10);
+assert(wakeups.pop() === time + 10, wakeups.join());
+
+// Restore the default hooks
+mozSetEventLoopHooks(null, null);
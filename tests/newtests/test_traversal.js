@@ -0,0 +1,146 @@
+// Tests for NodeFilter, NodeIterator and TreeWalker
+
+assert(NodeFilter.FILTER_ACCEPT === 1);
+assert(NodeFilter.FILTER_SKIP === 3);
+assert(NodeFilter.SHOW_ALL === 0xFFFFFFFF);
+assert(NodeFilter.SHOW_COMMENT === 0x80);
+
+var root = document.createElement("div");
+root.innerHTML = "<p id='a'>one<b id='b'>two</b></p><!--c--><p id='c'>" +
+    "<i id='d'>three</i></p>";
+document.body.appendChild(root);
+
+function names(list) {
+    return list.map(function(n) {
+        return n.nodeType === Node.ELEMENT_NODE ? n.id : n.nodeValue;
+    }).join(",");
+}
+
+function iterate(it) {
+    var list = [], n;
+    while((n = it.nextNode())) list.push(n);
+    return names(list);
+}
+
+// NodeIterator with the default whatToShow and no filter
+var it = document.createNodeIterator(root);
+assert(it instanceof NodeIterator);
+assert(it.root === root && it.referenceNode === root);
+assert(it.pointerBeforeReferenceNode);
+assert(it.whatToShow === NodeFilter.SHOW_ALL);
+assert(it.filter === null);
+assert(it.nextNode() === root);
+assert(iterate(it) === "a,one,b,two,c,c,d,three");
+assert(it.previousNode().nodeValue === "three");
+assert(it.previousNode().id === "d");
+assert(it.pointerBeforeReferenceNode);
+
+// whatToShow masks
+it = document.createNodeIterator(root, NodeFilter.SHOW_TEXT |
+                                       NodeFilter.SHOW_COMMENT);
+assert(iterate(it) === "one,two,c,three");
+
+// Filters can be functions or objects with an acceptNode method
+it = document.createNodeIterator(root, NodeFilter.SHOW_ELEMENT,
+                                 function(n) {
+                                     return n.nodeName === "P"
+                                         ? NodeFilter.FILTER_ACCEPT
+                                         : NodeFilter.FILTER_SKIP;
+                                 });
+assert(iterate(it) === "a,c");
+var filter = {
+    acceptNode: function(n) {
+        assert(this === filter);
+        return n.id === "b" ? NodeFilter.FILTER_REJECT
+                            : NodeFilter.FILTER_ACCEPT;
+    }
+};
+it = document.createNodeIterator(root, NodeFilter.SHOW_ELEMENT, filter);
+assert(iterate(it) === ",a,c,d");
+it = document.createNodeIterator(root, NodeFilter.SHOW_ALL, {});
+assertThrows(function() { it.nextNode(); }, "TypeError");
+
+// Filters may not reenter the traversal
+it = document.createNodeIterator(root, NodeFilter.SHOW_ALL, function(n) {
+    it.nextNode();
+});
+assertThrows(function() { it.nextNode(); }, DOMException.INVALID_STATE_ERR);
+
+// Reference node fix-up when nodes are removed
+var p1 = document.getElementById("a"), p2 = document.getElementById("c");
+it = document.createNodeIterator(root, NodeFilter.SHOW_ELEMENT);
+it.nextNode(); it.nextNode(); it.nextNode();
+assert(it.referenceNode.id === "b");
+root.removeChild(p1);
+assert(it.referenceNode === root && !it.pointerBeforeReferenceNode);
+assert(it.nextNode() === p2);
+it.previousNode();
+assert(it.referenceNode === p2 && it.pointerBeforeReferenceNode);
+root.removeChild(p2);
+assert(it.referenceNode === root.firstChild);
+assert(!it.pointerBeforeReferenceNode);
+root.insertBefore(p1, root.firstChild);
+root.appendChild(p2);
+it = document.createNodeIterator(root, NodeFilter.SHOW_ELEMENT);
+it.nextNode(); it.nextNode(); it.previousNode();
+assert(it.referenceNode === p1 && it.pointerBeforeReferenceNode);
+root.removeChild(p1);
+assert(it.referenceNode.nodeType === Node.COMMENT_NODE);
+assert(it.pointerBeforeReferenceNode);
+assert(it.nextNode() === p2);
+root.textContent = "";
+assert(it.referenceNode === root);
+
+// Every iterator is told about removals, however many there are
+root.innerHTML = "<p id='a'></p><p id='c'></p>";
+it = document.createNodeIterator(root, NodeFilter.SHOW_ELEMENT);
+it.nextNode(); it.nextNode();
+for(var i = 0; i < 300; i++) document.createNodeIterator(root);
+root.removeChild(root.firstChild);
+assert(it.referenceNode === root && !it.pointerBeforeReferenceNode);
+assert(it.nextNode().id === "c" && it.nextNode() === null);
+it.detach();
+root.innerHTML = "<p id='a'>one<b id='b'>two</b></p><!--c--><p id='c'>" +
+    "<i id='d'>three</i></p>";
+
+// TreeWalker
+var tw = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+assert(tw instanceof TreeWalker);
+assert(tw.currentNode === root);
+assert(tw.parentNode() === null);
+assert(tw.firstChild().id === "a");
+assert(tw.nextSibling().id === "c");
+assert(tw.nextSibling() === null);
+assert(tw.previousSibling().id === "a");
+assert(tw.lastChild().id === "b");
+assert(tw.parentNode().id === "a");
+assert(tw.nextNode().id === "b");
+assert(tw.nextNode().id === "c");
+assert(tw.nextNode().id === "d");
+assert(tw.nextNode() === null);
+assert(tw.currentNode.id === "d");
+assert(tw.previousNode().id === "c");
+assert(tw.previousNode().id === "b");
+assert(tw.previousNode().id === "a");
+assert(tw.previousNode() === root);
+assert(tw.previousNode() === null);
+
+// Skipped nodes are descended into, rejected nodes are not
+tw = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, function(n) {
+    if (n.nodeName === "P") return NodeFilter.FILTER_SKIP;
+    return NodeFilter.FILTER_ACCEPT;
+});
+assert(tw.firstChild().id === "b");
+assert(tw.nextSibling().id === "d");
+assert(tw.parentNode() === root);
+tw = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT, function(n) {
+    if (n.id === "a") return NodeFilter.FILTER_REJECT;
+    return NodeFilter.FILTER_ACCEPT;
+});
+assert(tw.firstChild().id === "c");
+assert(tw.previousSibling() === null);
+
+// currentNode can be set to any node
+tw.currentNode = document.body;
+assert(tw.currentNode === document.body);
+assertThrows(function() { tw.currentNode = null; }, "TypeError");
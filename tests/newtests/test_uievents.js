@@ -0,0 +1,117 @@
+// Tests for KeyboardEvent, FocusEvent, WheelEvent, InputEvent and
+// CompositionEvent
+
+var target = document.createElement("input");
+document.body.appendChild(target);
+
+// Keyboard events
+var e = new KeyboardEvent("keydown", {
+    bubbles: true, cancelable: true, view: window,
+    key: "a", code: "KeyA", location: KeyboardEvent.DOM_KEY_LOCATION_STANDARD,
+    ctrlKey: true, repeat: 1, keyCode: 65, modifierCapsLock: true
+});
+assert(e instanceof KeyboardEvent && e instanceof UIEvent);
+assert(e.type === "keydown" && e.bubbles && e.cancelable && !e.isTrusted);
+assert(e.view === window && e.detail === 0);
+assert(e.key === "a" && e.code === "KeyA" && e.location === 0);
+assert(e.ctrlKey && !e.shiftKey && !e.altKey && !e.metaKey);
+assert(e.repeat === true && e.isComposing === false);
+assert(e.keyCode === 65 && e.charCode === 0 && e.which === 65);
+assert(e.getModifierState("Control") && !e.getModifierState("Shift"));
+assert(e.getModifierState("CapsLock") && !e.getModifierState("NumLock"));
+assert(!e.getModifierState("nonesuch") && !e.getModifierState("toString"));
+
+var keys = [];
+target.onkeydown = function(e) { keys.push(e.type + " " + e.key); };
+target.addEventListener("keypress", function(e) {
+    keys.push(e.type + " " + e.which);
+}, false);
+target.dispatchEvent(e);
+target.dispatchEvent(new KeyboardEvent("keypress", { charCode: 97 }));
+assert(keys.join() === "keydown a,keypress 97", keys.join());
+
+e = new KeyboardEvent("keyup");
+assert(e.key === "" && e.location === 0 && e.which === 0 && !e.bubbles);
+assert(KeyboardEvent.DOM_KEY_LOCATION_LEFT === 1);
+assert(e.DOM_KEY_LOCATION_NUMPAD === 3);
+
+e = document.createEvent("KeyboardEvent");
+e.initKeyboardEvent("keydown", true, false, window, "Shift",
+                    KeyboardEvent.DOM_KEY_LOCATION_RIGHT,
+                    false, false, true, false);
+assert(e instanceof KeyboardEvent && e.bubbles && !e.cancelable);
+assert(e.key === "Shift" && e.location === 2 && e.shiftKey);
+assert(e.getModifierState("Shift"));
+
+e = document.createEvent("KeyEvents");
+assert(e instanceof KeyboardEvent);
+e.initKeyEvent("keypress", true, true, null, false, true, false, false, 0, 98);
+assert(e.altKey && e.charCode === 98 && e.keyCode === 0 && e.which === 98);
+assert(e.view === null);
+
+// Focus events
+var other = document.createElement("button");
+e = new FocusEvent("focus", { relatedTarget: other, detail: 2 });
+assert(e instanceof FocusEvent && e instanceof UIEvent);
+assert(e.relatedTarget === other && e.detail === 2);
+assert(new FocusEvent("blur").relatedTarget === null);
+e = document.createEvent("FocusEvent");
+e.initFocusEvent("focusin", true, false, window, 0, null);
+assert(e.type === "focusin" && e.bubbles && e.relatedTarget === null);
+assertThrows(function() {
+    new FocusEvent("focus", { relatedTarget: {} });
+}, "TypeError");
+
+// Wheel events are mouse events
+e = new WheelEvent("wheel", {
+    deltaX: 1.5, deltaY: -3, deltaMode: WheelEvent.DOM_DELTA_LINE,
+    clientX: 10, clientY: 20, shiftKey: true, button: 1
+});
+assert(e instanceof WheelEvent && e instanceof MouseEvent);
+assert(e.deltaX === 1.5 && e.deltaY === -3 && e.deltaZ === 0);
+assert(e.deltaMode === 1 && e.DOM_DELTA_PAGE === 2);
+assert(e.clientX === 10 && e.clientY === 20 && e.shiftKey);
+assert(e.button === 1 && e.which === 2);
+e = document.createEvent("WheelEvent");
+e.initWheelEvent("wheel", true, true, window, 0, 1, 2, 3, 4, 0, null,
+                 "Control Alt CapsLock", 0, 10, 0, 0);
+assert(e.screenX === 1 && e.clientY === 4 && e.deltaY === 10);
+assert(e.ctrlKey && e.altKey && !e.shiftKey);
+assert(e.getModifierState("CapsLock"));
+
+// Mouse events know which button was pressed, and the other modifiers
+e = document.createEvent("MouseEvents");
+e.initMouseEvent("click", true, true, window, 1, 0, 0, 0, 0,
+                 false, false, false, true, 2, null);
+assert(e.which === 3 && e.detail === 1 && e.view === window);
+assert(e.getModifierState("Meta") && !e.getModifierState("AltGraph"));
+
+// Input events
+e = new InputEvent("input", { data: "x", inputType: "insertText",
+                              bubbles: true });
+assert(e instanceof InputEvent && e.data === "x");
+assert(e.inputType === "insertText" && !e.isComposing && e.bubbles);
+e = new InputEvent("beforeinput");
+assert(e.data === null && e.inputType === "");
+e = document.createEvent("InputEvent");
+e.initInputEvent("input", true, false, window, null, true, "deleteContent");
+assert(e.data === null && e.isComposing && e.inputType === "deleteContent");
+
+var inputs = 0;
+target.oninput = function(e) { inputs++; };
+target.dispatchEvent(new InputEvent("input"));
+assert(inputs === 1);
+
+// Composition events
+e = new CompositionEvent("compositionupdate", { data: "ka" });
+assert(e instanceof CompositionEvent && e.data === "ka");
+assert(new CompositionEvent("compositionstart").data === "");
+e = document.createEvent("CompositionEvent");
+e.initCompositionEvent("compositionend", true, true, window, "か");
+assert(e.type === "compositionend" && e.data === "か");
+
+// Other aliases for createEvent()
+assert(document.createEvent("Events") instanceof Event);
+assert(document.createEvent("UIEvents") instanceof UIEvent);
+
+document.body.removeChild(target);
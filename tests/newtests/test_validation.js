@@ -0,0 +1,235 @@
+// Tests for constraint validation: willValidate, validity, validation
+// messages, invalid events, and validation during form submission
+
+var clock = mozVirtualClock();
+var requests = [];
+mozSetFormSubmissionHook(function(request) { requests.push(request); });
+
+function input(type, attrs, value) {
+    var e = document.createElement("input");
+    e.type = type;
+    for(var name in attrs || {}) e.setAttribute(name, attrs[name]);
+    if (value !== undefined) e.value = value;
+    return e;
+}
+
+// willValidate
+assert(input("text").willValidate);
+assert(!input("hidden").willValidate);
+assert(!input("reset").willValidate && !input("button").willValidate);
+assert(input("submit").willValidate);
+assert(!input("text", { readonly: "" }).willValidate);
+assert(input("checkbox", { readonly: "" }).willValidate);
+assert(!input("text", { disabled: "" }).willValidate);
+var fieldset = document.createElement("fieldset");
+var inside = fieldset.appendChild(input("text"));
+fieldset.disabled = true;
+assert(!inside.willValidate && !fieldset.willValidate);
+assert(!document.createElement("output").willValidate);
+assert(!document.createElement("object").willValidate);
+var button = document.createElement("button");
+assert(button.willValidate);
+button.type = "reset";
+assert(!button.willValidate);
+var datalist = document.createElement("datalist");
+assert(!datalist.appendChild(input("text")).willValidate);
+
+// valueMissing
+var required = input("text", { required: "" });
+assert(required.validity.valueMissing && !required.validity.valid);
+required.value = "x";
+assert(!required.validity.valueMissing && required.validity.valid);
+assert(input("checkbox", { required: "" }).validity.valueMissing);
+var box = input("checkbox", { required: "" });
+box.checked = true;
+assert(box.validity.valid);
+assert(!input("range", { required: "" }).validity.valueMissing);
+assert(input("file", { required: "" }).validity.valueMissing);
+
+// A required radio button makes its whole group required
+var group = document.createElement("form");
+var r1 = group.appendChild(input("radio", { name: "g", required: "" }));
+var r2 = group.appendChild(input("radio", { name: "g" }));
+assert(r1.validity.valueMissing && r2.validity.valueMissing);
+r2.checked = true;
+assert(r1.validity.valid && r2.validity.valid);
+
+// typeMismatch
+assert(input("email", {}, "a@b.c").validity.valid);
+assert(input("email", {}, "not an email").validity.typeMismatch);
+assert(input("email", { multiple: "" }, "a@b, c@d").validity.valid);
+assert(input("email", { multiple: "" }, "a@b,c").validity.typeMismatch);
+assert(input("email").validity.valid);
+assert(input("url", {}, "http://example.com/").validity.valid);
+assert(input("url", {}, "example.com").validity.typeMismatch);
+
+// patternMismatch
+assert(input("text", { pattern: "[a-c]+" }, "abc").validity.valid);
+assert(input("text", { pattern: "[a-c]+" }, "abcd").validity.patternMismatch);
+assert(input("text", { pattern: "a|b" }, "ab").validity.patternMismatch);
+assert(input("text", { pattern: "[a-c]+" }).validity.valid);
+assert(input("text", { pattern: "(" }, "x").validity.valid);
+assert(input("email", { pattern: ".*@b", multiple: "" }, "a@b,c@d")
+       .validity.patternMismatch);
+
+// tooLong only applies to values that have been set
+var lengthy = input("text", { maxlength: "3", value: "abcd" });
+assert(lengthy.validity.valid);
+lengthy.value = "abcde";
+assert(lengthy.validity.tooLong);
+lengthy.value = "abc";
+assert(lengthy.validity.valid);
+
+// rangeUnderflow, rangeOverflow and stepMismatch
+var number = input("number", { min: "1", max: "10", step: "2" });
+number.value = "0";
+assert(number.validity.rangeUnderflow && number.validity.stepMismatch);
+number.value = "11";
+assert(number.validity.rangeOverflow && !number.validity.stepMismatch);
+number.value = "4";
+assert(number.validity.stepMismatch);
+number.value = "5";
+assert(number.validity.valid);
+assert(input("number", {}, "1.5").validity.stepMismatch);
+assert(input("number", { step: "any" }, "1.5").validity.valid);
+assert(input("number", { step: "0.1" }, "0.3").validity.valid);
+assert(input("number", { value: "0.5" }, "1.5").validity.valid);
+assert(input("date", { min: "2012-01-01" }, "2011-12-31")
+       .validity.rangeUnderflow);
+assert(input("date", { max: "2012-01-01" }, "2012-01-01").validity.valid);
+assert(input("date", { step: "7", min: "2012-01-02" }, "2012-01-09")
+       .validity.valid);
+assert(input("date", { step: "7", min: "2012-01-02" }, "2012-01-10")
+       .validity.stepMismatch);
+assert(input("month", { max: "2012-06" }, "2012-07").validity.rangeOverflow);
+assert(input("week", { min: "2012-W10" }, "2012-W09").validity.rangeUnderflow);
+assert(input("week", { step: "2" }, "1970-W01").validity.valid);
+assert(input("week", { step: "2" }, "1970-W02").validity.stepMismatch);
+assert(input("time", {}, "10:00").validity.valid);
+assert(input("time", {}, "10:00:30").validity.stepMismatch);
+assert(input("time", { step: "30" }, "10:00:30").validity.valid);
+assert(input("time", { max: "09:00" }, "10:00").validity.rangeOverflow);
+assert(input("datetime-local", { min: "2012-01-01T10:00" },
+             "2012-01-01T09:59").validity.rangeUnderflow);
+assert(input("datetime", { max: "2012-01-01T10:00Z" },
+             "2012-01-01T11:30+02:00").validity.valid);
+assert(input("datetime", { max: "2012-01-01T10:00Z" },
+             "2012-01-01T10:30-00:30").validity.rangeOverflow);
+assert(input("number", { min: "nonsense" }, "-5").validity.valid);
+
+// customError
+var custom = input("text");
+custom.setCustomValidity("Bad!");
+assert(custom.validity.customError && !custom.validity.valid);
+assert(custom.validationMessage === "Bad!");
+custom.setCustomValidity("");
+assert(custom.validity.valid && custom.validationMessage === "");
+button.type = "submit";
+button.setCustomValidity("no");
+assert(!button.validity.valid && !button.checkValidity());
+button.setCustomValidity("");
+
+// validationMessage is empty for elements that aren't validated
+assert(required.validationMessage === "");
+required.value = "";
+assert(required.validationMessage !== "");
+required.disabled = true;
+assert(required.validationMessage === "" && required.checkValidity());
+required.disabled = false;
+
+// validity is live
+var validity = required.validity;
+assert(required.validity === validity && !validity.valid);
+required.value = "y";
+assert(validity.valid);
+
+// textarea and select
+var ta = document.createElement("textarea");
+ta.required = true;
+assert(ta.validity.valueMissing);
+ta.textContent = "text";
+assert(ta.validity.valid);
+ta.maxLength = 2;
+assert(ta.validity.valid);
+ta.value = "lengthy";
+assert(ta.validity.tooLong);
+ta.readOnly = true;
+assert(!ta.willValidate && ta.checkValidity());
+
+var select = document.createElement("select");
+select.required = true;
+assert(select.validity.valueMissing);
+select.innerHTML = '<option value="">Choose</option><option>A</option>';
+assert(select.validity.valueMissing);
+select.selectedIndex = 1;
+assert(select.validity.valid);
+select.selectedIndex = 0;
+select.size = 2;
+assert(select.validity.valid);
+
+// checkValidity fires cancelable invalid events that don't bubble
+var invalids = [];
+function onInvalid(e) {
+    invalids.push(e.target.name);
+    assert(e.cancelable && !e.bubbles);
+}
+var root = document.createElement("div");
+document.body.appendChild(root);
+root.innerHTML = '<form action="http://example.com/">' +
+    '<input name="a" required>' +
+    '<input name="b" value="ok">' +
+    '<input name="c" type="email" value="bad">' +
+    '<fieldset></fieldset>' +
+    '<button name="s">Submit</button>' +
+    '<button name="skip" formnovalidate>Skip</button>' +
+    '</form>';
+var form = root.firstChild;
+var a = form.elements.namedItem("a");
+var c = form.elements.namedItem("c");
+root.addEventListener("invalid", function() { invalids.push("captured"); },
+                      true);
+a.addEventListener("invalid", onInvalid, false);
+c.addEventListener("invalid", onInvalid, false);
+root.addEventListener("invalid", function() { invalids.push("captured"); },
+                      false);
+assert(!a.checkValidity());
+assert(invalids.join() === "captured,a", invalids.join());
+invalids = [];
+assert(!form.checkValidity());
+assert(invalids.join() === "captured,a,captured,c", invalids.join());
+
+// Invalid forms aren't submitted by submit buttons
+var submits = 0;
+form.addEventListener("submit", function() { submits++; }, false);
+invalids = [];
+form.elements.namedItem("s").click();
+clock.advance(0);
+assert(submits === 0 && requests.length === 0);
+assert(invalids.join() === "captured,a,captured,c", invalids.join());
+
+// But they are by submit(), by formnovalidate buttons, and when the
+// form has novalidate
+form.submit();
+clock.advance(0);
+assert(requests.length === 1 && submits === 0);
+form.elements.namedItem("skip").click();
+clock.advance(0);
+assert(requests.length === 2 && submits === 1);
+form.noValidate = true;
+form.elements.namedItem("s").click();
+clock.advance(0);
+assert(requests.length === 3 && submits === 2);
+form.noValidate = false;
+
+// And valid forms are submitted
+a.value = "filled";
+c.value = "good@example.com";
+invalids = [];
+form.elements.namedItem("s").click();
+clock.advance(0);
+assert(requests.length === 4 && submits === 3 && invalids.length === 0);
+assert(form.checkValidity());
+
+document.body.removeChild(root);
+mozSetFormSubmissionHook(null);
+clock.uninstall();
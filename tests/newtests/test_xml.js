@@ -0,0 +1,192 @@
+// Tests for the XML parser, DOMParser and XMLSerializer
+
+var parser = new DOMParser();
+var serializer = new XMLSerializer();
+var SVG = "http://www.w3.org/2000/svg";
+var XLINK = "http://www.w3.org/1999/xlink";
+var XHTML = "http://www.w3.org/1999/xhtml";
+
+function isParseError(doc) {
+    return doc.documentElement.localName === "parsererror";
+}
+
+// A simple document
+var doc = parser.parseFromString(
+    '<?xml version="1.0" encoding="UTF-8"?>\r\n' +
+    '<!-- before -->\n' +
+    '<root a="1" b=\'two\'>text<child/><?pi some data?>' +
+    '<![CDATA[<raw> & ]]>&lt;&#65;&#x42;</root>', "text/xml");
+assert(doc instanceof Document);
+var root = doc.documentElement;
+assert(root.localName === "root" && root.namespaceURI === null);
+assert(root.tagName === "root");    // XML documents preserve case
+assert(doc.firstChild.nodeType === Node.COMMENT_NODE);
+assert(doc.firstChild.data === " before ");
+assert(root.getAttribute("a") === "1" && root.getAttribute("b") === "two");
+assert(root.childNodes.length === 4);
+assert(root.firstChild.data === "text");
+assert(root.childNodes[1].localName === "child");
+assert(root.childNodes[2].target === "pi" &&
+       root.childNodes[2].data === "some data");
+assert(root.lastChild.data === "<raw> & <AB", root.lastChild.data);
+
+// Element names are case sensitive and HTML elements are not special
+doc = parser.parseFromString("<Doc><P>x</P><br></br></Doc>",
+                             "application/xml");
+assert(doc.documentElement.tagName === "Doc");
+assert(doc.getElementsByTagName("P").length === 1);
+assert(doc.getElementsByTagName("p").length === 0);
+assert(!(doc.getElementsByTagName("br")[0] instanceof HTMLElement));
+
+// Namespaces
+doc = parser.parseFromString(
+    '<svg xmlns="' + SVG + '" xmlns:xlink="' + XLINK + '">' +
+    '<a xlink:href="#x" href="y"><h:p xmlns:h="' + XHTML + '"/></a>' +
+    '<g xmlns=""><rect xml:lang="en"/></g></svg>', "image/svg+xml");
+root = doc.documentElement;
+assert(root.namespaceURI === SVG && root.prefix === null);
+var a = root.firstChild;
+assert(a.namespaceURI === SVG);
+assert(a.getAttributeNS(XLINK, "href") === "#x");
+assert(a.getAttributeNS(null, "href") === "y");
+var p = a.firstChild;
+assert(p.namespaceURI === XHTML && p.prefix === "h" && p.localName === "p");
+assert(p instanceof HTMLParagraphElement);
+var g = root.lastChild;
+assert(g.namespaceURI === null);
+assert(g.firstChild.getAttributeNS("http://www.w3.org/XML/1998/namespace",
+                                   "lang") === "en");
+assert(root.getAttributeNS("http://www.w3.org/2000/xmlns/", "xlink") === XLINK);
+
+// Internal DTD subsets and entities
+doc = parser.parseFromString(
+    '<!DOCTYPE doc PUBLIC "-//Test//EN" "doc.dtd" [\n' +
+    '  <!ELEMENT doc (#PCDATA)>\n' +
+    '  <!ATTLIST doc a CDATA "x>y">\n' +
+    '  <!ENTITY name "dom&#46;js">\n' +
+    '  <!ENTITY greeting "Hello, &name;">\n' +
+    '  <!ENTITY ext SYSTEM "ext.xml">\n' +
+    ']>\n' +
+    '<doc t="&greeting;">&greeting;&ext;!</doc>', "text/xml");
+assert(doc.doctype.name === "doc");
+assert(doc.doctype.publicId === "-//Test//EN");
+assert(doc.doctype.systemId === "doc.dtd");
+assert(doc.documentElement.textContent === "Hello, dom.js!");
+assert(doc.documentElement.getAttribute("t") === "Hello, dom.js");
+
+// Attribute value normalization
+doc = parser.parseFromString('<x a="1\n2\t3&#10;4"/>', "text/xml");
+assert(doc.documentElement.getAttribute("a") === "1 2 3\n4");
+
+// Well-formedness errors produce a parsererror document
+function assertError(text, message) {
+    var d = parser.parseFromString(text, "text/xml");
+    var e = d.documentElement;
+    assert(e.localName === "parsererror", text);
+    assert(e.namespaceURI ===
+           "http://www.mozilla.org/newlayout/xml/parsererror.xml");
+    assert(d.childNodes.length === 1);
+    if (message)
+        assert(e.firstChild.data.indexOf(message) !== -1, e.firstChild.data);
+}
+assertError("", "no root element found");
+assertError("<a>", "no element found");
+assertError("<a></b>", "mismatched tag. Expected: </a>");
+assertError("<a/><b/>", "junk after document element");
+assertError("text", "syntax error");
+assertError("<a b='1' b='2'/>", "duplicate attribute");
+assertError("<a x:b='1' xmlns:x='u' xmlns:y='u' y:b='2'/>",
+            "duplicate attribute");
+assertError("<x:a/>", "unbound prefix");
+assertError("<a b=1/>");
+assertError("<a b='<'/>");
+assertError("<a>&nbsp;</a>", "undefined entity");
+assertError("<a>&amp</a>");
+assertError("<a>a & b</a>");
+assertError("<a>&#0;</a>", "reference to invalid character number");
+assertError("<a>]]></a>");
+assertError("<a><!-- a -- b --></a>");
+assertError("<1a/>");
+assertError("<a:b:c/>", "invalid qualified name");
+assertError("<a>\u0001</a>");
+assertError(" <?xml version='1.0'?><a/>");
+assertError("<?xml version='1.0' standalone='maybe'?><a/>",
+            "XML declaration not well-formed");
+assertError('<!DOCTYPE a [<!ENTITY e "&e;">]><a>&e;</a>',
+            "recursive entity reference");
+assertError("<a xmlns:xml='http://example.com/'/>");
+
+// The error describes where it happened
+doc = parser.parseFromString("<a>\n  <b></c>\n</a>", "text/xml");
+var message = doc.documentElement.firstChild.data;
+assert(message.indexOf("Line Number 2, Column 6:") !== -1, message);
+assert(doc.documentElement.lastChild.localName === "sourcetext");
+assert(doc.documentElement.lastChild.textContent === "  <b></c>\n-----^");
+
+// DOMParser with text/html uses the HTML parser, without running scripts
+doc = parser.parseFromString(
+    "<title>T</title><p>one<p>two<script>ran = true</script>", "text/html");
+assert(doc.getElementsByTagName("title")[0].textContent === "T");
+assert(doc.body.getElementsByTagName("p").length === 2);
+assert(doc.body.firstChild.tagName === "P");
+assert(typeof ran === "undefined");
+assert(doc !== document);
+
+assertThrows(function() { parser.parseFromString("<a/>", "text/plain"); },
+             TypeError);
+
+// XMLSerializer
+doc = parser.parseFromString(
+    '<?xml version="1.0"?><!DOCTYPE r SYSTEM "r.dtd">' +
+    '<r xmlns="urn:a" xmlns:b="urn:b"><b:c b:at="v">x &amp; &lt; y</b:c>' +
+    '<d q="&quot;&#9;"/><!--c--><?pi d?></r>', "text/xml");
+var xmltext = serializer.serializeToString(doc);
+assert(xmltext === '<!DOCTYPE r SYSTEM "r.dtd">' +
+       '<r xmlns="urn:a" xmlns:b="urn:b"><b:c b:at="v">x &amp; &lt; y</b:c>' +
+       '<d q="&quot;&#9;"/><!--c--><?pi d?></r>', xmltext);
+
+// Serializing a subtree declares the namespaces it needs
+var c = doc.documentElement.firstChild;
+assert(serializer.serializeToString(c) ===
+       '<b:c b:at="v" xmlns:b="urn:b">x &amp; &lt; y</b:c>',
+       serializer.serializeToString(c));
+
+// Nodes created with the DOM APIs get the declarations they need
+var xdoc = document.implementation.createDocument("urn:x", "x:root", null);
+var e = xdoc.createElementNS("urn:y", "item");
+xdoc.documentElement.appendChild(e);
+e.setAttributeNS("urn:z", "z:attr", "1");
+e.setAttributeNS("urn:x", "other", "2");   // No prefix, but one is in scope
+e.setAttributeNS("urn:w", "w", "3");       // Needs a generated prefix
+// An element in no namespace
+e.appendChild(xdoc.adoptNode(
+    parser.parseFromString("<plain/>", "text/xml").documentElement));
+xmltext = serializer.serializeToString(xdoc);
+assert(xmltext === '<x:root xmlns:x="urn:x">' +
+       '<item z:attr="1" x:other="2" ns1:w="3" xmlns="urn:y" ' +
+       'xmlns:z="urn:z" xmlns:ns1="urn:w"><plain xmlns=""/></item>' +
+       '</x:root>', xmltext);
+
+// The attribute's prefix is rebound if the prefix is in use
+var r = xdoc.createElementNS("urn:a", "p:r");
+r.setAttributeNS("urn:b", "p:attr", "v");
+xmltext = serializer.serializeToString(r);
+assert(xmltext === '<p:r ns1:attr="v" xmlns:p="urn:a" xmlns:ns1="urn:b"/>',
+       xmltext);
+
+// The output can be parsed back into the same tree
+doc = parser.parseFromString(serializer.serializeToString(xdoc), "text/xml");
+assert(!isParseError(doc));
+var item = doc.documentElement.firstChild;
+assert(item.namespaceURI === "urn:y" && item.localName === "item");
+assert(item.getAttributeNS("urn:z", "attr") === "1");
+assert(item.getAttributeNS("urn:x", "other") === "2");
+assert(item.getAttributeNS("urn:w", "w") === "3");
+assert(item.firstChild.namespaceURI === null);
+
+// HTML elements use the XHTML empty element rules
+var div = document.createElement("div");
+div.innerHTML = "<p>a<br>b</p><span></span>";
+xmltext = serializer.serializeToString(div);
+assert(xmltext === '<div xmlns="' + XHTML + '"><p>a<br />b</p>' +
+       '<span></span></div>', xmltext);